@@ -488,11 +488,753 @@ function migrateInventoryOverridesSchema(db) {
   });
 }
 
+function migrateConversationSessionsSchema(db) {
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      db.run(
+        `CREATE TABLE IF NOT EXISTS conversation_sessions (
+          phone_number TEXT PRIMARY KEY,
+          state TEXT NOT NULL,
+          draft TEXT,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          expires_at DATETIME
+        )`,
+        (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          resolve();
+        }
+      );
+    });
+  });
+}
+
+function migrateCityAliasesSchema(db) {
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      db.run(
+        `CREATE TABLE IF NOT EXISTS city_aliases (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          operator_id INTEGER NOT NULL,
+          alias TEXT NOT NULL,
+          city TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (operator_id) REFERENCES operators(id) ON DELETE CASCADE,
+          UNIQUE(operator_id, alias)
+        )`,
+        (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          resolve();
+        }
+      );
+    });
+  });
+}
+
+function migrateCustomerPreferencesSchema(db) {
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      db.run(
+        `CREATE TABLE IF NOT EXISTS customer_preferences (
+          phone_number TEXT PRIMARY KEY,
+          language TEXT NOT NULL,
+          language_source TEXT NOT NULL DEFAULT 'detected',
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+        (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          resolve();
+        }
+      );
+    });
+  });
+}
+
+function migrateCustomerContactsSchema(db) {
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      db.run(
+        `CREATE TABLE IF NOT EXISTS customer_contacts (
+          phone_number TEXT PRIMARY KEY,
+          last_inbound_at DATETIME NOT NULL
+        )`,
+        (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          resolve();
+        }
+      );
+    });
+  });
+}
+
+function migrateOutboundMessagesSchema(db) {
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      db.run(
+        `CREATE TABLE IF NOT EXISTS outbound_messages (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          recipient_phone TEXT NOT NULL,
+          booking_id INTEGER,
+          log_type TEXT,
+          kind TEXT NOT NULL,
+          payload TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          max_attempts INTEGER NOT NULL,
+          next_attempt_at DATETIME NOT NULL,
+          last_error TEXT,
+          provider_message_id TEXT,
+          created_at DATETIME NOT NULL,
+          updated_at DATETIME NOT NULL,
+          sent_at DATETIME,
+          FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE SET NULL
+        )`,
+        (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          db.run(
+            `CREATE INDEX IF NOT EXISTS idx_outbound_messages_recipient
+             ON outbound_messages (recipient_phone, status, id)`,
+            (recipientIndexErr) => {
+              if (recipientIndexErr) {
+                reject(recipientIndexErr);
+                return;
+              }
+              db.run(
+                `CREATE INDEX IF NOT EXISTS idx_outbound_messages_due
+                 ON outbound_messages (status, next_attempt_at)`,
+                (dueIndexErr) => {
+                  if (dueIndexErr) {
+                    reject(dueIndexErr);
+                    return;
+                  }
+                  db.run(
+                    `CREATE INDEX IF NOT EXISTS idx_outbound_messages_provider
+                     ON outbound_messages (provider_message_id)`,
+                    (providerIndexErr) => {
+                      if (providerIndexErr) {
+                        reject(providerIndexErr);
+                        return;
+                      }
+                      resolve();
+                    }
+                  );
+                }
+              );
+            }
+          );
+        }
+      );
+    });
+  });
+}
+
+// Delivery tracking columns on message_logs, filled from the outbox send and
+// WhatsApp status callbacks (sent/delivered/read/failed).
+const MESSAGE_LOG_STATUS_COLUMNS = [
+  ['outbound_message_id', 'INTEGER'],
+  ['wa_message_id', 'TEXT'],
+  ['delivery_status', 'TEXT'],
+  ['delivery_status_at', 'DATETIME'],
+  ['delivery_error', 'TEXT']
+];
+
+function migrateMessageLogStatusSchema(db) {
+  return new Promise((resolve, reject) => {
+    db.all('PRAGMA table_info(message_logs)', (err, rows) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      const existing = new Set((rows || []).map(row => row.name));
+      const missing = MESSAGE_LOG_STATUS_COLUMNS.filter(([name]) => !existing.has(name));
+
+      db.serialize(() => {
+        missing.forEach(([name, type]) => {
+          db.run(`ALTER TABLE message_logs ADD COLUMN ${name} ${type}`, (alterErr) => {
+            if (alterErr) {
+              console.error(`Error adding ${name} column to message_logs:`, alterErr.message);
+            } else {
+              console.log(`Added ${name} column to message_logs table`);
+            }
+          });
+        });
+        db.run(
+          `CREATE INDEX IF NOT EXISTS idx_message_logs_wa_message
+           ON message_logs (wa_message_id)`,
+          (indexErr) => {
+            if (indexErr) {
+              reject(indexErr);
+              return;
+            }
+            resolve();
+          }
+        );
+      });
+    });
+  });
+}
+
+// Seat layout of a trip. seat_number is the inventory number used by locks,
+// booking seat_numbers and inventory_overrides; label is what customers see.
+function migrateTripSeatsSchema(db) {
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      db.run(
+        `CREATE TABLE IF NOT EXISTS trip_seats (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          trip_id INTEGER NOT NULL,
+          seat_number INTEGER NOT NULL,
+          label TEXT NOT NULL,
+          seat_type TEXT NOT NULL DEFAULT 'seater',
+          deck TEXT NOT NULL DEFAULT 'lower',
+          row_index INTEGER NOT NULL,
+          column_index INTEGER NOT NULL,
+          is_ladies INTEGER NOT NULL DEFAULT 0,
+          FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE,
+          UNIQUE(trip_id, seat_number),
+          UNIQUE(trip_id, label)
+        )`,
+        (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          resolve();
+        }
+      );
+    });
+  });
+}
+
+// Archived copy of each ticket; WhatsApp media IDs expire after a few weeks.
+const TICKET_ARCHIVE_COLUMNS = [
+  ['storage_backend', 'TEXT'],
+  ['storage_key', 'TEXT'],
+  ['mime_type', 'TEXT'],
+  ['file_size', 'INTEGER'],
+  ['checksum_sha256', 'TEXT'],
+  ['archived_at', 'DATETIME'],
+  ['archive_attempts', 'INTEGER NOT NULL DEFAULT 0'],
+  ['archive_error', 'TEXT']
+];
+
+function migrateTicketArchiveSchema(db) {
+  return new Promise((resolve, reject) => {
+    db.all('PRAGMA table_info(ticket_attachments)', (err, rows) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      const existing = new Set((rows || []).map(row => row.name));
+      const missing = TICKET_ARCHIVE_COLUMNS.filter(([name]) => !existing.has(name));
+
+      db.serialize(() => {
+        missing.forEach(([name, type]) => {
+          db.run(`ALTER TABLE ticket_attachments ADD COLUMN ${name} ${type}`, (alterErr) => {
+            if (alterErr) {
+              console.error(`Error adding ${name} column to ticket_attachments:`, alterErr.message);
+            } else {
+              console.log(`Added ${name} column to ticket_attachments table`);
+            }
+          });
+        });
+        db.run(
+          `CREATE INDEX IF NOT EXISTS idx_ticket_attachments_booking
+           ON ticket_attachments (booking_id, id)`,
+          (indexErr) => {
+            if (indexErr) {
+              reject(indexErr);
+              return;
+            }
+            resolve();
+          }
+        );
+      });
+    });
+  });
+}
+
+// Reusable seat layouts (e.g. "2+1 sleeper, 36 berths"). A route names the
+// layout its trips start with; assigning one to a trip copies its seats into
+// trip_seats so later template edits never move booked seats.
+const VEHICLE_LAYOUT_COLUMNS = {
+  routes: [
+    ['vehicle_layout_id', 'INTEGER REFERENCES vehicle_layouts(id) ON DELETE SET NULL']
+  ],
+  trips: [
+    ['vehicle_layout_id', 'INTEGER REFERENCES vehicle_layouts(id) ON DELETE SET NULL'],
+    // JSON array of the seat numbers sold on WhatsApp; NULL means seats 1..whatsapp_seat_quota
+    ['whatsapp_seat_numbers', 'TEXT']
+  ]
+};
+
+function addMissingColumns(db, table, columns) {
+  return new Promise((resolve, reject) => {
+    db.all(`PRAGMA table_info(${table})`, (err, rows) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      const existing = new Set((rows || []).map(row => row.name));
+      const missing = columns.filter(([name]) => !existing.has(name));
+      if (missing.length === 0) {
+        resolve();
+        return;
+      }
+
+      db.serialize(() => {
+        missing.forEach(([name, type], index) => {
+          db.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`, (alterErr) => {
+            if (alterErr) {
+              console.error(`Error adding ${name} column to ${table}:`, alterErr.message);
+            } else {
+              console.log(`Added ${name} column to ${table} table`);
+            }
+            if (index === missing.length - 1) {
+              resolve();
+            }
+          });
+        });
+      });
+    });
+  });
+}
+
+function migrateVehicleLayoutsSchema(db) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `CREATE TABLE IF NOT EXISTS vehicle_layouts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        operator_id INTEGER,
+        name TEXT NOT NULL,
+        description TEXT,
+        seats TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (operator_id) REFERENCES operators(id) ON DELETE CASCADE,
+        UNIQUE(operator_id, name)
+      )`,
+      (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve();
+      }
+    );
+  })
+    .then(() => addMissingColumns(db, 'routes', VEHICLE_LAYOUT_COLUMNS.routes))
+    .then(() => addMissingColumns(db, 'trips', VEHICLE_LAYOUT_COLUMNS.trips));
+}
+
+const TRIP_SCHEDULE_COLUMNS = {
+  trips: [
+    ['schedule_id', 'INTEGER REFERENCES trip_schedules(id) ON DELETE SET NULL']
+  ]
+};
+
+function migrateTripSchedulesSchema(db) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `CREATE TABLE IF NOT EXISTS trip_schedules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        route_id INTEGER NOT NULL,
+        departure_time TEXT NOT NULL,
+        days_of_week TEXT NOT NULL,
+        start_date DATE NOT NULL,
+        end_date DATE,
+        exception_dates TEXT NOT NULL DEFAULT '[]',
+        whatsapp_seat_quota INTEGER NOT NULL DEFAULT 0,
+        vehicle_layout_id INTEGER,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (route_id) REFERENCES routes(id) ON DELETE CASCADE,
+        FOREIGN KEY (vehicle_layout_id) REFERENCES vehicle_layouts(id) ON DELETE SET NULL
+      )`,
+      (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve();
+      }
+    );
+  })
+    .then(() => addMissingColumns(db, 'trips', TRIP_SCHEDULE_COLUMNS.trips))
+    .then(() => new Promise((resolve, reject) => {
+      db.run(
+        'CREATE INDEX IF NOT EXISTS idx_trips_schedule_date ON trips(schedule_id, journey_date)',
+        (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          resolve();
+        }
+      );
+    }));
+}
+
+function migrateQuotaRulesSchema(db) {
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      // Rules apply to one trip, or to every trip of a route
+      db.run(
+        `CREATE TABLE IF NOT EXISTS quota_rules (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          trip_id INTEGER,
+          route_id INTEGER,
+          hours_before_departure REAL NOT NULL,
+          action TEXT NOT NULL,
+          seat_count INTEGER,
+          max_sold_percent INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE,
+          FOREIGN KEY (route_id) REFERENCES routes(id) ON DELETE CASCADE,
+          CHECK ((trip_id IS NULL) <> (route_id IS NULL))
+        )`,
+        (err) => {
+          if (err) {
+            reject(err);
+          }
+        }
+      );
+      // One evaluation per rule and trip
+      db.run(
+        `CREATE TABLE IF NOT EXISTS quota_rule_runs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          rule_id INTEGER NOT NULL,
+          trip_id INTEGER NOT NULL,
+          outcome TEXT NOT NULL,
+          from_quota INTEGER,
+          to_quota INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (rule_id) REFERENCES quota_rules(id) ON DELETE CASCADE,
+          FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE,
+          UNIQUE(rule_id, trip_id)
+        )`,
+        (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          resolve();
+        }
+      );
+    });
+  });
+}
+
+function migrateWaitlistSchema(db) {
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      // offered: told about the waitlist, waiting: joined, held: got a hold from a freed seat
+      db.run(
+        `CREATE TABLE IF NOT EXISTS waitlist_entries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          trip_id INTEGER NOT NULL,
+          customer_phone TEXT NOT NULL,
+          seat_count INTEGER NOT NULL,
+          language TEXT NOT NULL DEFAULT 'en',
+          status TEXT NOT NULL DEFAULT 'offered',
+          booking_id INTEGER,
+          offered_at DATETIME NOT NULL,
+          joined_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE,
+          FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE SET NULL
+        )`,
+        (err) => {
+          if (err) {
+            reject(err);
+          }
+        }
+      );
+      db.run(
+        'CREATE INDEX IF NOT EXISTS idx_waitlist_trip_status ON waitlist_entries(trip_id, status, joined_at)',
+        (err) => {
+          if (err) {
+            reject(err);
+          }
+        }
+      );
+      db.run(
+        'CREATE INDEX IF NOT EXISTS idx_waitlist_customer ON waitlist_entries(customer_phone, status)',
+        (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          resolve();
+        }
+      );
+    });
+  });
+}
+
+const FARE_COLUMNS = {
+  bookings: [
+    // Total fare at hold time, so later fare changes leave the booking alone
+    ['fare_amount', 'REAL'],
+    // JSON array of { seat_number, label, fare, fare_rule_id } behind fare_amount
+    ['fare_details', 'TEXT']
+  ]
+};
+
+function migrateFareRulesSchema(db) {
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      // Per-seat fares overriding routes.price; NULL columns match any trip, seat or date
+      db.run(
+        `CREATE TABLE IF NOT EXISTS fare_rules (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          route_id INTEGER NOT NULL,
+          trip_id INTEGER,
+          seat_type TEXT,
+          deck TEXT,
+          start_date DATE,
+          end_date DATE,
+          days_of_week TEXT,
+          fare REAL NOT NULL,
+          label TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (route_id) REFERENCES routes(id) ON DELETE CASCADE,
+          FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE
+        )`,
+        (err) => {
+          if (err) {
+            reject(err);
+          }
+        }
+      );
+      db.run(
+        'CREATE INDEX IF NOT EXISTS idx_fare_rules_route ON fare_rules(route_id, trip_id)',
+        (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          resolve();
+        }
+      );
+    });
+  })
+    .then(() => addMissingColumns(db, 'bookings', FARE_COLUMNS.bookings));
+}
+
+const PRICE_OVERRIDE_COLUMNS = {
+  // operator: own bookings within the override cap, supervisor: any booking, any amount
+  operators: [
+    ['role', "TEXT NOT NULL DEFAULT 'operator'"]
+  ],
+  bookings: [
+    // Price set by an operator; replaces fare_amount when not NULL
+    ['price_override_amount', 'REAL']
+  ]
+};
+
+function migratePriceOverridesSchema(db) {
+  return addMissingColumns(db, 'operators', PRICE_OVERRIDE_COLUMNS.operators)
+    .then(() => addMissingColumns(db, 'bookings', PRICE_OVERRIDE_COLUMNS.bookings));
+}
+
+const PAYMENT_TABLES = [
+  // One row per request to pay a booking; with a gateway, the payment link sent to the customer
+  `CREATE TABLE IF NOT EXISTS payment_intents (
+    id TEXT PRIMARY KEY,
+    booking_id INTEGER NOT NULL,
+    amount REAL NOT NULL,
+    currency TEXT NOT NULL DEFAULT 'INR',
+    state TEXT NOT NULL DEFAULT 'CREATED',
+    gateway TEXT,
+    gateway_ref TEXT,
+    pay_link_url TEXT,
+    expires_at DATETIME,
+    idempotency_key TEXT UNIQUE,
+    metadata TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_payment_intents_booking ON payment_intents(booking_id, created_at)',
+  'CREATE INDEX IF NOT EXISTS idx_payment_intents_gateway_ref ON payment_intents(gateway, gateway_ref)',
+  // One row per payment result reported by the gateway
+  `CREATE TABLE IF NOT EXISTS payments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    booking_id INTEGER NOT NULL,
+    intent_id TEXT,
+    status TEXT NOT NULL,
+    amount REAL,
+    currency TEXT NOT NULL DEFAULT 'INR',
+    gateway TEXT,
+    gateway_payment_id TEXT,
+    gateway_event_id TEXT UNIQUE,
+    is_late_payment INTEGER NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE,
+    FOREIGN KEY (intent_id) REFERENCES payment_intents(id) ON DELETE SET NULL
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_payments_booking ON payments(booking_id, created_at)',
+  `CREATE TABLE IF NOT EXISTS refunds (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    booking_id INTEGER NOT NULL,
+    payment_id INTEGER,
+    amount REAL NOT NULL,
+    currency TEXT NOT NULL DEFAULT 'INR',
+    reason TEXT,
+    status TEXT NOT NULL DEFAULT 'PROCESSED',
+    gateway_refund_id TEXT,
+    idempotency_key TEXT UNIQUE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE,
+    FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE SET NULL
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_refunds_booking ON refunds(booking_id)'
+];
+
+// Payment intents, webhooks and refunds used to live only in audit_events;
+// copied over once, when the payment tables are created
+const PAYMENT_BACKFILL = [
+  `INSERT OR IGNORE INTO payment_intents
+    (id, booking_id, amount, currency, state, gateway, gateway_ref, pay_link_url, expires_at,
+     idempotency_key, metadata, created_at, updated_at)
+   SELECT json_extract(a.response_snapshot, '$.intent_id'), b.id,
+     json_extract(a.response_snapshot, '$.amount'),
+     COALESCE(json_extract(a.response_snapshot, '$.currency'), 'INR'),
+     COALESCE(json_extract(a.response_snapshot, '$.state'), 'CREATED'),
+     json_extract(a.response_snapshot, '$.gateway'),
+     json_extract(a.response_snapshot, '$.gateway_ref'),
+     json_extract(a.response_snapshot, '$.metadata.pay_link_url'),
+     json_extract(a.response_snapshot, '$.expires_at'),
+     a.idempotency_key, json_extract(a.response_snapshot, '$.metadata'),
+     a.created_at, COALESCE(a.completed_at, a.created_at)
+   FROM audit_events a
+   JOIN bookings b ON b.id = json_extract(a.response_snapshot, '$.booking_id')
+   WHERE a.source = 'payment' AND a.event_type = 'payment_intent_create' AND a.status = 'completed'`,
+  `INSERT OR IGNORE INTO payments (booking_id, status, gateway_event_id, created_at, updated_at)
+   SELECT b.id,
+     CASE WHEN UPPER(json_extract(a.payload, '$.status')) IN ('SUCCESS', 'SUCCEEDED', 'PAID')
+       THEN 'SUCCEEDED' ELSE 'FAILED' END,
+     a.idempotency_key, a.created_at, a.created_at
+   FROM audit_events a
+   JOIN bookings b ON b.id = json_extract(a.payload, '$.booking_id')
+   WHERE a.event_type = 'PAYMENT_WEBHOOK'`,
+  `INSERT OR IGNORE INTO refunds (booking_id, amount, currency, reason, idempotency_key, created_at, updated_at)
+   SELECT b.id, json_extract(a.response_snapshot, '$.amount'),
+     COALESCE(json_extract(a.response_snapshot, '$.currency'), 'INR'),
+     json_extract(a.response_snapshot, '$.reason'),
+     a.idempotency_key, a.created_at, COALESCE(a.completed_at, a.created_at)
+   FROM audit_events a
+   JOIN bookings b ON b.id = json_extract(a.response_snapshot, '$.booking_id')
+   WHERE a.source = 'payment' AND a.event_type = 'refund' AND a.status = 'completed'`
+];
+
+function runStatements(db, statements) {
+  return statements.reduce((previous, sql) => previous.then(() => new Promise((resolve, reject) => {
+    db.run(sql, (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve();
+    });
+  })), Promise.resolve());
+}
+
+function migratePaymentsSchema(db) {
+  return new Promise((resolve, reject) => {
+    db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'payments'", (err, row) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(Boolean(row));
+    });
+  }).then((exists) => runStatements(db, PAYMENT_TABLES)
+    .then(() => (exists ? null : runStatements(db, PAYMENT_BACKFILL))));
+}
+
+const PAYMENT_HOLD_COLUMNS = {
+  bookings: [
+    // Owner of the booking's seat locks, so a hold can be extended while its payment is in progress
+    ['lock_session_id', 'TEXT']
+  ]
+};
+
+function migratePaymentHoldsSchema(db) {
+  return addMissingColumns(db, 'bookings', PAYMENT_HOLD_COLUMNS.bookings);
+}
+
+const CANCELLATION_POLICY_TABLES = [
+  // At most one policy per route; routes without one fall back to the default refund tiers
+  `CREATE TABLE IF NOT EXISTS cancellation_policies (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    route_id INTEGER NOT NULL UNIQUE,
+    cutoff_hours REAL,
+    fee_slabs TEXT NOT NULL DEFAULT '[]',
+    no_cancel_windows TEXT NOT NULL DEFAULT '[]',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (route_id) REFERENCES routes(id) ON DELETE CASCADE
+  )`
+];
+
+const CANCELLATION_POLICY_COLUMNS = {
+  cancellations: [
+    // Fee kept from the customer under the route's cancellation policy
+    ['cancellation_fee', 'REAL']
+  ],
+  bookings: [
+    // Fee last quoted to the customer; CANCEL <id> YES does not charge more without asking again
+    ['cancellation_quote_fee', 'REAL']
+  ]
+};
+
+function migrateCancellationPoliciesSchema(db) {
+  return runStatements(db, CANCELLATION_POLICY_TABLES)
+    .then(() => addMissingColumns(db, 'cancellations', CANCELLATION_POLICY_COLUMNS.cancellations))
+    .then(() => addMissingColumns(db, 'bookings', CANCELLATION_POLICY_COLUMNS.bookings));
+}
+
 function runMigrations(db) {
   return new Promise((resolve, reject) => {
     migrateAuditEventsSchema(db)
       .then(() => migrateCancellationSchema(db))
       .then(() => migrateInventoryOverridesSchema(db))
+      .then(() => migrateConversationSessionsSchema(db))
+      .then(() => migrateCityAliasesSchema(db))
+      .then(() => migrateCustomerPreferencesSchema(db))
+      .then(() => migrateCustomerContactsSchema(db))
+      .then(() => migrateOutboundMessagesSchema(db))
+      .then(() => migrateMessageLogStatusSchema(db))
+      .then(() => migrateTicketArchiveSchema(db))
+      .then(() => migrateTripSeatsSchema(db))
+      .then(() => migrateVehicleLayoutsSchema(db))
+      .then(() => migrateTripSchedulesSchema(db))
+      .then(() => migrateQuotaRulesSchema(db))
+      .then(() => migrateWaitlistSchema(db))
+      .then(() => migrateFareRulesSchema(db))
+      .then(() => migratePriceOverridesSchema(db))
+      .then(() => migratePaymentsSchema(db))
+      .then(() => migratePaymentHoldsSchema(db))
+      .then(() => migrateCancellationPoliciesSchema(db))
       .then(() => {
         // First, check the current schema
         db.all("PRAGMA table_info(bookings)", (err, rows) => {
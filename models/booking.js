@@ -44,6 +44,32 @@ function getSeatNumbers(booking) {
   return [];
 }
 
+// Snapshotted fare; bookings held before fares were snapshotted fall back to the route price
+function getHeldFareAmount(booking) {
+  if (!booking) return null;
+  if (booking.fare_amount !== null && booking.fare_amount !== undefined) {
+    return booking.fare_amount;
+  }
+  if (booking.price === null || booking.price === undefined) {
+    return null;
+  }
+  return booking.price * (booking.seat_count || 1);
+}
+
+// What the customer pays: an operator's price override, else the held fare
+function getFareAmount(booking) {
+  if (!booking) return null;
+  if (booking.price_override_amount !== null && booking.price_override_amount !== undefined) {
+    return booking.price_override_amount;
+  }
+  return getHeldFareAmount(booking);
+}
+
+function getFareDetails(booking) {
+  if (!booking) return [];
+  return parseJsonArray(booking.fare_details) || [];
+}
+
 function normalizeStatus(status) {
   if (!status) return null;
   const normalized = String(status).trim().toLowerCase();
@@ -56,9 +82,13 @@ function normalizeStatus(status) {
   return null;
 }
 
-function isAllowedTransition(fromStatus, toStatus) {
+function isAllowedTransition(fromStatus, toStatus, options = {}) {
   if (!fromStatus || !toStatus) return false;
   if (fromStatus === toStatus) return true;
+  // Only a late payment that got its seats back can confirm an expired hold
+  if (fromStatus === BOOKING_STATUSES.EXPIRED) {
+    return toStatus === BOOKING_STATUSES.CONFIRMED && options.reinstate === true;
+  }
   if (fromStatus === BOOKING_STATUSES.HOLD) {
     return [
       BOOKING_STATUSES.CONFIRMED,
@@ -82,8 +112,11 @@ function isAllowedTransition(fromStatus, toStatus) {
  * @param {number} bookingData.hold_duration_minutes - Hold duration in minutes (default: 10)
  * @param {string} bookingData.lock_key - Redis lock key for this booking (optional)
  * @param {string[]} bookingData.lock_keys - Redis lock keys for this booking (optional)
+ * @param {string} bookingData.lock_session_id - Owner of the Redis locks (optional)
  * @param {number[]} bookingData.seat_numbers - Seat numbers held by this booking (optional)
  * @param {string|Date} bookingData.hold_expires_at - Hold expiry override (optional)
+ * @param {number} bookingData.fare_amount - Total fare at hold time (optional)
+ * @param {Object[]} bookingData.fare_details - Fare of each seat behind fare_amount (optional)
  * @returns {Promise<Object>} Created booking object with id
  */
 async function create(bookingData) {
@@ -97,8 +130,11 @@ async function create(bookingData) {
     hold_duration_minutes = 10,
     lock_key = null,
     lock_keys = null,
+    lock_session_id = null,
     seat_numbers = null,
-    hold_expires_at = null
+    hold_expires_at = null,
+    fare_amount = null,
+    fare_details = null
   } = bookingData;
 
   const holdExpiresAt = hold_expires_at
@@ -127,9 +163,12 @@ async function create(bookingData) {
            status,
            hold_expires_at,
            lock_key,
-           lock_keys
+           lock_keys,
+           lock_session_id,
+           fare_amount,
+           fare_details
          )
-         VALUES (?, ?, ?, ?, ?, 'hold', ?, ?, ?)`,
+         VALUES (?, ?, ?, ?, ?, 'hold', ?, ?, ?, ?, ?, ?)`,
         [
           customer_name,
           customer_phone,
@@ -138,7 +177,10 @@ async function create(bookingData) {
           normalizedSeatNumbers ? JSON.stringify(normalizedSeatNumbers) : null,
           holdExpiresAt.toISOString(),
           primaryLockKey,
-          normalizedLockKeys ? JSON.stringify(normalizedLockKeys) : null
+          normalizedLockKeys ? JSON.stringify(normalizedLockKeys) : null,
+          lock_session_id,
+          fare_amount,
+          Array.isArray(fare_details) ? JSON.stringify(fare_details) : null
         ],
         function (err) {
           if (err) {
@@ -247,21 +289,59 @@ async function findActiveHoldsByTrip(tripId) {
   });
 }
 
+/**
+ * Find unexpired holds on an operator's routes, newest first
+ * @param {number} operatorId - Operator ID
+ * @returns {Promise<Array>} Array of active hold bookings
+ */
+async function findActiveHoldsByOperator(operatorId) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT b.*, t.journey_date, t.departure_time, r.source, r.destination, r.operator_id
+       FROM bookings b
+       JOIN trips t ON b.trip_id = t.id
+       JOIN routes r ON t.route_id = r.id
+       WHERE r.operator_id = ? AND b.status = 'hold' AND b.hold_expires_at > datetime('now')
+       ORDER BY b.created_at DESC, b.id DESC`,
+      [operatorId],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(rows || []);
+      }
+    );
+  });
+}
+
 /**
  * Find expired holds
+ * @param {Date} now - Current time
+ * @param {Object} options - { tripId } to look at one trip only
  * @returns {Promise<Array>} Array of expired hold bookings
  */
-async function findExpiredHolds() {
+async function findExpiredHolds(now = new Date(), { tripId = null } = {}) {
   const db = await getDatabase();
-  
+  // datetime() on both sides: hold_expires_at is stored as an ISO string, which
+  // does not compare as text with SQLite's 'YYYY-MM-DD HH:MM:SS'
+  const conditions = ["b.status = 'hold'", 'datetime(b.hold_expires_at) <= datetime(?)'];
+  const params = [now.toISOString()];
+  if (tripId) {
+    conditions.push('b.trip_id = ?');
+    params.push(tripId);
+  }
+
   return new Promise((resolve, reject) => {
     db.all(
       `SELECT b.*, t.journey_date, t.departure_time, r.source, r.destination
        FROM bookings b
        JOIN trips t ON b.trip_id = t.id
        JOIN routes r ON t.route_id = r.id
-       WHERE b.status = 'hold' AND b.hold_expires_at <= datetime('now')`,
-      [],
+       WHERE ${conditions.join(' AND ')}`,
+      params,
       (err, rows) => {
         if (err) {
           reject(err);
@@ -317,7 +397,7 @@ async function transitionStatus(id, status, options = {}) {
   if (!currentStatus || !nextStatus) {
     throw new Error(`Invalid booking status transition: ${booking.status} -> ${status}`);
   }
-  if (!isAllowedTransition(currentStatus, nextStatus)) {
+  if (!isAllowedTransition(currentStatus, nextStatus, options)) {
     throw new Error(`Disallowed booking status transition: ${currentStatus} -> ${nextStatus}`);
   }
 
@@ -392,6 +472,31 @@ async function expireHold(id, options = {}) {
   return transitionStatus(id, BOOKING_STATUSES.EXPIRED, options);
 }
 
+/**
+ * Move the expiry of an active hold
+ * @param {number} id - Booking ID
+ * @param {Date} holdExpiresAt - New expiry
+ * @returns {Promise<Object|null>} Updated booking, or null when it is no longer a hold
+ */
+async function extendHold(id, holdExpiresAt) {
+  const db = await getDatabase();
+
+  const changes = await new Promise((resolve, reject) => {
+    db.run(
+      "UPDATE bookings SET hold_expires_at = ? WHERE id = ? AND status = 'hold'",
+      [holdExpiresAt.toISOString(), id],
+      function (err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(this.changes);
+      }
+    );
+  });
+  return changes > 0 ? findById(id) : null;
+}
+
 async function setCancellationDetails(id, details = {}) {
   const db = await getDatabase();
   const { cancelled_at = null, cancelled_by = null, cancellation_reason = null } = details;
@@ -415,6 +520,55 @@ async function setCancellationDetails(id, details = {}) {
   });
 }
 
+/**
+ * Remember the cancellation fee last quoted to the customer
+ * @param {number} id - Booking ID
+ * @param {number} fee - Quoted fee
+ * @returns {Promise<number>} Number of rows updated
+ */
+async function setCancellationQuote(id, fee) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE bookings SET cancellation_quote_fee = ? WHERE id = ?',
+      [fee, id],
+      function (err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(this.changes || 0);
+      }
+    );
+  });
+}
+
+/**
+ * Set the price an operator agreed with the customer
+ * @param {number} id - Booking ID
+ * @param {number} amount - New total price
+ * @returns {Promise<Object|null>} Updated booking object
+ */
+async function setPriceOverride(id, amount) {
+  const db = await getDatabase();
+
+  await new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE bookings SET price_override_amount = ? WHERE id = ?',
+      [amount, id],
+      (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve();
+      }
+    );
+  });
+  return findById(id);
+}
+
 /**
  * Find bookings by trip ID
  * @param {number} tripId - Trip ID
@@ -445,6 +599,7 @@ async function findByTripId(tripId) {
 
 /**
  * Find confirmed bookings that need reminders (6 hours before journey)
+ * and have no reminder sent or queued yet
  * @param {Date} currentTime - Current time
  * @returns {Promise<Array>} Array of booking objects that need reminders
  */
@@ -467,6 +622,10 @@ async function findBookingsNeedingReminders(currentTime = new Date()) {
        LEFT JOIN message_logs ml ON b.id = ml.booking_id AND ml.type = 'reminder'
        WHERE b.status = 'confirmed'
          AND ml.id IS NULL
+         AND NOT EXISTS (
+           SELECT 1 FROM outbound_messages om
+           WHERE om.booking_id = b.id AND om.log_type = 'reminder'
+         )
          AND datetime(t.journey_date || ' ' || t.departure_time) BETWEEN datetime(?) AND datetime(?)
        ORDER BY t.journey_date ASC, t.departure_time ASC`,
       [currentTimeStr, sixHoursLaterStr],
@@ -510,6 +669,7 @@ module.exports = {
   findById,
   findByPhone,
   findActiveHoldsByTrip,
+  findActiveHoldsByOperator,
   findActiveHolds,
   findExpiredHolds,
   updateStatus,
@@ -517,10 +677,16 @@ module.exports = {
   normalizeStatus,
   confirmWithTicket,
   expireHold,
+  extendHold,
   findByTripId,
   findBookingsNeedingReminders,
   hasReminder,
   getLockKeys,
   getSeatNumbers,
-  setCancellationDetails
+  getHeldFareAmount,
+  getFareAmount,
+  getFareDetails,
+  setCancellationDetails,
+  setCancellationQuote,
+  setPriceOverride
 };
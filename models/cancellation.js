@@ -22,20 +22,22 @@ async function createIfMissing({
   cancelledBy,
   cancellationReason,
   actorId,
-  cancelledAt
+  cancelledAt,
+  cancellationFee = null
 }) {
   const db = await getDatabase();
   return new Promise((resolve, reject) => {
     db.run(
       `INSERT OR IGNORE INTO cancellations
-       (booking_id, cancelled_at, cancelled_by, cancellation_reason, actor_id, created_at)
-       VALUES (?, ?, ?, ?, ?, datetime('now'))`,
+       (booking_id, cancelled_at, cancelled_by, cancellation_reason, actor_id, cancellation_fee, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, datetime('now'))`,
       [
         bookingId,
         cancelledAt || new Date().toISOString(),
         cancelledBy,
         cancellationReason || null,
-        actorId || null
+        actorId || null,
+        cancellationFee
       ],
       async function (err) {
         if (err) {
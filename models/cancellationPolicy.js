@@ -0,0 +1,105 @@
+const { getDatabase } = require('../database');
+
+function parseList(rawValue, field, policyId) {
+  if (rawValue === null || rawValue === undefined) return [];
+  try {
+    const parsed = JSON.parse(rawValue);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.warn(`[cancellationPolicy] Policy ${policyId} has unreadable ${field}:`, error.message);
+    return [];
+  }
+}
+
+function mapRow(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    fee_slabs: parseList(row.fee_slabs, 'fee_slabs', row.id),
+    no_cancel_windows: parseList(row.no_cancel_windows, 'no_cancel_windows', row.id)
+  };
+}
+
+/**
+ * Find the cancellation policy of a route
+ * @param {number} routeId - Route ID
+ * @returns {Promise<Object|null>} Policy or null
+ */
+async function findByRoute(routeId) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM cancellation_policies WHERE route_id = ?', [routeId], (err, row) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(mapRow(row));
+    });
+  });
+}
+
+/**
+ * Set the cancellation policy of a route, replacing any earlier one
+ * @param {Object} policyData - Policy data
+ * @param {number} policyData.route_id - Route the policy belongs to
+ * @param {number|null} policyData.cutoff_hours - Customers cannot cancel later than this before departure
+ * @param {Array<Object>} policyData.fee_slabs - [{ hours_before, fee_percent }]
+ * @param {Array<Object>} policyData.no_cancel_windows - [{ start_date, end_date, label }]
+ * @returns {Promise<Object>} Saved policy
+ */
+async function upsert(policyData) {
+  const db = await getDatabase();
+  const {
+    route_id,
+    cutoff_hours = null,
+    fee_slabs = [],
+    no_cancel_windows = []
+  } = policyData;
+
+  await new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO cancellation_policies (route_id, cutoff_hours, fee_slabs, no_cancel_windows)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT(route_id) DO UPDATE SET
+         cutoff_hours = excluded.cutoff_hours,
+         fee_slabs = excluded.fee_slabs,
+         no_cancel_windows = excluded.no_cancel_windows,
+         updated_at = CURRENT_TIMESTAMP`,
+      [route_id, cutoff_hours, JSON.stringify(fee_slabs), JSON.stringify(no_cancel_windows)],
+      (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve();
+      }
+    );
+  });
+  return findByRoute(route_id);
+}
+
+/**
+ * Delete the cancellation policy of a route
+ * @param {number} routeId - Route ID
+ * @returns {Promise<boolean>} Whether a policy was deleted
+ */
+async function removeByRoute(routeId) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.run('DELETE FROM cancellation_policies WHERE route_id = ?', [routeId], function (err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(this.changes > 0);
+    });
+  });
+}
+
+module.exports = {
+  findByRoute,
+  upsert,
+  removeByRoute
+};
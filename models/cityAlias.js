@@ -0,0 +1,102 @@
+const { getDatabase } = require('../database');
+const { normalizeCityName } = require('../services/cityMatcher');
+
+/**
+ * Create a city alias for an operator (e.g. "BOMBAY" → "Mumbai").
+ * Aliases are stored normalized so lookups are case and punctuation insensitive.
+ *
+ * @param {Object} aliasData - { operator_id, alias, city }
+ * @returns {Promise<Object>} Created alias
+ */
+async function create(aliasData) {
+  const db = await getDatabase();
+  const { operator_id, alias, city } = aliasData;
+
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO city_aliases (operator_id, alias, city)
+       VALUES (?, ?, ?)`,
+      [operator_id, normalizeCityName(alias), city.trim()],
+      function (err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        findById(this.lastID)
+          .then(resolve)
+          .catch(reject);
+      }
+    );
+  });
+}
+
+async function findById(id) {
+  const db = await getDatabase();
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT * FROM city_aliases WHERE id = ?',
+      [id],
+      (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(row || null);
+      }
+    );
+  });
+}
+
+/**
+ * List aliases, optionally for a single operator
+ * @param {number|null} operatorId - Operator ID
+ * @returns {Promise<Array>} Alias rows
+ */
+async function findAll(operatorId = null) {
+  const db = await getDatabase();
+  const where = operatorId ? 'WHERE operator_id = ?' : '';
+  const params = operatorId ? [operatorId] : [];
+
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM city_aliases ${where} ORDER BY operator_id ASC, alias ASC`,
+      params,
+      (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(rows || []);
+      }
+    );
+  });
+}
+
+/**
+ * Delete an alias
+ * @param {number} id - Alias ID
+ * @returns {Promise<number>} Number of rows removed
+ */
+async function remove(id) {
+  const db = await getDatabase();
+  return new Promise((resolve, reject) => {
+    db.run(
+      'DELETE FROM city_aliases WHERE id = ?',
+      [id],
+      function (err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(this.changes || 0);
+      }
+    );
+  });
+}
+
+module.exports = {
+  create,
+  findById,
+  findAll,
+  remove
+};
@@ -0,0 +1,57 @@
+const { getDatabase } = require('../database');
+
+/**
+ * Find the contact record for a customer
+ * @param {string} phoneNumber - Normalized customer phone number
+ * @returns {Promise<Object|null>} Contact row or null
+ */
+async function findByPhone(phoneNumber) {
+  const db = await getDatabase();
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT * FROM customer_contacts WHERE phone_number = ?',
+      [phoneNumber],
+      (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(row || null);
+      }
+    );
+  });
+}
+
+/**
+ * Record that a customer messaged us. Older timestamps never overwrite newer
+ * ones, so webhook retries delivered out of order are harmless.
+ * @param {string} phoneNumber - Normalized customer phone number
+ * @param {Date} receivedAt - When the inbound message was sent
+ * @returns {Promise<Object>} Contact row
+ */
+async function recordInbound(phoneNumber, receivedAt = new Date()) {
+  const db = await getDatabase();
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO customer_contacts (phone_number, last_inbound_at)
+       VALUES (?, ?)
+       ON CONFLICT(phone_number) DO UPDATE SET
+         last_inbound_at = MAX(last_inbound_at, excluded.last_inbound_at)`,
+      [phoneNumber, receivedAt.toISOString()],
+      (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        findByPhone(phoneNumber)
+          .then(resolve)
+          .catch(reject);
+      }
+    );
+  });
+}
+
+module.exports = {
+  findByPhone,
+  recordInbound
+};
@@ -0,0 +1,59 @@
+const { getDatabase } = require('../database');
+
+/**
+ * Find stored preferences for a customer
+ * @param {string} phoneNumber - Normalized customer phone number
+ * @returns {Promise<Object|null>} Preference row or null
+ */
+async function findByPhone(phoneNumber) {
+  const db = await getDatabase();
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT * FROM customer_preferences WHERE phone_number = ?',
+      [phoneNumber],
+      (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(row || null);
+      }
+    );
+  });
+}
+
+/**
+ * Store a customer's reply language
+ * @param {string} phoneNumber - Normalized customer phone number
+ * @param {string} language - Language code
+ * @param {string} source - 'explicit' (customer asked for it) or 'detected'
+ * @returns {Promise<Object>} Stored preference row
+ */
+async function setLanguage(phoneNumber, language, source = 'detected') {
+  const db = await getDatabase();
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO customer_preferences (phone_number, language, language_source, updated_at)
+       VALUES (?, ?, ?, datetime('now'))
+       ON CONFLICT(phone_number) DO UPDATE SET
+         language = excluded.language,
+         language_source = excluded.language_source,
+         updated_at = excluded.updated_at`,
+      [phoneNumber, language, source],
+      (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        findByPhone(phoneNumber)
+          .then(resolve)
+          .catch(reject);
+      }
+    );
+  });
+}
+
+module.exports = {
+  findByPhone,
+  setLanguage
+};
@@ -0,0 +1,150 @@
+const { getDatabase } = require('../database');
+
+function parseDaysOfWeek(rawValue, ruleId) {
+  if (rawValue === null || rawValue === undefined) return null;
+  try {
+    const parsed = JSON.parse(rawValue);
+    return Array.isArray(parsed) ? parsed : null;
+  } catch (error) {
+    console.warn(`[fareRule] Rule ${ruleId} has unreadable days_of_week:`, error.message);
+    return null;
+  }
+}
+
+function mapRow(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    days_of_week: parseDaysOfWeek(row.days_of_week, row.id)
+  };
+}
+
+/**
+ * Create a fare rule
+ * @param {Object} ruleData - Rule data
+ * @param {number} ruleData.route_id - Route the rule belongs to
+ * @param {number|null} ruleData.trip_id - Only this trip of the route
+ * @param {string|null} ruleData.seat_type - Only seater or sleeper seats
+ * @param {string|null} ruleData.deck - Only lower or upper deck seats
+ * @param {string|null} ruleData.start_date - First journey date (YYYY-MM-DD)
+ * @param {string|null} ruleData.end_date - Last journey date (YYYY-MM-DD)
+ * @param {Array<number>|null} ruleData.days_of_week - Only these weekdays (0 = Sunday)
+ * @param {number} ruleData.fare - Fare per seat
+ * @param {string|null} ruleData.label - Name shown to operators, e.g. "Diwali"
+ * @returns {Promise<Object>} Created rule
+ */
+async function create(ruleData) {
+  const db = await getDatabase();
+  const {
+    route_id,
+    trip_id = null,
+    seat_type = null,
+    deck = null,
+    start_date = null,
+    end_date = null,
+    days_of_week = null,
+    fare,
+    label = null
+  } = ruleData;
+
+  const id = await new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO fare_rules
+        (route_id, trip_id, seat_type, deck, start_date, end_date, days_of_week, fare, label)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        route_id,
+        trip_id,
+        seat_type,
+        deck,
+        start_date,
+        end_date,
+        days_of_week ? JSON.stringify(days_of_week) : null,
+        fare,
+        label
+      ],
+      function (err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(this.lastID);
+      }
+    );
+  });
+  return findById(id);
+}
+
+/**
+ * Find a fare rule by ID
+ * @param {number} id - Rule ID
+ * @returns {Promise<Object|null>} Rule or null
+ */
+async function findById(id) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM fare_rules WHERE id = ?', [id], (err, row) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(mapRow(row));
+    });
+  });
+}
+
+/**
+ * List the rules of a route, or the rules that can apply to a trip
+ * (the trip's own and its route's)
+ * @param {Object} filters - { tripId, routeId }
+ * @returns {Promise<Array>} Rules
+ */
+async function findAll({ tripId = null, routeId = null } = {}) {
+  const db = await getDatabase();
+  let query = 'SELECT * FROM fare_rules';
+  let params = [];
+  if (tripId) {
+    query += ` WHERE route_id = (SELECT route_id FROM trips WHERE id = ?) AND (trip_id IS NULL OR trip_id = ?)`;
+    params = [tripId, tripId];
+  } else if (routeId) {
+    query += ' WHERE route_id = ?';
+    params = [routeId];
+  }
+
+  return new Promise((resolve, reject) => {
+    db.all(`${query} ORDER BY id ASC`, params, (err, rows) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve((rows || []).map(mapRow));
+    });
+  });
+}
+
+/**
+ * Delete a fare rule
+ * @param {number} id - Rule ID
+ * @returns {Promise<boolean>} Whether a rule was deleted
+ */
+async function remove(id) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.run('DELETE FROM fare_rules WHERE id = ?', [id], function (err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(this.changes > 0);
+    });
+  });
+}
+
+module.exports = {
+  create,
+  findById,
+  findAll,
+  remove
+};
@@ -6,6 +6,9 @@ const { getDatabase } = require('../database');
  * @param {number|null} logData.booking_id - Booking ID (optional)
  * @param {string} logData.type - Message type (e.g., 'notification', 'reminder', 'confirmation', 'rejection')
  * @param {Date} logData.sent_at - Timestamp when message was sent (optional, defaults to now)
+ * @param {number|null} logData.outbound_message_id - Outbox row the message was sent from (optional)
+ * @param {string|null} logData.wa_message_id - WhatsApp message id returned by the Cloud API (optional)
+ * @param {string|null} logData.delivery_status - Initial delivery status, e.g. 'sent' (optional)
  * @returns {Promise<Object>} Created message log object with id
  */
 async function create(logData) {
@@ -14,14 +17,19 @@ async function create(logData) {
   const {
     booking_id = null,
     type,
-    sent_at = new Date().toISOString()
+    sent_at = new Date().toISOString(),
+    outbound_message_id = null,
+    wa_message_id = null,
+    delivery_status = null
   } = logData;
 
   return new Promise((resolve, reject) => {
     db.run(
-      `INSERT INTO message_logs (booking_id, type, sent_at)
-       VALUES (?, ?, ?)`,
-      [booking_id, type, sent_at],
+      `INSERT INTO message_logs
+         (booking_id, type, sent_at, outbound_message_id, wa_message_id, delivery_status, delivery_status_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [booking_id, type, sent_at, outbound_message_id, wa_message_id, delivery_status,
+        delivery_status ? sent_at : null],
       function (err) {
         if (err) {
           reject(err);
@@ -83,8 +91,88 @@ async function findByBookingId(bookingId) {
   });
 }
 
+/**
+ * Find the message log for a WhatsApp message id
+ * @param {string} waMessageId - wamid from the send response / status callback
+ * @returns {Promise<Object|null>} Message log object or null if not found
+ */
+async function findByWaMessageId(waMessageId) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT * FROM message_logs WHERE wa_message_id = ?',
+      [waMessageId],
+      (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(row || null);
+      }
+    );
+  });
+}
+
+/**
+ * Record a delivery status reported by WhatsApp
+ * @param {number} id - Message log ID
+ * @param {Object} statusData - { delivery_status, delivery_status_at, delivery_error }
+ * @returns {Promise<Object|null>} Updated message log
+ */
+async function updateDeliveryStatus(id, { delivery_status, delivery_status_at, delivery_error = null }) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE message_logs
+       SET delivery_status = ?, delivery_status_at = ?, delivery_error = ?
+       WHERE id = ?`,
+      [delivery_status, delivery_status_at, delivery_error, id],
+      (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        findById(id)
+          .then(resolve)
+          .catch(reject);
+      }
+    );
+  });
+}
+
+/**
+ * Count a booking's messages of one type in a given delivery status
+ * @param {number} bookingId - Booking ID
+ * @param {string} type - Message type
+ * @param {string} deliveryStatus - Delivery status
+ * @returns {Promise<number>} Number of matching logs
+ */
+async function countByDeliveryStatus(bookingId, type, deliveryStatus) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT COUNT(*) AS count FROM message_logs
+       WHERE booking_id = ? AND type = ? AND delivery_status = ?`,
+      [bookingId, type, deliveryStatus],
+      (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(row ? row.count : 0);
+      }
+    );
+  });
+}
+
 module.exports = {
   create,
   findById,
-  findByBookingId
+  findByBookingId,
+  findByWaMessageId,
+  updateDeliveryStatus,
+  countByDeliveryStatus
 };
@@ -1,5 +1,30 @@
 const { getDatabase } = require('../database');
 
+const OPERATOR_ROLES = Object.freeze({
+  OPERATOR: 'operator',
+  // May approve changes beyond what an operator can make alone
+  SUPERVISOR: 'supervisor'
+});
+
+/**
+ * Find operator by ID
+ * @param {number|string} id - Operator ID
+ * @returns {Promise<Object|null>} Operator object or null if not found
+ */
+async function findById(id) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM operators WHERE id = ?', [id], (err, row) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(row || null);
+    });
+  });
+}
+
 /**
  * Find operator by phone number
  * @param {string} phoneNumber - Phone number to search for
@@ -23,6 +48,37 @@ async function findByPhone(phoneNumber) {
   });
 }
 
+/**
+ * Find the operator running the route a booking is on
+ * @param {number} bookingId - Booking ID
+ * @returns {Promise<Object|null>} Operator object or null if not found
+ */
+async function findByBookingId(bookingId) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT o.*
+       FROM bookings b
+       JOIN trips t ON b.trip_id = t.id
+       JOIN routes r ON t.route_id = r.id
+       JOIN operators o ON r.operator_id = o.id
+       WHERE b.id = ?`,
+      [bookingId],
+      (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(row || null);
+      }
+    );
+  });
+}
+
 module.exports = {
-  findByPhone
+  OPERATOR_ROLES,
+  findById,
+  findByPhone,
+  findByBookingId
 };
@@ -0,0 +1,236 @@
+const { getDatabase } = require('../database');
+
+// A message is at the head of its recipient's queue when no older message to
+// the same recipient is still waiting to go out. Only the head may be sent,
+// which keeps per-recipient ordering even while an earlier message backs off.
+const IS_QUEUE_HEAD = `NOT EXISTS (
+  SELECT 1 FROM outbound_messages earlier
+  WHERE earlier.recipient_phone = outbound_messages.recipient_phone
+    AND earlier.id < outbound_messages.id
+    AND earlier.status IN ('pending', 'sending')
+)`;
+
+function parseRow(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    payload: JSON.parse(row.payload)
+  };
+}
+
+function runStatement(db, sql, params) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(this.changes);
+    });
+  });
+}
+
+/**
+ * Queue a message for delivery
+ * @param {Object} messageData - Message data
+ * @param {string} messageData.recipient_phone - Normalized recipient phone number
+ * @param {string} messageData.kind - Delivery kind ('text', 'buttons', 'notification')
+ * @param {Object} messageData.payload - Kind-specific content, stored as JSON
+ * @param {number} messageData.max_attempts - Attempts before the message is dead-lettered
+ * @param {number|null} messageData.booking_id - Booking ID (optional)
+ * @param {string|null} messageData.log_type - message_logs type written once sent (optional)
+ * @param {Date} messageData.now - Enqueue time (optional, defaults to now)
+ * @returns {Promise<Object>} Created message
+ */
+async function create(messageData) {
+  const db = await getDatabase();
+
+  const {
+    recipient_phone,
+    kind,
+    payload,
+    max_attempts,
+    booking_id = null,
+    log_type = null,
+    now = new Date()
+  } = messageData;
+  const timestamp = now.toISOString();
+
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO outbound_messages
+         (recipient_phone, booking_id, log_type, kind, payload, status, attempts,
+          max_attempts, next_attempt_at, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, 'pending', 0, ?, ?, ?, ?)`,
+      [recipient_phone, booking_id, log_type, kind, JSON.stringify(payload),
+        max_attempts, timestamp, timestamp, timestamp],
+      function (err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        findById(this.lastID)
+          .then(resolve)
+          .catch(reject);
+      }
+    );
+  });
+}
+
+/**
+ * Find an outbound message by ID
+ * @param {number} id - Message ID
+ * @returns {Promise<Object|null>} Message or null
+ */
+async function findById(id) {
+  const db = await getDatabase();
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM outbound_messages WHERE id = ?', [id], (err, row) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(parseRow(row));
+    });
+  });
+}
+
+/**
+ * Find the outbound message WhatsApp knows by a given wamid
+ * @param {string} providerMessageId - wamid returned when the message was sent
+ * @returns {Promise<Object|null>} Message or null
+ */
+async function findByProviderMessageId(providerMessageId) {
+  const db = await getDatabase();
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT * FROM outbound_messages WHERE provider_message_id = ?',
+      [providerMessageId],
+      (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(parseRow(row));
+      }
+    );
+  });
+}
+
+/**
+ * Find messages that are due and at the head of their recipient's queue
+ * @param {Date} now - Current time
+ * @param {Object} options - { recipientPhone, limit }
+ * @returns {Promise<Array>} Due messages, oldest first
+ */
+async function findDue(now = new Date(), { recipientPhone = null, limit = 50 } = {}) {
+  const db = await getDatabase();
+  const conditions = ["status = 'pending'", 'next_attempt_at <= ?', IS_QUEUE_HEAD];
+  const params = [now.toISOString()];
+  if (recipientPhone) {
+    conditions.push('recipient_phone = ?');
+    params.push(recipientPhone);
+  }
+  params.push(limit);
+
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM outbound_messages
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY next_attempt_at ASC, id ASC
+       LIMIT ?`,
+      params,
+      (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve((rows || []).map(parseRow));
+      }
+    );
+  });
+}
+
+/**
+ * Claim a pending message for sending. Fails when another worker got it first
+ * or an older message to the same recipient is still queued.
+ * @param {number} id - Message ID
+ * @param {Date} now - Claim time
+ * @returns {Promise<boolean>} True when this caller owns the send
+ */
+async function claim(id, now = new Date()) {
+  const db = await getDatabase();
+  const changes = await runStatement(
+    db,
+    `UPDATE outbound_messages
+     SET status = 'sending', updated_at = ?
+     WHERE id = ? AND status = 'pending' AND ${IS_QUEUE_HEAD}`,
+    [now.toISOString(), id]
+  );
+  return changes === 1;
+}
+
+/**
+ * Mark a claimed message as delivered to the Cloud API
+ * @param {number} id - Message ID
+ * @param {Object} details - { attempts, provider_message_id, now }
+ * @returns {Promise<Object|null>} Updated message
+ */
+async function markSent(id, { attempts, provider_message_id = null, now = new Date() }) {
+  const db = await getDatabase();
+  const timestamp = now.toISOString();
+  await runStatement(
+    db,
+    `UPDATE outbound_messages
+     SET status = 'sent', attempts = ?, provider_message_id = ?, last_error = NULL,
+         sent_at = ?, updated_at = ?
+     WHERE id = ?`,
+    [attempts, provider_message_id, timestamp, timestamp, id]
+  );
+  return findById(id);
+}
+
+/**
+ * Record a failed attempt: back to 'pending' for a retry, or 'dead'
+ * @param {number} id - Message ID
+ * @param {Object} details - { status, attempts, next_attempt_at, last_error, now }
+ * @returns {Promise<Object|null>} Updated message
+ */
+async function markFailed(id, { status, attempts, next_attempt_at, last_error, now = new Date() }) {
+  const db = await getDatabase();
+  await runStatement(
+    db,
+    `UPDATE outbound_messages
+     SET status = ?, attempts = ?, next_attempt_at = ?, last_error = ?, updated_at = ?
+     WHERE id = ?`,
+    [status, attempts, next_attempt_at.toISOString(), last_error, now.toISOString(), id]
+  );
+  return findById(id);
+}
+
+/**
+ * Return messages stuck in 'sending' (worker crashed mid-send) to the queue
+ * @param {Date} claimedBefore - Claims older than this are considered stale
+ * @returns {Promise<number>} Number of messages released
+ */
+async function releaseStaleClaims(claimedBefore) {
+  const db = await getDatabase();
+  return runStatement(
+    db,
+    `UPDATE outbound_messages
+     SET status = 'pending'
+     WHERE status = 'sending' AND updated_at < ?`,
+    [claimedBefore.toISOString()]
+  );
+}
+
+module.exports = {
+  create,
+  findById,
+  findByProviderMessageId,
+  findDue,
+  claim,
+  markSent,
+  markFailed,
+  releaseStaleClaims
+};
@@ -0,0 +1,161 @@
+const { getDatabase } = require('../database');
+
+function mapRow(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    is_late_payment: Boolean(row.is_late_payment)
+  };
+}
+
+/**
+ * Record a payment result from the gateway. A gateway event is recorded once;
+ * repeating it returns the payment already recorded.
+ * @param {Object} paymentData - Payment data
+ * @param {number} paymentData.booking_id - Booking paid for
+ * @param {string|null} paymentData.intent_id - Intent the payment was made against
+ * @param {string} paymentData.status - PAYMENT_STATES value
+ * @param {number|null} paymentData.amount - Amount paid
+ * @param {string} paymentData.currency - Currency code
+ * @param {string|null} paymentData.gateway - Gateway name
+ * @param {string|null} paymentData.gateway_payment_id - Gateway's payment ID
+ * @param {string|null} paymentData.gateway_event_id - Gateway's event ID
+ * @param {boolean} paymentData.is_late_payment - Paid after the hold expired
+ * @returns {Promise<Object>} Recorded payment
+ */
+async function create(paymentData) {
+  const db = await getDatabase();
+  const {
+    booking_id,
+    intent_id = null,
+    status,
+    amount = null,
+    currency = 'INR',
+    gateway = null,
+    gateway_payment_id = null,
+    gateway_event_id = null,
+    is_late_payment = false
+  } = paymentData;
+
+  const id = await new Promise((resolve, reject) => {
+    db.run(
+      `INSERT OR IGNORE INTO payments
+        (booking_id, intent_id, status, amount, currency, gateway, gateway_payment_id,
+         gateway_event_id, is_late_payment)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        booking_id,
+        intent_id,
+        status,
+        amount,
+        currency,
+        gateway,
+        gateway_payment_id,
+        gateway_event_id,
+        is_late_payment ? 1 : 0
+      ],
+      function (err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(this.changes > 0 ? this.lastID : null);
+      }
+    );
+  });
+  return id ? findById(id) : findByGatewayEventId(gateway_event_id);
+}
+
+/**
+ * Find a payment by ID
+ * @param {number} id - Payment ID
+ * @returns {Promise<Object|null>} Payment or null
+ */
+async function findById(id) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM payments WHERE id = ?', [id], (err, row) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(mapRow(row));
+    });
+  });
+}
+
+/**
+ * Find the payment recorded for a gateway event
+ * @param {string} gatewayEventId - Gateway's event ID
+ * @returns {Promise<Object|null>} Payment or null
+ */
+async function findByGatewayEventId(gatewayEventId) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM payments WHERE gateway_event_id = ?', [gatewayEventId], (err, row) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(mapRow(row));
+    });
+  });
+}
+
+/**
+ * List the payments of a booking, oldest first
+ * @param {number} bookingId - Booking ID
+ * @returns {Promise<Array>} Payments
+ */
+async function findByBooking(bookingId) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.all(
+      'SELECT * FROM payments WHERE booking_id = ? ORDER BY created_at ASC, id ASC',
+      [bookingId],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve((rows || []).map(mapRow));
+      }
+    );
+  });
+}
+
+/**
+ * Change the status of a payment
+ * @param {number} id - Payment ID
+ * @param {string} status - PAYMENT_STATES value
+ * @returns {Promise<Object|null>} Updated payment
+ */
+async function updateStatus(id, status) {
+  const db = await getDatabase();
+
+  await new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE payments SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [status, id],
+      (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve();
+      }
+    );
+  });
+  return findById(id);
+}
+
+module.exports = {
+  create,
+  findById,
+  findByGatewayEventId,
+  findByBooking,
+  updateStatus
+};
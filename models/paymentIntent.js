@@ -0,0 +1,209 @@
+const { getDatabase } = require('../database');
+
+function parseMetadata(rawValue, intentId) {
+  if (!rawValue) return {};
+  try {
+    return JSON.parse(rawValue) || {};
+  } catch (error) {
+    console.warn(`[paymentIntent] Intent ${intentId} has unreadable metadata:`, error.message);
+    return {};
+  }
+}
+
+function mapRow(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    metadata: parseMetadata(row.metadata, row.id)
+  };
+}
+
+/**
+ * Create a payment intent
+ * @param {Object} intentData - Intent data
+ * @param {string} intentData.id - Intent ID (pi_...)
+ * @param {number} intentData.booking_id - Booking to pay
+ * @param {number} intentData.amount - Amount to pay
+ * @param {string} intentData.currency - Currency code
+ * @param {string} intentData.state - PAYMENT_INTENT_STATES value
+ * @param {string|null} intentData.gateway - Gateway the link was created with
+ * @param {string|null} intentData.gateway_ref - Gateway's payment link ID
+ * @param {string|null} intentData.pay_link_url - Link the customer pays with
+ * @param {string|null} intentData.expires_at - When the link stops being payable
+ * @param {string|null} intentData.idempotency_key - Request key, unique per intent
+ * @param {Object} intentData.metadata - Caller data kept with the intent
+ * @returns {Promise<Object>} Created intent
+ */
+async function create(intentData) {
+  const db = await getDatabase();
+  const {
+    id,
+    booking_id,
+    amount,
+    currency = 'INR',
+    state,
+    gateway = null,
+    gateway_ref = null,
+    pay_link_url = null,
+    expires_at = null,
+    idempotency_key = null,
+    metadata = {}
+  } = intentData;
+
+  await new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO payment_intents
+        (id, booking_id, amount, currency, state, gateway, gateway_ref, pay_link_url, expires_at,
+         idempotency_key, metadata)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        id,
+        booking_id,
+        amount,
+        currency,
+        state,
+        gateway,
+        gateway_ref,
+        pay_link_url,
+        expires_at,
+        idempotency_key,
+        JSON.stringify(metadata || {})
+      ],
+      (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve();
+      }
+    );
+  });
+  return findById(id);
+}
+
+/**
+ * Find a payment intent by ID
+ * @param {string} id - Intent ID
+ * @returns {Promise<Object|null>} Intent or null
+ */
+async function findById(id) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM payment_intents WHERE id = ?', [id], (err, row) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(mapRow(row));
+    });
+  });
+}
+
+/**
+ * Find the most recent payment intent of a booking
+ * @param {number} bookingId - Booking ID
+ * @returns {Promise<Object|null>} Intent or null
+ */
+async function findLatestByBooking(bookingId) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT * FROM payment_intents
+       WHERE booking_id = ?
+       ORDER BY created_at DESC, rowid DESC
+       LIMIT 1`,
+      [bookingId],
+      (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(mapRow(row));
+      }
+    );
+  });
+}
+
+/**
+ * List the payment intents of a booking, oldest first
+ * @param {number} bookingId - Booking ID
+ * @returns {Promise<Array>} Intents
+ */
+async function findByBooking(bookingId) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.all(
+      'SELECT * FROM payment_intents WHERE booking_id = ? ORDER BY created_at ASC, rowid ASC',
+      [bookingId],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve((rows || []).map(mapRow));
+      }
+    );
+  });
+}
+
+/**
+ * Move a payment intent to a new state
+ * @param {string} id - Intent ID
+ * @param {string} state - PAYMENT_INTENT_STATES value
+ * @returns {Promise<Object|null>} Updated intent
+ */
+async function updateState(id, state) {
+  const db = await getDatabase();
+
+  await new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE payment_intents SET state = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [state, id],
+      (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve();
+      }
+    );
+  });
+  return findById(id);
+}
+
+/**
+ * Change when a payment intent stops being payable
+ * @param {string} id - Intent ID
+ * @param {Date} expiresAt - New expiry
+ * @returns {Promise<Object|null>} Updated intent
+ */
+async function updateExpiry(id, expiresAt) {
+  const db = await getDatabase();
+
+  await new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE payment_intents SET expires_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [expiresAt.toISOString(), id],
+      (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve();
+      }
+    );
+  });
+  return findById(id);
+}
+
+module.exports = {
+  create,
+  findById,
+  findLatestByBooking,
+  findByBooking,
+  updateState,
+  updateExpiry
+};
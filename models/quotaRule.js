@@ -0,0 +1,176 @@
+const { getDatabase } = require('../database');
+
+/**
+ * Create a quota rule
+ * @param {Object} ruleData - Rule data
+ * @param {number|null} ruleData.trip_id - Trip the rule applies to
+ * @param {number|null} ruleData.route_id - Route whose trips the rule applies to
+ * @param {number} ruleData.hours_before_departure - When the rule is evaluated
+ * @param {string} ruleData.action - release_seats or shrink_to_sold
+ * @param {number|null} ruleData.seat_count - Seats to release (release_seats)
+ * @param {number|null} ruleData.max_sold_percent - Only apply below this share of the quota sold
+ * @returns {Promise<Object>} Created rule
+ */
+async function create(ruleData) {
+  const db = await getDatabase();
+  const {
+    trip_id = null,
+    route_id = null,
+    hours_before_departure,
+    action,
+    seat_count = null,
+    max_sold_percent = null
+  } = ruleData;
+
+  const id = await new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO quota_rules
+        (trip_id, route_id, hours_before_departure, action, seat_count, max_sold_percent)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [trip_id, route_id, hours_before_departure, action, seat_count, max_sold_percent],
+      function (err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(this.lastID);
+      }
+    );
+  });
+  return findById(id);
+}
+
+/**
+ * Find a quota rule by ID
+ * @param {number} id - Rule ID
+ * @returns {Promise<Object|null>} Rule or null
+ */
+async function findById(id) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM quota_rules WHERE id = ?', [id], (err, row) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(row || null);
+    });
+  });
+}
+
+/**
+ * List the rules of a trip (including its route's) or of a route
+ * @param {Object} filters - { tripId, routeId }
+ * @returns {Promise<Array>} Rules
+ */
+async function findAll({ tripId = null, routeId = null } = {}) {
+  const db = await getDatabase();
+  let query = 'SELECT * FROM quota_rules';
+  let params = [];
+  if (tripId) {
+    query += ` WHERE trip_id = ? OR route_id = (SELECT route_id FROM trips WHERE id = ?)`;
+    params = [tripId, tripId];
+  } else if (routeId) {
+    query += ' WHERE route_id = ?';
+    params = [routeId];
+  }
+
+  return new Promise((resolve, reject) => {
+    db.all(`${query} ORDER BY hours_before_departure DESC, id ASC`, params, (err, rows) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(rows || []);
+    });
+  });
+}
+
+/**
+ * Delete a quota rule
+ * @param {number} id - Rule ID
+ * @returns {Promise<boolean>} Whether a rule was deleted
+ */
+async function remove(id) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.run('DELETE FROM quota_rules WHERE id = ?', [id], function (err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(this.changes > 0);
+    });
+  });
+}
+
+/**
+ * Rule/trip pairs not evaluated yet, for trips departing between two dates.
+ * Each row is a trip with the rule's columns prefixed by rule_.
+ * @param {string} fromDate - First journey date (YYYY-MM-DD)
+ * @param {string} toDate - Last journey date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Pending evaluations, earliest departure first
+ */
+async function findPending(fromDate, toDate) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT t.*, r.operator_id,
+              q.id AS rule_id, q.hours_before_departure AS rule_hours_before_departure,
+              q.action AS rule_action, q.seat_count AS rule_seat_count,
+              q.max_sold_percent AS rule_max_sold_percent
+       FROM quota_rules q
+       JOIN trips t ON t.id = q.trip_id OR (q.trip_id IS NULL AND t.route_id = q.route_id)
+       JOIN routes r ON t.route_id = r.id
+       WHERE t.journey_date BETWEEN ? AND ?
+         AND NOT EXISTS (
+           SELECT 1 FROM quota_rule_runs qr WHERE qr.rule_id = q.id AND qr.trip_id = t.id
+         )
+       ORDER BY t.journey_date ASC, t.departure_time ASC, q.hours_before_departure DESC, q.id ASC`,
+      [fromDate, toDate],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(rows || []);
+      }
+    );
+  });
+}
+
+/**
+ * Record that a rule was evaluated for a trip
+ * @param {Object} runData - { rule_id, trip_id, outcome, from_quota, to_quota }
+ * @returns {Promise<boolean>} false when the pair was already recorded
+ */
+async function recordRun({ rule_id, trip_id, outcome, from_quota = null, to_quota = null }) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT OR IGNORE INTO quota_rule_runs (rule_id, trip_id, outcome, from_quota, to_quota)
+       VALUES (?, ?, ?, ?, ?)`,
+      [rule_id, trip_id, outcome, from_quota, to_quota],
+      function (err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(this.changes > 0);
+      }
+    );
+  });
+}
+
+module.exports = {
+  create,
+  findById,
+  findAll,
+  remove,
+  findPending,
+  recordRun
+};
@@ -0,0 +1,178 @@
+const { getDatabase } = require('../database');
+
+// PENDING: sent to the gateway, PROCESSED: money returned, FAILED: gateway gave up
+const REFUND_STATES = Object.freeze({
+  PENDING: 'PENDING',
+  PROCESSED: 'PROCESSED',
+  FAILED: 'FAILED'
+});
+
+/**
+ * Create a refund
+ * @param {Object} refundData - Refund data
+ * @param {number} refundData.booking_id - Booking refunded
+ * @param {number|null} refundData.payment_id - Payment the money goes back from
+ * @param {number} refundData.amount - Amount refunded
+ * @param {string} refundData.currency - Currency code
+ * @param {string|null} refundData.reason - Why the money is returned
+ * @param {string} refundData.status - REFUND_STATES value
+ * @param {string|null} refundData.gateway_refund_id - Gateway's refund ID
+ * @param {string|null} refundData.idempotency_key - Request key, unique per refund
+ * @returns {Promise<Object>} Created refund
+ */
+async function create(refundData) {
+  const db = await getDatabase();
+  const {
+    booking_id,
+    payment_id = null,
+    amount,
+    currency = 'INR',
+    reason = null,
+    status = REFUND_STATES.PROCESSED,
+    gateway_refund_id = null,
+    idempotency_key = null
+  } = refundData;
+
+  const id = await new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO refunds
+        (booking_id, payment_id, amount, currency, reason, status, gateway_refund_id, idempotency_key)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [booking_id, payment_id, amount, currency, reason, status, gateway_refund_id, idempotency_key],
+      function (err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(this.lastID);
+      }
+    );
+  });
+  return findById(id);
+}
+
+/**
+ * Find a refund by ID
+ * @param {number} id - Refund ID
+ * @returns {Promise<Object|null>} Refund or null
+ */
+async function findById(id) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM refunds WHERE id = ?', [id], (err, row) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(row || null);
+    });
+  });
+}
+
+/**
+ * List the refunds of a booking, oldest first
+ * @param {number} bookingId - Booking ID
+ * @returns {Promise<Array>} Refunds
+ */
+async function findByBooking(bookingId) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.all(
+      'SELECT * FROM refunds WHERE booking_id = ? ORDER BY created_at ASC, id ASC',
+      [bookingId],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(rows || []);
+      }
+    );
+  });
+}
+
+/**
+ * List refunds still waiting on the gateway, oldest first
+ * @param {number} limit - Maximum number of refunds
+ * @returns {Promise<Array>} Refunds
+ */
+async function findPending(limit = 50) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.all(
+      'SELECT * FROM refunds WHERE status = ? ORDER BY created_at ASC, id ASC LIMIT ?',
+      [REFUND_STATES.PENDING, limit],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(rows || []);
+      }
+    );
+  });
+}
+
+/**
+ * Total refunded, or on its way back, for a booking; failed refunds do not count
+ * @param {number} bookingId - Booking ID
+ * @returns {Promise<number>} Total amount
+ */
+async function getRefundedTotal(bookingId) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT COALESCE(SUM(amount), 0) AS total FROM refunds WHERE booking_id = ? AND status != ?',
+      [bookingId, REFUND_STATES.FAILED],
+      (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(Number(row?.total || 0));
+      }
+    );
+  });
+}
+
+/**
+ * Change the status of a refund
+ * @param {number} id - Refund ID
+ * @param {string} status - REFUND_STATES value
+ * @param {string|null} gatewayRefundId - Gateway's refund ID, once known
+ * @returns {Promise<Object|null>} Updated refund
+ */
+async function updateStatus(id, status, gatewayRefundId = null) {
+  const db = await getDatabase();
+
+  await new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE refunds
+       SET status = ?, gateway_refund_id = COALESCE(?, gateway_refund_id), updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [status, gatewayRefundId, id],
+      (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve();
+      }
+    );
+  });
+  return findById(id);
+}
+
+module.exports = {
+  REFUND_STATES,
+  create,
+  findById,
+  findByBooking,
+  findPending,
+  getRefundedTotal,
+  updateStatus
+};
@@ -45,7 +45,62 @@ async function findAll() {
   });
 }
 
+/**
+ * Find every operator's routes between two cities (case and spacing insensitive)
+ * @param {string} source - Source city as stored on a route
+ * @param {string} destination - Destination city as stored on a route
+ * @returns {Promise<Array>} Routes with their operator's name
+ */
+async function findByCities(source, destination) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT r.*, o.name AS operator_name
+       FROM routes r
+       JOIN operators o ON r.operator_id = o.id
+       WHERE UPPER(TRIM(r.source)) = UPPER(TRIM(?)) AND UPPER(TRIM(r.destination)) = UPPER(TRIM(?))
+       ORDER BY r.id ASC`,
+      [source, destination],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(rows || []);
+      }
+    );
+  });
+}
+
+/**
+ * Set the vehicle layout new trips on a route start with
+ * @param {number} id - Route ID
+ * @param {number|null} vehicleLayoutId - Vehicle layout ID, or null to clear it
+ * @returns {Promise<Object|null>} Updated route or null if not found
+ */
+async function setVehicleLayout(id, vehicleLayoutId) {
+  const db = await getDatabase();
+
+  const changes = await new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE routes SET vehicle_layout_id = ? WHERE id = ?',
+      [vehicleLayoutId, id],
+      function (err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(this.changes);
+      }
+    );
+  });
+  return changes === 0 ? null : findById(id);
+}
+
 module.exports = {
   findById,
-  findAll
+  findAll,
+  findByCities,
+  setVehicleLayout
 };
@@ -0,0 +1,154 @@
+const { getDatabase } = require('../database');
+
+function runStatement(db, sql, params) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+/**
+ * Record a ticket the operator sent for a booking
+ * @param {Object} attachmentData - Attachment data
+ * @param {number} attachmentData.booking_id - Booking ID
+ * @param {string} attachmentData.media_id - WhatsApp media ID
+ * @param {string} attachmentData.media_type - 'image' or 'document'
+ * @returns {Promise<Object>} Created attachment
+ */
+async function create({ booking_id, media_id, media_type }) {
+  const db = await getDatabase();
+  const { lastID } = await runStatement(
+    db,
+    `INSERT INTO ticket_attachments (booking_id, media_id, media_type)
+     VALUES (?, ?, ?)`,
+    [booking_id, media_id, media_type]
+  );
+  return findById(lastID);
+}
+
+/**
+ * Find attachment by ID
+ * @param {number} id - Attachment ID
+ * @returns {Promise<Object|null>} Attachment or null
+ */
+async function findById(id) {
+  const db = await getDatabase();
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM ticket_attachments WHERE id = ?', [id], (err, row) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(row || null);
+    });
+  });
+}
+
+/**
+ * Find the most recent ticket for a booking
+ * @param {number} bookingId - Booking ID
+ * @returns {Promise<Object|null>} Attachment or null
+ */
+async function findLatestByBookingId(bookingId) {
+  const db = await getDatabase();
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT * FROM ticket_attachments
+       WHERE booking_id = ?
+       ORDER BY id DESC
+       LIMIT 1`,
+      [bookingId],
+      (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(row || null);
+      }
+    );
+  });
+}
+
+/**
+ * Find tickets that still need archiving, oldest first
+ * @param {Object} options - { maxAttempts, limit }
+ * @returns {Promise<Array>} Attachments not yet archived
+ */
+async function findUnarchived({ maxAttempts, limit = 20 }) {
+  const db = await getDatabase();
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM ticket_attachments
+       WHERE archived_at IS NULL AND archive_attempts < ?
+       ORDER BY id ASC
+       LIMIT ?`,
+      [maxAttempts, limit],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(rows || []);
+      }
+    );
+  });
+}
+
+/**
+ * Record where the archived copy of a ticket was stored
+ * @param {number} id - Attachment ID
+ * @param {Object} archive - { storage_backend, storage_key, mime_type, file_size, checksum_sha256, now }
+ * @returns {Promise<Object|null>} Updated attachment
+ */
+async function markArchived(id, {
+  storage_backend,
+  storage_key,
+  mime_type,
+  file_size,
+  checksum_sha256,
+  now = new Date()
+}) {
+  const db = await getDatabase();
+  await runStatement(
+    db,
+    `UPDATE ticket_attachments
+     SET storage_backend = ?, storage_key = ?, mime_type = ?, file_size = ?,
+         checksum_sha256 = ?, archived_at = ?, archive_attempts = archive_attempts + 1,
+         archive_error = NULL
+     WHERE id = ?`,
+    [storage_backend, storage_key, mime_type, file_size, checksum_sha256, now.toISOString(), id]
+  );
+  return findById(id);
+}
+
+/**
+ * Record a failed archive attempt
+ * @param {number} id - Attachment ID
+ * @param {string} error - Failure reason
+ * @returns {Promise<Object|null>} Updated attachment
+ */
+async function markArchiveFailed(id, error) {
+  const db = await getDatabase();
+  await runStatement(
+    db,
+    `UPDATE ticket_attachments
+     SET archive_attempts = archive_attempts + 1, archive_error = ?
+     WHERE id = ?`,
+    [error, id]
+  );
+  return findById(id);
+}
+
+module.exports = {
+  create,
+  findById,
+  findLatestByBookingId,
+  findUnarchived,
+  markArchived,
+  markArchiveFailed
+};
@@ -1,6 +1,35 @@
 const { getDatabase } = require('../database');
 const inventoryOverrideModel = require('./inventoryOverride');
 
+/**
+ * Seat numbers sold on WhatsApp: the trip's explicit set, or seats
+ * 1..whatsapp_seat_quota for trips without one
+ * @param {Object} trip - Trip row
+ * @returns {Array<number>} Seat numbers in ascending order
+ */
+function getQuotaSeatNumbers(trip) {
+  if (trip.whatsapp_seat_numbers) {
+    try {
+      const parsed = JSON.parse(trip.whatsapp_seat_numbers);
+      if (Array.isArray(parsed)) {
+        return parsed.map((seat) => Number(seat)).sort((a, b) => a - b);
+      }
+    } catch (error) {
+      console.warn(`[trip] Trip ${trip.id} has unreadable whatsapp_seat_numbers:`, error.message);
+    }
+  }
+  return Array.from({ length: Math.max(0, trip.whatsapp_seat_quota || 0) }, (unused, index) => index + 1);
+}
+
+async function countBlockedQuotaSeats(trip) {
+  const quotaSeats = getQuotaSeatNumbers(trip);
+  if (quotaSeats.length === 0) {
+    return 0;
+  }
+  const blocked = await inventoryOverrideModel.findBlockedSeats(trip.route_id, trip.journey_date, quotaSeats);
+  return blocked.length;
+}
+
 /**
  * Create a new trip
  * @param {Object} tripData - Trip data
@@ -8,6 +37,7 @@ const inventoryOverrideModel = require('./inventoryOverride');
  * @param {string} tripData.journey_date - Journey date (YYYY-MM-DD)
  * @param {string} tripData.departure_time - Departure time (HH:MM)
  * @param {number} tripData.whatsapp_seat_quota - WhatsApp seat quota
+ * @param {number} [tripData.schedule_id] - Schedule the trip was generated from
  * @returns {Promise<Object>} Created trip object
  */
 async function create(tripData) {
@@ -17,14 +47,15 @@ async function create(tripData) {
     route_id,
     journey_date,
     departure_time,
-    whatsapp_seat_quota = 0
+    whatsapp_seat_quota = 0,
+    schedule_id = null
   } = tripData;
 
   return new Promise((resolve, reject) => {
     db.run(
-      `INSERT INTO trips (route_id, journey_date, departure_time, whatsapp_seat_quota)
-       VALUES (?, ?, ?, ?)`,
-      [route_id, journey_date, departure_time, whatsapp_seat_quota],
+      `INSERT INTO trips (route_id, journey_date, departure_time, whatsapp_seat_quota, schedule_id)
+       VALUES (?, ?, ?, ?, ?)`,
+      [route_id, journey_date, departure_time, whatsapp_seat_quota, schedule_id],
       function (err) {
         if (err) {
           reject(err);
@@ -150,7 +181,55 @@ async function findByDateRange(startDate, endDate) {
 }
 
 /**
- * Update trip seat quota
+ * Find the trips generated from a schedule, from a date onwards
+ * @param {number} scheduleId - Schedule ID
+ * @param {string} fromDate - First journey date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Array of trip objects
+ */
+async function findBySchedule(scheduleId, fromDate) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT t.*, r.source, r.destination, r.price, r.operator_id
+       FROM trips t
+       JOIN routes r ON t.route_id = r.id
+       WHERE t.schedule_id = ? AND t.journey_date >= ?
+       ORDER BY t.journey_date ASC, t.departure_time ASC`,
+      [scheduleId, fromDate],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(rows || []);
+      }
+    );
+  });
+}
+
+/**
+ * Delete a trip. Callers must make sure it has no bookings.
+ * @param {number} id - Trip ID
+ * @returns {Promise<boolean>} Whether a trip was deleted
+ */
+async function remove(id) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.run('DELETE FROM trips WHERE id = ?', [id], function (err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(this.changes > 0);
+    });
+  });
+}
+
+/**
+ * Update trip seat quota. A plain count replaces any explicit seat set,
+ * so the quota becomes seats 1..whatsapp_seat_quota.
  * @param {number} id - Trip ID
  * @param {number} whatsapp_seat_quota - New seat quota
  * @returns {Promise<Object|null>} Updated trip object
@@ -160,7 +239,7 @@ async function updateSeatQuota(id, whatsapp_seat_quota) {
   
   return new Promise((resolve, reject) => {
     db.run(
-      'UPDATE trips SET whatsapp_seat_quota = ? WHERE id = ?',
+      'UPDATE trips SET whatsapp_seat_quota = ?, whatsapp_seat_numbers = NULL WHERE id = ?',
       [whatsapp_seat_quota, id],
       function (err) {
         if (err) {
@@ -181,6 +260,57 @@ async function updateSeatQuota(id, whatsapp_seat_quota) {
   });
 }
 
+/**
+ * Set the exact seats sold on WhatsApp; the quota becomes their count
+ * @param {number} id - Trip ID
+ * @param {Array<number>} seatNumbers - Seat numbers within the trip's layout
+ * @returns {Promise<Object|null>} Updated trip object
+ */
+async function updateWhatsAppSeats(id, seatNumbers) {
+  const db = await getDatabase();
+  const normalized = Array.from(new Set(seatNumbers.map((seat) => Number(seat)))).sort((a, b) => a - b);
+
+  const changes = await new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE trips SET whatsapp_seat_numbers = ?, whatsapp_seat_quota = ? WHERE id = ?',
+      [JSON.stringify(normalized), normalized.length, id],
+      function (err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(this.changes);
+      }
+    );
+  });
+  return changes === 0 ? null : findById(id);
+}
+
+/**
+ * Record which vehicle layout a trip's seats were copied from
+ * @param {number} id - Trip ID
+ * @param {number|null} vehicleLayoutId - Vehicle layout ID
+ * @returns {Promise<Object|null>} Updated trip object
+ */
+async function setVehicleLayout(id, vehicleLayoutId) {
+  const db = await getDatabase();
+
+  const changes = await new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE trips SET vehicle_layout_id = ? WHERE id = ?',
+      [vehicleLayoutId, id],
+      function (err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(this.changes);
+      }
+    );
+  });
+  return changes === 0 ? null : findById(id);
+}
+
 /**
  * Get available seats for a trip (quota - confirmed - held)
  * @param {number} tripId - Trip ID
@@ -192,7 +322,7 @@ async function getAvailableSeats(tripId) {
   return new Promise((resolve, reject) => {
     // Get trip quota
     db.get(
-      'SELECT whatsapp_seat_quota FROM trips WHERE id = ?',
+      'SELECT id, route_id, journey_date, whatsapp_seat_quota, whatsapp_seat_numbers FROM trips WHERE id = ?',
       [tripId],
       (err, trip) => {
         if (err) {
@@ -229,10 +359,7 @@ async function getAvailableSeats(tripId) {
                   return;
                 }
                 try {
-                  const blockedCount = await inventoryOverrideModel.countBlockedSeats(
-                    trip.route_id,
-                    trip.journey_date
-                  );
+                  const blockedCount = await countBlockedQuotaSeats(trip);
                   const available = trip.whatsapp_seat_quota -
                                    (confirmed.confirmed_seats || 0) -
                                    (held.held_seats || 0) -
@@ -261,7 +388,9 @@ async function getTripStats(tripId) {
   return new Promise((resolve, reject) => {
     db.get(
       `SELECT 
+        t.id,
         t.whatsapp_seat_quota,
+        t.whatsapp_seat_numbers,
         t.route_id,
         t.journey_date,
         COALESCE(SUM(CASE WHEN b.status = 'confirmed' THEN b.seat_count ELSE 0 END), 0) as confirmed_seats,
@@ -283,10 +412,7 @@ async function getTripStats(tripId) {
         }
 
         try {
-          const blockedCount = await inventoryOverrideModel.countBlockedSeats(
-            row.route_id,
-            row.journey_date
-          );
+          const blockedCount = await countBlockedQuotaSeats(row);
           const available =
             row.whatsapp_seat_quota - row.confirmed_seats - row.held_seats - blockedCount;
           
@@ -310,7 +436,12 @@ module.exports = {
   findByRouteDateTime,
   findByRouteDate,
   findByDateRange,
+  findBySchedule,
   updateSeatQuota,
+  updateWhatsAppSeats,
+  setVehicleLayout,
+  remove,
+  getQuotaSeatNumbers,
   getAvailableSeats,
   getTripStats
 };
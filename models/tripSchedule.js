@@ -0,0 +1,202 @@
+const { getDatabase } = require('../database');
+
+// Columns an operator may change after a schedule is created
+const UPDATABLE_FIELDS = [
+  'departure_time',
+  'days_of_week',
+  'start_date',
+  'end_date',
+  'exception_dates',
+  'whatsapp_seat_quota',
+  'vehicle_layout_id',
+  'active'
+];
+const JSON_FIELDS = ['days_of_week', 'exception_dates'];
+
+function parseJsonArray(rawValue, scheduleId, field) {
+  try {
+    const parsed = JSON.parse(rawValue);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.warn(`[tripSchedule] Schedule ${scheduleId} has unreadable ${field}:`, error.message);
+    return [];
+  }
+}
+
+function mapRow(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    days_of_week: parseJsonArray(row.days_of_week, row.id, 'days_of_week'),
+    exception_dates: parseJsonArray(row.exception_dates, row.id, 'exception_dates'),
+    active: Boolean(row.active)
+  };
+}
+
+function toColumnValue(field, value) {
+  if (JSON_FIELDS.includes(field)) return JSON.stringify(value || []);
+  if (field === 'active') return value ? 1 : 0;
+  return value;
+}
+
+/**
+ * Create a recurring trip schedule
+ * @param {Object} scheduleData - Schedule data
+ * @param {number} scheduleData.route_id - Route ID
+ * @param {string} scheduleData.departure_time - Departure time (HH:MM)
+ * @param {Array<number>} scheduleData.days_of_week - Weekdays it runs on (0 = Sunday)
+ * @param {string} scheduleData.start_date - First journey date (YYYY-MM-DD)
+ * @param {string|null} scheduleData.end_date - Last journey date, or null for open-ended
+ * @param {Array<string>} scheduleData.exception_dates - Dates it does not run
+ * @param {number} scheduleData.whatsapp_seat_quota - Quota of generated trips
+ * @param {number|null} scheduleData.vehicle_layout_id - Layout of generated trips
+ * @returns {Promise<Object>} Created schedule
+ */
+async function create(scheduleData) {
+  const db = await getDatabase();
+  const {
+    route_id,
+    departure_time,
+    days_of_week,
+    start_date,
+    end_date = null,
+    exception_dates = [],
+    whatsapp_seat_quota = 0,
+    vehicle_layout_id = null
+  } = scheduleData;
+
+  const id = await new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO trip_schedules
+        (route_id, departure_time, days_of_week, start_date, end_date, exception_dates,
+         whatsapp_seat_quota, vehicle_layout_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        route_id,
+        departure_time,
+        JSON.stringify(days_of_week),
+        start_date,
+        end_date,
+        JSON.stringify(exception_dates),
+        whatsapp_seat_quota,
+        vehicle_layout_id
+      ],
+      function (err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(this.lastID);
+      }
+    );
+  });
+  return findById(id);
+}
+
+/**
+ * Find a schedule by ID, with its route
+ * @param {number} id - Schedule ID
+ * @returns {Promise<Object|null>} Schedule or null
+ */
+async function findById(id) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT s.*, r.source, r.destination, r.operator_id
+       FROM trip_schedules s
+       JOIN routes r ON s.route_id = r.id
+       WHERE s.id = ?`,
+      [id],
+      (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(mapRow(row));
+      }
+    );
+  });
+}
+
+/**
+ * List schedules, optionally for one route or operator
+ * @param {Object} filters - { routeId, operatorId, activeOnly }
+ * @returns {Promise<Array>} Schedules
+ */
+async function findAll({ routeId = null, operatorId = null, activeOnly = false } = {}) {
+  const db = await getDatabase();
+  const conditions = [];
+  const params = [];
+  if (routeId) {
+    conditions.push('s.route_id = ?');
+    params.push(routeId);
+  }
+  if (operatorId) {
+    conditions.push('r.operator_id = ?');
+    params.push(operatorId);
+  }
+  if (activeOnly) {
+    conditions.push('s.active = 1');
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT s.*, r.source, r.destination, r.operator_id
+       FROM trip_schedules s
+       JOIN routes r ON s.route_id = r.id
+       ${where}
+       ORDER BY r.source ASC, r.destination ASC, s.departure_time ASC`,
+      params,
+      (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve((rows || []).map(mapRow));
+      }
+    );
+  });
+}
+
+/**
+ * Update a schedule; fields not listed in UPDATABLE_FIELDS are ignored
+ * @param {number} id - Schedule ID
+ * @param {Object} fields - Fields to change
+ * @returns {Promise<Object|null>} Updated schedule or null if not found
+ */
+async function update(id, fields) {
+  const db = await getDatabase();
+  const entries = UPDATABLE_FIELDS
+    .filter((field) => fields[field] !== undefined)
+    .map((field) => [field, toColumnValue(field, fields[field])]);
+  if (entries.length === 0) {
+    return findById(id);
+  }
+
+  const changes = await new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE trip_schedules
+       SET ${entries.map(([field]) => `${field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [...entries.map(([, value]) => value), id],
+      function (err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(this.changes);
+      }
+    );
+  });
+  return changes === 0 ? null : findById(id);
+}
+
+module.exports = {
+  UPDATABLE_FIELDS,
+  create,
+  findById,
+  findAll,
+  update
+};
@@ -0,0 +1,104 @@
+const { getDatabase } = require('../database');
+
+const SEAT_TYPES = Object.freeze(['seater', 'sleeper']);
+const DECKS = Object.freeze(['lower', 'upper']);
+
+function mapRow(row) {
+  return {
+    seat_number: row.seat_number,
+    label: row.label,
+    seat_type: row.seat_type,
+    deck: row.deck,
+    row: row.row_index,
+    column: row.column_index,
+    is_ladies: Boolean(row.is_ladies)
+  };
+}
+
+/**
+ * Find the stored seat layout of a trip
+ * @param {number} tripId - Trip ID
+ * @returns {Promise<Array>} Seats ordered by seat number (empty when no layout is stored)
+ */
+async function findByTripId(tripId) {
+  const db = await getDatabase();
+  return new Promise((resolve, reject) => {
+    db.all(
+      'SELECT * FROM trip_seats WHERE trip_id = ? ORDER BY seat_number ASC',
+      [tripId],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve((rows || []).map(mapRow));
+      }
+    );
+  });
+}
+
+/**
+ * Replace the seat layout of a trip
+ * @param {number} tripId - Trip ID
+ * @param {Array<Object>} seats - { seat_number, label, seat_type, deck, row, column, is_ladies }
+ * @returns {Promise<Array>} Stored seats
+ */
+async function replaceForTrip(tripId, seats) {
+  const db = await getDatabase();
+
+  await new Promise((resolve, reject) => {
+    db.serialize(() => {
+      db.run('BEGIN TRANSACTION');
+      db.run('DELETE FROM trip_seats WHERE trip_id = ?', [tripId]);
+      const statement = db.prepare(
+        `INSERT INTO trip_seats
+           (trip_id, seat_number, label, seat_type, deck, row_index, column_index, is_ladies)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+      );
+      let failed = null;
+      seats.forEach((seat) => {
+        statement.run(
+          [
+            tripId,
+            seat.seat_number,
+            seat.label,
+            seat.seat_type,
+            seat.deck,
+            seat.row,
+            seat.column,
+            seat.is_ladies ? 1 : 0
+          ],
+          (err) => {
+            if (err && !failed) {
+              failed = err;
+            }
+          }
+        );
+      });
+      statement.finalize((finalizeErr) => {
+        if (finalizeErr || failed) {
+          db.run('ROLLBACK');
+          reject(finalizeErr || failed);
+          return;
+        }
+        db.run('COMMIT', (commitErr) => {
+          if (commitErr) {
+            db.run('ROLLBACK');
+            reject(commitErr);
+            return;
+          }
+          resolve();
+        });
+      });
+    });
+  });
+
+  return findByTripId(tripId);
+}
+
+module.exports = {
+  SEAT_TYPES,
+  DECKS,
+  findByTripId,
+  replaceForTrip
+};
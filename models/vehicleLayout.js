@@ -0,0 +1,83 @@
+const { getDatabase } = require('../database');
+
+function mapRow(row) {
+  if (!row) return null;
+  let seats = [];
+  try {
+    seats = JSON.parse(row.seats);
+  } catch (error) {
+    console.warn(`[vehicleLayout] Layout ${row.id} has unreadable seats:`, error.message);
+  }
+  return { ...row, seats: Array.isArray(seats) ? seats : [] };
+}
+
+/**
+ * Create a vehicle layout template
+ * @param {Object} layoutData - { operator_id, name, description, seats }
+ * @returns {Promise<Object>} Created layout
+ */
+async function create({ operator_id = null, name, description = null, seats }) {
+  const db = await getDatabase();
+
+  const id = await new Promise((resolve, reject) => {
+    db.run(
+      'INSERT INTO vehicle_layouts (operator_id, name, description, seats) VALUES (?, ?, ?, ?)',
+      [operator_id, name, description, JSON.stringify(seats)],
+      function (err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(this.lastID);
+      }
+    );
+  });
+  return findById(id);
+}
+
+/**
+ * Find a vehicle layout by ID
+ * @param {number} id - Layout ID
+ * @returns {Promise<Object|null>} Layout with parsed seats, or null
+ */
+async function findById(id) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM vehicle_layouts WHERE id = ?', [id], (err, row) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(mapRow(row));
+    });
+  });
+}
+
+/**
+ * List vehicle layouts: shared ones plus, when given, one operator's own
+ * @param {number|null} operatorId - Operator ID
+ * @returns {Promise<Array>} Layouts with parsed seats
+ */
+async function findAll(operatorId = null) {
+  const db = await getDatabase();
+  const query = operatorId
+    ? 'SELECT * FROM vehicle_layouts WHERE operator_id IS NULL OR operator_id = ? ORDER BY name ASC'
+    : 'SELECT * FROM vehicle_layouts ORDER BY name ASC';
+
+  return new Promise((resolve, reject) => {
+    db.all(query, operatorId ? [operatorId] : [], (err, rows) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve((rows || []).map(mapRow));
+    });
+  });
+}
+
+module.exports = {
+  create,
+  findById,
+  findAll
+};
@@ -0,0 +1,216 @@
+const { getDatabase } = require('../database');
+
+const WAITLIST_STATUSES = Object.freeze({
+  // The customer was told the trip is full and can reply WAITLIST
+  OFFERED: 'offered',
+  WAITING: 'waiting',
+  // A freed seat was held for the customer
+  HELD: 'held'
+});
+
+const ENTRY_SELECT = `SELECT w.*, t.journey_date, t.departure_time, r.source, r.destination
+  FROM waitlist_entries w
+  JOIN trips t ON w.trip_id = t.id
+  JOIN routes r ON t.route_id = r.id`;
+
+function runStatement(db, sql, params) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(this);
+    });
+  });
+}
+
+/**
+ * Record that a customer was offered the waitlist of a full trip.
+ * Earlier offers to the same customer are replaced.
+ * @param {Object} entryData - Entry data
+ * @param {number} entryData.trip_id - Trip ID
+ * @param {string} entryData.customer_phone - Customer phone number
+ * @param {number} entryData.seat_count - Seats the customer asked for
+ * @param {string} entryData.language - Customer language, for the hold notice
+ * @param {Date} entryData.now - Offer time
+ * @returns {Promise<Object>} Created entry
+ */
+async function createOffer({ trip_id, customer_phone, seat_count, language = 'en', now = new Date() }) {
+  const db = await getDatabase();
+  await runStatement(
+    db,
+    'DELETE FROM waitlist_entries WHERE customer_phone = ? AND status = ?',
+    [customer_phone, WAITLIST_STATUSES.OFFERED]
+  );
+  const { lastID } = await runStatement(
+    db,
+    `INSERT INTO waitlist_entries (trip_id, customer_phone, seat_count, language, status, offered_at)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [trip_id, customer_phone, seat_count, language, WAITLIST_STATUSES.OFFERED, now.toISOString()]
+  );
+  return findById(lastID);
+}
+
+/**
+ * Find a waitlist entry by ID
+ * @param {number} id - Entry ID
+ * @returns {Promise<Object|null>} Entry with trip and route details, or null
+ */
+async function findById(id) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.get(`${ENTRY_SELECT} WHERE w.id = ?`, [id], (err, row) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(row || null);
+    });
+  });
+}
+
+/**
+ * Find the customer's latest offer made since a given time
+ * @param {string} customerPhone - Customer phone number
+ * @param {Date} since - Oldest offer time still valid
+ * @returns {Promise<Object|null>} Entry or null
+ */
+async function findLatestOffer(customerPhone, since) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.get(
+      `${ENTRY_SELECT}
+       WHERE w.customer_phone = ? AND w.status = ? AND w.offered_at >= ?
+       ORDER BY w.offered_at DESC, w.id DESC
+       LIMIT 1`,
+      [customerPhone, WAITLIST_STATUSES.OFFERED, since.toISOString()],
+      (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(row || null);
+      }
+    );
+  });
+}
+
+/**
+ * Find the customer's place on a trip's waitlist
+ * @param {string} customerPhone - Customer phone number
+ * @param {number} tripId - Trip ID
+ * @returns {Promise<Object|null>} Waiting entry or null
+ */
+async function findWaiting(customerPhone, tripId) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.get(
+      `${ENTRY_SELECT} WHERE w.customer_phone = ? AND w.trip_id = ? AND w.status = ?`,
+      [customerPhone, tripId, WAITLIST_STATUSES.WAITING],
+      (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(row || null);
+      }
+    );
+  });
+}
+
+/**
+ * Waiting entries of a trip, first joined first
+ * @param {number} tripId - Trip ID
+ * @returns {Promise<Array>} Entries
+ */
+async function findWaitingByTrip(tripId) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.all(
+      `${ENTRY_SELECT} WHERE w.trip_id = ? AND w.status = ? ORDER BY w.joined_at ASC, w.id ASC`,
+      [tripId, WAITLIST_STATUSES.WAITING],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(rows || []);
+      }
+    );
+  });
+}
+
+/**
+ * Put an offered entry on the waitlist
+ * @param {number} id - Entry ID
+ * @param {Date} now - Join time
+ * @returns {Promise<Object|null>} Updated entry, or null when it was not an open offer
+ */
+async function markWaiting(id, now = new Date()) {
+  const db = await getDatabase();
+  const { changes } = await runStatement(
+    db,
+    `UPDATE waitlist_entries SET status = ?, joined_at = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = ?`,
+    [WAITLIST_STATUSES.WAITING, now.toISOString(), id, WAITLIST_STATUSES.OFFERED]
+  );
+  return changes === 0 ? null : findById(id);
+}
+
+/**
+ * Record the hold created for a waiting entry
+ * @param {number} id - Entry ID
+ * @param {number} bookingId - Hold booking ID
+ * @returns {Promise<boolean>} false when the entry was no longer waiting
+ */
+async function markHeld(id, bookingId) {
+  const db = await getDatabase();
+  const { changes } = await runStatement(
+    db,
+    `UPDATE waitlist_entries SET status = ?, booking_id = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = ?`,
+    [WAITLIST_STATUSES.HELD, bookingId, id, WAITLIST_STATUSES.WAITING]
+  );
+  return changes > 0;
+}
+
+/**
+ * 1-based position of a waiting entry in its trip's queue
+ * @param {Object} entry - Waiting entry
+ * @returns {Promise<number>} Position
+ */
+async function getPosition(entry) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT COUNT(*) AS position FROM waitlist_entries
+       WHERE trip_id = ? AND status = ? AND (joined_at < ? OR (joined_at = ? AND id <= ?))`,
+      [entry.trip_id, WAITLIST_STATUSES.WAITING, entry.joined_at, entry.joined_at, entry.id],
+      (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(row ? row.position : 0);
+      }
+    );
+  });
+}
+
+module.exports = {
+  WAITLIST_STATUSES,
+  createOffer,
+  findById,
+  findLatestOffer,
+  findWaiting,
+  findWaitingByTrip,
+  markWaiting,
+  markHeld,
+  getPosition
+};
@@ -3,12 +3,12 @@ const router = express.Router();
 const operatorModel = require('../models/operator');
 const bookingModel = require('../models/booking');
 const routeModel = require('../models/route');
-const messageLogModel = require('../models/messageLog');
-const whatsappService = require('../services/whatsapp');
+const { queueText, queueCustomerNotification } = require('../services/whatsapp/outbox');
 const { getDatabase } = require('../database');
 const { createClient } = require('redis');
 const { InventoryLockService } = require('../services/redis/InventoryLockService');
 const { getLockKeysForBooking, releaseLockKeys } = require('../services/inventoryLocking');
+const { rejectHold } = require('../services/booking/booking_cancellation_service');
 const { rateLimit } = require('../services/security/rate_limiter');
 const { RetryableError } = require('../services/errors');
 const { buildBookingToken } = require('../services/security/booking_tokens');
@@ -175,32 +175,28 @@ router.post('/create', async (req, res) => {
         `Price: ₹${routeDetails.price}\n\n` +
         `Reply YES to confirm or NO to reject.`;
 
-      await whatsappService.sendMessage(operator.phone_number, operatorMessage);
-      
-      // Log notification message
-      await messageLogModel.create({
-        booking_id: booking.id,
-        type: 'notification'
+      await queueText(operator.phone_number, operatorMessage, {
+        bookingId: booking.id,
+        logType: 'notification'
       });
-      
-      console.log(`Booking notification sent to operator`);
+
+      console.log(`Booking notification queued for operator`);
     } catch (whatsappError) {
       console.warn('WhatsApp notification to operator failed (booking still created):', whatsappError.message);
     }
 
     // Send confirmation to customer (optional - don't fail if WhatsApp is not configured)
     try {
-      const customerMessage = `Your booking request has been received!\n\n` +
-        `Booking ID: ${booking.id}\n` +
-        `Route: ${routeDetails.source} → ${routeDetails.destination}\n` +
-        `Date: ${journeyDate}\n` +
-        `Time: ${routeDetails.departure_time}\n` +
-        `Seats: ${booking.seat_count}\n` +
-        `Price: ₹${routeDetails.price}\n\n` +
-        `We will confirm your booking shortly.`;
-
-      await whatsappService.sendMessage(customer_phone, customerMessage);
-      console.log(`Booking acknowledgment sent to customer`);
+      await queueCustomerNotification(customer_phone, 'booking_received', {
+        booking_id: booking.id,
+        source: routeDetails.source,
+        destination: routeDetails.destination,
+        date: journeyDate,
+        time: routeDetails.departure_time,
+        seats: booking.seat_count,
+        price: routeDetails.price
+      });
+      console.log(`Booking acknowledgment queued for customer`);
     } catch (whatsappError) {
       console.warn('WhatsApp acknowledgment to customer failed (booking still created):', whatsappError.message);
     }
@@ -301,24 +297,17 @@ router.post('/confirm', async (req, res) => {
 
     // Send confirmation to customer (optional - don't fail if WhatsApp is not configured)
     try {
-      const customerMessage = `✅ Your booking has been confirmed!\n\n` +
-        `Booking ID: ${booking.id}\n` +
-        `Route: ${route.source} → ${route.destination}\n` +
-        `Date: ${booking.journey_date}\n` +
-        `Time: ${route.departure_time}\n` +
-        `Seats: ${booking.seat_count}\n` +
-        `Price: ₹${route.price}\n\n` +
-        `Thank you for choosing us!`;
-
-      await whatsappService.sendMessage(booking.customer_phone, customerMessage);
-      
-      // Log confirmation message
-      await messageLogModel.create({
+      await queueCustomerNotification(booking.customer_phone, 'booking_confirmed', {
         booking_id: booking.id,
-        type: 'confirmation'
-      });
-      
-      console.log(`Booking confirmation sent to customer ${booking.customer_phone}`);
+        source: route.source,
+        destination: route.destination,
+        date: booking.journey_date,
+        time: route.departure_time,
+        seats: booking.seat_count,
+        price: bookingModel.getFareAmount(updatedBooking) ?? route.price
+      }, { bookingId: booking.id, logType: 'confirmation' });
+
+      console.log(`Booking confirmation queued for customer ${booking.customer_phone}`);
     } catch (whatsappError) {
       console.warn('WhatsApp confirmation to customer failed (booking still confirmed):', whatsappError.message);
     }
@@ -326,9 +315,10 @@ router.post('/confirm', async (req, res) => {
     // Notify operator if phone number provided (optional - don't fail if WhatsApp is not configured)
     if (operator_phone) {
       try {
-        await whatsappService.sendMessage(
+        await queueText(
           operator_phone,
-          `Booking ${booking.id} has been confirmed and customer has been notified.`
+          `Booking ${booking.id} has been confirmed and customer has been notified.`,
+          { bookingId: booking.id }
         );
       } catch (whatsappError) {
         console.warn('WhatsApp notification to operator failed:', whatsappError.message);
@@ -379,19 +369,10 @@ router.post('/reject', async (req, res) => {
 
     const redisClient = createClient({ url: REDIS_URL });
     await redisClient.connect();
-    const lockService = new InventoryLockService(redisClient);
-    const lockKeys = getLockKeysForBooking(booking);
 
     let updatedBooking = null;
     try {
-      // Update booking status
-      updatedBooking = await bookingModel.transitionStatus(booking.id, 'cancelled', {
-        releaseInventoryLock: async () =>
-          releaseLockKeys(lockService, lockKeys, {
-            bookingId: booking.id,
-            reason: 'cancel'
-          })
-      });
+      updatedBooking = await rejectHold(booking, { lockService: new InventoryLockService(redisClient) });
     } finally {
       try {
         await redisClient.quit();
@@ -399,13 +380,6 @@ router.post('/reject', async (req, res) => {
         redisClient.disconnect();
       }
     }
-    
-    if (!updatedBooking) {
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to update booking status'
-      });
-    }
 
     console.log(`Booking ${booking.id} rejected${operator_phone ? ` by operator ${operator_phone}` : ''}`);
 
@@ -421,21 +395,14 @@ router.post('/reject', async (req, res) => {
 
     // Send rejection to customer (optional - don't fail if WhatsApp is not configured)
     try {
-      const customerMessage = `❌ Your booking request has been rejected.\n\n` +
-        `Booking ID: ${booking.id}\n` +
-        `Route: ${route.source} → ${route.destination}\n` +
-        `Date: ${booking.journey_date}\n\n` +
-        `We apologize for the inconvenience. Please contact us for alternative options.`;
-
-      await whatsappService.sendMessage(booking.customer_phone, customerMessage);
-      
-      // Log rejection message
-      await messageLogModel.create({
+      await queueCustomerNotification(booking.customer_phone, 'booking_rejected', {
         booking_id: booking.id,
-        type: 'rejection'
-      });
-      
-      console.log(`Booking rejection sent to customer ${booking.customer_phone}`);
+        source: route.source,
+        destination: route.destination,
+        date: booking.journey_date
+      }, { bookingId: booking.id, logType: 'rejection' });
+
+      console.log(`Booking rejection queued for customer ${booking.customer_phone}`);
     } catch (whatsappError) {
       console.warn('WhatsApp rejection to customer failed (booking still rejected):', whatsappError.message);
     }
@@ -443,9 +410,10 @@ router.post('/reject', async (req, res) => {
     // Notify operator if phone number provided (optional - don't fail if WhatsApp is not configured)
     if (operator_phone) {
       try {
-        await whatsappService.sendMessage(
+        await queueText(
           operator_phone,
-          `Booking ${booking.id} has been rejected and customer has been notified.`
+          `Booking ${booking.id} has been rejected and customer has been notified.`,
+          { bookingId: booking.id }
         );
       } catch (whatsappError) {
         console.warn('WhatsApp notification to operator failed:', whatsappError.message);
@@ -90,6 +90,7 @@ router.post('/:bookingId/cancel', async (req, res) => {
         success: true,
         booking: result.booking,
         cancellation: result.cancellation,
+        refund: result.refund || null,
         idempotent: result.idempotent
       };
     };
@@ -133,6 +134,7 @@ router.post('/:bookingId/cancel', async (req, res) => {
       code === 'BOOKING_NOT_CONFIRMED' ? 409 :
       code === 'BOOKING_OWNERSHIP_INVALID' ? 403 :
       code === 'BOOKING_LOCKED' ? 409 :
+      code === 'CANCELLATION_NOT_ALLOWED' ? 409 :
       500;
     res.status(status).json({
       success: false,
@@ -0,0 +1,147 @@
+const express = require('express');
+const router = express.Router();
+const fareRuleModel = require('../models/fareRule');
+const tripModel = require('../models/trip');
+const { createFareRule, quoteFare } = require('../services/inventory/fare_service');
+
+const FARE_RULE_ERROR_STATUS = Object.freeze({
+  INVALID_FARE_RULE: 400,
+  TRIP_NOT_FOUND: 404,
+  ROUTE_NOT_FOUND: 404
+});
+
+/**
+ * GET /fare-rules - List fare rules
+ * Query params: trip_id (rules that can apply to the trip) or route_id
+ */
+router.get('/', async (req, res) => {
+  try {
+    const rules = await fareRuleModel.findAll({
+      tripId: req.query.trip_id ? parseInt(req.query.trip_id, 10) : null,
+      routeId: req.query.route_id ? parseInt(req.query.route_id, 10) : null
+    });
+
+    res.status(200).json({
+      success: true,
+      rules
+    });
+  } catch (error) {
+    console.error('Error fetching fare rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /fare-rules/quote - Fares a customer would pay now for seats of a trip
+ * Query params: trip_id (required), seat_numbers (comma-separated, optional)
+ */
+router.get('/quote', async (req, res) => {
+  try {
+    const tripId = parseInt(req.query.trip_id, 10);
+    if (isNaN(tripId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'trip_id is required'
+      });
+    }
+
+    const trip = await tripModel.findById(tripId);
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trip not found'
+      });
+    }
+
+    const seatNumbers = req.query.seat_numbers
+      ? String(req.query.seat_numbers).split(',').map((seat) => parseInt(seat, 10)).filter((seat) => !isNaN(seat))
+      : [];
+    const quote = await quoteFare(trip, seatNumbers);
+
+    res.status(200).json({
+      success: true,
+      quote
+    });
+  } catch (error) {
+    console.error('Error quoting fare:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /fare-rules - Create a fare override for a route or one of its trips
+ * Body: { route_id | trip_id, seat_type, deck, start_date, end_date, days_of_week, fare, label }
+ *   e.g. { route_id: 3, seat_type: "sleeper", deck: "lower", fare: 900 }
+ *        { route_id: 3, days_of_week: "weekends", fare: 750, label: "Weekend" }
+ *        { route_id: 3, start_date: "2030-11-10", end_date: "2030-11-16", fare: 1200, label: "Diwali" }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const rule = await createFareRule(req.body || {});
+
+    res.status(201).json({
+      success: true,
+      rule
+    });
+  } catch (error) {
+    const status = FARE_RULE_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('Error creating fare rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /fare-rules/:id - Delete a fare rule; bookings keep the fare they were held at
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const ruleId = parseInt(req.params.id, 10);
+
+    if (isNaN(ruleId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid fare rule ID'
+      });
+    }
+
+    const deleted = await fareRuleModel.remove(ruleId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Fare rule not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true
+    });
+  } catch (error) {
+    console.error('Error deleting fare rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
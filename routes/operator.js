@@ -4,14 +4,32 @@ const bookingModel = require('../models/booking');
 const { getDatabase } = require('../database');
 const operatorTakeoverModel = require('../models/operatorTakeover');
 const auditEventModel = require('../models/auditEvent');
+const ticketAttachmentModel = require('../models/ticketAttachment');
 const { buildSeatLockKey, getLockKeysForBooking } = require('../services/inventoryLocking');
 const { withIdempotency } = require('../services/idempotency/with_idempotency');
 const { RetryLaterError } = require('../services/idempotency/retry_later_error');
 const { rateLimit } = require('../services/security/rate_limiter');
 const { RetryableError } = require('../services/errors');
 const { createLogger } = require('../services/observability/logger');
+const { t } = require('../services/i18n/translator');
+const { archiveTicket, readArchivedTicket } = require('../services/whatsapp/ticket_archive');
+const { overrideBookingPrice } = require('../services/booking/price_override_service');
+const { getPaymentBadge } = require('../services/payment/payment_status');
+const { sendPaymentLink } = require('../services/payment/payment_links');
 
 const DEFAULT_LIMIT = 50;
+const PRICE_OVERRIDE_ERROR_STATUS = Object.freeze({
+  INVALID_PRICE_OVERRIDE: 400,
+  OPERATOR_FORBIDDEN: 403,
+  PRICE_OVERRIDE_LIMIT_EXCEEDED: 403,
+  BOOKING_NOT_FOUND: 404,
+  BOOKING_NOT_ACTIVE: 409
+});
+const PAYMENT_LINK_ERROR_STATUS = Object.freeze({
+  BOOKING_NOT_PAYABLE: 409,
+  PAYMENT_GATEWAY_REJECTED: 502,
+  PAYMENT_GATEWAY_NOT_CONFIGURED: 503
+});
 const logger = createLogger({ source: 'operator_api' });
 
 function requireIdempotencyKey(req, res) {
@@ -123,6 +141,13 @@ function parseBookingIdFromSessionId(sessionId) {
   return Number.isNaN(numeric) ? null : numeric;
 }
 
+// Accepts "book_456" as returned by this API, or a bare "456"
+function parseBookingIdFromBookingRef(bookingRef) {
+  if (!bookingRef || typeof bookingRef !== 'string') return null;
+  const numeric = parseInt(bookingRef.replace(/^book_/, ''), 10);
+  return Number.isNaN(numeric) ? null : numeric;
+}
+
 function buildSessionFromBooking(booking) {
   const bookingState = mapBookingState(booking?.status);
   const paymentStatus = derivePaymentStatus(bookingState);
@@ -140,8 +165,8 @@ function buildSessionFromBooking(booking) {
     booking_state: bookingState,
     booking_id: booking?.id ? `book_${booking.id}` : null,
     payment_status: paymentStatus,
-    payment_amount: booking?.price ?? null,
-    payment_currency: booking?.price != null ? 'INR' : null,
+    payment_amount: bookingModel.getFareAmount(booking),
+    payment_currency: bookingModel.getFareAmount(booking) != null ? 'INR' : null,
     payment_expires_at: booking?.hold_expires_at
       ? toIsoTimestamp(booking.hold_expires_at)
       : null,
@@ -199,31 +224,14 @@ function buildBookingSummary(booking) {
     route_label: buildRouteLabel(booking),
     journey_date: booking.journey_date || null,
     departure_time: booking.departure_time || null,
-    price_amount: booking.price ?? null,
-    price_currency: booking.price != null ? 'INR' : null,
+    price_amount: bookingModel.getFareAmount(booking),
+    price_currency: bookingModel.getFareAmount(booking) != null ? 'INR' : null,
     lock_expires_at: booking.hold_expires_at
       ? toIsoTimestamp(booking.hold_expires_at)
       : null
   };
 }
 
-function buildPaymentSummary(booking) {
-  const bookingState = mapBookingState(booking?.status);
-  const paymentStatus = derivePaymentStatus(bookingState);
-
-  return {
-    status: paymentStatus,
-    gateway_ref: paymentStatus ? `pay_${booking?.id || 'mock'}` : null,
-    pay_link_url: paymentStatus === 'PENDING'
-      ? `https://pay.example/${booking?.id || 'mock'}`
-      : null,
-    pay_link_expires_at: paymentStatus === 'PENDING'
-      ? toIsoTimestamp(booking?.hold_expires_at) || null
-      : null,
-    last_event_at: toIsoTimestamp(booking?.created_at) || new Date().toISOString()
-  };
-}
-
 function buildMessagesForBooking(booking) {
   const baseTime = toIsoTimestamp(booking?.created_at) || new Date().toISOString();
   const customerPhone = booking?.customer_phone || '+910000000000';
@@ -259,6 +267,62 @@ function buildMessagesForBooking(booking) {
   ];
 }
 
+async function getNotificationLogs(bookingId) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT ml.*, om.recipient_phone, om.kind, om.payload
+       FROM message_logs ml
+       LEFT JOIN outbound_messages om ON ml.outbound_message_id = om.id
+       WHERE ml.booking_id = ?
+       ORDER BY ml.sent_at ASC, ml.id ASC`,
+      [bookingId],
+      (err, rows) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(rows || []);
+      }
+    );
+  });
+}
+
+function describeOutboundMessage(log) {
+  if (!log.payload) {
+    return `[${log.type}]`;
+  }
+  const payload = JSON.parse(log.payload);
+  if (log.kind === 'notification') {
+    // Operators read the timeline in English whatever the customer received.
+    return t('en', payload.key, payload.params);
+  }
+  return payload.text || `[${log.type}]`;
+}
+
+/**
+ * Timeline of notifications sent for a booking, with the delivery status
+ * WhatsApp reported for each (SENT, DELIVERED, READ, FAILED)
+ */
+function buildMessagesFromLogs(booking, logs) {
+  return logs.map(log => ({
+    message_id: `msg_log_${log.id}`,
+    direction: 'OUTBOUND',
+    from: null,
+    to: log.recipient_phone || booking.customer_phone,
+    type: log.kind === 'buttons' ? 'interactive' : 'text',
+    text: describeOutboundMessage(log),
+    media: null,
+    timestamp: toIsoTimestamp(log.sent_at),
+    status: (log.delivery_status || 'sent').toUpperCase(),
+    status_at: toIsoTimestamp(log.delivery_status_at),
+    wa_message_id: log.wa_message_id || null,
+    error: log.delivery_error || null,
+    log_type: log.type
+  }));
+}
+
 async function getRecentBookings(operatorId, limit) {
   const db = await getDatabase();
   const safeLimit = Number.isFinite(limit) ? limit : DEFAULT_LIMIT;
@@ -477,7 +541,7 @@ router.get('/sessions/:session_id', async (req, res) => {
     const latestTakeover = await operatorTakeoverModel.findLatestBySession(sessionId);
     const session = applyTakeoverToSession(baseSession, latestTakeover);
     const bookingSummary = booking ? buildBookingSummary(booking) : buildMockBooking(bookingId);
-    const paymentSummary = booking ? buildPaymentSummary(booking) : buildMockPayment();
+    const paymentSummary = booking ? await getPaymentBadge(booking) : buildMockPayment();
 
     res.status(200).json({
       success: true,
@@ -537,7 +601,9 @@ router.get('/sessions/:session_id/messages', async (req, res) => {
       });
     }
     const booking = bookingId ? await bookingModel.findById(bookingId) : null;
-    const messages = buildMessagesForBooking(booking);
+    const messages = booking
+      ? buildMessagesFromLogs(booking, await getNotificationLogs(booking.id))
+      : buildMessagesForBooking(booking);
 
     res.status(200).json({
       success: true,
@@ -600,8 +666,9 @@ router.get('/bookings/:booking_id', async (req, res) => {
         route_label: buildRouteLabel(booking),
         journey_date: booking.journey_date || null,
         departure_time: booking.departure_time || null,
-        price_amount: booking.price ?? null,
-        price_currency: booking.price != null ? 'INR' : null,
+        price_amount: bookingModel.getFareAmount(booking),
+        price_currency: bookingModel.getFareAmount(booking) != null ? 'INR' : null,
+        fare_details: bookingModel.getFareDetails(booking),
         lock_key: (() => {
           const lockKeys = getLockKeysForBooking(booking);
           if (lockKeys.length > 0) {
@@ -637,6 +704,185 @@ router.get('/bookings/:booking_id', async (req, res) => {
   }
 });
 
+/**
+ * GET /operator/bookings/:booking_id/payment - Payment badge from the booking's
+ * payment intent, gateway webhooks and refunds
+ */
+router.get('/bookings/:booking_id/payment', async (req, res) => {
+  try {
+    const operatorId = requireOperatorId(req, res);
+    if (!operatorId) return;
+    const bookingId = parseBookingIdFromBookingRef(req.params.booking_id);
+    const booking = bookingId ? await bookingModel.findById(bookingId) : null;
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        error: 'BOOKING_NOT_FOUND'
+      });
+    }
+
+    if (!(await hasOperatorAccess(booking.id, operatorId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'OPERATOR_FORBIDDEN'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      payment: await getPaymentBadge(booking)
+    });
+  } catch (error) {
+    if (error instanceof RetryableError) {
+      logger.warn('operator_payment_retryable_error', { error: error.message });
+      return res.status(503).json({
+        success: false,
+        error: error.code || 'RETRY_LATER'
+      });
+    }
+    console.error('Error fetching payment badge:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /operator/bookings/:booking_id/payment-link - Send the customer a payment
+ * link for a held booking; the link already created for the hold is re-sent
+ */
+router.post('/bookings/:booking_id/payment-link', async (req, res) => {
+  try {
+    const operatorId = requireOperatorId(req, res);
+    if (!operatorId) return;
+    const bookingId = parseBookingIdFromBookingRef(req.params.booking_id);
+    const booking = bookingId ? await bookingModel.findById(bookingId) : null;
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        error: 'BOOKING_NOT_FOUND'
+      });
+    }
+
+    if (!(await hasOperatorAccess(booking.id, operatorId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'OPERATOR_FORBIDDEN'
+      });
+    }
+
+    const intent = await sendPaymentLink(booking);
+    res.status(200).json({
+      success: true,
+      booking_id: `book_${booking.id}`,
+      amount: intent.amount,
+      currency: intent.currency,
+      pay_link_url: intent.pay_link_url,
+      pay_link_expires_at: intent.expires_at,
+      gateway_ref: intent.gateway_ref
+    });
+  } catch (error) {
+    const status = PAYMENT_LINK_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        error: error.code,
+        message: error.message
+      });
+    }
+    if (error instanceof RetryableError || error instanceof RetryLaterError) {
+      logger.warn('operator_payment_link_retryable_error', { error: error.message });
+      return res.status(503).json({
+        success: false,
+        error: error.code || 'RETRY_LATER'
+      });
+    }
+    console.error('Error sending payment link:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /operator/bookings/:booking_id/ticket - Archived ticket file
+ * Served from our own storage, so it stays available after the WhatsApp
+ * media ID has expired.
+ */
+router.get('/bookings/:booking_id/ticket', async (req, res) => {
+  try {
+    const operatorId = requireOperatorId(req, res);
+    if (!operatorId) return;
+    const bookingId = parseInt(req.params.booking_id.replace(/^book_/, ''), 10);
+    const booking = Number.isNaN(bookingId) ? null : await bookingModel.findById(bookingId);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        error: 'BOOKING_NOT_FOUND'
+      });
+    }
+
+    if (!(await hasOperatorAccess(bookingId, operatorId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'OPERATOR_FORBIDDEN'
+      });
+    }
+
+    let attachment = await ticketAttachmentModel.findLatestByBookingId(bookingId);
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        error: 'TICKET_NOT_FOUND'
+      });
+    }
+
+    if (!attachment.archived_at) {
+      // Not archived yet: try now, while the media ID may still be valid
+      try {
+        attachment = await archiveTicket(attachment);
+      } catch (archiveError) {
+        return res.status(409).json({
+          success: false,
+          error: 'TICKET_NOT_ARCHIVED',
+          details: archiveError.message
+        });
+      }
+    }
+
+    const ticket = await readArchivedTicket(attachment);
+    const fileName = attachment.storage_key.split('/').pop();
+    res.set({
+      'Content-Type': ticket.mimeType,
+      'Content-Length': String(ticket.buffer.length),
+      'Content-Disposition': `inline; filename="${fileName}"`,
+      'X-Checksum-Sha256': ticket.checksum
+    });
+    res.status(200).send(ticket.buffer);
+  } catch (error) {
+    if (error instanceof RetryableError) {
+      logger.warn('operator_ticket_retryable_error', { error: error.message });
+      return res.status(503).json({
+        success: false,
+        error: error.code || 'RETRY_LATER'
+      });
+    }
+    console.error('Error fetching operator ticket:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
 /**
  * POST /operator/sessions/:session_id/takeover - Start operator takeover
  */
@@ -862,4 +1108,79 @@ router.patch('/sessions/:session_id/takeover', async (req, res) => {
   }
 });
 
+/**
+ * POST /operator/bookings/:booking_id/price-override - Change the price of a booking
+ * Body: { amount, currency, reason }; operators may move the price by up to
+ * PRICE_OVERRIDE_MAX_PERCENT of the held fare, supervisors by any amount
+ */
+router.post('/bookings/:booking_id/price-override', async (req, res) => {
+  const idempotencyKey = requireIdempotencyKey(req, res);
+  if (!idempotencyKey) return;
+  const operatorId = requireOperatorId(req, res);
+  if (!operatorId) return;
+
+  try {
+    const response = await withIdempotency({
+      source: 'operator',
+      eventType: 'price_override',
+      idempotencyKey,
+      request: { params: req.params, body: req.body, operator_id: operatorId },
+      handler: async () => {
+        const bookingId = parseBookingIdFromBookingRef(req.params.booking_id);
+        if (!bookingId) {
+          return {
+            status: 400,
+            body: { success: false, error: 'INVALID_BOOKING_ID' }
+          };
+        }
+
+        const { amount, currency, reason = null } = req.body || {};
+        try {
+          const { booking } = await overrideBookingPrice({
+            bookingId,
+            operatorId,
+            amount,
+            currency,
+            reason,
+            idempotencyKey
+          });
+          return {
+            status: 200,
+            body: {
+              success: true,
+              booking_id: `book_${booking.id}`,
+              price_amount: bookingModel.getFareAmount(booking),
+              price_currency: 'INR',
+              updated_at: new Date().toISOString()
+            }
+          };
+        } catch (error) {
+          const status = PRICE_OVERRIDE_ERROR_STATUS[error.code];
+          if (!status) throw error;
+          return {
+            status,
+            body: { success: false, error: error.code, message: error.message }
+          };
+        }
+      }
+    });
+
+    res.status(response.status).json(response.body);
+  } catch (error) {
+    if (error instanceof RetryLaterError) {
+      res.status(error.statusCode || 409).json({
+        success: false,
+        error: 'RETRY_LATER'
+      });
+      return;
+    }
+    console.error('Error overriding booking price:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,104 @@
+const express = require('express');
+const router = express.Router();
+const quotaRuleModel = require('../models/quotaRule');
+const { createQuotaRule } = require('../services/inventory/quota_rule_service');
+
+const QUOTA_RULE_ERROR_STATUS = Object.freeze({
+  INVALID_QUOTA_RULE: 400,
+  TRIP_NOT_FOUND: 404,
+  ROUTE_NOT_FOUND: 404
+});
+
+/**
+ * GET /quota-rules - List quota rules
+ * Query params: trip_id (rules of the trip and its route) or route_id
+ */
+router.get('/', async (req, res) => {
+  try {
+    const rules = await quotaRuleModel.findAll({
+      tripId: req.query.trip_id ? parseInt(req.query.trip_id, 10) : null,
+      routeId: req.query.route_id ? parseInt(req.query.route_id, 10) : null
+    });
+
+    res.status(200).json({
+      success: true,
+      rules
+    });
+  } catch (error) {
+    console.error('Error fetching quota rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /quota-rules - Create a rule that changes a trip's WhatsApp quota before departure
+ * Body: { trip_id | route_id, hours_before_departure, action, seat_count, max_sold_percent }
+ *   e.g. { trip_id: 7, hours_before_departure: 24, action: "release_seats", seat_count: 2, max_sold_percent: 50 }
+ *        { route_id: 3, hours_before_departure: 2, action: "shrink_to_sold" }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const rule = await createQuotaRule(req.body || {});
+
+    res.status(201).json({
+      success: true,
+      rule
+    });
+  } catch (error) {
+    const status = QUOTA_RULE_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('Error creating quota rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /quota-rules/:id - Delete a quota rule
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const ruleId = parseInt(req.params.id, 10);
+
+    if (isNaN(ruleId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid quota rule ID'
+      });
+    }
+
+    const deleted = await quotaRuleModel.remove(ruleId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quota rule not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true
+    });
+  } catch (error) {
+    console.error('Error deleting quota rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const routeModel = require('../models/route');
+const cityAliasModel = require('../models/cityAlias');
+const vehicleLayoutModel = require('../models/vehicleLayout');
+const cancellationPolicyModel = require('../models/cancellationPolicy');
+const { setCancellationPolicy } = require('../services/booking/cancellation_policy_service');
+
+const CANCELLATION_POLICY_ERROR_STATUS = Object.freeze({
+  INVALID_CANCELLATION_POLICY: 400,
+  ROUTE_NOT_FOUND: 404
+});
 
 /**
  * GET /routes - Get all routes
@@ -23,4 +32,252 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * GET /routes/aliases - List city aliases used when matching customer route text
+ * Query params: operator_id (optional)
+ */
+router.get('/aliases', async (req, res) => {
+  try {
+    const operatorId = req.query.operator_id ? parseInt(req.query.operator_id, 10) : null;
+    const aliases = await cityAliasModel.findAll(operatorId);
+
+    res.status(200).json({
+      success: true,
+      aliases
+    });
+  } catch (error) {
+    console.error('Error fetching city aliases:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /routes/aliases - Register a city alias for an operator
+ * Body: { operator_id, alias, city } e.g. { operator_id: 1, alias: "Bombay", city: "Mumbai" }
+ */
+router.post('/aliases', async (req, res) => {
+  try {
+    const { operator_id, alias, city } = req.body;
+
+    if (!operator_id || !alias || !city) {
+      return res.status(400).json({
+        success: false,
+        error: 'operator_id, alias, and city are required'
+      });
+    }
+
+    const created = await cityAliasModel.create({ operator_id, alias, city });
+
+    res.status(201).json({
+      success: true,
+      alias: created
+    });
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({
+        success: false,
+        error: 'Alias already exists for this operator'
+      });
+    }
+    console.error('Error creating city alias:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /routes/aliases/:id - Remove a city alias
+ */
+router.delete('/aliases/:id', async (req, res) => {
+  try {
+    const aliasId = parseInt(req.params.id, 10);
+
+    if (isNaN(aliasId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid alias ID'
+      });
+    }
+
+    const removed = await cityAliasModel.remove(aliasId);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alias not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true
+    });
+  } catch (error) {
+    console.error('Error deleting city alias:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /routes/:id/vehicle-layout - Set the vehicle layout new trips on this route start with
+ * Body: { vehicle_layout_id } (null clears it)
+ */
+router.put('/:id/vehicle-layout', async (req, res) => {
+  try {
+    const routeId = parseInt(req.params.id, 10);
+    const vehicleLayoutId = req.body?.vehicle_layout_id ?? null;
+
+    if (isNaN(routeId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid route ID'
+      });
+    }
+
+    if (vehicleLayoutId !== null && !(await vehicleLayoutModel.findById(vehicleLayoutId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Vehicle layout not found'
+      });
+    }
+
+    const route = await routeModel.setVehicleLayout(routeId, vehicleLayoutId);
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        error: 'Route not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      route
+    });
+  } catch (error) {
+    console.error('Error setting route vehicle layout:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /routes/:id/cancellation-policy - The route's cancellation policy (null when it has none)
+ */
+router.get('/:id/cancellation-policy', async (req, res) => {
+  try {
+    const routeId = parseInt(req.params.id, 10);
+
+    if (isNaN(routeId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid route ID'
+      });
+    }
+
+    const policy = await cancellationPolicyModel.findByRoute(routeId);
+
+    res.status(200).json({
+      success: true,
+      policy
+    });
+  } catch (error) {
+    console.error('Error fetching cancellation policy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /routes/:id/cancellation-policy - Set when and at what fee customers can cancel
+ * Body: { cutoff_hours, fee_slabs, no_cancel_windows }
+ *   e.g. { cutoff_hours: 4,
+ *          fee_slabs: [{ hours_before: 48, fee_percent: 10 }, { hours_before: 12, fee_percent: 25 },
+ *                      { hours_before: 0, fee_percent: 50 }],
+ *          no_cancel_windows: [{ start_date: "2030-11-10", end_date: "2030-11-16", label: "Diwali" }] }
+ */
+router.put('/:id/cancellation-policy', async (req, res) => {
+  try {
+    const routeId = parseInt(req.params.id, 10);
+
+    if (isNaN(routeId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid route ID'
+      });
+    }
+
+    const policy = await setCancellationPolicy(routeId, req.body || {});
+
+    res.status(200).json({
+      success: true,
+      policy
+    });
+  } catch (error) {
+    const status = CANCELLATION_POLICY_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('Error setting cancellation policy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /routes/:id/cancellation-policy - Go back to the default refund tiers
+ */
+router.delete('/:id/cancellation-policy', async (req, res) => {
+  try {
+    const routeId = parseInt(req.params.id, 10);
+
+    if (isNaN(routeId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid route ID'
+      });
+    }
+
+    const deleted = await cancellationPolicyModel.removeByRoute(routeId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cancellation policy not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true
+    });
+  } catch (error) {
+    console.error('Error deleting cancellation policy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -3,6 +3,41 @@ const router = express.Router();
 const tripModel = require('../models/trip');
 const routeModel = require('../models/route');
 const bookingModel = require('../models/booking');
+const vehicleLayoutModel = require('../models/vehicleLayout');
+const seatMapService = require('../services/inventory/seat_map_service');
+const { assignLayoutToTrip } = require('../services/inventory/vehicle_layout_service');
+const { promoteWaitlists } = require('../services/inventory/waitlist_service');
+
+const SEAT_LAYOUT_ERROR_STATUS = Object.freeze({
+  INVALID_SEAT_LAYOUT: 400,
+  INVALID_WHATSAPP_SEATS: 400,
+  VEHICLE_LAYOUT_NOT_FOUND: 404,
+  SEAT_LAYOUT_CONFLICT: 409
+});
+
+// Seats added to the WhatsApp quota go to the trip's waitlist first
+async function promoteWaitlistIfQuotaGrew(tripBefore, quotaSeatsAfter) {
+  if (tripBefore && quotaSeatsAfter.length > tripModel.getQuotaSeatNumbers(tripBefore).length) {
+    await promoteWaitlists([tripBefore.id]);
+  }
+}
+
+function sendSeatLayoutError(res, error, logMessage) {
+  const status = SEAT_LAYOUT_ERROR_STATUS[error.code];
+  if (status) {
+    return res.status(status).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+  console.error(logMessage, error);
+  return res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    details: error.message
+  });
+}
 
 /**
  * GET /trip - Get all trips (with optional date range filter)
@@ -91,11 +126,13 @@ router.get('/:id', async (req, res) => {
 
 /**
  * POST /trip - Create a new trip
- * Body: { route_id, journey_date, departure_time, whatsapp_seat_quota }
+ * Body: { route_id, journey_date, departure_time, whatsapp_seat_quota, vehicle_layout_id, whatsapp_seat_numbers }
+ * Without vehicle_layout_id the route's layout (if any) is used. whatsapp_seat_numbers
+ * replaces whatsapp_seat_quota with an explicit set of seats.
  */
 router.post('/', async (req, res) => {
   try {
-    const { route_id, journey_date, departure_time, whatsapp_seat_quota } = req.body;
+    const { route_id, journey_date, departure_time, whatsapp_seat_quota, whatsapp_seat_numbers } = req.body;
 
     if (!route_id || !journey_date || !departure_time) {
       return res.status(400).json({
@@ -122,12 +159,41 @@ router.post('/', async (req, res) => {
       });
     }
 
-    const trip = await tripModel.create({
+    // Check the layout and quota seats before the trip exists, so a bad request leaves nothing behind
+    const vehicleLayoutId = req.body.vehicle_layout_id || route.vehicle_layout_id || null;
+    const layout = vehicleLayoutId ? await vehicleLayoutModel.findById(vehicleLayoutId) : null;
+    if (vehicleLayoutId && !layout) {
+      return res.status(404).json({
+        success: false,
+        error: 'Vehicle layout not found'
+      });
+    }
+    if (layout || whatsapp_seat_numbers) {
+      try {
+        seatMapService.validateQuotaSeats(
+          whatsapp_seat_numbers ||
+            tripModel.getQuotaSeatNumbers({ whatsapp_seat_quota: whatsapp_seat_quota || 0 }),
+          layout ? layout.seats.map((seat) => seat.seat_number) : null
+        );
+      } catch (error) {
+        return sendSeatLayoutError(res, error, 'Error validating trip seats:');
+      }
+    }
+
+    let trip = await tripModel.create({
       route_id,
       journey_date,
       departure_time,
       whatsapp_seat_quota: whatsapp_seat_quota || 0
     });
+    if (layout) {
+      await assignLayoutToTrip(trip.id, layout.id, { whatsappSeatNumbers: whatsapp_seat_numbers || null });
+    } else if (whatsapp_seat_numbers) {
+      await seatMapService.setWhatsAppSeats(trip.id, whatsapp_seat_numbers);
+    }
+    if (layout || whatsapp_seat_numbers) {
+      trip = await tripModel.findById(trip.id);
+    }
 
     res.status(201).json({
       success: true,
@@ -145,7 +211,7 @@ router.post('/', async (req, res) => {
 
 /**
  * PATCH /trip/:id/quota - Update seat quota for a trip
- * Body: { whatsapp_seat_quota }
+ * Body: { whatsapp_seat_quota } - the quota becomes seats 1..whatsapp_seat_quota
  */
 router.patch('/:id/quota', async (req, res) => {
   try {
@@ -166,14 +232,21 @@ router.patch('/:id/quota', async (req, res) => {
       });
     }
 
-    const trip = await tripModel.updateSeatQuota(tripId, whatsapp_seat_quota);
-    
+    const tripBefore = await tripModel.findById(tripId);
+    let trip;
+    try {
+      trip = await seatMapService.setSeatQuota(tripId, whatsapp_seat_quota);
+    } catch (error) {
+      return sendSeatLayoutError(res, error, 'Error updating trip quota:');
+    }
+
     if (!trip) {
       return res.status(404).json({
         success: false,
         error: 'Trip not found'
       });
     }
+    await promoteWaitlistIfQuotaGrew(tripBefore, tripModel.getQuotaSeatNumbers(trip));
 
     res.status(200).json({
       success: true,
@@ -189,4 +262,147 @@ router.patch('/:id/quota', async (req, res) => {
   }
 });
 
+/**
+ * GET /trip/:id/seat-map - Seat layout with the status of every seat
+ */
+router.get('/:id/seat-map', async (req, res) => {
+  try {
+    const tripId = parseInt(req.params.id, 10);
+
+    if (isNaN(tripId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid trip ID'
+      });
+    }
+
+    const seatMap = await seatMapService.getSeatMap(tripId);
+
+    if (!seatMap) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trip not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      seat_map: seatMap
+    });
+  } catch (error) {
+    console.error('Error fetching seat map:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /trip/:id/seat-layout - Replace the seat layout of a trip
+ * Body: { seats: [{ seat_number, label, seat_type, deck, row, column, is_ladies }], whatsapp_seat_numbers }
+ */
+router.put('/:id/seat-layout', async (req, res) => {
+  try {
+    const tripId = parseInt(req.params.id, 10);
+
+    if (isNaN(tripId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid trip ID'
+      });
+    }
+
+    const seatMap = await seatMapService.setTripLayout(tripId, req.body?.seats, {
+      whatsappSeatNumbers: req.body?.whatsapp_seat_numbers || null
+    });
+
+    if (!seatMap) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trip not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      seat_map: seatMap
+    });
+  } catch (error) {
+    sendSeatLayoutError(res, error, 'Error updating seat layout:');
+  }
+});
+
+/**
+ * PUT /trip/:id/vehicle-layout - Copy a vehicle layout's seats onto a trip
+ * Body: { vehicle_layout_id, whatsapp_seat_numbers }
+ */
+router.put('/:id/vehicle-layout', async (req, res) => {
+  try {
+    const tripId = parseInt(req.params.id, 10);
+    const vehicleLayoutId = parseInt(req.body?.vehicle_layout_id, 10);
+
+    if (isNaN(tripId) || isNaN(vehicleLayoutId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid trip ID or vehicle_layout_id'
+      });
+    }
+
+    const seatMap = await assignLayoutToTrip(tripId, vehicleLayoutId, {
+      whatsappSeatNumbers: req.body?.whatsapp_seat_numbers || null
+    });
+
+    if (!seatMap) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trip not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      seat_map: seatMap
+    });
+  } catch (error) {
+    sendSeatLayoutError(res, error, 'Error assigning vehicle layout:');
+  }
+});
+
+/**
+ * PUT /trip/:id/whatsapp-seats - Define the WhatsApp quota as explicit seats
+ * Body: { seat_numbers: [3, 4, 7, 8] }
+ */
+router.put('/:id/whatsapp-seats', async (req, res) => {
+  try {
+    const tripId = parseInt(req.params.id, 10);
+
+    if (isNaN(tripId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid trip ID'
+      });
+    }
+
+    const tripBefore = await tripModel.findById(tripId);
+    const seatMap = await seatMapService.setWhatsAppSeats(tripId, req.body?.seat_numbers);
+
+    if (!seatMap) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trip not found'
+      });
+    }
+    await promoteWaitlistIfQuotaGrew(tripBefore, seatMap.whatsapp_seat_numbers);
+
+    res.status(200).json({
+      success: true,
+      seat_map: seatMap
+    });
+  } catch (error) {
+    sendSeatLayoutError(res, error, 'Error updating WhatsApp seats:');
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,161 @@
+const express = require('express');
+const router = express.Router();
+const tripScheduleModel = require('../models/tripSchedule');
+const tripModel = require('../models/trip');
+const { createSchedule, updateSchedule } = require('../services/inventory/trip_schedule_service');
+
+const SCHEDULE_ERROR_STATUS = Object.freeze({
+  INVALID_TRIP_SCHEDULE: 400,
+  INVALID_WHATSAPP_SEATS: 400,
+  ROUTE_NOT_FOUND: 404,
+  VEHICLE_LAYOUT_NOT_FOUND: 404
+});
+
+function sendScheduleError(res, error, logMessage) {
+  const status = SCHEDULE_ERROR_STATUS[error.code];
+  if (status) {
+    return res.status(status).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+  console.error(logMessage, error);
+  return res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    details: error.message
+  });
+}
+
+/**
+ * GET /trip-schedules - List recurring trip schedules
+ * Query params: route_id, operator_id (optional)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const schedules = await tripScheduleModel.findAll({
+      routeId: req.query.route_id ? parseInt(req.query.route_id, 10) : null,
+      operatorId: req.query.operator_id ? parseInt(req.query.operator_id, 10) : null
+    });
+
+    res.status(200).json({
+      success: true,
+      schedules
+    });
+  } catch (error) {
+    console.error('Error fetching trip schedules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /trip-schedules/:id - Get a schedule with its trips from today onwards
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const scheduleId = parseInt(req.params.id, 10);
+
+    if (isNaN(scheduleId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid schedule ID'
+      });
+    }
+
+    const schedule = await tripScheduleModel.findById(scheduleId);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trip schedule not found'
+      });
+    }
+
+    const trips = await tripModel.findBySchedule(scheduleId, new Date().toISOString().split('T')[0]);
+
+    res.status(200).json({
+      success: true,
+      schedule,
+      trips
+    });
+  } catch (error) {
+    console.error('Error fetching trip schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /trip-schedules - Create a recurring schedule and generate its upcoming trips
+ * Body: { route_id, departure_time, days_of_week, start_date, end_date,
+ *         exception_dates, whatsapp_seat_quota, vehicle_layout_id }
+ *   days_of_week: "daily" (default), "weekdays", "weekends" or e.g. ["MON", "WED", "FRI"]
+ */
+router.post('/', async (req, res) => {
+  try {
+    if (!req.body?.route_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'route_id is required'
+      });
+    }
+
+    const { schedule, created } = await createSchedule(req.body);
+
+    res.status(201).json({
+      success: true,
+      schedule,
+      created_trips: created.length
+    });
+  } catch (error) {
+    sendScheduleError(res, error, 'Error creating trip schedule:');
+  }
+});
+
+/**
+ * PATCH /trip-schedules/:id - Edit a schedule and its future trips
+ * Body: any of { departure_time, days_of_week, start_date, end_date, exception_dates,
+ *                whatsapp_seat_quota, vehicle_layout_id, active }
+ * Future trips that no longer fit are removed unless they have bookings; the new quota
+ * and layout are applied to the rest.
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const scheduleId = parseInt(req.params.id, 10);
+
+    if (isNaN(scheduleId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid schedule ID'
+      });
+    }
+
+    const result = await updateSchedule(scheduleId, req.body || {});
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trip schedule not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      schedule: result.schedule,
+      updated_trips: result.updated,
+      removed_trips: result.removed,
+      kept_trips: result.kept,
+      created_trips: result.created.length
+    });
+  } catch (error) {
+    sendScheduleError(res, error, 'Error updating trip schedule:');
+  }
+});
+
+module.exports = router;
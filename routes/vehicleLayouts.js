@@ -0,0 +1,102 @@
+const express = require('express');
+const router = express.Router();
+const vehicleLayoutModel = require('../models/vehicleLayout');
+const { createVehicleLayout } = require('../services/inventory/vehicle_layout_service');
+
+/**
+ * GET /vehicle-layouts - List vehicle layout templates
+ * Query params: operator_id (optional) - shared layouts plus that operator's own
+ */
+router.get('/', async (req, res) => {
+  try {
+    const operatorId = req.query.operator_id ? parseInt(req.query.operator_id, 10) : null;
+    const layouts = await vehicleLayoutModel.findAll(operatorId);
+
+    res.status(200).json({
+      success: true,
+      layouts
+    });
+  } catch (error) {
+    console.error('Error fetching vehicle layouts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /vehicle-layouts/:id - Get a vehicle layout with its seats
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const layoutId = parseInt(req.params.id, 10);
+
+    if (isNaN(layoutId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid vehicle layout ID'
+      });
+    }
+
+    const layout = await vehicleLayoutModel.findById(layoutId);
+    if (!layout) {
+      return res.status(404).json({
+        success: false,
+        error: 'Vehicle layout not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      layout
+    });
+  } catch (error) {
+    console.error('Error fetching vehicle layout:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /vehicle-layouts - Create a vehicle layout template
+ * Body: { operator_id, name, description, seats: [...] }
+ *   or  { operator_id, name, description, preset: { seat_type, arrangement, seat_count } }
+ *   e.g. preset { seat_type: "sleeper", arrangement: "2+1", seat_count: 36 }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const layout = await createVehicleLayout(req.body || {});
+
+    res.status(201).json({
+      success: true,
+      layout
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_SEAT_LAYOUT') {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({
+        success: false,
+        error: 'A vehicle layout with this name already exists'
+      });
+    }
+    console.error('Error creating vehicle layout:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
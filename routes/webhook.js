@@ -4,15 +4,60 @@ const operatorModel = require('../models/operator');
 const bookingModel = require('../models/booking');
 const routeModel = require('../models/route');
 const tripModel = require('../models/trip');
-const messageLogModel = require('../models/messageLog');
 const operatorTakeoverModel = require('../models/operatorTakeover');
-const whatsappService = require('../services/whatsapp');
-const { parseBookingRequest, getHelpMessage } = require('../services/messageParser');
-const { getDatabase } = require('../database');
+const outboundMessageModel = require('../models/outboundMessage');
+const ticketAttachmentModel = require('../models/ticketAttachment');
+const { getHelpMessage } = require('../services/messageParser');
+const { t, parseLanguageCommand } = require('../services/i18n/translator');
+const {
+  getCustomerLanguage,
+  resolveCustomerLanguage,
+  setCustomerLanguage
+} = require('../services/i18n/customer_language');
+const {
+  routeCustomerMessage,
+  askForDepartureTime,
+  askToChooseRoute,
+  askToChooseSeats,
+  offerAlternatives
+} = require('../services/whatsapp/message_router');
+const {
+  buildOperatorDecisionButtons,
+  parseInteractiveReply,
+  customerReplyToText,
+  parseOperatorDecision,
+  buildTicketBookingList,
+  parseTicketBookingChoice
+} = require('../services/whatsapp/interactive');
+const {
+  parseBookingIdFromCaption,
+  resolveTicketHold
+} = require('../services/whatsapp/ticket_matcher');
+const { archiveTicket } = require('../services/whatsapp/ticket_archive');
+const {
+  parseCustomerCommand,
+  handleCustomerCommand
+} = require('../services/whatsapp/customer_commands');
+const { recordCustomerInbound } = require('../services/whatsapp/customer_notifier');
+const { handleStatusUpdate } = require('../services/whatsapp/delivery_status');
+const {
+  queueText,
+  queueReplyButtons,
+  queueListMessage,
+  queueCustomerNotification
+} = require('../services/whatsapp/outbox');
+const { isTimeInWindow } = require('../services/dateTimeResolver');
+const { findRouteByCities } = require('../services/routeLookup');
 const { createClient } = require('redis');
 const { InventoryLockService } = require('../services/redis/InventoryLockService');
 const { getLockKeysForBooking, releaseLockKeys } = require('../services/inventoryLocking');
 const { acquireSeatLocks } = require('../services/inventory/seat_allocation_service');
+const seatMapService = require('../services/inventory/seat_map_service');
+const { offerWaitlist } = require('../services/inventory/waitlist_service');
+const { rejectHold } = require('../services/booking/booking_cancellation_service');
+const { findAlternativeTrips } = require('../services/inventory/trip_alternatives_service');
+const { quoteFare } = require('../services/inventory/fare_service');
+const { offerPaymentLink } = require('../services/payment/payment_links');
 const { withIdempotency } = require('../services/idempotency/with_idempotency');
 const { RetryLaterError } = require('../services/idempotency/retry_later_error');
 const { verifyWhatsAppWebhook } = require('../services/security/webhook_security');
@@ -49,29 +94,20 @@ async function isTakeoverActiveForCustomer(phoneNumber) {
 }
 
 /**
- * Find route by source and destination (case-insensitive partial match)
- * @param {string} source - Source city
- * @param {string} destination - Destination city
- * @returns {Promise<Object|null>} Route object or null
+ * Send a conversation reply, with reply buttons or a list picker when provided
+ * @param {string} phoneNumber - Customer phone number
+ * @param {string} text - Message text
+ * @param {Object|null} interactive - { buttons } or { list: { button, sections } }
+ * @returns {Promise<Object>} Outbound message row
  */
-async function findRouteByCities(source, destination) {
-  const db = await getDatabase();
-  
-  return new Promise((resolve, reject) => {
-    db.get(
-      `SELECT * FROM routes 
-       WHERE UPPER(source) LIKE UPPER(?) AND UPPER(destination) LIKE UPPER(?)
-       ORDER BY id ASC LIMIT 1`,
-      [`%${source}%`, `%${destination}%`],
-      (err, row) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-        resolve(row || null);
-      }
-    );
-  });
+async function sendCustomerReply(phoneNumber, text, interactive = null) {
+  if (interactive?.buttons) {
+    return queueReplyButtons(phoneNumber, text, interactive.buttons);
+  }
+  if (interactive?.list) {
+    return queueListMessage(phoneNumber, text, interactive.list.button, interactive.list.sections);
+  }
+  return queueText(phoneNumber, text);
 }
 
 /**
@@ -175,11 +211,17 @@ router.post('/whatsapp/webhook', async (req, res) => {
             await handleOperatorMessage(normalizedFrom, message, messageType);
           } else {
             console.log(`Identified as customer: ${normalizedFrom}`);
+            // Any inbound message reopens the 24-hour free-form session window.
+            await recordCustomerInbound(normalizedFrom, message);
             // Customer message handling
+            const interactiveText = customerReplyToText(parseInteractiveReply(message));
             if (messageType === 'text') {
               const messageText = message.text?.body || '';
               console.log(`Customer message text: "${messageText}"`);
               await handleCustomerMessage(normalizedFrom, messageText);
+            } else if (interactiveText) {
+              console.log(`Customer ${normalizedFrom} tapped "${interactiveText}"`);
+              await handleCustomerMessage(normalizedFrom, interactiveText);
             } else {
               console.log(`Customer ${normalizedFrom} sent non-text message (${messageType}), ignoring`);
             }
@@ -189,10 +231,8 @@ router.post('/whatsapp/webhook', async (req, res) => {
           console.error('Stack trace:', handlerError.stack);
           // Try to send error notification to user
           try {
-            await whatsappService.sendMessage(
-              normalizedFrom,
-              'Sorry, there was an error processing your message. Please try again later.'
-            );
+            const language = await getCustomerLanguage(normalizedFrom);
+            await queueText(normalizedFrom, t(language, 'generic_error'));
           } catch (notifyError) {
             console.error('Failed to send error notification:', notifyError.message);
           }
@@ -217,6 +257,18 @@ router.post('/whatsapp/webhook', async (req, res) => {
         }
         console.error('Idempotency wrapper error:', error);
       }
+    } else if (change.value && Array.isArray(change.value.statuses) && change.value.statuses.length) {
+      // Delivery receipts for messages we sent (sent/delivered/read/failed)
+      for (const status of change.value.statuses) {
+        try {
+          const result = await handleStatusUpdate(status);
+          if (result.updated) {
+            console.log(`Message ${status.id} is now ${status.status} (log ${result.log.id})`);
+          }
+        } catch (statusError) {
+          console.error(`Failed to record status for message ${status.id}:`, statusError.message);
+        }
+      }
     } else {
       console.log('No messages in webhook payload');
       console.log('Change value:', JSON.stringify(change.value, null, 2));
@@ -252,6 +304,44 @@ router.post('/whatsapp/webhook', async (req, res) => {
   }
 });
 
+/**
+ * Record a waitlist offer for a trip that cannot take the request
+ * @returns {Promise<string>} Hint to append to the reply, empty when the offer could not be saved
+ */
+async function offerWaitlistOnFullTrip(phoneNumber, trip, seatCount, language) {
+  try {
+    await offerWaitlist({ tripId: trip.id, phoneNumber, seatCount, language });
+    return `\n\n${t(language, 'waitlist_offer', { seats: seatCount })}`;
+  } catch (error) {
+    console.error('Failed to offer waitlist:', error.message);
+    return '';
+  }
+}
+
+/**
+ * Offer other trips for a request that cannot be served as asked
+ * @param {Object|null} trip - The requested trip, when it exists
+ * @returns {Promise<string>} Numbered alternatives to append to the reply, empty when there are none
+ */
+async function offerAlternativeTrips(phoneNumber, bookingRequest, route, trip, language) {
+  try {
+    const alternatives = await findAlternativeTrips({
+      route,
+      date: bookingRequest.date,
+      time: bookingRequest.time || bookingRequest.time_window?.from || null,
+      seats: bookingRequest.seats,
+      excludeTripId: trip ? trip.id : null
+    });
+    if (alternatives.length === 0) {
+      return '';
+    }
+    return `\n\n${await offerAlternatives(phoneNumber, bookingRequest, alternatives, language)}`;
+  } catch (error) {
+    console.error('Failed to find alternative trips:', error.message);
+    return '';
+  }
+}
+
 /**
  * Handle customer messages
  * @param {string} phoneNumber - Customer phone number
@@ -265,14 +355,23 @@ async function handleCustomerMessage(phoneNumber, messageText) {
     console.log(`[handleCustomerMessage] Takeover active for ${phoneNumber}; skipping auto-reply.`);
     return;
   }
+
+  const requestedLanguage = parseLanguageCommand(messageText);
+  if (requestedLanguage) {
+    await setCustomerLanguage(phoneNumber, requestedLanguage);
+    await queueText(phoneNumber, t(requestedLanguage, 'language_set'));
+    return;
+  }
+
+  const language = await resolveCustomerLanguage(phoneNumber, messageText);
   
   // Check for help request
   if (upperText === 'HELP' || upperText === '?' || upperText.startsWith('HOW')) {
     console.log(`[handleCustomerMessage] Help request detected from ${phoneNumber}`);
     try {
-      const helpMsg = getHelpMessage();
+      const helpMsg = getHelpMessage(language);
       console.log(`[handleCustomerMessage] Sending help message to ${phoneNumber}`);
-      await whatsappService.sendMessage(phoneNumber, helpMsg);
+      await queueText(phoneNumber, helpMsg);
       console.log(`[handleCustomerMessage] Help message sent successfully to ${phoneNumber}`);
     } catch (error) {
       console.error(`[handleCustomerMessage] Failed to send help message to ${phoneNumber}:`, error.message);
@@ -282,16 +381,37 @@ async function handleCustomerMessage(phoneNumber, messageText) {
     return;
   }
 
-  // Parse booking request
+  // Self-service commands: MY BOOKINGS, STATUS [id], CANCEL <id>, WAITLIST
+  const command = parseCustomerCommand(messageText);
+  if (command) {
+    console.log(`[handleCustomerMessage] ${command.command} command from ${phoneNumber}`);
+    const reply = await handleCustomerCommand(phoneNumber, command, { language });
+    await queueText(phoneNumber, reply);
+    return;
+  }
+
+  // Parse booking request (either a complete message or the next step of the conversation)
   console.log(`[handleCustomerMessage] Parsing booking request from ${phoneNumber}`);
-  const bookingRequest = parseBookingRequest(messageText);
+  const routed = await routeCustomerMessage(phoneNumber, messageText, { language });
+
+  if (routed.reply) {
+    try {
+      await sendCustomerReply(phoneNumber, routed.reply, routed.interactive);
+    } catch (error) {
+      console.error(`[handleCustomerMessage] Failed to send conversation reply to ${phoneNumber}:`, error.message);
+      throw error;
+    }
+    return;
+  }
+
+  const bookingRequest = routed.bookingRequest;
   
   if (!bookingRequest) {
     console.log(`[handleCustomerMessage] Could not parse booking request from ${phoneNumber}`);
     try {
-      const errorMsg = `I couldn't understand your booking request. Please use this format:\n\n${getHelpMessage()}`;
+      const errorMsg = t(language, 'parse_error', { help: getHelpMessage(language) });
       console.log(`[handleCustomerMessage] Sending parse error message to ${phoneNumber}`);
-      await whatsappService.sendMessage(phoneNumber, errorMsg);
+      await queueText(phoneNumber, errorMsg);
       console.log(`[handleCustomerMessage] Parse error message sent successfully to ${phoneNumber}`);
     } catch (error) {
       console.error(`[handleCustomerMessage] Failed to send error message to ${phoneNumber}:`, error.message);
@@ -305,12 +425,10 @@ async function handleCustomerMessage(phoneNumber, messageText) {
 
   // Validate parsed data
   if (!bookingRequest.source || !bookingRequest.destination || 
-      !bookingRequest.date || !bookingRequest.time || !bookingRequest.seats) {
+      !bookingRequest.date || !(bookingRequest.time || bookingRequest.time_window) ||
+      !bookingRequest.seats) {
     try {
-      await whatsappService.sendMessage(
-        phoneNumber,
-        'Please provide all details: source, destination, date, time, and number of seats.'
-      );
+      await queueText(phoneNumber, t(language, 'missing_details'));
     } catch (error) {
       console.error('Failed to send validation error:', error.message);
     }
@@ -319,41 +437,80 @@ async function handleCustomerMessage(phoneNumber, messageText) {
 
   if (bookingRequest.seats < 1) {
     try {
-      await whatsappService.sendMessage(phoneNumber, 'Please request at least 1 seat.');
+      await queueText(phoneNumber, t(language, 'min_seats'));
     } catch (error) {
       console.error('Failed to send validation error:', error.message);
     }
     return;
   }
 
-  // Find matching route
-  const route = await findRouteByCities(bookingRequest.source, bookingRequest.destination);
-  
+  // Find matching route (a chosen alternative names its route)
+  const { route, suggestions } = bookingRequest.route_id
+    ? { route: await routeModel.findById(bookingRequest.route_id), suggestions: [] }
+    : await findRouteByCities(bookingRequest.source, bookingRequest.destination);
+
+  if (!route && suggestions.length > 0) {
+    try {
+      const reply = await askToChooseRoute(phoneNumber, bookingRequest, suggestions, language);
+      await queueText(phoneNumber, reply);
+    } catch (error) {
+      console.error('Failed to send route suggestions:', error.message);
+    }
+    return;
+  }
+
   if (!route) {
     try {
-      await whatsappService.sendMessage(
-        phoneNumber,
-        `Sorry, no route found from ${bookingRequest.source} to ${bookingRequest.destination}. Please check and try again.`
-      );
+      await queueText(phoneNumber, t(language, 'no_route', {
+        source: bookingRequest.source,
+        destination: bookingRequest.destination
+      }));
     } catch (error) {
       console.error('Failed to send route error:', error.message);
     }
     return;
   }
 
-  // Find matching trip
-  const trip = await tripModel.findByRouteDateTime(
-    route.id,
-    bookingRequest.date,
-    bookingRequest.time
-  );
+  // Find matching trip (a time window such as "evening" may match several departures)
+  let trip = null;
+  if (bookingRequest.time) {
+    trip = await tripModel.findByRouteDateTime(
+      route.id,
+      bookingRequest.date,
+      bookingRequest.time
+    );
+  } else {
+    const windowTrips = (await tripModel.findByRouteDate(route.id, bookingRequest.date))
+      .filter((candidate) => isTimeInWindow(candidate.departure_time, bookingRequest.time_window));
+    if (windowTrips.length > 1) {
+      try {
+        const { reply, interactive } = await askForDepartureTime(
+          phoneNumber,
+          bookingRequest,
+          windowTrips.map((candidate) => candidate.departure_time),
+          language
+        );
+        await sendCustomerReply(phoneNumber, reply, interactive);
+      } catch (error) {
+        console.error('Failed to send departure choice:', error.message);
+      }
+      return;
+    }
+    trip = windowTrips[0] || null;
+  }
 
   if (!trip) {
+    const noTripMessage = bookingRequest.time
+      ? t(language, 'no_trip_at', { date: bookingRequest.date, time: bookingRequest.time })
+      : t(language, 'no_trip_window', {
+        date: bookingRequest.date,
+        window: t(language, `window_${bookingRequest.time_window.label}`),
+        from: bookingRequest.time_window.from,
+        to: bookingRequest.time_window.to
+      });
     try {
-      await whatsappService.sendMessage(
-        phoneNumber,
-        `Sorry, no trip found for ${bookingRequest.date} at ${bookingRequest.time}. Please check the date and time.`
-      );
+      const alternativesText = await offerAlternativeTrips(phoneNumber, bookingRequest, route, null, language);
+      await queueText(phoneNumber, noTripMessage + alternativesText);
     } catch (error) {
       console.error('Failed to send trip error:', error.message);
     }
@@ -365,9 +522,11 @@ async function handleCustomerMessage(phoneNumber, messageText) {
   
   if (availableSeats < bookingRequest.seats) {
     try {
-      await whatsappService.sendMessage(
+      const alternativesText = await offerAlternativeTrips(phoneNumber, bookingRequest, route, trip, language);
+      const waitlistHint = await offerWaitlistOnFullTrip(phoneNumber, trip, bookingRequest.seats, language);
+      await queueText(
         phoneNumber,
-        `Sorry, only ${availableSeats} seat(s) available for this trip. Please request fewer seats or try another trip.`
+        t(language, 'seats_limited', { available: availableSeats }) + alternativesText + waitlistHint
       );
     } catch (error) {
       console.error('Failed to send availability error:', error.message);
@@ -375,6 +534,26 @@ async function handleCustomerMessage(phoneNumber, messageText) {
     return;
   }
 
+  // Seats picked from the seat map must still be free
+  let preferredSeats = null;
+  if (Array.isArray(bookingRequest.seat_labels) && bookingRequest.seat_labels.length > 0) {
+    const seatMap = await seatMapService.getSeatMap(trip.id);
+    const { seatNumbers, unknown, unavailable } = seatMapService.resolveSeatLabels(
+      seatMap,
+      bookingRequest.seat_labels
+    );
+    if (unknown.length > 0 || unavailable.length > 0) {
+      try {
+        const reply = await askToChooseSeats(phoneNumber, bookingRequest, trip, [...unknown, ...unavailable], language);
+        await queueText(phoneNumber, reply);
+      } catch (error) {
+        console.error('Failed to send seat choice:', error.message);
+      }
+      return;
+    }
+    preferredSeats = seatNumbers;
+  }
+
   // Create HOLD booking
   try {
     const holdExpiresAt = new Date(Date.now() + HOLD_DURATION_MINUTES * 60 * 1000);
@@ -397,12 +576,32 @@ async function handleCustomerMessage(phoneNumber, messageText) {
         trip,
         seatCount: bookingRequest.seats,
         sessionId,
-        ttlSeconds
+        ttlSeconds,
+        preferredSeats
       });
 
+      if (!lockPayload.acquired && preferredSeats) {
+        try {
+          const seatMap = await seatMapService.getSeatMap(trip.id);
+          const takenLabels = seatMap.seats
+            .filter((seat) => lockPayload.unavailable.includes(seat.seat_number))
+            .map((seat) => seat.label);
+          const reply = await askToChooseSeats(phoneNumber, bookingRequest, trip, takenLabels, language);
+          await queueText(phoneNumber, reply);
+        } catch (error) {
+          console.error('Failed to send seat choice:', error.message);
+        }
+        return;
+      }
+
       if (!lockPayload.acquired) {
         try {
-          await whatsappService.sendMessage(phoneNumber, 'Seats unavailable');
+          const alternativesText = await offerAlternativeTrips(phoneNumber, bookingRequest, route, trip, language);
+          const waitlistHint = await offerWaitlistOnFullTrip(phoneNumber, trip, bookingRequest.seats, language);
+          await queueText(
+            phoneNumber,
+            t(language, 'seats_unavailable') + alternativesText + waitlistHint
+          );
         } catch (error) {
           console.error('Failed to send lock failure message:', error.message);
         }
@@ -410,6 +609,7 @@ async function handleCustomerMessage(phoneNumber, messageText) {
       }
 
       try {
+        const fare = await quoteFare(trip, lockPayload.seatNumbers);
         booking = await bookingModel.create({
           customer_phone: phoneNumber,
           trip_id: trip.id,
@@ -418,7 +618,10 @@ async function handleCustomerMessage(phoneNumber, messageText) {
           hold_expires_at: holdExpiresAt.toISOString(),
           seat_numbers: lockPayload.seatNumbers,
           lock_keys: lockPayload.lockKeys,
-          lock_key: lockPayload.lockKeys[0]
+          lock_key: lockPayload.lockKeys[0],
+          lock_session_id: sessionId,
+          fare_amount: fare.fare_amount,
+          fare_details: fare.seats
         });
       } catch (error) {
         await releaseLockKeys(lockService, lockPayload.lockKeys, {
@@ -440,25 +643,20 @@ async function handleCustomerMessage(phoneNumber, messageText) {
 
     // Notify customer
     try {
-      const customerMessage = `✅ Seats available! Your booking request has been received.\n\n` +
-        `Booking ID: ${booking.id}\n` +
-        `Route: ${route.source} → ${route.destination}\n` +
-        `Date: ${bookingRequest.date}\n` +
-        `Time: ${bookingRequest.time}\n` +
-        `Seats: ${bookingRequest.seats}\n` +
-        `Price: ₹${route.price * bookingRequest.seats}\n\n` +
-        `Your seats are on hold for ${HOLD_DURATION_MINUTES} minutes. ` +
-        `The operator will contact you shortly to confirm.`;
-
-      await whatsappService.sendMessage(phoneNumber, customerMessage);
-      
-      await messageLogModel.create({
+      await queueCustomerNotification(phoneNumber, 'hold_notification', {
         booking_id: booking.id,
-        type: 'hold_notification'
-      });
+        source: route.source,
+        destination: route.destination,
+        date: bookingRequest.date,
+        time: trip.departure_time,
+        seats: bookingRequest.seats,
+        price: booking.fare_amount,
+        hold_minutes: HOLD_DURATION_MINUTES
+      }, { language, bookingId: booking.id, logType: 'hold_notification' });
     } catch (whatsappError) {
       console.warn('Failed to notify customer:', whatsappError.message);
     }
+    await offerPaymentLink(booking);
 
     // Notify operator
     if (operator) {
@@ -468,18 +666,20 @@ async function handleCustomerMessage(phoneNumber, messageText) {
           `Customer: ${phoneNumber}\n` +
           `Route: ${route.source} → ${route.destination}\n` +
           `Date: ${bookingRequest.date}\n` +
-          `Time: ${bookingRequest.time}\n` +
-          `Seats: ${bookingRequest.seats}\n` +
-          `Price: ₹${route.price * bookingRequest.seats}\n\n` +
+          `Time: ${trip.departure_time}\n` +
+          `Seats: ${bookingRequest.seats}` +
+          `${preferredSeats ? ` (${bookingRequest.seat_labels.join(', ')})` : ''}\n` +
+          `Price: ₹${booking.fare_amount}\n\n` +
           `⚠️ Hold expires in ${HOLD_DURATION_MINUTES} minutes\n\n` +
+          `Tap YES to accept or NO to reject. ` +
           `Please contact the customer and send the ticket to confirm the booking.`;
 
-        await whatsappService.sendMessage(operator.phone_number, operatorMessage);
-        
-        await messageLogModel.create({
-          booking_id: booking.id,
-          type: 'operator_notification'
-        });
+        await queueReplyButtons(
+          operator.phone_number,
+          operatorMessage,
+          buildOperatorDecisionButtons(booking.id),
+          { bookingId: booking.id, logType: 'operator_notification' }
+        );
       } catch (whatsappError) {
         console.warn('Failed to notify operator:', whatsappError.message);
       }
@@ -488,10 +688,7 @@ async function handleCustomerMessage(phoneNumber, messageText) {
     console.error('Error creating booking hold:', error);
     metrics.increment('booking_failures', 1, { source: 'whatsapp' });
     try {
-      await whatsappService.sendMessage(
-        phoneNumber,
-        'Sorry, there was an error processing your booking request. Please try again later.'
-      );
+      await queueText(phoneNumber, t(language, 'booking_error'));
     } catch (notifyError) {
       console.error('Failed to notify customer of error:', notifyError);
     }
@@ -506,6 +703,9 @@ async function handleCustomerMessage(phoneNumber, messageText) {
  */
 async function handleOperatorMessage(phoneNumber, message, messageType) {
   console.log(`[handleOperatorMessage] Processing ${messageType} message from operator ${phoneNumber}`);
+  const interactiveReply = parseInteractiveReply(message);
+  const operatorDecision = parseOperatorDecision(interactiveReply);
+  const ticketChoice = parseTicketBookingChoice(interactiveReply);
   
   // Check if operator sent a ticket (image or document)
   if (messageType === 'image' || messageType === 'document') {
@@ -517,135 +717,31 @@ async function handleOperatorMessage(phoneNumber, message, messageType) {
       return;
     }
 
-    // Find active holds for this operator's trips
-    // For now, we'll find the most recent active hold
-    const db = await getDatabase();
-    
-    // Get operator's routes
     const operator = await operatorModel.findByPhone(phoneNumber);
     if (!operator) {
       console.log('Operator not found');
       return;
     }
 
-    // Find most recent active hold
-    const activeHold = await new Promise((resolve, reject) => {
-      db.get(
-        `SELECT b.*, t.journey_date, t.departure_time, r.source, r.destination, r.operator_id
-         FROM bookings b
-         JOIN trips t ON b.trip_id = t.id
-         JOIN routes r ON t.route_id = r.id
-         WHERE r.operator_id = ? AND b.status = 'hold' AND b.hold_expires_at > datetime('now')
-         ORDER BY b.created_at DESC LIMIT 1`,
-        [operator.id],
-        (err, row) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-          resolve(row || null);
-        }
-      );
+    const holds = await bookingModel.findActiveHoldsByOperator(operator.id);
+    const caption = message.image?.caption || message.document?.caption || '';
+    const match = resolveTicketHold({
+      holds,
+      captionBookingId: parseBookingIdFromCaption(caption),
+      replyBookingId: await findRepliedBookingId(message.context?.id)
     });
 
-    if (!activeHold) {
-      try {
-        await whatsappService.sendMessage(
-          phoneNumber,
-          'No active booking holds found. Please send the ticket for an active booking request.'
-        );
-      } catch (error) {
-        console.error('Failed to notify operator:', error.message);
-      }
+    if (match.hold) {
+      console.log(`Ticket ${mediaId} matched to booking ${match.hold.id} by ${match.matchedBy}`);
+      await confirmHoldWithTicket(phoneNumber, match.hold, mediaId, mediaType);
       return;
     }
 
-    // Confirm booking with ticket
-    try {
-      const lockKeys = getLockKeysForBooking(activeHold);
-      const redisClient = createClient({ url: REDIS_URL });
-      await redisClient.connect();
-      const lockService = new InventoryLockService(redisClient);
-
-      let confirmedBooking = null;
-      try {
-        confirmedBooking = await bookingModel.confirmWithTicket(activeHold.id, mediaId, {
-          releaseInventoryLock: async () =>
-            releaseLockKeys(lockService, lockKeys, {
-              bookingId: activeHold.id,
-              reason: 'confirm'
-            })
-        });
-      } finally {
-        try {
-          await redisClient.quit();
-        } catch (error) {
-          redisClient.disconnect();
-        }
-      }
-      
-      if (!confirmedBooking) {
-        throw new Error('Failed to confirm booking');
-      }
-
-      // Store ticket attachment
-      await new Promise((resolve, reject) => {
-        db.run(
-          `INSERT INTO ticket_attachments (booking_id, media_id, media_type)
-           VALUES (?, ?, ?)`,
-          [activeHold.id, mediaId, mediaType],
-          function (err) {
-            if (err) {
-              reject(err);
-              return;
-            }
-            resolve();
-          }
-        );
-      });
-
-      console.log(`Booking ${activeHold.id} confirmed with ticket (media ID: ${mediaId})`);
-
-      // Notify customer
-      try {
-        const customerMessage = `🎉 Your booking has been confirmed!\n\n` +
-          `Booking ID: ${activeHold.id}\n` +
-          `Route: ${activeHold.source} → ${activeHold.destination}\n` +
-          `Date: ${activeHold.journey_date}\n` +
-          `Time: ${activeHold.departure_time}\n` +
-          `Seats: ${activeHold.seat_count}\n\n` +
-          `Thank you for choosing us!`;
-
-        await whatsappService.sendMessage(activeHold.customer_phone, customerMessage);
-        
-        await messageLogModel.create({
-          booking_id: activeHold.id,
-          type: 'confirmation'
-        });
-      } catch (whatsappError) {
-        console.warn('Failed to notify customer of confirmation:', whatsappError.message);
-      }
-
-      // Notify operator
-      try {
-        await whatsappService.sendMessage(
-          phoneNumber,
-          `✅ Booking ${activeHold.id} has been confirmed and customer has been notified.`
-        );
-      } catch (whatsappError) {
-        console.warn('Failed to notify operator:', whatsappError.message);
-      }
-    } catch (error) {
-      console.error('Error confirming booking with ticket:', error);
-      try {
-        await whatsappService.sendMessage(
-          phoneNumber,
-          'Sorry, there was an error confirming the booking. Please try again.'
-        );
-      } catch (notifyError) {
-        console.error('Failed to notify operator of error:', notifyError);
-      }
-    }
+    await replyToUnmatchedTicket(phoneNumber, match, { mediaId, mediaType });
+  } else if (ticketChoice) {
+    await handleTicketBookingChoice(phoneNumber, ticketChoice);
+  } else if (operatorDecision) {
+    await handleOperatorDecision(phoneNumber, operatorDecision);
   } else if (messageType === 'text') {
     // Operator sent text - send acknowledgment
     const messageText = message.text?.body || '';
@@ -654,7 +750,7 @@ async function handleOperatorMessage(phoneNumber, message, messageType) {
     
     try {
       console.log(`[handleOperatorMessage] Sending acknowledgment to operator ${phoneNumber}`);
-      const result = await whatsappService.sendMessage(
+      const result = await queueText(
         phoneNumber,
         '✅ Message received. Your message has been acknowledged.'
       );
@@ -669,7 +765,7 @@ async function handleOperatorMessage(phoneNumber, message, messageType) {
     console.log(`Operator ${phoneNumber} sent ${messageType} message`);
     
     try {
-      await whatsappService.sendMessage(
+      await queueText(
         phoneNumber,
         '✅ Message received. Your message has been acknowledged.'
       );
@@ -679,4 +775,227 @@ async function handleOperatorMessage(phoneNumber, message, messageType) {
   }
 }
 
+/**
+ * Booking the operator's message was a reply to, via the wamid of our
+ * notification (message.context.id)
+ * @param {string|undefined} contextMessageId - wamid of the replied-to message
+ * @returns {Promise<number|null>} Booking ID or null
+ */
+async function findRepliedBookingId(contextMessageId) {
+  if (!contextMessageId) return null;
+  const repliedTo = await outboundMessageModel.findByProviderMessageId(contextMessageId);
+  return repliedTo?.booking_id || null;
+}
+
+/**
+ * Tell the operator why a ticket was not attached and, when several holds
+ * could match, ask which one it is for
+ * @param {string} phoneNumber - Operator phone number
+ * @param {Object} match - Result of resolveTicketHold
+ * @param {Object} media - { mediaId, mediaType }
+ */
+async function replyToUnmatchedTicket(phoneNumber, match, media) {
+  try {
+    if (match.reason === 'ambiguous') {
+      const list = buildTicketBookingList(match.candidates, media);
+      await queueListMessage(
+        phoneNumber,
+        `You have ${match.candidates.length} active holds. Which booking is this ticket for? ` +
+          `You can also resend it with the booking ID in the caption, e.g. #${match.candidates[0].id}.`,
+        list.button,
+        list.sections
+      );
+    } else if (match.reason === 'not_active') {
+      await queueText(
+        phoneNumber,
+        `Booking ${match.bookingId} is not an active hold on your routes. The ticket was not attached.`
+      );
+    } else {
+      await queueText(
+        phoneNumber,
+        'No active booking holds found. Please send the ticket for an active booking request.'
+      );
+    }
+  } catch (error) {
+    console.error('Failed to notify operator:', error.message);
+  }
+}
+
+/**
+ * Attach a ticket after the operator picked its booking from the list
+ * @param {string} phoneNumber - Operator phone number
+ * @param {Object} choice - { bookingId, mediaType, mediaId }
+ */
+async function handleTicketBookingChoice(phoneNumber, { bookingId, mediaType, mediaId }) {
+  const operator = await operatorModel.findByPhone(phoneNumber);
+  if (!operator) {
+    console.log('Operator not found');
+    return;
+  }
+
+  const holds = await bookingModel.findActiveHoldsByOperator(operator.id);
+  const match = resolveTicketHold({ holds, captionBookingId: bookingId });
+  if (!match.hold) {
+    await replyToUnmatchedTicket(phoneNumber, match, { mediaId, mediaType });
+    return;
+  }
+
+  console.log(`Ticket ${mediaId} matched to booking ${bookingId} by operator choice`);
+  await confirmHoldWithTicket(phoneNumber, match.hold, mediaId, mediaType);
+}
+
+/**
+ * Confirm a hold with the operator's ticket and notify both sides
+ * @param {string} phoneNumber - Operator phone number
+ * @param {Object} hold - Active hold (with trip and route details)
+ * @param {string} mediaId - WhatsApp media ID of the ticket
+ * @param {string} mediaType - 'image' or 'document'
+ */
+async function confirmHoldWithTicket(phoneNumber, hold, mediaId, mediaType) {
+  try {
+    const lockKeys = getLockKeysForBooking(hold);
+    const redisClient = createClient({ url: REDIS_URL });
+    await redisClient.connect();
+    const lockService = new InventoryLockService(redisClient);
+
+    let confirmedBooking = null;
+    try {
+      confirmedBooking = await bookingModel.confirmWithTicket(hold.id, mediaId, {
+        releaseInventoryLock: async () =>
+          releaseLockKeys(lockService, lockKeys, {
+            bookingId: hold.id,
+            reason: 'confirm'
+          })
+      });
+    } finally {
+      try {
+        await redisClient.quit();
+      } catch (error) {
+        redisClient.disconnect();
+      }
+    }
+    
+    if (!confirmedBooking) {
+      throw new Error('Failed to confirm booking');
+    }
+
+    // Store ticket attachment
+    const attachment = await ticketAttachmentModel.create({
+      booking_id: hold.id,
+      media_id: mediaId,
+      media_type: mediaType
+    });
+
+    console.log(`Booking ${hold.id} confirmed with ticket (media ID: ${mediaId})`);
+
+    // Notify customer
+    try {
+      await queueCustomerNotification(hold.customer_phone, 'ticket_confirmed', {
+        booking_id: hold.id,
+        source: hold.source,
+        destination: hold.destination,
+        date: hold.journey_date,
+        time: hold.departure_time,
+        seats: hold.seat_count
+      }, { bookingId: hold.id, logType: 'confirmation' });
+    } catch (whatsappError) {
+      console.warn('Failed to notify customer of confirmation:', whatsappError.message);
+    }
+
+    // Notify operator
+    try {
+      await queueText(
+        phoneNumber,
+        `✅ Booking ${hold.id} has been confirmed and customer has been notified.`,
+        { bookingId: hold.id }
+      );
+    } catch (whatsappError) {
+      console.warn('Failed to notify operator:', whatsappError.message);
+    }
+
+    // Keep our own copy; the media ID stops working after a few weeks.
+    // A failed download is retried by archivePendingTickets.
+    try {
+      await archiveTicket(attachment);
+    } catch (archiveError) {
+      console.warn(`Failed to archive ticket for booking ${hold.id}:`, archiveError.message);
+    }
+  } catch (error) {
+    console.error('Error confirming booking with ticket:', error);
+    try {
+      await queueText(
+        phoneNumber,
+        'Sorry, there was an error confirming the booking. Please try again.',
+        { bookingId: hold.id }
+      );
+    } catch (notifyError) {
+      console.error('Failed to notify operator of error:', notifyError);
+    }
+  }
+}
+
+/**
+ * Handle the operator tapping YES/NO on a "New Booking Request" notification.
+ * YES only acknowledges the request: the booking is still confirmed by the ticket.
+ * NO rejects the hold, releases its seats and tells the customer.
+ * @param {string} phoneNumber - Operator phone number
+ * @param {Object} decision - { decision: 'accept'|'reject', bookingId }
+ */
+async function handleOperatorDecision(phoneNumber, { decision, bookingId }) {
+  console.log(`[handleOperatorDecision] Operator ${phoneNumber} chose ${decision} for booking ${bookingId}`);
+
+  const operator = await operatorModel.findByPhone(phoneNumber);
+  const booking = await bookingModel.findById(bookingId);
+  const trip = booking ? await tripModel.findById(booking.trip_id) : null;
+
+  if (!operator || !booking || !trip || String(trip.operator_id) !== String(operator.id)) {
+    await queueText(phoneNumber, `Booking ${bookingId} was not found.`);
+    return;
+  }
+
+  if (bookingModel.normalizeStatus(booking.status) !== 'hold') {
+    await queueText(
+      phoneNumber,
+      `Booking ${bookingId} is no longer on hold (current status: ${booking.status}).`,
+      { bookingId: booking.id }
+    );
+    return;
+  }
+
+  if (decision === 'accept') {
+    await queueText(
+      phoneNumber,
+      `👍 Booking ${bookingId} accepted. Send the ticket to confirm it.`,
+      { bookingId: booking.id }
+    );
+    return;
+  }
+
+  const redisHandle = await getRedisClient();
+  try {
+    await rejectHold(booking, { lockService: new InventoryLockService(redisHandle.client) });
+  } finally {
+    await redisHandle.close();
+  }
+
+  console.log(`Booking ${booking.id} rejected by operator ${phoneNumber}`);
+
+  try {
+    await queueCustomerNotification(booking.customer_phone, 'booking_rejected', {
+      booking_id: booking.id,
+      source: booking.source,
+      destination: booking.destination,
+      date: booking.journey_date
+    }, { bookingId: booking.id, logType: 'rejection' });
+  } catch (whatsappError) {
+    console.warn('Failed to notify customer of rejection:', whatsappError.message);
+  }
+
+  await queueText(
+    phoneNumber,
+    `Booking ${booking.id} has been rejected and customer has been notified.`,
+    { bookingId: booking.id }
+  );
+}
+
 module.exports = router;
@@ -16,10 +16,15 @@ const routesRoutes = require('./routes/routes');
 const operatorRoutes = require('./routes/operator');
 const operatorDashboardRoutes = require('./routes/operator/dashboard');
 const inventoryRoutes = require('./routes/inventory');
+const vehicleLayoutRoutes = require('./routes/vehicleLayouts');
+const tripScheduleRoutes = require('./routes/tripSchedules');
+const quotaRuleRoutes = require('./routes/quotaRules');
+const fareRuleRoutes = require('./routes/fareRules');
 
 const paymentWebhookHandler = require(
   './services/payment/payment_webhook_handler'
 );
+const { razorpayWebhookHandler } = require('./services/payment/razorpay_webhook');
 const { withContext, buildRequestContext, buildRequestId } = require('./services/observability/request_context');
 const { createLogger } = require('./services/observability/logger');
 const metrics = require('./services/observability/metrics');
@@ -28,6 +33,11 @@ const { RetryableError } = require('./services/errors');
 
 const { sendReminders } = require('./services/reminder');
 const { expireHolds } = require('./services/holdExpiration');
+const { processOutbox } = require('./services/whatsapp/outbox');
+const { archivePendingTickets } = require('./services/whatsapp/ticket_archive');
+const { generateScheduledTrips } = require('./services/inventory/trip_schedule_service');
+const { evaluateQuotaRules } = require('./services/inventory/quota_rule_service');
+const { syncPendingRefunds } = require('./services/payment/refunds');
 
 const app = express();
 const logger = createLogger({ source: 'http' });
@@ -65,11 +75,11 @@ app.use((req, res, next) => {
  * This MUST come before express.json()
  */
 app.use(
-  '/webhooks/payment',
+  ['/webhooks/payment', '/webhooks/razorpay'],
   express.raw({ type: 'application/json' })
 );
 
-app.use('/webhooks/payment', (req, res, next) => {
+app.use(['/webhooks/payment', '/webhooks/razorpay'], (req, res, next) => {
   try {
     rateLimit({
       scope: 'payment_webhook',
@@ -90,6 +100,8 @@ app.use('/webhooks/payment', (req, res, next) => {
 console.log("Registering payment webhook route");
 
 app.post('/webhooks/payment', paymentWebhookHandler);
+// Razorpay's own payment_link.paid / payment.failed events, signed with RAZORPAY_WEBHOOK_SECRET
+app.post('/webhooks/razorpay', razorpayWebhookHandler);
 
 /**
  * Normal JSON parsing for all other routes
@@ -117,6 +129,10 @@ app.use('/routes', routesRoutes);
 app.use('/operator', operatorRoutes);
 app.use('/operator/dashboard', operatorDashboardRoutes);
 app.use('/inventory', inventoryRoutes);
+app.use('/vehicle-layouts', vehicleLayoutRoutes);
+app.use('/trip-schedules', tripScheduleRoutes);
+app.use('/quota-rules', quotaRuleRoutes);
+app.use('/fare-rules', fareRuleRoutes);
 
 /**
  * Health check
@@ -159,6 +175,12 @@ async function startServer() {
             if (result.expired > 0) {
               console.log(`Expired ${result.expired} hold(s)`);
             }
+            if (result.waitlist_holds > 0) {
+              console.log(`Created ${result.waitlist_holds} waitlist hold(s)`);
+            }
+            if (result.payment_intents > 0) {
+              console.log(`Expired ${result.payment_intents} payment link(s)`);
+            }
           } catch (error) {
             console.error('Hold expiration job failed:', error.message);
           }
@@ -166,6 +188,91 @@ async function startServer() {
       );
     });
 
+    // Outbound WhatsApp retries every minute
+    cron.schedule('* * * * *', async () => {
+      await withContext(
+        { request_id: buildRequestId(), source: 'cron', job: 'outbox' },
+        async () => {
+          try {
+            const result = await processOutbox();
+            if (result.sent > 0 || result.dead > 0) {
+              console.log(`Outbox: sent ${result.sent}, retrying ${result.retried}, dead-lettered ${result.dead}`);
+            }
+          } catch (error) {
+            console.error('Outbox job failed:', error.message);
+          }
+        }
+      );
+    });
+
+    // Ticket media archive retries every 15 minutes
+    cron.schedule('*/15 * * * *', async () => {
+      await withContext(
+        { request_id: buildRequestId(), source: 'cron', job: 'ticket_archive' },
+        async () => {
+          try {
+            const result = await archivePendingTickets();
+            if (result.archived > 0 || result.failed > 0) {
+              console.log(`Ticket archive: archived ${result.archived}, failed ${result.failed}`);
+            }
+          } catch (error) {
+            console.error('Ticket archive job failed:', error.message);
+          }
+        }
+      );
+    });
+
+    // Trips from recurring schedules, generated ahead every night at 00:30
+    cron.schedule('30 0 * * *', async () => {
+      await withContext(
+        { request_id: buildRequestId(), source: 'cron', job: 'trip_schedules' },
+        async () => {
+          try {
+            const result = await generateScheduledTrips();
+            if (result.created > 0 || result.failed > 0) {
+              console.log(`Trip schedules: created ${result.created} trip(s), ${result.failed} schedule(s) failed`);
+            }
+          } catch (error) {
+            console.error('Trip schedule job failed:', error.message);
+          }
+        }
+      );
+    });
+
+    // Dynamic WhatsApp quota rules every 10 minutes
+    cron.schedule('*/10 * * * *', async () => {
+      await withContext(
+        { request_id: buildRequestId(), source: 'cron', job: 'quota_rules' },
+        async () => {
+          try {
+            const result = await evaluateQuotaRules();
+            if (result.applied > 0 || result.failed > 0) {
+              console.log(`Quota rules: applied ${result.applied}, failed ${result.failed}`);
+            }
+          } catch (error) {
+            console.error('Quota rule job failed:', error.message);
+          }
+        }
+      );
+    });
+
+    // Refund status from the payment gateway every 5 minutes
+    cron.schedule('*/5 * * * *', async () => {
+      await withContext(
+        { request_id: buildRequestId(), source: 'cron', job: 'refunds' },
+        async () => {
+          try {
+            const result = await syncPendingRefunds();
+            if (result.processed > 0 || result.failed > 0) {
+              console.log(`Refunds: processed ${result.processed}, failed ${result.failed}, pending ${result.pending}`);
+            }
+          } catch (error) {
+            console.error('Refund sync job failed:', error.message);
+          }
+        }
+      );
+    });
+
     process.on('SIGINT', () => {
       console.log('Shutting down...');
       server.close(() => process.exit(0));
@@ -5,9 +5,12 @@ const operatorModel = require('../../models/operator');
 const cancellationModel = require('../../models/cancellation');
 const auditEventModel = require('../../models/auditEvent');
 const { InventoryLockService } = require('../redis/InventoryLockService');
-const { releaseSeatsFromBooking } = require('../inventory/seat_inventory_service');
+const { getLockKeysForBooking, releaseLockKeys } = require('../inventoryLocking');
+const { promoteWaitlists } = require('../inventory/waitlist_service');
+const { refundCancelledBooking } = require('../payment/cancellation_refunds');
+const { expirePaymentIntents } = require('../payment/payment_holds');
+const { CANCELLATION_BLOCKS, quoteCancellation } = require('./cancellation_policy_service');
 
-const REDIS_URL = process.env.REDIS_URL || 'redis://127.0.0.1:6379';
 const BOOKING_LOCK_TTL_SECONDS = 20;
 
 function normalizePhoneNumber(phoneNumber) {
@@ -50,12 +53,51 @@ async function validateActorOwnership(booking, actorType, actorDetails) {
   return { ok: false, message: 'Invalid actor type' };
 }
 
+// A payment on a link left open is settled as late, so failing to close one does not undo the cancellation
+async function closePaymentLinks(bookingId) {
+  try {
+    await expirePaymentIntents(bookingId);
+  } catch (error) {
+    console.error(`Failed to expire payment intents of booking ${bookingId}:`, error.message);
+  }
+}
+
+/**
+ * Apply the route's cancellation policy to a cancellation. Customers are held
+ * to it and pay its fee; operators and admins may cancel at any time, and the
+ * customer then gets everything back.
+ * @param {Object} booking - Confirmed booking
+ * @param {string} actorType - customer, operator or admin
+ * @param {Date} now - Time of cancelling
+ * @returns {Promise<Object>} { fee, override, quote }
+ */
+async function applyCancellationPolicy(booking, actorType, now) {
+  const quote = await quoteCancellation(booking, { now });
+  if (actorType !== 'customer') {
+    return { fee: 0, override: !quote.allowed, quote };
+  }
+  if (!quote.allowed) {
+    const error = new Error(
+      quote.blocked_by === CANCELLATION_BLOCKS.CUTOFF
+        ? `Cancellations close ${quote.cutoff_hours} hours before departure`
+        : `Journeys on ${booking.journey_date} cannot be cancelled`
+    );
+    error.code = 'CANCELLATION_NOT_ALLOWED';
+    error.blocked_by = quote.blocked_by;
+    error.quote = quote;
+    throw error;
+  }
+  return { fee: quote.fee, override: false, quote };
+}
+
 async function cancelBooking({
   bookingId,
   actorType,
   actorDetails = {},
   reason = null,
-  idempotencyKey = null
+  idempotencyKey = null,
+  now = new Date(),
+  lockService = null
 }) {
   const booking = await bookingModel.findById(bookingId);
   if (!booking) {
@@ -86,22 +128,17 @@ async function cancelBooking({
     throw error;
   }
 
+  const policy = await applyCancellationPolicy(booking, actorType, now);
+
   const lockKey = `lock:booking:${booking.id}:cancel`;
   const lockOwner = `cancel:${actorType}:${ownership.operatorId || actorDetails?.customer_phone || 'unknown'}`;
 
-  let parsed = null;
-  try {
-    parsed = new URL(REDIS_URL);
-  } catch (error) {}
+  // Redis is only opened here when the caller has no lock service of its own
   let redisHandle = null;
-  let redisClient = null;
-  try {
+  if (!lockService) {
     redisHandle = await getRedisClient();
-    redisClient = redisHandle.client;
-  } catch (error) {
-    throw error;
+    lockService = new InventoryLockService(redisHandle.client);
   }
-  const lockService = new InventoryLockService(redisClient);
 
   let lockAcquired = false;
   try {
@@ -132,7 +169,7 @@ async function cancelBooking({
       throw error;
     }
 
-    const cancelledAt = new Date().toISOString();
+    const cancelledAt = now.toISOString();
     await bookingModel.transitionStatus(refreshed.id, 'cancelled');
     await bookingModel.setCancellationDetails(refreshed.id, {
       cancelled_at: cancelledAt,
@@ -146,14 +183,15 @@ async function cancelBooking({
       cancelledBy: actorType,
       cancellationReason: reason,
       actorId: ownership.operatorId || actorDetails?.customer_phone || null,
-      cancelledAt
+      cancelledAt,
+      cancellationFee: policy.fee
     });
 
-    await releaseSeatsFromBooking({
-      booking: refreshed,
-      reason: 'cancel',
-      redisClient
+    await releaseLockKeys(lockService, getLockKeysForBooking(refreshed), {
+      bookingId: refreshed.id,
+      reason: 'cancel'
     });
+    await closePaymentLinks(refreshed.id);
 
     await auditEventModel.create({
       event_type: 'BOOKING_CANCELLED',
@@ -163,23 +201,39 @@ async function cancelBooking({
       payload: {
         booking_id: refreshed.id,
         cancelled_by: actorType,
-        cancellation_reason: reason || null
+        cancellation_reason: reason || null,
+        cancellation_fee: policy.fee,
+        policy_override: policy.override
       }
     });
 
+    // The booking stays cancelled even if its refund cannot be made now
+    let refund = null;
+    try {
+      refund = await refundCancelledBooking(refreshed, { now, fee: policy.fee });
+    } catch (error) {
+      console.error(`Failed to refund cancelled booking ${refreshed.id}:`, error.message);
+    }
+
     await auditEventModel.create({
       event_type: 'REFUND_REQUESTED',
       session_id: `sess_${refreshed.id}`,
       operator_id: actorType === 'operator' ? ownership.operatorId : null,
       idempotency_key: idempotencyKey || null,
       payload: {
-        booking_id: refreshed.id
+        booking_id: refreshed.id,
+        refund_tier: refund ? refund.tier : null,
+        refund_amount: refund ? refund.refund_amount : null,
+        refund_id: refund ? refund.refund_id : null
       }
     });
 
+    await promoteWaitlists([refreshed.trip_id], { lockService });
+
     return {
       booking: updatedBooking,
       cancellation,
+      refund,
       idempotent: false
     };
   } finally {
@@ -190,16 +244,34 @@ async function cancelBooking({
     }
     if (redisHandle) {
       await redisHandle.close();
-    } else {
-      try {
-        await redisClient.quit();
-      } catch (error) {
-        redisClient.disconnect();
-      }
     }
   }
 }
 
+/**
+ * Reject a booking on hold: cancel it, release its seats, close its payment links
+ * and offer the seats to the trip's waitlist
+ * @param {Object} booking - Booking on hold
+ * @param {Object} options - { lockService }
+ * @returns {Promise<Object>} Cancelled booking
+ */
+async function rejectHold(booking, { lockService }) {
+  const rejected = await bookingModel.transitionStatus(booking.id, 'cancelled', {
+    releaseInventoryLock: async () =>
+      releaseLockKeys(lockService, getLockKeysForBooking(booking), {
+        bookingId: booking.id,
+        reason: 'cancel'
+      })
+  });
+  if (!rejected) {
+    throw new Error(`Failed to reject booking ${booking.id}`);
+  }
+  await closePaymentLinks(booking.id);
+  await promoteWaitlists([booking.trip_id], { lockService });
+  return rejected;
+}
+
 module.exports = {
-  cancelBooking
+  cancelBooking,
+  rejectHold
 };
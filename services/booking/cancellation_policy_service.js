@@ -0,0 +1,205 @@
+const bookingModel = require('../../models/booking');
+const cancellationPolicyModel = require('../../models/cancellationPolicy');
+const paymentModel = require('../../models/payment');
+const routeModel = require('../../models/route');
+const tripModel = require('../../models/trip');
+const { hoursUntilDeparture } = require('../dateTimeResolver');
+const { PAYMENT_STATES } = require('../payment/reconciliation');
+const { evaluateRefundPolicy } = require('../payment/refund_policy');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Why a customer cannot cancel a booking
+const CANCELLATION_BLOCKS = Object.freeze({
+  CUTOFF: 'cutoff',
+  NO_CANCEL_WINDOW: 'no_cancel_window'
+});
+
+function policyError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_CANCELLATION_POLICY';
+  return error;
+}
+
+function isValidDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  return new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+}
+
+function roundToPaise(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function nonNegativeNumber(value, field) {
+  const number = Number(value);
+  if (value === null || value === undefined || value === '' || !Number.isFinite(number) || number < 0) {
+    throw policyError(`${field} must be a number of 0 or more`);
+  }
+  return number;
+}
+
+/**
+ * Validate a cancellation policy as sent by an operator
+ * @param {Object} input - { cutoff_hours, fee_slabs: [{ hours_before, fee_percent }],
+ *   no_cancel_windows: [{ start_date, end_date, label }] }
+ * @returns {Object} Normalized policy fields, fee slabs from the earliest to the latest
+ */
+function normalizeCancellationPolicy(input) {
+  const cutoffHours = input.cutoff_hours === undefined || input.cutoff_hours === null
+    ? null
+    : nonNegativeNumber(input.cutoff_hours, 'cutoff_hours');
+
+  const rawSlabs = input.fee_slabs ?? [];
+  if (!Array.isArray(rawSlabs)) {
+    throw policyError('fee_slabs must be a list');
+  }
+  const feeSlabs = rawSlabs
+    .map((slab, index) => {
+      const feePercent = nonNegativeNumber(slab?.fee_percent, `fee_slabs[${index}].fee_percent`);
+      if (feePercent > 100) {
+        throw policyError(`fee_slabs[${index}].fee_percent must not be above 100`);
+      }
+      return {
+        hours_before: nonNegativeNumber(slab?.hours_before, `fee_slabs[${index}].hours_before`),
+        fee_percent: feePercent
+      };
+    })
+    .sort((a, b) => b.hours_before - a.hours_before);
+  feeSlabs.forEach((slab, index) => {
+    if (index > 0 && slab.hours_before === feeSlabs[index - 1].hours_before) {
+      throw policyError(`Two fee slabs start ${slab.hours_before} hours before departure`);
+    }
+  });
+
+  const rawWindows = input.no_cancel_windows ?? [];
+  if (!Array.isArray(rawWindows)) {
+    throw policyError('no_cancel_windows must be a list');
+  }
+  const noCancelWindows = rawWindows.map((window, index) => {
+    const startDate = window?.start_date;
+    const endDate = window?.end_date ?? startDate;
+    if (!isValidDate(startDate) || !isValidDate(endDate)) {
+      throw policyError(`no_cancel_windows[${index}] needs a start_date and end_date (YYYY-MM-DD)`);
+    }
+    if (endDate < startDate) {
+      throw policyError(`no_cancel_windows[${index}].end_date must not be before start_date`);
+    }
+    return {
+      start_date: startDate,
+      end_date: endDate,
+      label: window.label ? String(window.label).trim() : null
+    };
+  });
+
+  return {
+    cutoff_hours: cutoffHours,
+    fee_slabs: feeSlabs,
+    no_cancel_windows: noCancelWindows
+  };
+}
+
+/**
+ * Set the cancellation policy of a route, replacing any earlier one
+ * @param {number} routeId - Route ID
+ * @param {Object} input - Policy fields, see normalizeCancellationPolicy
+ * @returns {Promise<Object>} Saved policy
+ */
+async function setCancellationPolicy(routeId, input) {
+  const fields = normalizeCancellationPolicy(input || {});
+  if (!(await routeModel.findById(routeId))) {
+    const error = new Error(`Route ${routeId} not found`);
+    error.code = 'ROUTE_NOT_FOUND';
+    throw error;
+  }
+  return cancellationPolicyModel.upsert({ route_id: routeId, ...fields });
+}
+
+// The slab reached last applies; cancelling later than every slab, or after departure, costs everything
+function feePercentFor(policy, hours) {
+  if (hours < 0) return 100;
+  if (policy.fee_slabs.length === 0) return 0;
+  const slab = policy.fee_slabs.find((candidate) => hours >= candidate.hours_before);
+  return slab ? slab.fee_percent : 100;
+}
+
+/**
+ * Decide whether a customer may cancel a trip's booking now and what it costs.
+ * Without a route policy anyone may cancel, and the fee is what the default
+ * refund tiers keep back.
+ * @param {Object} request - { trip: { journey_date, departure_time }, policy, amount, now }
+ * @returns {Object} { allowed, blocked_by, cutoff_hours, window, fee, hours_before_departure }
+ */
+function evaluateCancellation({ trip, policy = null, amount, now = new Date() }) {
+  const hours = hoursUntilDeparture(trip, now);
+  const hoursBeforeDeparture = Math.round(hours * 100) / 100;
+  if (!policy) {
+    const refund = evaluateRefundPolicy({ paidAmount: amount, trip, now });
+    return {
+      allowed: true,
+      blocked_by: null,
+      cutoff_hours: null,
+      window: null,
+      fee: roundToPaise(amount - refund.refund_amount),
+      hours_before_departure: hoursBeforeDeparture
+    };
+  }
+
+  const window = policy.no_cancel_windows.find((candidate) =>
+    candidate.start_date <= trip.journey_date && trip.journey_date <= candidate.end_date) || null;
+  let blockedBy = null;
+  if (window) {
+    blockedBy = CANCELLATION_BLOCKS.NO_CANCEL_WINDOW;
+  } else if (policy.cutoff_hours !== null && hours < policy.cutoff_hours) {
+    blockedBy = CANCELLATION_BLOCKS.CUTOFF;
+  }
+
+  return {
+    allowed: !blockedBy,
+    blocked_by: blockedBy,
+    cutoff_hours: policy.cutoff_hours,
+    window,
+    fee: roundToPaise(amount * feePercentFor(policy, hours) / 100),
+    hours_before_departure: hoursBeforeDeparture
+  };
+}
+
+/**
+ * What cancelling a booking now means for its customer: whether the route's
+ * policy allows it, the fee, and how much of a payment comes back. The fee is
+ * taken from the amount paid online, or from the fare when nothing was.
+ * @param {Object} booking - Booking row
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} evaluateCancellation's result with amount, paid_amount and refund_amount
+ */
+async function quoteCancellation(booking, { now = new Date() } = {}) {
+  const trip = await tripModel.findById(booking.trip_id);
+  if (!trip) {
+    const error = new Error(`Trip ${booking.trip_id} not found`);
+    error.code = 'TRIP_NOT_FOUND';
+    throw error;
+  }
+  const [policy, payments] = await Promise.all([
+    cancellationPolicyModel.findByRoute(trip.route_id),
+    paymentModel.findByBooking(booking.id)
+  ]);
+  const payment = payments.filter((candidate) => candidate.status === PAYMENT_STATES.SUCCEEDED).pop();
+  const paidAmount = payment && payment.amount ? Number(payment.amount) : null;
+  // The default tiers only keep back money paid online; a route policy's fee applies to the fare
+  const amount = paidAmount ?? (policy ? Number(bookingModel.getFareAmount(booking) || 0) : 0);
+
+  const evaluation = evaluateCancellation({ trip, policy, amount, now });
+  return {
+    ...evaluation,
+    amount,
+    paid_amount: paidAmount,
+    refund_amount: paidAmount ? roundToPaise(Math.max(0, paidAmount - evaluation.fee)) : 0
+  };
+}
+
+module.exports = {
+  CANCELLATION_BLOCKS,
+  normalizeCancellationPolicy,
+  setCancellationPolicy,
+  evaluateCancellation,
+  quoteCancellation
+};
@@ -0,0 +1,142 @@
+const bookingModel = require('../../models/booking');
+const operatorModel = require('../../models/operator');
+const auditEventModel = require('../../models/auditEvent');
+const { queueCustomerNotification } = require('../whatsapp/outbox');
+const { expirePaymentIntents } = require('../payment/payment_holds');
+const { offerPaymentLink } = require('../payment/payment_links');
+
+// Largest change, in percent of the fare at hold time, an operator can make without a supervisor
+const PRICE_OVERRIDE_MAX_PERCENT = Number.parseInt(process.env.PRICE_OVERRIDE_MAX_PERCENT || '15', 10);
+const SUPPORTED_CURRENCIES = Object.freeze(['INR']);
+// Bookings whose price can still change
+const OVERRIDABLE_STATUSES = Object.freeze(['hold', 'confirmed']);
+
+function overrideError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Change in percent between the fare at hold time and a new price
+ * @param {number|null} baseAmount - Fare at hold time
+ * @param {number} amount - New price
+ * @returns {number} Absolute change in percent; Infinity when there is no base fare
+ */
+function getVariancePercent(baseAmount, amount) {
+  if (!baseAmount) {
+    return Infinity;
+  }
+  return (Math.abs(amount - baseAmount) / baseAmount) * 100;
+}
+
+// A hold's open payment links ask for the old price; close them and send one for the new price
+async function replacePaymentLinks(booking) {
+  try {
+    await expirePaymentIntents(booking.id);
+  } catch (error) {
+    console.warn(`Failed to close payment links of booking ${booking.id}:`, error.message);
+  }
+  return offerPaymentLink(booking);
+}
+
+/**
+ * Set the price of a booking on behalf of an operator. Operators can change
+ * the price of their own bookings by up to PRICE_OVERRIDE_MAX_PERCENT of the
+ * fare the seats were held at; supervisors can set any price on any booking.
+ * The customer is told the new amount, and a hold gets a payment link for it.
+ * @param {Object} request - { bookingId, operatorId, amount, currency, reason, idempotencyKey }
+ * @returns {Promise<Object>} { booking, previous_amount, variance_percent }
+ */
+async function overrideBookingPrice({
+  bookingId,
+  operatorId,
+  amount,
+  currency,
+  reason = null,
+  idempotencyKey = null
+}) {
+  const newAmount = Number(amount);
+  if (amount === undefined || amount === null || !Number.isFinite(newAmount) || newAmount <= 0) {
+    throw overrideError('amount must be a positive number', 'INVALID_PRICE_OVERRIDE');
+  }
+  if (!SUPPORTED_CURRENCIES.includes(String(currency || '').toUpperCase())) {
+    throw overrideError(`currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}`, 'INVALID_PRICE_OVERRIDE');
+  }
+
+  const booking = await bookingModel.findById(bookingId);
+  if (!booking) {
+    throw overrideError('Booking not found', 'BOOKING_NOT_FOUND');
+  }
+
+  const operator = operatorId ? await operatorModel.findById(operatorId) : null;
+  if (!operator) {
+    throw overrideError('Operator not found', 'OPERATOR_FORBIDDEN');
+  }
+  const isSupervisor = operator.role === operatorModel.OPERATOR_ROLES.SUPERVISOR;
+  if (!isSupervisor) {
+    const owner = await operatorModel.findByBookingId(booking.id);
+    if (!owner || String(owner.id) !== String(operator.id)) {
+      throw overrideError('Operator does not own booking', 'OPERATOR_FORBIDDEN');
+    }
+  }
+
+  if (!OVERRIDABLE_STATUSES.includes(bookingModel.normalizeStatus(booking.status))) {
+    throw overrideError(`Booking is ${booking.status}`, 'BOOKING_NOT_ACTIVE');
+  }
+
+  const baseAmount = bookingModel.getHeldFareAmount(booking);
+  const variancePercent = getVariancePercent(baseAmount, newAmount);
+  if (!isSupervisor && variancePercent > PRICE_OVERRIDE_MAX_PERCENT) {
+    throw overrideError(
+      `Operators can change the price by at most ${PRICE_OVERRIDE_MAX_PERCENT}%; a supervisor must approve larger changes`,
+      'PRICE_OVERRIDE_LIMIT_EXCEEDED'
+    );
+  }
+
+  const previousAmount = bookingModel.getFareAmount(booking);
+  const updated = await bookingModel.setPriceOverride(booking.id, newAmount);
+
+  await auditEventModel.create({
+    event_type: 'PRICE_OVERRIDDEN',
+    session_id: `sess_${booking.id}`,
+    operator_id: operator.id,
+    idempotency_key: idempotencyKey,
+    payload: {
+      booking_id: booking.id,
+      role: operator.role,
+      held_amount: baseAmount,
+      previous_amount: previousAmount,
+      amount: newAmount,
+      currency: String(currency).toUpperCase(),
+      variance_percent: Number.isFinite(variancePercent) ? Math.round(variancePercent * 100) / 100 : null,
+      reason
+    }
+  });
+
+  try {
+    await queueCustomerNotification(booking.customer_phone, 'price_updated', {
+      booking_id: booking.id,
+      previous_price: previousAmount,
+      price: newAmount
+    }, { bookingId: booking.id, logType: 'price_updated' });
+  } catch (error) {
+    console.warn(`Failed to notify customer of new price for booking ${booking.id}:`, error.message);
+  }
+
+  if (bookingModel.normalizeStatus(updated.status) === 'hold') {
+    await replacePaymentLinks(updated);
+  }
+
+  return {
+    booking: updated,
+    previous_amount: previousAmount,
+    variance_percent: variancePercent
+  };
+}
+
+module.exports = {
+  PRICE_OVERRIDE_MAX_PERCENT,
+  getVariancePercent,
+  overrideBookingPrice
+};
@@ -0,0 +1,182 @@
+/**
+ * Match customer-typed city names against route cities.
+ *
+ * A city typed by a customer matches a route city when it is
+ *   - the same name (ignoring case and punctuation),
+ *   - an alias the route's operator registered ("Bombay" → "Mumbai"),
+ *   - a longer or shorter form of it ("Mumbai Central", "Pun"), or
+ *   - a small typo away from it ("Puna" → "Pune").
+ * Lower scores are better; exact and alias matches score 0.
+ */
+
+function normalizeCityName(name) {
+  return String(name || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Allow one typo for short names, two for medium and three for long ones.
+function maxTypoDistance(length) {
+  if (length <= 4) return 1;
+  if (length <= 8) return 2;
+  return 3;
+}
+
+/**
+ * Build per-operator alias lookups from city_aliases rows
+ * @param {Array} aliases - [{ operator_id, alias, city }]
+ * @returns {Map<number, Map<string, string>>} operator_id → (alias → city)
+ */
+function buildAliasIndex(aliases = []) {
+  const index = new Map();
+  aliases.forEach((row) => {
+    if (!index.has(row.operator_id)) {
+      index.set(row.operator_id, new Map());
+    }
+    index.get(row.operator_id).set(normalizeCityName(row.alias), normalizeCityName(row.city));
+  });
+  return index;
+}
+
+/**
+ * Spellings of the typed city after applying an operator's aliases,
+ * both to the whole name and word by word ("Bombay Central" → "MUMBAI CENTRAL").
+ */
+function expandAliases(typed, aliasMap) {
+  const forms = [typed];
+  if (!aliasMap || aliasMap.size === 0) return forms;
+
+  if (aliasMap.has(typed)) {
+    forms.push(aliasMap.get(typed));
+  }
+  const wordForm = typed
+    .split(' ')
+    .map((word) => aliasMap.get(word) || word)
+    .join(' ');
+  if (wordForm !== typed) {
+    forms.push(wordForm);
+  }
+  return forms;
+}
+
+function scoreForm(typed, city) {
+  if (typed === city) return 0;
+
+  const containsCity = ` ${typed} `.includes(` ${city} `);
+  const isPrefix = typed.length >= 3 && city.startsWith(typed);
+  if (containsCity || isPrefix) return 1;
+
+  const distance = editDistance(typed, city);
+  if (distance <= maxTypoDistance(city.length)) {
+    return 1 + distance;
+  }
+  return null;
+}
+
+/**
+ * Score how well a typed city matches a route city
+ * @param {string} typedCity - City as written by the customer
+ * @param {string} routeCity - City stored on the route
+ * @param {Map<string, string>} aliasMap - Aliases of the route's operator
+ * @returns {number|null} Score (lower is better) or null when it does not match
+ */
+function scoreCityMatch(typedCity, routeCity, aliasMap) {
+  const typed = normalizeCityName(typedCity);
+  const city = normalizeCityName(routeCity);
+  if (!typed || !city) return null;
+
+  // An exact alias hit scores 0, the same as typing the city itself.
+  return expandAliases(typed, aliasMap)
+    .map((form) => scoreForm(form, city))
+    .filter((score) => score !== null)
+    .reduce((best, score) => (best === null || score < best ? score : best), null);
+}
+
+/**
+ * Rank routes matching a typed source and destination
+ * @param {string} source - Typed source city
+ * @param {string} destination - Typed destination city
+ * @param {Array} routes - Route rows ({ id, operator_id, source, destination })
+ * @param {Array} aliases - city_aliases rows
+ * @returns {Array} [{ route, score }] sorted best first
+ */
+function findRouteMatches(source, destination, routes = [], aliases = []) {
+  const aliasIndex = buildAliasIndex(aliases);
+
+  return routes
+    .map((route) => {
+      const aliasMap = aliasIndex.get(route.operator_id);
+      const sourceScore = scoreCityMatch(source, route.source, aliasMap);
+      const destinationScore = scoreCityMatch(destination, route.destination, aliasMap);
+      if (sourceScore === null || destinationScore === null) return null;
+      return { route, score: sourceScore + destinationScore };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.score - b.score || a.route.id - b.route.id);
+}
+
+/**
+ * Pick the route a customer meant.
+ * When the best-scoring matches point at different city pairs, no route is
+ * picked and one route per city pair is returned as a suggestion instead.
+ *
+ * @returns {Object} { route, suggestions }
+ */
+function resolveRoute(source, destination, routes = [], aliases = []) {
+  const matches = findRouteMatches(source, destination, routes, aliases);
+  if (matches.length === 0) {
+    return { route: null, suggestions: [] };
+  }
+
+  const bestScore = matches[0].score;
+  const byCityPair = new Map();
+  matches
+    .filter((match) => match.score === bestScore)
+    .forEach(({ route }) => {
+      const key = `${normalizeCityName(route.source)}|${normalizeCityName(route.destination)}`;
+      if (!byCityPair.has(key)) {
+        byCityPair.set(key, route);
+      }
+    });
+
+  if (byCityPair.size === 1) {
+    return { route: matches[0].route, suggestions: [] };
+  }
+  return { route: null, suggestions: Array.from(byCityPair.values()) };
+}
+
+module.exports = {
+  normalizeCityName,
+  editDistance,
+  scoreCityMatch,
+  findRouteMatches,
+  resolveRoute
+};
@@ -0,0 +1,395 @@
+/**
+ * Resolve relative and named dates/times written by customers
+ * ("tomorrow", "kal", "udya", "next Friday", "15 Jan", "8am", "evening bus")
+ * into concrete YYYY-MM-DD / HH:MM values in the operator's timezone.
+ *
+ * Every resolver returns a result object instead of a bare value so callers
+ * can tell "not understood" apart from "understood but ambiguous":
+ *   { value, ambiguous, candidates, match }
+ */
+
+const OPERATOR_TIMEZONE = process.env.OPERATOR_TIMEZONE || 'Asia/Kolkata';
+const HOUR_MS = 60 * 60 * 1000;
+
+const WEEKDAYS = Object.freeze({
+  SUNDAY: 0, SUN: 0, RAVIVAR: 0, ITWAR: 0,
+  MONDAY: 1, MON: 1, SOMVAR: 1,
+  TUESDAY: 2, TUE: 2, TUES: 2, MANGALVAR: 2,
+  WEDNESDAY: 3, WED: 3, BUDHVAR: 3,
+  THURSDAY: 4, THU: 4, THUR: 4, THURS: 4, GURUVAR: 4,
+  FRIDAY: 5, FRI: 5, SHUKRAVAR: 5,
+  SATURDAY: 6, SAT: 6, SHANIVAR: 6
+});
+
+const MONTHS = Object.freeze({
+  JAN: 1, JANUARY: 1,
+  FEB: 2, FEBRUARY: 2,
+  MAR: 3, MARCH: 3,
+  APR: 4, APRIL: 4,
+  MAY: 5,
+  JUN: 6, JUNE: 6,
+  JUL: 7, JULY: 7,
+  AUG: 8, AUGUST: 8,
+  SEP: 9, SEPT: 9, SEPTEMBER: 9,
+  OCT: 10, OCTOBER: 10,
+  NOV: 11, NOVEMBER: 11,
+  DEC: 12, DECEMBER: 12
+});
+
+const TIME_WINDOWS = Object.freeze({
+  MORNING: { label: 'morning', from: '05:00', to: '11:59' },
+  AFTERNOON: { label: 'afternoon', from: '12:00', to: '16:59' },
+  EVENING: { label: 'evening', from: '17:00', to: '20:59' },
+  NIGHT: { label: 'night', from: '21:00', to: '23:59' }
+});
+
+const WINDOW_WORDS = Object.freeze({
+  MORNING: 'MORNING', SUBAH: 'MORNING', SUBHA: 'MORNING', SAVERE: 'MORNING',
+  SAKALI: 'MORNING', SAVAR: 'MORNING', SAVARE: 'MORNING',
+  AFTERNOON: 'AFTERNOON', DOPAHAR: 'AFTERNOON', DOPAHER: 'AFTERNOON',
+  DUPARI: 'AFTERNOON', BAPORE: 'AFTERNOON',
+  EVENING: 'EVENING', SHAAM: 'EVENING', SHAM: 'EVENING',
+  SANDHYAKAL: 'EVENING', SANDHYAKALI: 'EVENING', SANJ: 'EVENING', SAANJ: 'EVENING',
+  NIGHT: 'NIGHT', RAAT: 'NIGHT', TONIGHT: 'NIGHT', RATRI: 'NIGHT', RAATRE: 'NIGHT'
+});
+
+const WEEKDAY_PATTERN = Object.keys(WEEKDAYS).sort((a, b) => b.length - a.length).join('|');
+const MONTH_PATTERN = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|');
+const WINDOW_PATTERN = Object.keys(WINDOW_WORDS).join('|');
+
+function emptyResult() {
+  return { value: null, ambiguous: false, candidates: [], match: null };
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * Current calendar date in the operator's timezone
+ * @param {Date} now - Reference instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} { year, month, day, weekday }
+ */
+function getZonedToday(now = new Date(), timeZone = OPERATOR_TIMEZONE) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric'
+  }).formatToParts(now);
+  const lookup = Object.fromEntries(parts.map((part) => [part.type, part.value]));
+  const year = Number(lookup.year);
+  const month = Number(lookup.month);
+  const day = Number(lookup.day);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return { year, month, day, weekday };
+}
+
+/**
+ * Date and time of an instant in the operator's timezone, for customer messages
+ * @param {Date} instant - Instant to format
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} "YYYY-MM-DD HH:MM"
+ */
+function formatZonedDateTime(instant, timeZone = OPERATOR_TIMEZONE) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    hourCycle: 'h23'
+  }).formatToParts(instant);
+  const lookup = Object.fromEntries(parts.map((part) => [part.type, part.value]));
+  return `${formatDate(lookup.year, lookup.month, lookup.day)} ${pad(lookup.hour)}:${pad(lookup.minute)}`;
+}
+
+/**
+ * Hours left before a trip departs, comparing the trip's date and time with
+ * now as wall-clock times in the operator's timezone
+ * @param {Object} trip - { journey_date, departure_time }
+ * @param {Date} now - Reference instant
+ * @returns {number} Hours before departure, negative once it has left
+ */
+function hoursUntilDeparture(trip, now = new Date()) {
+  const departure = Date.parse(`${trip.journey_date}T${trip.departure_time}:00Z`);
+  const current = Date.parse(`${formatZonedDateTime(now).replace(' ', 'T')}:00Z`);
+  return (departure - current) / HOUR_MS;
+}
+
+/**
+ * Whether a trip has left, by the operator's wall clock
+ * @param {Object} trip - { journey_date, departure_time }
+ * @param {Date} now - Reference instant
+ * @returns {boolean}
+ */
+function hasDeparted(trip, now = new Date()) {
+  return `${trip.journey_date} ${trip.departure_time}` <= formatZonedDateTime(now);
+}
+
+/**
+ * Parse a timestamp read from the database: ISO strings as written by the
+ * models, or SQLite's "YYYY-MM-DD HH:MM:SS" (UTC)
+ * @param {string|null} value - Stored timestamp
+ * @returns {Date|null} Instant or null
+ */
+function parseStoredTimestamp(value) {
+  if (!value) return null;
+  const text = String(value);
+  return new Date(text.includes('T') ? text : `${text.replace(' ', 'T')}Z`);
+}
+
+function formatDate(year, month, day) {
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function addDays(today, days) {
+  const date = new Date(Date.UTC(today.year, today.month - 1, today.day + days));
+  return formatDate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+}
+
+function isValidCalendarDate(year, month, day) {
+  if (month < 1 || month > 12 || day < 1) return false;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Resolve a day/month with an optional year to the next occurrence on or after today
+ */
+function resolveDayMonth(today, day, month, year) {
+  if (year) {
+    return isValidCalendarDate(year, month, day) ? formatDate(year, month, day) : null;
+  }
+  const thisYear = formatDate(today.year, month, day);
+  const todayStr = formatDate(today.year, today.month, today.day);
+  if (isValidCalendarDate(today.year, month, day) && thisYear >= todayStr) {
+    return thisYear;
+  }
+  return isValidCalendarDate(today.year + 1, month, day)
+    ? formatDate(today.year + 1, month, day)
+    : null;
+}
+
+function resolveWeekday(today, weekday, qualifier) {
+  const daysAhead = (weekday - today.weekday + 7) % 7;
+
+  if (daysAhead === 0 && !qualifier) {
+    // "Friday" said on a Friday could mean today or a week from today.
+    return { candidates: [addDays(today, 0), addDays(today, 7)] };
+  }
+
+  const upcoming = daysAhead === 0 ? 7 : daysAhead;
+  if (qualifier === 'NEXT') {
+    // "next Friday" said early in the week is read both ways by customers:
+    // the coming Friday, or the one in the following week.
+    const daysUntilSunday = (7 - today.weekday) % 7;
+    if (upcoming <= daysUntilSunday) {
+      return { candidates: [addDays(today, upcoming), addDays(today, upcoming + 7)] };
+    }
+  }
+  return { candidates: [addDays(today, upcoming)] };
+}
+
+function toResult(candidates, match) {
+  const unique = Array.from(new Set(candidates.filter(Boolean)));
+  if (unique.length === 0) {
+    return { ...emptyResult(), match };
+  }
+  if (unique.length === 1) {
+    return { value: unique[0], ambiguous: false, candidates: unique, match };
+  }
+  return { value: null, ambiguous: true, candidates: unique, match };
+}
+
+/**
+ * Find and resolve a date expression anywhere in a message
+ * @param {string} text - Message text
+ * @param {Object} options - { now, timeZone }
+ * @returns {Object} { value, ambiguous, candidates, match }
+ */
+function extractDate(text, options = {}) {
+  if (!text) return emptyResult();
+  const upper = String(text).toUpperCase();
+  const today = getZonedToday(options.now, options.timeZone);
+
+  const iso = upper.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+  if (iso) {
+    const [year, month, day] = [Number(iso[1]), Number(iso[2]), Number(iso[3])];
+    return toResult([isValidCalendarDate(year, month, day) ? iso[0] : null], iso[0]);
+  }
+
+  const numeric = upper.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{4}))?\b/);
+  if (numeric) {
+    const year = numeric[3] ? Number(numeric[3]) : null;
+    return toResult(
+      [resolveDayMonth(today, Number(numeric[1]), Number(numeric[2]), year)],
+      numeric[0]
+    );
+  }
+
+  const dayAfter = upper.match(/\b(DAY AFTER TOMORROW|PARSO|PARSON)\b/);
+  if (dayAfter) {
+    return toResult([addDays(today, 2)], dayAfter[0]);
+  }
+
+  const tomorrow = upper.match(/\b(TOMORROW|TMRW|TMR|KAL|KAAL|UDYA|UDYAA|KALE|AAVTIKALE)\b/);
+  if (tomorrow) {
+    return toResult([addDays(today, 1)], tomorrow[0]);
+  }
+
+  const todayMatch = upper.match(/\b(TODAY|AAJ|TONIGHT)\b/);
+  if (todayMatch) {
+    return toResult([addDays(today, 0)], todayMatch[0]);
+  }
+
+  const dayFirst = upper.match(
+    new RegExp(`\\b(\\d{1,2})(?:ST|ND|RD|TH)?\\s+(${MONTH_PATTERN})\\b(?:,?\\s+(\\d{4}))?`)
+  );
+  if (dayFirst) {
+    const year = dayFirst[3] ? Number(dayFirst[3]) : null;
+    return toResult(
+      [resolveDayMonth(today, Number(dayFirst[1]), MONTHS[dayFirst[2]], year)],
+      dayFirst[0]
+    );
+  }
+
+  const monthFirst = upper.match(
+    new RegExp(`\\b(${MONTH_PATTERN})\\s+(\\d{1,2})(?:ST|ND|RD|TH)?\\b(?:,?\\s+(\\d{4}))?`)
+  );
+  if (monthFirst) {
+    const year = monthFirst[3] ? Number(monthFirst[3]) : null;
+    return toResult(
+      [resolveDayMonth(today, Number(monthFirst[2]), MONTHS[monthFirst[1]], year)],
+      monthFirst[0]
+    );
+  }
+
+  const weekday = upper.match(new RegExp(`\\b(?:(NEXT|THIS|COMING)\\s+)?(${WEEKDAY_PATTERN})\\b`));
+  if (weekday) {
+    const qualifier = weekday[1] === 'NEXT' ? 'NEXT' : (weekday[1] ? 'THIS' : null);
+    const { candidates } = resolveWeekday(today, WEEKDAYS[weekday[2]], qualifier);
+    return toResult(candidates, weekday[0]);
+  }
+
+  return emptyResult();
+}
+
+function toTime(hours, minutes) {
+  if (hours < 0 || hours > 23 || minutes < 0 || minutes > 59) return null;
+  return `${pad(hours)}:${pad(minutes)}`;
+}
+
+function applyMeridiem(hours, meridiem) {
+  if (hours < 1 || hours > 12) return null;
+  if (meridiem === 'AM') return hours === 12 ? 0 : hours;
+  return hours === 12 ? 12 : hours + 12;
+}
+
+function hourInWindow(hours, minutes, windowKey) {
+  const window = TIME_WINDOWS[windowKey];
+  const value = toTime(hours, minutes);
+  return value && value >= window.from && value <= window.to ? value : null;
+}
+
+/**
+ * Resolve an hour without AM/PM. A time-of-day word narrows it down
+ * ("shaam 7 baje" → 19:00); otherwise hours 1-12 could be either half of the day.
+ */
+function resolveBareHour(hours, minutes, windowKey) {
+  if (hours > 12 || hours === 0) {
+    return [toTime(hours, minutes)];
+  }
+  const morning = toTime(hours === 12 ? 0 : hours, minutes);
+  const afternoon = toTime(hours === 12 ? 12 : hours + 12, minutes);
+  if (windowKey) {
+    const inWindow = [morning, afternoon].filter((value) => {
+      const [h, m] = value.split(':').map(Number);
+      return hourInWindow(h, m, windowKey);
+    });
+    if (inWindow.length > 0) {
+      return inWindow;
+    }
+  }
+  return hours === 12 ? [afternoon, morning] : [morning, afternoon];
+}
+
+/**
+ * Find and resolve a time expression anywhere in a message.
+ * A time-of-day word on its own ("evening bus") resolves to a window instead of a value.
+ *
+ * @param {string} text - Message text
+ * @param {Object} options - { bareHour: true to accept a lone number such as "8" }
+ * @returns {Object} { value, ambiguous, candidates, window, match }
+ */
+function extractTime(text, options = {}) {
+  const result = { ...emptyResult(), window: null };
+  if (!text) return result;
+  const upper = String(text).toUpperCase().replace(/\b([AP])\.M\.?/g, '$1M');
+
+  const windowMatch = upper.match(new RegExp(`\\b(${WINDOW_PATTERN})\\b`));
+  const windowKey = windowMatch ? WINDOW_WORDS[windowMatch[1]] : null;
+
+  const named = upper.match(/\b(NOON|MIDNIGHT)\b/);
+  if (named) {
+    return { ...toResult([named[1] === 'NOON' ? '12:00' : '00:00'], named[0]), window: null };
+  }
+
+  const clock = upper.match(/\b(\d{1,2}):(\d{2})\s*(AM|PM)?\b/);
+  if (clock) {
+    const hours = Number(clock[1]);
+    const minutes = Number(clock[2]);
+    const candidates = clock[3]
+      ? [toTime(applyMeridiem(hours, clock[3]), minutes)]
+      : (windowKey ? resolveBareHour(hours, minutes, windowKey) : [toTime(hours, minutes)]);
+    return { ...toResult(candidates, clock[0]), window: null };
+  }
+
+  const meridiem = upper.match(/\b(\d{1,2})\s*(AM|PM)\b/);
+  if (meridiem) {
+    const hours = applyMeridiem(Number(meridiem[1]), meridiem[2]);
+    return { ...toResult([hours === null ? null : toTime(hours, 0)], meridiem[0]), window: null };
+  }
+
+  const spoken = upper.match(/\b(\d{1,2})\s*(BAJE|VAJTA|VAGYE|O'?CLOCK)\b/);
+  const bare = options.bareHour ? upper.trim().match(/^(\d{1,2})$/) : null;
+  const hourOnly = spoken || bare;
+  if (hourOnly) {
+    return {
+      ...toResult(resolveBareHour(Number(hourOnly[1]), 0, windowKey), hourOnly[0]),
+      window: null
+    };
+  }
+
+  if (windowKey) {
+    return { ...result, window: { ...TIME_WINDOWS[windowKey] }, match: windowMatch[0] };
+  }
+
+  return result;
+}
+
+/**
+ * Check whether an HH:MM departure falls inside a time window
+ * @param {string} time - HH:MM
+ * @param {Object} window - { from, to }
+ * @returns {boolean}
+ */
+function isTimeInWindow(time, window) {
+  if (!time || !window) return false;
+  return time >= window.from && time <= window.to;
+}
+
+module.exports = {
+  OPERATOR_TIMEZONE,
+  TIME_WINDOWS,
+  getZonedToday,
+  formatZonedDateTime,
+  hoursUntilDeparture,
+  hasDeparted,
+  parseStoredTimestamp,
+  extractDate,
+  extractTime,
+  isTimeInWindow
+};
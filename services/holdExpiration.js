@@ -2,26 +2,37 @@ const { createClient } = require('redis');
 const bookingModel = require('../models/booking');
 const { InventoryLockService } = require('./redis/InventoryLockService');
 const { getLockKeysForBooking, releaseLockKeys } = require('./inventoryLocking');
+const { promoteWaitlists } = require('./inventory/waitlist_service');
+const { expirePaymentIntents } = require('./payment/payment_holds');
 
 const REDIS_URL = process.env.REDIS_URL || 'redis://127.0.0.1:6379';
 
 /**
  * Expire all holds that have passed their expiration time
- * This releases seats back to the available pool
+ * This releases seats back to the available pool, expires the holds' payment
+ * links and offers the seats to the trips' waitlists
+ * @param {Object} options - { lockService, now, tripId }; without a lock service a Redis
+ *   connection is opened, and without a trip every trip's holds are expired
  */
-async function expireHolds() {
+async function expireHolds({ lockService = null, now = new Date(), tripId = null } = {}) {
   try {
-    const expiredHolds = await bookingModel.findExpiredHolds();
+    const expiredHolds = await bookingModel.findExpiredHolds(now, { tripId });
     
     if (!expiredHolds.length) {
-      return { expired: 0 };
+      return { expired: 0, waitlist_holds: 0, payment_intents: 0 };
     }
 
-    const redisClient = createClient({ url: REDIS_URL });
-    await redisClient.connect();
-    const lockService = new InventoryLockService(redisClient);
+    let redisClient = null;
+    if (!lockService) {
+      redisClient = createClient({ url: REDIS_URL });
+      await redisClient.connect();
+      lockService = new InventoryLockService(redisClient);
+    }
 
     let expiredCount = 0;
+    let expiredIntents = 0;
+    let waitlistHolds = 0;
+    const freedTripIds = [];
     try {
       for (const hold of expiredHolds) {
         try {
@@ -34,20 +45,30 @@ async function expireHolds() {
               })
           });
           expiredCount++;
+          freedTripIds.push(hold.trip_id);
           console.log(`Expired hold for booking ${hold.id} (customer: ${hold.customer_phone})`);
         } catch (error) {
           console.error(`Failed to expire hold ${hold.id}:`, error.message);
+          continue;
+        }
+        try {
+          expiredIntents += await expirePaymentIntents(hold.id);
+        } catch (error) {
+          console.error(`Failed to expire payment intents of booking ${hold.id}:`, error.message);
         }
       }
+      waitlistHolds = await promoteWaitlists(freedTripIds, { lockService, now });
     } finally {
-      try {
-        await redisClient.quit();
-      } catch (error) {
-        redisClient.disconnect();
+      if (redisClient) {
+        try {
+          await redisClient.quit();
+        } catch (error) {
+          redisClient.disconnect();
+        }
       }
     }
 
-    return { expired: expiredCount };
+    return { expired: expiredCount, waitlist_holds: waitlistHolds, payment_intents: expiredIntents };
   } catch (error) {
     console.error('Error expiring holds:', error);
     throw error;
@@ -0,0 +1,546 @@
+/**
+ * Customer-facing WhatsApp message catalog.
+ *
+ * Keys are shared across languages; `{name}` placeholders are filled in by
+ * translator.t(). Booking formats, city names and the YES/NO/RESET keywords
+ * stay in Latin script because that is what the parser understands.
+ * A key missing from a language falls back to English.
+ */
+
+const en = Object.freeze({
+  help: 'To book seats, send your request in one of these formats:\n\n' +
+    '📋 Format 1:\nRoute: [Source] to [Destination], Date: YYYY-MM-DD, Time: HH:MM, Seats: [number]\n\n' +
+    '📋 Format 2:\n[Source] to [Destination], YYYY-MM-DD, HH:MM, [number] seats\n\n' +
+    'Example:\nRoute: Mumbai to Pune, Date: 2024-01-15, Time: 08:00, Seats: 2\n\n' +
+    'You can also write dates and times like "tomorrow", "next Friday", "15 Jan", "8am" or "evening".\n\n' +
+    'Or just send your route (e.g. Mumbai to Pune) and we\'ll ask for the rest.\n\n' +
+    'Send MY BOOKINGS to see your bookings, STATUS <booking number> to check one, ' +
+    'or CANCEL <booking number> to cancel a confirmed booking.\n\n' +
+    'To change language, send HINDI, MARATHI, GUJARATI or ENGLISH.',
+  parse_error: 'I couldn\'t understand your booking request. Please use this format:\n\n{help}',
+  generic_error: 'Sorry, there was an error processing your message. Please try again later.',
+  booking_error: 'Sorry, there was an error processing your booking request. Please try again later.',
+  missing_details: 'Please provide all details: source, destination, date, time, and number of seats.',
+  min_seats: 'Please request at least 1 seat.',
+  no_route: 'Sorry, no route found from {source} to {destination}. Please check and try again.',
+  no_trip_at: 'Sorry, no trip found for {date} at {time}. Please check the date and time.',
+  no_trip_window: 'Sorry, no trip found for {date} in the {window} ({from}–{to}). Please check the date and time.',
+  seats_limited: 'Sorry, only {available} seat(s) available for this trip. Please request fewer seats or try another trip.',
+  seats_unavailable: 'Seats unavailable',
+  hold_notification: '✅ Seats available! Your booking request has been received.\n\n' +
+    'Booking ID: {booking_id}\nRoute: {source} → {destination}\nDate: {date}\nTime: {time}\n' +
+    'Seats: {seats}\nPrice: ₹{price}\n\n' +
+    'Your seats are on hold for {hold_minutes} minutes. The operator will contact you shortly to confirm.',
+  booking_received: 'Your booking request has been received!\n\n' +
+    'Booking ID: {booking_id}\nRoute: {source} → {destination}\nDate: {date}\nTime: {time}\n' +
+    'Seats: {seats}\nPrice: ₹{price}\n\n' +
+    'We will confirm your booking shortly.',
+  ticket_confirmed: '🎉 Your booking has been confirmed!\n\n' +
+    'Booking ID: {booking_id}\nRoute: {source} → {destination}\nDate: {date}\nTime: {time}\n' +
+    'Seats: {seats}\n\n' +
+    'Thank you for choosing us!',
+  booking_confirmed: '✅ Your booking has been confirmed!\n\n' +
+    'Booking ID: {booking_id}\nRoute: {source} → {destination}\nDate: {date}\nTime: {time}\n' +
+    'Seats: {seats}\nPrice: ₹{price}\n\n' +
+    'Thank you for choosing us!',
+  booking_rejected: '❌ Your booking request has been rejected.\n\n' +
+    'Booking ID: {booking_id}\nRoute: {source} → {destination}\nDate: {date}\n\n' +
+    'We apologize for the inconvenience. Please contact us for alternative options.',
+  reminder: 'Reminder: Your bus from {source} to {destination} departs at {time} on {date}. Safe journey!',
+  language_set: 'Okay, we will reply in English from now on.',
+  prompt_route: 'Where would you like to travel? Please send your route, e.g. "Mumbai to Pune".',
+  prompt_date: 'Route: {source} → {destination}\n\n' +
+    'Which date do you want to travel? e.g. "tomorrow", "next Friday", "15 Jan" or 2024-01-15.',
+  prompt_time: 'Date: {date}\n\nWhat departure time? e.g. "8am", "20:30" or "evening".',
+  prompt_seats: 'How many seats do you need?',
+  prompt_confirmation: 'Please confirm your booking request:\n\n' +
+    'Route: {source} → {destination}\nDate: {date}\nTime: {time}\nSeats: {seats}\n\n' +
+    'Reply YES to hold these seats or NO to start over.',
+  not_understood: 'Sorry, I didn\'t catch that.\n\n{prompt}',
+  start_over: 'Okay, let\'s start over.\n\n{prompt}',
+  discarded: 'No problem, your request was discarded.\n\n{prompt}',
+  clarify_date: 'That date could mean more than one thing. Did you mean:\n\n{options}\n\nPlease reply with the exact date.',
+  clarify_time: 'That time could mean more than one thing. Did you mean:\n\n{options}\n\nPlease reply with the exact time.',
+  departure_choice: 'There are several departures on {date}:\n\n{options}\n\nPlease reply with the departure time you want.',
+  route_choice: 'We couldn\'t tell which route you meant by "{source} to {destination}". Did you mean:\n\n{options}\n\n' +
+    'Please reply with the route you want.',
+  window_morning: 'morning',
+  window_afternoon: 'afternoon',
+  window_evening: 'evening',
+  window_night: 'night',
+  button_confirm: 'Confirm',
+  button_cancel: 'Cancel',
+  list_choose_time: 'Choose time',
+  list_departures: 'Departures',
+  my_bookings: 'Your bookings:\n\n{bookings}\n\n' +
+    'Send STATUS <booking number> for details or CANCEL <booking number> to cancel.',
+  my_bookings_empty: 'You have no bookings yet. Send HELP to see how to book.',
+  booking_line: '#{id} {source} → {destination}, {date} {time}, {seats} seat(s): {status}',
+  booking_status: 'Booking #{id}\n{source} → {destination}\nDate: {date}\nTime: {time}\nSeats: {seats}\n' +
+    'Status: {status}',
+  status_hold: 'on hold until {expires}, waiting for the operator to confirm',
+  status_confirmed: 'confirmed',
+  status_cancelled: 'cancelled',
+  status_expired: 'expired',
+  booking_not_found: 'We couldn\'t find booking #{id} for your number. Send MY BOOKINGS to see your bookings.',
+  cancel_done: 'Booking #{id} has been cancelled. The operator has been informed.',
+  cancel_already: 'Booking #{id} is already cancelled.',
+  cancel_hold: 'Booking #{id} is not confirmed yet, so there is nothing to cancel. ' +
+    'The hold is released automatically at {expires}.',
+  cancel_not_allowed: 'Booking #{id} is {status} and cannot be cancelled.',
+  cancel_in_progress: 'Booking #{id} is already being cancelled. Send STATUS {id} in a minute to check.',
+  cancel_quote_free: 'Cancelling booking #{id} is free.',
+  cancel_quote_fee: 'Cancelling booking #{id} now costs a cancellation fee of ₹{fee}.',
+  cancel_quote_refund: '₹{refund} of the ₹{paid} you paid will be refunded.',
+  cancel_quote_changed: 'The cancellation fee for booking #{id} has gone up since you asked.',
+  cancel_confirm_prompt: 'Send CANCEL {id} YES to confirm.',
+  cancel_blocked_cutoff: 'Booking #{id} can no longer be cancelled: cancellations close {hours} hours before departure.',
+  cancel_blocked_window: 'Booking #{id} cannot be cancelled: journeys from {start} to {end} cannot be cancelled.',
+  button_choose_seats: 'Choose seats',
+  prompt_seat_choice: 'Please reply with {seats} seat number(s) from the map, e.g. "L1 L2", or ANY to let us pick.',
+  seat_map: 'Free seats on {date} at {time}:\n\n{seats}',
+  seat_map_ladies: '* = ladies seat',
+  deck_lower: 'Lower deck',
+  deck_upper: 'Upper deck',
+  seat_type_seater: 'Seater',
+  seat_type_sleeper: 'Sleeper',
+  seat_choice_count: 'Please choose exactly {seats} seat(s), or reply ANY to let us pick.',
+  seat_choice_unavailable: 'Sorry, seat(s) {labels} cannot be booked. Please choose from the free seats.',
+  seat_map_unavailable: 'Sorry, seats cannot be chosen for this bus right now. We will pick the seats for you.',
+  seats_taken: 'Sorry, seat(s) {labels} were just taken. Please choose other seats.',
+  waitlist_offer: 'Reply WAITLIST to join the waitlist. If {seats} seat(s) free up on this bus, we will hold them for you and let you know.',
+  waitlist_joined: 'You are #{position} on the waitlist for {source} → {destination} on {date} at {time} ({seats} seat(s)). ' +
+    'We will hold seats for you and message you as soon as they free up.',
+  waitlist_already: 'You are already #{position} on the waitlist for {source} → {destination} on {date} at {time}.',
+  waitlist_seats_available: 'Good news, seats have just freed up on {source} → {destination} on {date} at {time}. ' +
+    'Please send your booking request again.',
+  waitlist_no_offer: 'There is no full bus to wait for. Send your booking request first; if the bus is full we will offer you the waitlist.',
+  waitlist_hold: '🎉 Seats freed up for you from the waitlist!\n\n' +
+    'Booking ID: {booking_id}\nRoute: {source} → {destination}\nDate: {date}\nTime: {time}\n' +
+    'Seats: {seats}\nPrice: ₹{price}\n\n' +
+    'Your seats are on hold for {hold_minutes} minutes. The operator will contact you shortly to confirm.',
+  alternatives_choice: 'You can book one of these trips instead:\n\n{options}\n\nReply with the number of the trip you want.',
+  alternative_line: '{number}. {date} {time} · {source} → {destination}{operator} · ₹{price} · {available} seat(s) left',
+  prompt_alternative: 'Please reply with a number from 1 to {count}, or send another date or time.',
+  price_updated: '💰 The price of booking {booking_id} has been changed from ₹{previous_price} to ₹{price}.',
+  payment_link: '💳 Pay ₹{price} for booking {booking_id} with UPI, card or netbanking:\n{pay_link_url}\n\n' +
+    'Please pay before your hold expires. Your booking is confirmed as soon as the payment is received.',
+  late_payment_confirmed: '✅ Your payment for booking {booking_id} came in after the hold expired, but your seats were still free. ' +
+    'Your booking is confirmed.',
+  late_payment_refunded: '↩️ Your payment for booking {booking_id} came in after the hold expired and the seats are no longer available. ' +
+    'We are refunding ₹{amount} to you.',
+  cancelled_payment_refunded: '↩️ Your payment for booking {booking_id} came in after the booking was cancelled. ' +
+    'We are refunding ₹{amount} to you.',
+  short_payment_refunded: '↩️ The ₹{amount} paid for booking {booking_id} is less than its price of ₹{price}, so we are refunding it to you. ' +
+    'Please pay with the latest payment link we sent.',
+  refund_pending: '↩️ A refund of ₹{amount} for booking {booking_id} has been started. ' +
+    'It usually reaches your account in 5-7 working days.',
+  refund_processed: '✅ ₹{amount} for booking {booking_id} has been refunded to your account.',
+  refund_failed: '⚠️ We could not refund ₹{amount} for booking {booking_id}. The operator will contact you about it.',
+  refund_not_eligible: 'Booking {booking_id} was cancelled too close to departure for a refund of the ₹{amount} you paid.'
+});
+
+const hi = Object.freeze({
+  help: 'सीट बुक करने के लिए, इनमें से किसी एक फॉर्मेट में अपना अनुरोध भेजें:\n\n' +
+    '📋 फॉर्मेट 1:\nRoute: [कहाँ से] to [कहाँ तक], Date: YYYY-MM-DD, Time: HH:MM, Seats: [संख्या]\n\n' +
+    '📋 फॉर्मेट 2:\n[कहाँ से] to [कहाँ तक], YYYY-MM-DD, HH:MM, [संख्या] seats\n\n' +
+    'उदाहरण:\nRoute: Mumbai to Pune, Date: 2024-01-15, Time: 08:00, Seats: 2\n\n' +
+    'तारीख और समय ऐसे भी लिख सकते हैं: "kal", "parso", "next Friday", "15 Jan", "8am" या "shaam"।\n\n' +
+    'या सिर्फ अपना रूट भेजें (जैसे Mumbai to Pune), बाकी जानकारी हम पूछ लेंगे।\n\n' +
+    'अपनी बुकिंग देखने के लिए MY BOOKINGS, किसी बुकिंग की जानकारी के लिए STATUS <बुकिंग नंबर>, ' +
+    'या कन्फर्म बुकिंग रद्द करने के लिए CANCEL <बुकिंग नंबर> भेजें।\n\n' +
+    'भाषा बदलने के लिए HINDI, MARATHI, GUJARATI या ENGLISH भेजें।',
+  parse_error: 'हम आपका बुकिंग अनुरोध समझ नहीं पाए। कृपया इस फॉर्मेट का उपयोग करें:\n\n{help}',
+  generic_error: 'माफ़ कीजिए, आपका संदेश प्रोसेस करते समय त्रुटि हुई। कृपया बाद में फिर से कोशिश करें।',
+  booking_error: 'माफ़ कीजिए, आपका बुकिंग अनुरोध प्रोसेस करते समय त्रुटि हुई। कृपया बाद में फिर से कोशिश करें।',
+  missing_details: 'कृपया पूरी जानकारी दें: कहाँ से, कहाँ तक, तारीख, समय और सीटों की संख्या।',
+  min_seats: 'कृपया कम से कम 1 सीट का अनुरोध करें।',
+  no_route: 'माफ़ कीजिए, {source} से {destination} तक कोई रूट नहीं मिला। कृपया जाँच कर फिर से कोशिश करें।',
+  no_trip_at: 'माफ़ कीजिए, {date} को {time} बजे कोई बस नहीं मिली। कृपया तारीख और समय जाँच लें।',
+  no_trip_window: 'माफ़ कीजिए, {date} को {window} ({from}–{to}) में कोई बस नहीं मिली। कृपया तारीख और समय जाँच लें।',
+  seats_limited: 'माफ़ कीजिए, इस बस में सिर्फ {available} सीट उपलब्ध हैं। कृपया कम सीटें माँगें या दूसरी बस चुनें।',
+  seats_unavailable: 'सीटें उपलब्ध नहीं हैं',
+  hold_notification: '✅ सीटें उपलब्ध हैं! आपका बुकिंग अनुरोध मिल गया है।\n\n' +
+    'बुकिंग ID: {booking_id}\nरूट: {source} → {destination}\nतारीख: {date}\nसमय: {time}\n' +
+    'सीटें: {seats}\nकिराया: ₹{price}\n\n' +
+    'आपकी सीटें {hold_minutes} मिनट के लिए होल्ड पर हैं। ऑपरेटर पुष्टि के लिए जल्द ही आपसे संपर्क करेंगे।',
+  booking_received: 'आपका बुकिंग अनुरोध मिल गया है!\n\n' +
+    'बुकिंग ID: {booking_id}\nरूट: {source} → {destination}\nतारीख: {date}\nसमय: {time}\n' +
+    'सीटें: {seats}\nकिराया: ₹{price}\n\n' +
+    'हम जल्द ही आपकी बुकिंग की पुष्टि करेंगे।',
+  ticket_confirmed: '🎉 आपकी बुकिंग कन्फर्म हो गई है!\n\n' +
+    'बुकिंग ID: {booking_id}\nरूट: {source} → {destination}\nतारीख: {date}\nसमय: {time}\n' +
+    'सीटें: {seats}\n\n' +
+    'हमें चुनने के लिए धन्यवाद!',
+  booking_confirmed: '✅ आपकी बुकिंग कन्फर्म हो गई है!\n\n' +
+    'बुकिंग ID: {booking_id}\nरूट: {source} → {destination}\nतारीख: {date}\nसमय: {time}\n' +
+    'सीटें: {seats}\nकिराया: ₹{price}\n\n' +
+    'हमें चुनने के लिए धन्यवाद!',
+  booking_rejected: '❌ आपका बुकिंग अनुरोध अस्वीकार कर दिया गया है।\n\n' +
+    'बुकिंग ID: {booking_id}\nरूट: {source} → {destination}\nतारीख: {date}\n\n' +
+    'असुविधा के लिए खेद है। दूसरे विकल्पों के लिए कृपया हमसे संपर्क करें।',
+  reminder: 'याद दिलाना: {source} से {destination} जाने वाली आपकी बस {date} को {time} बजे रवाना होगी। शुभ यात्रा!',
+  language_set: 'ठीक है, अब से हम आपको हिंदी में जवाब देंगे।',
+  prompt_route: 'आप कहाँ जाना चाहते हैं? कृपया अपना रूट भेजें, जैसे "Mumbai to Pune"।',
+  prompt_date: 'रूट: {source} → {destination}\n\n' +
+    'आप किस तारीख को यात्रा करना चाहते हैं? जैसे "kal", "next Friday", "15 Jan" या 2024-01-15।',
+  prompt_time: 'तारीख: {date}\n\nबस किस समय चाहिए? जैसे "8am", "20:30" या "shaam"।',
+  prompt_seats: 'आपको कितनी सीटें चाहिए?',
+  prompt_confirmation: 'कृपया अपने बुकिंग अनुरोध की पुष्टि करें:\n\n' +
+    'रूट: {source} → {destination}\nतारीख: {date}\nसमय: {time}\nसीटें: {seats}\n\n' +
+    'सीटें होल्ड करने के लिए YES (हाँ) या फिर से शुरू करने के लिए NO (नहीं) भेजें।',
+  not_understood: 'माफ़ कीजिए, हम समझ नहीं पाए।\n\n{prompt}',
+  start_over: 'ठीक है, फिर से शुरू करते हैं।\n\n{prompt}',
+  discarded: 'कोई बात नहीं, आपका अनुरोध रद्द कर दिया गया।\n\n{prompt}',
+  clarify_date: 'इस तारीख के एक से ज़्यादा मतलब हो सकते हैं। क्या आपका मतलब था:\n\n{options}\n\nकृपया सही तारीख भेजें।',
+  clarify_time: 'इस समय के एक से ज़्यादा मतलब हो सकते हैं। क्या आपका मतलब था:\n\n{options}\n\nकृपया सही समय भेजें।',
+  departure_choice: '{date} को कई बसें हैं:\n\n{options}\n\nकृपया जिस समय की बस चाहिए वह भेजें।',
+  route_choice: 'हम समझ नहीं पाए कि "{source} to {destination}" से आपका मतलब कौन सा रूट है। क्या आपका मतलब था:\n\n{options}\n\n' +
+    'कृपया सही रूट भेजें।',
+  window_morning: 'सुबह',
+  window_afternoon: 'दोपहर',
+  window_evening: 'शाम',
+  window_night: 'रात',
+  button_confirm: 'पुष्टि करें',
+  button_cancel: 'रद्द करें',
+  list_choose_time: 'समय चुनें',
+  list_departures: 'बसें',
+  my_bookings: 'आपकी बुकिंग:\n\n{bookings}\n\n' +
+    'जानकारी के लिए STATUS <बुकिंग नंबर> या रद्द करने के लिए CANCEL <बुकिंग नंबर> भेजें।',
+  my_bookings_empty: 'आपकी अभी कोई बुकिंग नहीं है। बुकिंग का तरीका जानने के लिए HELP भेजें।',
+  booking_line: '#{id} {source} → {destination}, {date} {time}, {seats} सीट: {status}',
+  booking_status: 'बुकिंग #{id}\n{source} → {destination}\nतारीख: {date}\nसमय: {time}\nसीटें: {seats}\n' +
+    'स्थिति: {status}',
+  status_hold: '{expires} तक होल्ड पर, ऑपरेटर की पुष्टि का इंतज़ार',
+  status_confirmed: 'कन्फर्म',
+  status_cancelled: 'रद्द',
+  status_expired: 'समाप्त',
+  booking_not_found: 'आपके नंबर पर बुकिंग #{id} नहीं मिली। अपनी बुकिंग देखने के लिए MY BOOKINGS भेजें।',
+  cancel_done: 'बुकिंग #{id} रद्द कर दी गई है। ऑपरेटर को सूचित कर दिया गया है।',
+  cancel_already: 'बुकिंग #{id} पहले ही रद्द हो चुकी है।',
+  cancel_hold: 'बुकिंग #{id} अभी कन्फर्म नहीं हुई है, इसलिए रद्द करने की ज़रूरत नहीं है। ' +
+    'होल्ड {expires} पर अपने आप हट जाएगा।',
+  cancel_not_allowed: 'बुकिंग #{id} {status} है और रद्द नहीं की जा सकती।',
+  cancel_in_progress: 'बुकिंग #{id} पहले से रद्द की जा रही है। एक मिनट बाद STATUS {id} भेजकर देखें।',
+  cancel_quote_free: 'बुकिंग #{id} रद्द करना मुफ़्त है।',
+  cancel_quote_fee: 'बुकिंग #{id} अभी रद्द करने पर ₹{fee} रद्दीकरण शुल्क लगेगा।',
+  cancel_quote_refund: 'आपके चुकाए गए ₹{paid} में से ₹{refund} वापस किए जाएंगे।',
+  cancel_quote_changed: 'आपके पूछने के बाद बुकिंग #{id} का रद्दीकरण शुल्क बढ़ गया है।',
+  cancel_confirm_prompt: 'पुष्टि करने के लिए CANCEL {id} YES भेजें।',
+  cancel_blocked_cutoff: 'बुकिंग #{id} अब रद्द नहीं की जा सकती: रद्दीकरण प्रस्थान से {hours} घंटे पहले बंद हो जाता है।',
+  cancel_blocked_window: 'बुकिंग #{id} रद्द नहीं की जा सकती: {start} से {end} तक की यात्राएं रद्द नहीं होतीं।',
+  button_choose_seats: 'सीट चुनें',
+  prompt_seat_choice: 'कृपया मैप से {seats} सीट नंबर भेजें, जैसे "L1 L2", या हमें सीट चुनने देने के लिए ANY भेजें।',
+  seat_map: '{date} को {time} की बस में खाली सीटें:\n\n{seats}',
+  seat_map_ladies: '* = महिला सीट',
+  deck_lower: 'निचला डेक',
+  deck_upper: 'ऊपरी डेक',
+  seat_type_seater: 'सीटर',
+  seat_type_sleeper: 'स्लीपर',
+  seat_choice_count: 'कृपया ठीक {seats} सीट चुनें, या हमें सीट चुनने देने के लिए ANY भेजें।',
+  seat_choice_unavailable: 'माफ़ कीजिए, सीट {labels} बुक नहीं हो सकती। कृपया खाली सीटों में से चुनें।',
+  seat_map_unavailable: 'माफ़ कीजिए, इस बस के लिए अभी सीट नहीं चुनी जा सकती। हम आपके लिए सीट चुन लेंगे।',
+  seats_taken: 'माफ़ कीजिए, सीट {labels} अभी-अभी बुक हो गई। कृपया दूसरी सीट चुनें।',
+  waitlist_offer: 'वेटलिस्ट में जुड़ने के लिए WAITLIST भेजें। अगर इस बस में {seats} सीट खाली होती हैं, तो हम उन्हें आपके लिए होल्ड करके आपको बताएँगे।',
+  waitlist_joined: '{date} को {time} की {source} → {destination} बस की वेटलिस्ट में आप #{position} नंबर पर हैं ({seats} सीट)। ' +
+    'सीटें खाली होते ही हम उन्हें आपके लिए होल्ड करके आपको मैसेज करेंगे।',
+  waitlist_already: 'आप पहले से {date} को {time} की {source} → {destination} बस की वेटलिस्ट में #{position} नंबर पर हैं।',
+  waitlist_seats_available: 'अच्छी खबर, {date} को {time} की {source} → {destination} बस में अभी सीटें खाली हुई हैं। ' +
+    'कृपया अपना बुकिंग अनुरोध फिर से भेजें।',
+  waitlist_no_offer: 'इंतज़ार करने के लिए कोई भरी हुई बस नहीं है। पहले अपना बुकिंग अनुरोध भेजें; बस भरी होने पर हम आपको वेटलिस्ट देंगे।',
+  waitlist_hold: '🎉 वेटलिस्ट से आपके लिए सीटें खाली हुई हैं!\n\n' +
+    'बुकिंग ID: {booking_id}\nरूट: {source} → {destination}\nतारीख: {date}\nसमय: {time}\n' +
+    'सीटें: {seats}\nकिराया: ₹{price}\n\n' +
+    'आपकी सीटें {hold_minutes} मिनट के लिए होल्ड पर हैं। ऑपरेटर पुष्टि के लिए जल्द ही आपसे संपर्क करेंगे।',
+  alternatives_choice: 'आप इनमें से कोई बस बुक कर सकते हैं:\n\n{options}\n\nजो बस चाहिए उसका नंबर भेजें।',
+  alternative_line: '{number}. {date} {time} · {source} → {destination}{operator} · ₹{price} · {available} सीट बाकी',
+  prompt_alternative: 'कृपया 1 से {count} तक का कोई नंबर भेजें, या दूसरी तारीख या समय भेजें।',
+  price_updated: '💰 बुकिंग {booking_id} का किराया ₹{previous_price} से बदलकर ₹{price} कर दिया गया है।',
+  payment_link: '💳 बुकिंग {booking_id} के लिए ₹{price} UPI, कार्ड या नेटबैंकिंग से चुकाएं:\n{pay_link_url}\n\n' +
+    'कृपया होल्ड खत्म होने से पहले भुगतान करें। भुगतान मिलते ही आपकी बुकिंग पक्की हो जाएगी।',
+  late_payment_confirmed: '✅ बुकिंग {booking_id} का आपका भुगतान होल्ड खत्म होने के बाद आया, लेकिन आपकी सीटें अभी भी खाली थीं। ' +
+    'आपकी बुकिंग पक्की हो गई है।',
+  late_payment_refunded: '↩️ बुकिंग {booking_id} का आपका भुगतान होल्ड खत्म होने के बाद आया और सीटें अब उपलब्ध नहीं हैं। ' +
+    'हम आपको ₹{amount} वापस कर रहे हैं।',
+  cancelled_payment_refunded: '↩️ बुकिंग {booking_id} का आपका भुगतान बुकिंग रद्द होने के बाद आया। ' +
+    'हम आपको ₹{amount} वापस कर रहे हैं।',
+  short_payment_refunded: '↩️ बुकिंग {booking_id} के लिए चुकाए गए ₹{amount} उसकी कीमत ₹{price} से कम हैं, इसलिए हम यह राशि आपको वापस कर रहे हैं। ' +
+    'कृपया हमारे भेजे गए नए भुगतान लिंक से भुगतान करें।',
+  refund_pending: '↩️ बुकिंग {booking_id} के ₹{amount} का रिफंड शुरू कर दिया गया है। ' +
+    'यह आमतौर पर 5-7 कार्यदिवसों में आपके खाते में पहुंच जाता है।',
+  refund_processed: '✅ बुकिंग {booking_id} के ₹{amount} आपके खाते में वापस कर दिए गए हैं।',
+  refund_failed: '⚠️ हम बुकिंग {booking_id} के ₹{amount} वापस नहीं कर सके। ऑपरेटर इस बारे में आपसे संपर्क करेगा।',
+  refund_not_eligible: 'बुकिंग {booking_id} प्रस्थान के बहुत करीब रद्द की गई, इसलिए आपके चुकाए ₹{amount} का रिफंड नहीं होगा।'
+});
+
+const mr = Object.freeze({
+  help: 'सीट बुक करण्यासाठी, खालीलपैकी एका फॉरमॅटमध्ये तुमची विनंती पाठवा:\n\n' +
+    '📋 फॉरमॅट 1:\nRoute: [कुठून] to [कुठे], Date: YYYY-MM-DD, Time: HH:MM, Seats: [संख्या]\n\n' +
+    '📋 फॉरमॅट 2:\n[कुठून] to [कुठे], YYYY-MM-DD, HH:MM, [संख्या] seats\n\n' +
+    'उदाहरण:\nRoute: Mumbai to Pune, Date: 2024-01-15, Time: 08:00, Seats: 2\n\n' +
+    'तारीख आणि वेळ अशीही लिहू शकता: "udya", "next Friday", "15 Jan", "8am" किंवा "sandhyakal".\n\n' +
+    'किंवा फक्त तुमचा रूट पाठवा (उदा. Mumbai to Pune), बाकीची माहिती आम्ही विचारू.\n\n' +
+    'तुमच्या बुकिंग पाहण्यासाठी MY BOOKINGS, एखाद्या बुकिंगची माहिती मिळवण्यासाठी STATUS <बुकिंग क्रमांक>, ' +
+    'किंवा कन्फर्म बुकिंग रद्द करण्यासाठी CANCEL <बुकिंग क्रमांक> पाठवा.\n\n' +
+    'भाषा बदलण्यासाठी HINDI, MARATHI, GUJARATI किंवा ENGLISH पाठवा.',
+  parse_error: 'आम्हाला तुमची बुकिंग विनंती समजली नाही. कृपया हा फॉरमॅट वापरा:\n\n{help}',
+  generic_error: 'क्षमस्व, तुमचा संदेश प्रक्रिया करताना त्रुटी आली. कृपया नंतर पुन्हा प्रयत्न करा.',
+  booking_error: 'क्षमस्व, तुमची बुकिंग विनंती प्रक्रिया करताना त्रुटी आली. कृपया नंतर पुन्हा प्रयत्न करा.',
+  missing_details: 'कृपया सर्व माहिती द्या: कुठून, कुठे, तारीख, वेळ आणि सीटची संख्या.',
+  min_seats: 'कृपया किमान 1 सीटची विनंती करा.',
+  no_route: 'क्षमस्व, {source} ते {destination} असा कोणताही रूट सापडला नाही. कृपया तपासून पुन्हा प्रयत्न करा.',
+  no_trip_at: 'क्षमस्व, {date} रोजी {time} वाजता कोणतीही बस सापडली नाही. कृपया तारीख आणि वेळ तपासा.',
+  no_trip_window: 'क्षमस्व, {date} रोजी {window} ({from}–{to}) कोणतीही बस सापडली नाही. कृपया तारीख आणि वेळ तपासा.',
+  seats_limited: 'क्षमस्व, या बसमध्ये फक्त {available} सीट उपलब्ध आहेत. कृपया कमी सीट मागा किंवा दुसरी बस निवडा.',
+  seats_unavailable: 'सीट उपलब्ध नाहीत',
+  hold_notification: '✅ सीट उपलब्ध आहेत! तुमची बुकिंग विनंती मिळाली आहे.\n\n' +
+    'बुकिंग ID: {booking_id}\nरूट: {source} → {destination}\nतारीख: {date}\nवेळ: {time}\n' +
+    'सीट: {seats}\nभाडे: ₹{price}\n\n' +
+    'तुमच्या सीट {hold_minutes} मिनिटांसाठी होल्डवर आहेत. ऑपरेटर खात्री करण्यासाठी लवकरच तुमच्याशी संपर्क साधतील.',
+  booking_received: 'तुमची बुकिंग विनंती मिळाली आहे!\n\n' +
+    'बुकिंग ID: {booking_id}\nरूट: {source} → {destination}\nतारीख: {date}\nवेळ: {time}\n' +
+    'सीट: {seats}\nभाडे: ₹{price}\n\n' +
+    'आम्ही लवकरच तुमची बुकिंग निश्चित करू.',
+  ticket_confirmed: '🎉 तुमची बुकिंग निश्चित झाली आहे!\n\n' +
+    'बुकिंग ID: {booking_id}\nरूट: {source} → {destination}\nतारीख: {date}\nवेळ: {time}\n' +
+    'सीट: {seats}\n\n' +
+    'आम्हाला निवडल्याबद्दल धन्यवाद!',
+  booking_confirmed: '✅ तुमची बुकिंग निश्चित झाली आहे!\n\n' +
+    'बुकिंग ID: {booking_id}\nरूट: {source} → {destination}\nतारीख: {date}\nवेळ: {time}\n' +
+    'सीट: {seats}\nभाडे: ₹{price}\n\n' +
+    'आम्हाला निवडल्याबद्दल धन्यवाद!',
+  booking_rejected: '❌ तुमची बुकिंग विनंती नाकारण्यात आली आहे.\n\n' +
+    'बुकिंग ID: {booking_id}\nरूट: {source} → {destination}\nतारीख: {date}\n\n' +
+    'गैरसोयीबद्दल क्षमस्व. इतर पर्यायांसाठी कृपया आमच्याशी संपर्क साधा.',
+  reminder: 'आठवण: {source} ते {destination} तुमची बस {date} रोजी {time} वाजता सुटेल. शुभ प्रवास!',
+  language_set: 'ठीक आहे, आतापासून आम्ही तुम्हाला मराठीत उत्तर देऊ.',
+  prompt_route: 'तुम्हाला कुठे प्रवास करायचा आहे? कृपया तुमचा रूट पाठवा, उदा. "Mumbai to Pune".',
+  prompt_date: 'रूट: {source} → {destination}\n\n' +
+    'तुम्हाला कोणत्या तारखेला प्रवास करायचा आहे? उदा. "udya", "next Friday", "15 Jan" किंवा 2024-01-15.',
+  prompt_time: 'तारीख: {date}\n\nकोणत्या वेळेची बस हवी आहे? उदा. "8am", "20:30" किंवा "sandhyakal".',
+  prompt_seats: 'तुम्हाला किती सीट हव्या आहेत?',
+  prompt_confirmation: 'कृपया तुमची बुकिंग विनंती निश्चित करा:\n\n' +
+    'रूट: {source} → {destination}\nतारीख: {date}\nवेळ: {time}\nसीट: {seats}\n\n' +
+    'सीट होल्ड करण्यासाठी YES (हो) किंवा पुन्हा सुरू करण्यासाठी NO (नाही) पाठवा.',
+  not_understood: 'क्षमस्व, आम्हाला समजले नाही.\n\n{prompt}',
+  start_over: 'ठीक आहे, पुन्हा सुरू करूया.\n\n{prompt}',
+  discarded: 'काही हरकत नाही, तुमची विनंती रद्द केली.\n\n{prompt}',
+  clarify_date: 'या तारखेचे एकापेक्षा जास्त अर्थ होऊ शकतात. तुम्हाला हे म्हणायचे आहे का:\n\n{options}\n\nकृपया नेमकी तारीख पाठवा.',
+  clarify_time: 'या वेळेचे एकापेक्षा जास्त अर्थ होऊ शकतात. तुम्हाला हे म्हणायचे आहे का:\n\n{options}\n\nकृपया नेमकी वेळ पाठवा.',
+  departure_choice: '{date} रोजी अनेक बस आहेत:\n\n{options}\n\nकृपया तुम्हाला हवी असलेली वेळ पाठवा.',
+  route_choice: '"{source} to {destination}" म्हणजे कोणता रूट हे आम्हाला समजले नाही. तुम्हाला हे म्हणायचे आहे का:\n\n{options}\n\n' +
+    'कृपया हवा असलेला रूट पाठवा.',
+  window_morning: 'सकाळ',
+  window_afternoon: 'दुपार',
+  window_evening: 'संध्याकाळ',
+  window_night: 'रात्र',
+  button_confirm: 'निश्चित करा',
+  button_cancel: 'रद्द करा',
+  list_choose_time: 'वेळ निवडा',
+  list_departures: 'बस',
+  my_bookings: 'तुमच्या बुकिंग:\n\n{bookings}\n\n' +
+    'माहितीसाठी STATUS <बुकिंग क्रमांक> किंवा रद्द करण्यासाठी CANCEL <बुकिंग क्रमांक> पाठवा.',
+  my_bookings_empty: 'तुमची अजून कोणतीही बुकिंग नाही. बुकिंग कशी करायची हे पाहण्यासाठी HELP पाठवा.',
+  booking_line: '#{id} {source} → {destination}, {date} {time}, {seats} सीट: {status}',
+  booking_status: 'बुकिंग #{id}\n{source} → {destination}\nतारीख: {date}\nवेळ: {time}\nसीट: {seats}\n' +
+    'स्थिती: {status}',
+  status_hold: '{expires} पर्यंत होल्डवर, ऑपरेटरच्या पुष्टीची प्रतीक्षा',
+  status_confirmed: 'कन्फर्म',
+  status_cancelled: 'रद्द',
+  status_expired: 'कालबाह्य',
+  booking_not_found: 'तुमच्या नंबरवर बुकिंग #{id} सापडली नाही. तुमच्या बुकिंग पाहण्यासाठी MY BOOKINGS पाठवा.',
+  cancel_done: 'बुकिंग #{id} रद्द केली आहे. ऑपरेटरला कळवले आहे.',
+  cancel_already: 'बुकिंग #{id} आधीच रद्द झाली आहे.',
+  cancel_hold: 'बुकिंग #{id} अजून कन्फर्म झालेली नाही, त्यामुळे रद्द करण्याची गरज नाही. ' +
+    'होल्ड {expires} वाजता आपोआप सुटेल.',
+  cancel_not_allowed: 'बुकिंग #{id} {status} आहे आणि रद्द करता येणार नाही.',
+  cancel_in_progress: 'बुकिंग #{id} आधीच रद्द होत आहे. एका मिनिटाने STATUS {id} पाठवून तपासा.',
+  cancel_quote_free: 'बुकिंग #{id} रद्द करणे मोफत आहे.',
+  cancel_quote_fee: 'बुकिंग #{id} आता रद्द केल्यास ₹{fee} रद्दीकरण शुल्क लागेल.',
+  cancel_quote_refund: 'तुम्ही भरलेल्या ₹{paid} पैकी ₹{refund} परत केले जातील.',
+  cancel_quote_changed: 'तुम्ही विचारल्यानंतर बुकिंग #{id} चे रद्दीकरण शुल्क वाढले आहे.',
+  cancel_confirm_prompt: 'खात्री करण्यासाठी CANCEL {id} YES पाठवा.',
+  cancel_blocked_cutoff: 'बुकिंग #{id} आता रद्द करता येणार नाही: प्रवास सुरू होण्याच्या {hours} तास आधी रद्दीकरण बंद होते.',
+  cancel_blocked_window: 'बुकिंग #{id} रद्द करता येणार नाही: {start} ते {end} दरम्यानचे प्रवास रद्द करता येत नाहीत.',
+  button_choose_seats: 'सीट निवडा',
+  prompt_seat_choice: 'कृपया मॅपमधून {seats} सीट नंबर पाठवा, उदा. "L1 L2", किंवा आम्हाला सीट निवडू देण्यासाठी ANY पाठवा.',
+  seat_map: '{date} रोजी {time} च्या बसमधील रिकाम्या सीट:\n\n{seats}',
+  seat_map_ladies: '* = महिला सीट',
+  deck_lower: 'खालचा डेक',
+  deck_upper: 'वरचा डेक',
+  seat_type_seater: 'सीटर',
+  seat_type_sleeper: 'स्लीपर',
+  seat_choice_count: 'कृपया नेमक्या {seats} सीट निवडा, किंवा आम्हाला सीट निवडू देण्यासाठी ANY पाठवा.',
+  seat_choice_unavailable: 'माफ करा, सीट {labels} बुक करता येत नाही. कृपया रिकाम्या सीटमधून निवडा.',
+  seat_map_unavailable: 'माफ करा, या बससाठी आत्ता सीट निवडता येत नाही. आम्ही तुमच्यासाठी सीट निवडू.',
+  seats_taken: 'माफ करा, सीट {labels} नुकत्याच बुक झाल्या. कृपया दुसऱ्या सीट निवडा.',
+  waitlist_offer: 'वेटलिस्टमध्ये सामील होण्यासाठी WAITLIST पाठवा. या बसमध्ये {seats} सीट रिकाम्या झाल्यास आम्ही त्या तुमच्यासाठी होल्ड करून तुम्हाला कळवू.',
+  waitlist_joined: '{date} रोजी {time} च्या {source} → {destination} बसच्या वेटलिस्टमध्ये तुमचा क्रमांक #{position} आहे ({seats} सीट). ' +
+    'सीट रिकाम्या होताच आम्ही त्या तुमच्यासाठी होल्ड करून तुम्हाला मेसेज करू.',
+  waitlist_already: 'तुम्ही आधीच {date} रोजी {time} च्या {source} → {destination} बसच्या वेटलिस्टमध्ये #{position} क्रमांकावर आहात.',
+  waitlist_seats_available: 'आनंदाची बातमी, {date} रोजी {time} च्या {source} → {destination} बसमध्ये आत्ताच सीट रिकाम्या झाल्या आहेत. ' +
+    'कृपया तुमची बुकिंग विनंती पुन्हा पाठवा.',
+  waitlist_no_offer: 'वाट पाहण्यासाठी कोणतीही भरलेली बस नाही. आधी तुमची बुकिंग विनंती पाठवा; बस भरलेली असल्यास आम्ही तुम्हाला वेटलिस्ट देऊ.',
+  waitlist_hold: '🎉 वेटलिस्टमधून तुमच्यासाठी सीट रिकाम्या झाल्या आहेत!\n\n' +
+    'बुकिंग ID: {booking_id}\nरूट: {source} → {destination}\nतारीख: {date}\nवेळ: {time}\n' +
+    'सीट: {seats}\nभाडे: ₹{price}\n\n' +
+    'तुमच्या सीट {hold_minutes} मिनिटांसाठी होल्डवर आहेत. ऑपरेटर खात्री करण्यासाठी लवकरच तुमच्याशी संपर्क साधतील.',
+  alternatives_choice: 'त्याऐवजी तुम्ही यापैकी एक बस बुक करू शकता:\n\n{options}\n\nहवी असलेल्या बसचा नंबर पाठवा.',
+  alternative_line: '{number}. {date} {time} · {source} → {destination}{operator} · ₹{price} · {available} सीट शिल्लक',
+  prompt_alternative: 'कृपया 1 ते {count} पैकी एक नंबर पाठवा, किंवा दुसरी तारीख किंवा वेळ पाठवा.',
+  price_updated: '💰 बुकिंग {booking_id} चे भाडे ₹{previous_price} वरून ₹{price} केले आहे.',
+  payment_link: '💳 बुकिंग {booking_id} साठी ₹{price} UPI, कार्ड किंवा नेटबँकिंगने भरा:\n{pay_link_url}\n\n' +
+    'कृपया होल्ड संपण्यापूर्वी पैसे भरा. पैसे मिळताच तुमची बुकिंग पक्की होईल.',
+  late_payment_confirmed: '✅ बुकिंग {booking_id} साठी तुमचे पैसे होल्ड संपल्यानंतर आले, पण तुमच्या सीट अजून रिकाम्या होत्या. ' +
+    'तुमची बुकिंग पक्की झाली आहे.',
+  late_payment_refunded: '↩️ बुकिंग {booking_id} साठी तुमचे पैसे होल्ड संपल्यानंतर आले आणि सीट आता उपलब्ध नाहीत. ' +
+    'आम्ही तुम्हाला ₹{amount} परत करत आहोत.',
+  cancelled_payment_refunded: '↩️ बुकिंग {booking_id} साठी तुमचे पैसे बुकिंग रद्द झाल्यानंतर आले. ' +
+    'आम्ही तुम्हाला ₹{amount} परत करत आहोत.',
+  short_payment_refunded: '↩️ बुकिंग {booking_id} साठी भरलेले ₹{amount} तिच्या ₹{price} किमतीपेक्षा कमी आहेत, म्हणून आम्ही ते तुम्हाला परत करत आहोत. ' +
+    'कृपया आम्ही पाठवलेल्या नवीन पेमेंट लिंकने पैसे भरा.',
+  refund_pending: '↩️ बुकिंग {booking_id} च्या ₹{amount} चा परतावा सुरू केला आहे. ' +
+    'तो साधारणपणे 5-7 कामकाजाच्या दिवसांत तुमच्या खात्यात जमा होतो.',
+  refund_processed: '✅ बुकिंग {booking_id} चे ₹{amount} तुमच्या खात्यात परत केले आहेत.',
+  refund_failed: '⚠️ बुकिंग {booking_id} चे ₹{amount} आम्ही परत करू शकलो नाही. ऑपरेटर याबद्दल तुमच्याशी संपर्क करेल.',
+  refund_not_eligible: 'बुकिंग {booking_id} प्रवासाच्या खूप जवळ रद्द केल्यामुळे तुम्ही भरलेल्या ₹{amount} चा परतावा मिळणार नाही.'
+});
+
+const gu = Object.freeze({
+  help: 'સીટ બુક કરવા માટે, નીચેના કોઈ એક ફોર્મેટમાં તમારી વિનંતી મોકલો:\n\n' +
+    '📋 ફોર્મેટ 1:\nRoute: [ક્યાંથી] to [ક્યાં], Date: YYYY-MM-DD, Time: HH:MM, Seats: [સંખ્યા]\n\n' +
+    '📋 ફોર્મેટ 2:\n[ક્યાંથી] to [ક્યાં], YYYY-MM-DD, HH:MM, [સંખ્યા] seats\n\n' +
+    'ઉદાહરણ:\nRoute: Mumbai to Pune, Date: 2024-01-15, Time: 08:00, Seats: 2\n\n' +
+    'તારીખ અને સમય આ રીતે પણ લખી શકો: "kale", "next Friday", "15 Jan", "8am" અથવા "sanj".\n\n' +
+    'અથવા ફક્ત તમારો રૂટ મોકલો (દા.ત. Mumbai to Pune), બાકીની માહિતી અમે પૂછીશું.\n\n' +
+    'તમારી બુકિંગ જોવા માટે MY BOOKINGS, કોઈ બુકિંગની માહિતી માટે STATUS <બુકિંગ નંબર>, ' +
+    'અથવા કન્ફર્મ બુકિંગ રદ કરવા માટે CANCEL <બુકિંગ નંબર> મોકલો.\n\n' +
+    'ભાષા બદલવા માટે HINDI, MARATHI, GUJARATI અથવા ENGLISH મોકલો.',
+  parse_error: 'અમે તમારી બુકિંગ વિનંતી સમજી શક્યા નહીં. કૃપા કરીને આ ફોર્મેટનો ઉપયોગ કરો:\n\n{help}',
+  generic_error: 'માફ કરશો, તમારો સંદેશ પ્રક્રિયા કરતી વખતે ભૂલ આવી. કૃપા કરીને થોડી વાર પછી ફરી પ્રયાસ કરો.',
+  booking_error: 'માફ કરશો, તમારી બુકિંગ વિનંતી પ્રક્રિયા કરતી વખતે ભૂલ આવી. કૃપા કરીને થોડી વાર પછી ફરી પ્રયાસ કરો.',
+  missing_details: 'કૃપા કરીને બધી માહિતી આપો: ક્યાંથી, ક્યાં, તારીખ, સમય અને સીટની સંખ્યા.',
+  min_seats: 'કૃપા કરીને ઓછામાં ઓછી 1 સીટની વિનંતી કરો.',
+  no_route: 'માફ કરશો, {source} થી {destination} સુધી કોઈ રૂટ મળ્યો નથી. કૃપા કરીને તપાસીને ફરી પ્રયાસ કરો.',
+  no_trip_at: 'માફ કરશો, {date} ના રોજ {time} વાગ્યે કોઈ બસ મળી નથી. કૃપા કરીને તારીખ અને સમય તપાસો.',
+  no_trip_window: 'માફ કરશો, {date} ના રોજ {window} ({from}–{to}) કોઈ બસ મળી નથી. કૃપા કરીને તારીખ અને સમય તપાસો.',
+  seats_limited: 'માફ કરશો, આ બસમાં ફક્ત {available} સીટ ઉપલબ્ધ છે. કૃપા કરીને ઓછી સીટ માંગો અથવા બીજી બસ પસંદ કરો.',
+  seats_unavailable: 'સીટ ઉપલબ્ધ નથી',
+  hold_notification: '✅ સીટ ઉપલબ્ધ છે! તમારી બુકિંગ વિનંતી મળી ગઈ છે.\n\n' +
+    'બુકિંગ ID: {booking_id}\nરૂટ: {source} → {destination}\nતારીખ: {date}\nસમય: {time}\n' +
+    'સીટ: {seats}\nભાડું: ₹{price}\n\n' +
+    'તમારી સીટ {hold_minutes} મિનિટ માટે હોલ્ડ પર છે. ઓપરેટર પુષ્ટિ માટે ટૂંક સમયમાં તમારો સંપર્ક કરશે.',
+  booking_received: 'તમારી બુકિંગ વિનંતી મળી ગઈ છે!\n\n' +
+    'બુકિંગ ID: {booking_id}\nરૂટ: {source} → {destination}\nતારીખ: {date}\nસમય: {time}\n' +
+    'સીટ: {seats}\nભાડું: ₹{price}\n\n' +
+    'અમે ટૂંક સમયમાં તમારી બુકિંગની પુષ્ટિ કરીશું.',
+  ticket_confirmed: '🎉 તમારી બુકિંગ કન્ફર્મ થઈ ગઈ છે!\n\n' +
+    'બુકિંગ ID: {booking_id}\nરૂટ: {source} → {destination}\nતારીખ: {date}\nસમય: {time}\n' +
+    'સીટ: {seats}\n\n' +
+    'અમને પસંદ કરવા બદલ આભાર!',
+  booking_confirmed: '✅ તમારી બુકિંગ કન્ફર્મ થઈ ગઈ છે!\n\n' +
+    'બુકિંગ ID: {booking_id}\nરૂટ: {source} → {destination}\nતારીખ: {date}\nસમય: {time}\n' +
+    'સીટ: {seats}\nભાડું: ₹{price}\n\n' +
+    'અમને પસંદ કરવા બદલ આભાર!',
+  booking_rejected: '❌ તમારી બુકિંગ વિનંતી નકારી કાઢવામાં આવી છે.\n\n' +
+    'બુકિંગ ID: {booking_id}\nરૂટ: {source} → {destination}\nતારીખ: {date}\n\n' +
+    'અસુવિધા બદલ દિલગીર છીએ. અન્ય વિકલ્પો માટે કૃપા કરીને અમારો સંપર્ક કરો.',
+  reminder: 'યાદ અપાવીએ: {source} થી {destination} જતી તમારી બસ {date} ના રોજ {time} વાગ્યે ઉપડશે. શુભ યાત્રા!',
+  language_set: 'બરાબર, હવેથી અમે તમને ગુજરાતીમાં જવાબ આપીશું.',
+  prompt_route: 'તમારે ક્યાં મુસાફરી કરવી છે? કૃપા કરીને તમારો રૂટ મોકલો, દા.ત. "Mumbai to Pune".',
+  prompt_date: 'રૂટ: {source} → {destination}\n\n' +
+    'તમારે કઈ તારીખે મુસાફરી કરવી છે? દા.ત. "kale", "next Friday", "15 Jan" અથવા 2024-01-15.',
+  prompt_time: 'તારીખ: {date}\n\nકયા સમયની બસ જોઈએ છે? દા.ત. "8am", "20:30" અથવા "sanj".',
+  prompt_seats: 'તમારે કેટલી સીટ જોઈએ છે?',
+  prompt_confirmation: 'કૃપા કરીને તમારી બુકિંગ વિનંતીની પુષ્ટિ કરો:\n\n' +
+    'રૂટ: {source} → {destination}\nતારીખ: {date}\nસમય: {time}\nસીટ: {seats}\n\n' +
+    'સીટ હોલ્ડ કરવા YES (હા) અથવા ફરી શરૂ કરવા NO (ના) મોકલો.',
+  not_understood: 'માફ કરશો, અમે સમજી શક્યા નહીં.\n\n{prompt}',
+  start_over: 'બરાબર, ફરીથી શરૂ કરીએ.\n\n{prompt}',
+  discarded: 'કોઈ વાંધો નહીં, તમારી વિનંતી રદ કરવામાં આવી.\n\n{prompt}',
+  clarify_date: 'આ તારીખના એકથી વધુ અર્થ થઈ શકે છે. શું તમારો મતલબ હતો:\n\n{options}\n\nકૃપા કરીને ચોક્કસ તારીખ મોકલો.',
+  clarify_time: 'આ સમયના એકથી વધુ અર્થ થઈ શકે છે. શું તમારો મતલબ હતો:\n\n{options}\n\nકૃપા કરીને ચોક્કસ સમય મોકલો.',
+  departure_choice: '{date} ના રોજ ઘણી બસ છે:\n\n{options}\n\nકૃપા કરીને તમને જોઈતો સમય મોકલો.',
+  route_choice: '"{source} to {destination}" થી તમારો મતલબ કયો રૂટ છે તે અમે સમજી શક્યા નહીં. શું તમારો મતલબ હતો:\n\n{options}\n\n' +
+    'કૃપા કરીને જોઈતો રૂટ મોકલો.',
+  window_morning: 'સવાર',
+  window_afternoon: 'બપોર',
+  window_evening: 'સાંજ',
+  window_night: 'રાત',
+  button_confirm: 'પુષ્ટિ કરો',
+  button_cancel: 'રદ કરો',
+  list_choose_time: 'સમય પસંદ કરો',
+  list_departures: 'બસ',
+  my_bookings: 'તમારી બુકિંગ:\n\n{bookings}\n\n' +
+    'માહિતી માટે STATUS <બુકિંગ નંબર> અથવા રદ કરવા માટે CANCEL <બુકિંગ નંબર> મોકલો.',
+  my_bookings_empty: 'તમારી હજી કોઈ બુકિંગ નથી. બુકિંગ કેવી રીતે કરવી તે જોવા HELP મોકલો.',
+  booking_line: '#{id} {source} → {destination}, {date} {time}, {seats} સીટ: {status}',
+  booking_status: 'બુકિંગ #{id}\n{source} → {destination}\nતારીખ: {date}\nસમય: {time}\nસીટ: {seats}\n' +
+    'સ્થિતિ: {status}',
+  status_hold: '{expires} સુધી હોલ્ડ પર, ઓપરેટરની પુષ્ટિની રાહ',
+  status_confirmed: 'કન્ફર્મ',
+  status_cancelled: 'રદ',
+  status_expired: 'સમાપ્ત',
+  booking_not_found: 'તમારા નંબર પર બુકિંગ #{id} મળી નથી. તમારી બુકિંગ જોવા MY BOOKINGS મોકલો.',
+  cancel_done: 'બુકિંગ #{id} રદ કરવામાં આવી છે. ઓપરેટરને જાણ કરવામાં આવી છે.',
+  cancel_already: 'બુકિંગ #{id} પહેલેથી રદ થઈ ગઈ છે.',
+  cancel_hold: 'બુકિંગ #{id} હજી કન્ફર્મ થઈ નથી, એટલે રદ કરવાની જરૂર નથી. ' +
+    'હોલ્ડ {expires} વાગ્યે આપમેળે છૂટી જશે.',
+  cancel_not_allowed: 'બુકિંગ #{id} {status} છે અને રદ કરી શકાતી નથી.',
+  cancel_in_progress: 'બુકિંગ #{id} પહેલેથી રદ થઈ રહી છે. એક મિનિટ પછી STATUS {id} મોકલીને તપાસો.',
+  cancel_quote_free: 'બુકિંગ #{id} રદ કરવું મફત છે.',
+  cancel_quote_fee: 'બુકિંગ #{id} હમણાં રદ કરવા પર ₹{fee} રદ ફી લાગશે.',
+  cancel_quote_refund: 'તમે ચૂકવેલા ₹{paid} માંથી ₹{refund} પરત કરવામાં આવશે.',
+  cancel_quote_changed: 'તમે પૂછ્યા પછી બુકિંગ #{id} ની રદ ફી વધી ગઈ છે.',
+  cancel_confirm_prompt: 'પુષ્ટિ કરવા CANCEL {id} YES મોકલો.',
+  cancel_blocked_cutoff: 'બુકિંગ #{id} હવે રદ કરી શકાતી નથી: ઉપડવાના {hours} કલાક પહેલાં રદ કરવાનું બંધ થાય છે.',
+  cancel_blocked_window: 'બુકિંગ #{id} રદ કરી શકાતી નથી: {start} થી {end} સુધીની મુસાફરી રદ કરી શકાતી નથી.',
+  button_choose_seats: 'સીટ પસંદ કરો',
+  prompt_seat_choice: 'કૃપા કરીને મેપમાંથી {seats} સીટ નંબર મોકલો, જેમ કે "L1 L2", અથવા અમને સીટ પસંદ કરવા દેવા ANY મોકલો.',
+  seat_map: '{date} ના રોજ {time} ની બસમાં ખાલી સીટ:\n\n{seats}',
+  seat_map_ladies: '* = મહિલા સીટ',
+  deck_lower: 'નીચેનો ડેક',
+  deck_upper: 'ઉપરનો ડેક',
+  seat_type_seater: 'સીટર',
+  seat_type_sleeper: 'સ્લીપર',
+  seat_choice_count: 'કૃપા કરીને બરાબર {seats} સીટ પસંદ કરો, અથવા અમને સીટ પસંદ કરવા દેવા ANY મોકલો.',
+  seat_choice_unavailable: 'માફ કરશો, સીટ {labels} બુક થઈ શકતી નથી. કૃપા કરીને ખાલી સીટમાંથી પસંદ કરો.',
+  seat_map_unavailable: 'માફ કરશો, આ બસ માટે હમણાં સીટ પસંદ થઈ શકતી નથી. અમે તમારા માટે સીટ પસંદ કરીશું.',
+  seats_taken: 'માફ કરશો, સીટ {labels} હમણાં જ બુક થઈ ગઈ. કૃપા કરીને બીજી સીટ પસંદ કરો.',
+  waitlist_offer: 'વેઇટલિસ્ટમાં જોડાવા માટે WAITLIST મોકલો. જો આ બસમાં {seats} સીટ ખાલી થશે, તો અમે તે તમારા માટે હોલ્ડ કરીને તમને જણાવીશું.',
+  waitlist_joined: '{date} ના રોજ {time} ની {source} → {destination} બસની વેઇટલિસ્ટમાં તમારો ક્રમ #{position} છે ({seats} સીટ). ' +
+    'સીટ ખાલી થતાં જ અમે તે તમારા માટે હોલ્ડ કરીને તમને મેસેજ કરીશું.',
+  waitlist_already: 'તમે પહેલેથી {date} ના રોજ {time} ની {source} → {destination} બસની વેઇટલિસ્ટમાં #{position} ક્રમે છો.',
+  waitlist_seats_available: 'સારા સમાચાર, {date} ના રોજ {time} ની {source} → {destination} બસમાં હમણાં જ સીટ ખાલી થઈ છે. ' +
+    'કૃપા કરીને તમારી બુકિંગ વિનંતી ફરીથી મોકલો.',
+  waitlist_no_offer: 'રાહ જોવા માટે કોઈ ભરેલી બસ નથી. પહેલા તમારી બુકિંગ વિનંતી મોકલો; બસ ભરેલી હશે તો અમે તમને વેઇટલિસ્ટ આપીશું.',
+  waitlist_hold: '🎉 વેઇટલિસ્ટમાંથી તમારા માટે સીટ ખાલી થઈ છે!\n\n' +
+    'બુકિંગ ID: {booking_id}\nરૂટ: {source} → {destination}\nતારીખ: {date}\nસમય: {time}\n' +
+    'સીટ: {seats}\nભાડું: ₹{price}\n\n' +
+    'તમારી સીટ {hold_minutes} મિનિટ માટે હોલ્ડ પર છે. ઓપરેટર પુષ્ટિ માટે ટૂંક સમયમાં તમારો સંપર્ક કરશે.',
+  alternatives_choice: 'તેના બદલે તમે આમાંથી કોઈ બસ બુક કરી શકો છો:\n\n{options}\n\nજોઈતી બસનો નંબર મોકલો.',
+  alternative_line: '{number}. {date} {time} · {source} → {destination}{operator} · ₹{price} · {available} સીટ બાકી',
+  prompt_alternative: 'કૃપા કરીને 1 થી {count} સુધીનો કોઈ નંબર મોકલો, અથવા બીજી તારીખ કે સમય મોકલો.',
+  price_updated: '💰 બુકિંગ {booking_id} નું ભાડું ₹{previous_price} થી બદલીને ₹{price} કરવામાં આવ્યું છે.',
+  payment_link: '💳 બુકિંગ {booking_id} માટે ₹{price} UPI, કાર્ડ અથવા નેટબેંકિંગથી ચૂકવો:\n{pay_link_url}\n\n' +
+    'કૃપા કરીને હોલ્ડ પૂરો થાય તે પહેલાં ચુકવણી કરો. ચુકવણી મળતાં જ તમારું બુકિંગ કન્ફર્મ થઈ જશે.',
+  late_payment_confirmed: '✅ બુકિંગ {booking_id} માટે તમારી ચુકવણી હોલ્ડ પૂરો થયા પછી આવી, પણ તમારી સીટ હજી ખાલી હતી. ' +
+    'તમારું બુકિંગ કન્ફર્મ થઈ ગયું છે.',
+  late_payment_refunded: '↩️ બુકિંગ {booking_id} માટે તમારી ચુકવણી હોલ્ડ પૂરો થયા પછી આવી અને સીટ હવે ઉપલબ્ધ નથી. ' +
+    'અમે તમને ₹{amount} પરત કરી રહ્યા છીએ.',
+  cancelled_payment_refunded: '↩️ બુકિંગ {booking_id} માટે તમારી ચુકવણી બુકિંગ રદ થયા પછી આવી. ' +
+    'અમે તમને ₹{amount} પરત કરી રહ્યા છીએ.',
+  short_payment_refunded: '↩️ બુકિંગ {booking_id} માટે ચૂકવેલા ₹{amount} તેની કિંમત ₹{price} કરતાં ઓછા છે, તેથી અમે તે તમને પરત કરી રહ્યા છીએ. ' +
+    'કૃપા કરીને અમે મોકલેલી નવી પેમેન્ટ લિંકથી ચુકવણી કરો.',
+  refund_pending: '↩️ બુકિંગ {booking_id} ના ₹{amount} નું રિફંડ શરૂ કરવામાં આવ્યું છે. ' +
+    'તે સામાન્ય રીતે 5-7 કામકાજના દિવસોમાં તમારા ખાતામાં પહોંચે છે.',
+  refund_processed: '✅ બુકિંગ {booking_id} ના ₹{amount} તમારા ખાતામાં પરત કરવામાં આવ્યા છે.',
+  refund_failed: '⚠️ અમે બુકિંગ {booking_id} ના ₹{amount} પરત કરી શક્યા નહીં. ઓપરેટર આ વિશે તમારો સંપર્ક કરશે.',
+  refund_not_eligible: 'બુકિંગ {booking_id} પ્રસ્થાનની ખૂબ નજીક રદ થયું હોવાથી તમે ચૂકવેલા ₹{amount} નું રિફંડ નહીં મળે.'
+});
+
+const MESSAGES = Object.freeze({ en, hi, mr, gu });
+
+module.exports = {
+  MESSAGES
+};
@@ -0,0 +1,55 @@
+const customerPreferenceModel = require('../../models/customerPreference');
+const {
+  DEFAULT_LANGUAGE,
+  normalizeLanguage,
+  detectLanguage
+} = require('./translator');
+
+/**
+ * Language to use for messages sent to a customer outside a conversation
+ * (confirmations, rejections, reminders)
+ * @param {string} phoneNumber - Normalized customer phone number
+ * @returns {Promise<string>} Language code
+ */
+async function getCustomerLanguage(phoneNumber) {
+  const preference = await customerPreferenceModel.findByPhone(phoneNumber);
+  return normalizeLanguage(preference?.language || DEFAULT_LANGUAGE);
+}
+
+/**
+ * Language to reply in for an inbound message.
+ * A language the customer chose explicitly always wins; otherwise the
+ * language detected from the message is remembered for later notifications.
+ *
+ * @param {string} phoneNumber - Normalized customer phone number
+ * @param {string} messageText - Inbound message text
+ * @returns {Promise<string>} Language code
+ */
+async function resolveCustomerLanguage(phoneNumber, messageText) {
+  const preference = await customerPreferenceModel.findByPhone(phoneNumber);
+  if (preference?.language_source === 'explicit') {
+    return normalizeLanguage(preference.language);
+  }
+
+  const detected = detectLanguage(messageText);
+  if (detected && detected !== preference?.language) {
+    await customerPreferenceModel.setLanguage(phoneNumber, detected, 'detected');
+  }
+  return normalizeLanguage(detected || preference?.language || DEFAULT_LANGUAGE);
+}
+
+/**
+ * Store the language a customer asked for
+ * @param {string} phoneNumber - Normalized customer phone number
+ * @param {string} language - Language code
+ * @returns {Promise<Object>} Stored preference row
+ */
+async function setCustomerLanguage(phoneNumber, language) {
+  return customerPreferenceModel.setLanguage(phoneNumber, normalizeLanguage(language), 'explicit');
+}
+
+module.exports = {
+  getCustomerLanguage,
+  resolveCustomerLanguage,
+  setCustomerLanguage
+};
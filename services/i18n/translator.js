@@ -0,0 +1,106 @@
+const { MESSAGES } = require('./catalog');
+
+const SUPPORTED_LANGUAGES = Object.freeze(['en', 'hi', 'mr', 'gu']);
+const DEFAULT_LANGUAGE = SUPPORTED_LANGUAGES.includes(process.env.CUSTOMER_DEFAULT_LANGUAGE)
+  ? process.env.CUSTOMER_DEFAULT_LANGUAGE
+  : 'en';
+
+// Names a customer can send on their own (or after LANGUAGE/LANG) to pick a language.
+// Bare codes are only accepted after the prefix: a lone "Hi" is a greeting.
+const LANGUAGE_NAMES = Object.freeze({
+  ENGLISH: 'en',
+  HINDI: 'hi', 'हिंदी': 'hi', 'हिन्दी': 'hi',
+  MARATHI: 'mr', 'मराठी': 'mr',
+  GUJARATI: 'gu', 'ગુજરાતી': 'gu'
+});
+
+// Romanized words that give away the language of a Latin-script message.
+const LATIN_MARKERS = Object.freeze({
+  en: ['PLEASE', 'WANT', 'NEED', 'TOMORROW', 'TODAY', 'THANKS', 'WHEN', 'WHAT'],
+  hi: ['MUJHE', 'CHAHIYE', 'CHAIYE', 'HAI', 'HAIN', 'KAISE', 'KYA', 'JANA', 'JAANA', 'KITNA', 'NAHI', 'NAHIN', 'PARSO'],
+  mr: ['MALA', 'PAHIJE', 'HAVA', 'HAVI', 'AAHE', 'AHE', 'UDYA', 'KUTHE', 'KITI', 'JAYCHA', 'NAKO'],
+  gu: ['MANE', 'JOIE', 'JOIYE', 'CHHE', 'CHE', 'KALE', 'KETLA', 'JAVU', 'JAVANU', 'NATHI']
+});
+
+// Devanagari is shared by Hindi and Marathi; these words and the letter ळ
+// are common in Marathi and rare in Hindi.
+const MARATHI_DEVANAGARI_MARKERS = Object.freeze(['आहे', 'मला', 'पाहिजे', 'उद्या', 'नाही', 'ळ']);
+
+const DEVANAGARI = /[ऀ-ॿ]/;
+const GUJARATI = /[઀-૿]/;
+
+function normalizeLanguage(language) {
+  return SUPPORTED_LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Render a catalog message in a language, falling back to English
+ * @param {string} language - Language code (en, hi, mr, gu)
+ * @param {string} key - Catalog key
+ * @param {Object} params - Placeholder values
+ * @returns {string} Message text
+ */
+function t(language, key, params = {}) {
+  const template = MESSAGES[normalizeLanguage(language)][key] ?? MESSAGES.en[key];
+  if (template === undefined) {
+    throw new Error(`Unknown message key: ${key}`);
+  }
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => (
+    params[name] === undefined || params[name] === null ? placeholder : String(params[name])
+  ));
+}
+
+/**
+ * Guess the language of an inbound customer message.
+ * Script decides for Gujarati and Devanagari text; Latin text needs a
+ * romanized marker word, so neutral messages ("Mumbai to Pune") return null.
+ *
+ * @param {string} text - Message text
+ * @returns {string|null} Language code or null when there is no clear signal
+ */
+function detectLanguage(text) {
+  if (!text) return null;
+
+  if (GUJARATI.test(text)) return 'gu';
+  if (DEVANAGARI.test(text)) {
+    return MARATHI_DEVANAGARI_MARKERS.some((marker) => text.includes(marker)) ? 'mr' : 'hi';
+  }
+
+  const words = String(text).toUpperCase().split(/[^A-Z]+/).filter(Boolean);
+  const scores = Object.entries(LATIN_MARKERS)
+    .map(([language, markers]) => ({
+      language,
+      score: words.filter((word) => markers.includes(word)).length
+    }))
+    .filter((entry) => entry.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  if (scores.length === 0) return null;
+  if (scores.length > 1 && scores[0].score === scores[1].score) return null;
+  return scores[0].language;
+}
+
+/**
+ * Recognise an explicit language choice ("HINDI", "LANGUAGE MARATHI", "ગુજરાતી")
+ * @param {string} text - Message text
+ * @returns {string|null} Language code or null
+ */
+function parseLanguageCommand(text) {
+  if (!text) return null;
+  const upper = String(text).trim().toUpperCase();
+  const prefixed = upper.match(/^(?:LANGUAGE|LANG)\s+(\S+)$/);
+  if (prefixed) {
+    const code = prefixed[1].toLowerCase();
+    return LANGUAGE_NAMES[prefixed[1]] || (SUPPORTED_LANGUAGES.includes(code) ? code : null);
+  }
+  return LANGUAGE_NAMES[upper] || null;
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  normalizeLanguage,
+  t,
+  detectLanguage,
+  parseLanguageCommand
+};
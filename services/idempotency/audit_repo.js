@@ -191,9 +191,29 @@ async function markFailed(id, error) {
   });
 }
 
+// Forget a started request so the same key can be tried again
+async function release(id) {
+  const db = await getDatabase();
+
+  return new Promise((resolve, reject) => {
+    db.run(
+      `DELETE FROM audit_events WHERE id = ? AND status = 'started'`,
+      [id],
+      (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve();
+      }
+    );
+  });
+}
+
 module.exports = {
   tryInsert,
   markCompleted,
   markFailed,
+  release,
   STARTED_TTL_SECONDS
 };
@@ -2,6 +2,7 @@ const crypto = require('crypto');
 const auditRepo = require('./audit_repo');
 const { RetryLaterError } = require('./retry_later_error');
 const metrics = require('../observability/metrics');
+const { RetryableError } = require('../errors');
 
 function stableStringify(value) {
   if (value === null || value === undefined) {
@@ -74,7 +75,12 @@ async function withIdempotency({
     await auditRepo.markCompleted(insertResult.id, response);
     return response;
   } catch (error) {
-    await auditRepo.markFailed(insertResult.id, error);
+    // A transient failure (e.g. a gateway timeout) must not block the key for good
+    if (error instanceof RetryableError) {
+      await auditRepo.release(insertResult.id);
+    } else {
+      await auditRepo.markFailed(insertResult.id, error);
+    }
     throw error;
   }
 }
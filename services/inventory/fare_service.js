@@ -0,0 +1,223 @@
+const fareRuleModel = require('../../models/fareRule');
+const tripModel = require('../../models/trip');
+const routeModel = require('../../models/route');
+const tripSeatModel = require('../../models/tripSeat');
+const seatMapService = require('./seat_map_service');
+const { normalizeDaysOfWeek } = require('./trip_schedule_service');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const ALL_DAYS = 7;
+
+// When several rules match a seat the most specific one wins; later rules break ties
+const SPECIFICITY = Object.freeze({
+  trip_id: 16,
+  date_range: 8,
+  days_of_week: 4,
+  seat_type: 2,
+  deck: 1
+});
+
+function ruleError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_FARE_RULE';
+  return error;
+}
+
+function isValidDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  return new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+}
+
+function weekdayOf(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+function optionalChoice(value, choices, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const normalized = String(value).trim().toLowerCase();
+  if (!choices.includes(normalized)) {
+    throw ruleError(`${field} must be one of ${choices.join(', ')}`);
+  }
+  return normalized;
+}
+
+function optionalDate(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  if (!isValidDate(value)) {
+    throw ruleError(`${field} must be a date (YYYY-MM-DD)`);
+  }
+  return value;
+}
+
+/**
+ * Validate a fare rule as sent by an operator
+ * @param {Object} input - { route_id | trip_id, seat_type, deck, start_date, end_date, days_of_week, fare, label }
+ * @returns {Object} Normalized rule fields
+ */
+function normalizeFareRule(input) {
+  const routeId = input.route_id ? Number(input.route_id) : null;
+  const tripId = input.trip_id ? Number(input.trip_id) : null;
+  if (!routeId && !tripId) {
+    throw ruleError('route_id or trip_id is required');
+  }
+  const fare = Number(input.fare);
+  if (input.fare === undefined || input.fare === null || !Number.isFinite(fare) || fare <= 0) {
+    throw ruleError('fare must be a positive amount');
+  }
+
+  const startDate = optionalDate(input.start_date, 'start_date');
+  const endDate = optionalDate(input.end_date, 'end_date');
+  if (startDate && endDate && endDate < startDate) {
+    throw ruleError('end_date must not be before start_date');
+  }
+
+  let daysOfWeek = null;
+  if (input.days_of_week !== undefined && input.days_of_week !== null) {
+    try {
+      daysOfWeek = normalizeDaysOfWeek(input.days_of_week);
+    } catch (error) {
+      throw ruleError(error.message);
+    }
+    // Every day is the same as no day filter
+    if (daysOfWeek.length === ALL_DAYS) {
+      daysOfWeek = null;
+    }
+  }
+
+  return {
+    route_id: routeId,
+    trip_id: tripId,
+    seat_type: optionalChoice(input.seat_type, tripSeatModel.SEAT_TYPES, 'seat_type'),
+    deck: optionalChoice(input.deck, tripSeatModel.DECKS, 'deck'),
+    start_date: startDate,
+    end_date: endDate,
+    days_of_week: daysOfWeek,
+    fare,
+    label: input.label ? String(input.label).trim() : null
+  };
+}
+
+/**
+ * Create a fare rule for a route, or for one trip of it
+ * @param {Object} input - Rule fields
+ * @returns {Promise<Object>} Created rule
+ */
+async function createFareRule(input) {
+  const fields = normalizeFareRule(input);
+  if (fields.trip_id) {
+    const trip = await tripModel.findById(fields.trip_id);
+    if (!trip) {
+      const error = new Error(`Trip ${fields.trip_id} not found`);
+      error.code = 'TRIP_NOT_FOUND';
+      throw error;
+    }
+    if (fields.route_id && fields.route_id !== trip.route_id) {
+      throw ruleError(`Trip ${trip.id} is not on route ${fields.route_id}`);
+    }
+    fields.route_id = trip.route_id;
+  } else if (!(await routeModel.findById(fields.route_id))) {
+    const error = new Error(`Route ${fields.route_id} not found`);
+    error.code = 'ROUTE_NOT_FOUND';
+    throw error;
+  }
+  return fareRuleModel.create(fields);
+}
+
+function ruleMatches(rule, trip, seat) {
+  if (rule.trip_id && rule.trip_id !== trip.id) return false;
+  if (rule.seat_type && rule.seat_type !== seat.seat_type) return false;
+  if (rule.deck && rule.deck !== seat.deck) return false;
+  if (rule.start_date && trip.journey_date < rule.start_date) return false;
+  if (rule.end_date && trip.journey_date > rule.end_date) return false;
+  if (rule.days_of_week && !rule.days_of_week.includes(weekdayOf(trip.journey_date))) return false;
+  return true;
+}
+
+function specificity(rule) {
+  return (rule.trip_id ? SPECIFICITY.trip_id : 0) +
+    (rule.start_date || rule.end_date ? SPECIFICITY.date_range : 0) +
+    (rule.days_of_week ? SPECIFICITY.days_of_week : 0) +
+    (rule.seat_type ? SPECIFICITY.seat_type : 0) +
+    (rule.deck ? SPECIFICITY.deck : 0);
+}
+
+/**
+ * Fare of one seat: the most specific matching rule, or the route price
+ * @param {Array} rules - Rules of the trip's route
+ * @param {Object} trip - Trip row with the route price
+ * @param {Object} seat - { seat_type, deck }; null fields only match rules without them
+ * @returns {Object} { fare, fare_rule_id }
+ */
+function resolveSeatFare(rules, trip, seat) {
+  const best = rules
+    .filter((rule) => ruleMatches(rule, trip, seat))
+    .reduce((current, rule) => {
+      if (!current) return rule;
+      const difference = specificity(rule) - specificity(current);
+      return difference > 0 || (difference === 0 && rule.id > current.id) ? rule : current;
+    }, null);
+  return best
+    ? { fare: best.fare, fare_rule_id: best.id }
+    : { fare: trip.price, fare_rule_id: null };
+}
+
+/**
+ * Price seats of a trip as they would be held now. Without seat numbers
+ * (bookings made outside the seat map) the seats only get trip and date fares.
+ * @param {Object} trip - Trip row with the route price
+ * @param {Array<number>|null} seatNumbers - Seats being held
+ * @param {Object} options - { seatCount } when no seat numbers are known
+ * @returns {Promise<Object>} { fare_amount, seats: [{ seat_number, label, fare, fare_rule_id }] }
+ */
+async function quoteFare(trip, seatNumbers, { seatCount = 1 } = {}) {
+  const rules = await fareRuleModel.findAll({ tripId: trip.id });
+  const seatMap = await seatMapService.getSeatMap(trip.id);
+  const layoutSeats = new Map((seatMap ? seatMap.seats : []).map((seat) => [seat.seat_number, seat]));
+
+  const requested = Array.isArray(seatNumbers) && seatNumbers.length > 0
+    ? seatNumbers.map((seatNumber) => {
+      const seat = layoutSeats.get(Number(seatNumber));
+      return {
+        seat_number: Number(seatNumber),
+        label: seat ? seat.label : String(seatNumber),
+        seat_type: seat ? seat.seat_type : null,
+        deck: seat ? seat.deck : null
+      };
+    })
+    : Array.from({ length: seatCount }, () => ({ seat_number: null, label: null, seat_type: null, deck: null }));
+
+  const seats = requested.map((seat) => ({
+    seat_number: seat.seat_number,
+    label: seat.label,
+    ...resolveSeatFare(rules, trip, seat)
+  }));
+  return {
+    fare_amount: seats.reduce((total, seat) => total + seat.fare, 0),
+    seats
+  };
+}
+
+/**
+ * Lowest fare of a seat still available on WhatsApp, for "from ₹..." listings
+ * @param {Object} trip - Trip row with the route price
+ * @returns {Promise<number>} Fare per seat
+ */
+async function getLowestFare(trip) {
+  const rules = await fareRuleModel.findAll({ tripId: trip.id });
+  if (rules.length === 0) {
+    return trip.price;
+  }
+  const seatMap = await seatMapService.getSeatMap(trip.id);
+  const fares = (seatMap ? seatMap.seats : [])
+    .filter((seat) => seat.status === seatMapService.SEAT_STATUSES.AVAILABLE)
+    .map((seat) => resolveSeatFare(rules, trip, seat).fare);
+  return fares.length > 0 ? Math.min(...fares) : resolveSeatFare(rules, trip, {}).fare;
+}
+
+module.exports = {
+  normalizeFareRule,
+  createFareRule,
+  resolveSeatFare,
+  quoteFare,
+  getLowestFare
+};
@@ -0,0 +1,214 @@
+const quotaRuleModel = require('../../models/quotaRule');
+const tripModel = require('../../models/trip');
+const routeModel = require('../../models/route');
+const auditEventModel = require('../../models/auditEvent');
+const seatMapService = require('./seat_map_service');
+const { promoteWaitlists } = require('./waitlist_service');
+const { formatZonedDateTime, hoursUntilDeparture } = require('../dateTimeResolver');
+
+const QUOTA_RULE_ACTIONS = Object.freeze({
+  // Add seat_count seats that are not sold on WhatsApp yet
+  RELEASE_SEATS: 'release_seats',
+  // Keep only the seats that are held or confirmed
+  SHRINK_TO_SOLD: 'shrink_to_sold'
+});
+
+const MAX_HOURS_BEFORE_DEPARTURE = 7 * 24;
+
+function ruleError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_QUOTA_RULE';
+  return error;
+}
+
+/**
+ * Validate a quota rule as sent by an operator
+ * @param {Object} input - { trip_id | route_id, hours_before_departure, action, seat_count, max_sold_percent }
+ * @returns {Object} Normalized rule fields
+ */
+function normalizeRule(input) {
+  const tripId = input.trip_id ? Number(input.trip_id) : null;
+  const routeId = input.route_id ? Number(input.route_id) : null;
+  if (Boolean(tripId) === Boolean(routeId)) {
+    throw ruleError('Exactly one of trip_id or route_id is required');
+  }
+  const hours = Number(input.hours_before_departure);
+  if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_HOURS_BEFORE_DEPARTURE) {
+    throw ruleError(`hours_before_departure must be between 0 and ${MAX_HOURS_BEFORE_DEPARTURE}`);
+  }
+  if (!Object.values(QUOTA_RULE_ACTIONS).includes(input.action)) {
+    throw ruleError(`action must be one of ${Object.values(QUOTA_RULE_ACTIONS).join(', ')}`);
+  }
+  let seatCount = null;
+  if (input.action === QUOTA_RULE_ACTIONS.RELEASE_SEATS) {
+    seatCount = Number(input.seat_count);
+    if (!Number.isInteger(seatCount) || seatCount < 1) {
+      throw ruleError('seat_count must be a positive integer');
+    }
+  }
+  let maxSoldPercent = null;
+  if (input.max_sold_percent !== undefined && input.max_sold_percent !== null) {
+    maxSoldPercent = Number(input.max_sold_percent);
+    if (!Number.isFinite(maxSoldPercent) || maxSoldPercent < 0 || maxSoldPercent > 100) {
+      throw ruleError('max_sold_percent must be between 0 and 100');
+    }
+  }
+
+  return {
+    trip_id: tripId,
+    route_id: routeId,
+    hours_before_departure: hours,
+    action: input.action,
+    seat_count: seatCount,
+    max_sold_percent: maxSoldPercent
+  };
+}
+
+/**
+ * Create a quota rule for a trip or for every trip of a route
+ * @param {Object} input - Rule fields
+ * @returns {Promise<Object>} Created rule
+ */
+async function createQuotaRule(input) {
+  const fields = normalizeRule(input);
+  const target = fields.trip_id
+    ? await tripModel.findById(fields.trip_id)
+    : await routeModel.findById(fields.route_id);
+  if (!target) {
+    const error = new Error(fields.trip_id ? `Trip ${fields.trip_id} not found` : `Route ${fields.route_id} not found`);
+    error.code = fields.trip_id ? 'TRIP_NOT_FOUND' : 'ROUTE_NOT_FOUND';
+    throw error;
+  }
+  return quotaRuleModel.create(fields);
+}
+
+function addDays(date, days) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+}
+
+// Seats not sold on WhatsApp yet, in seat order; trips on the default layout grow past its last seat
+function pickSeatsToRelease(seatMap, count) {
+  const free = seatMap.seats
+    .filter((seat) => seat.status === seatMapService.SEAT_STATUSES.UNAVAILABLE)
+    .map((seat) => seat.seat_number);
+  if (seatMap.layout_source === 'default') {
+    let next = seatMap.seats.length > 0 ? seatMap.seats[seatMap.seats.length - 1].seat_number : 0;
+    while (free.length < count) {
+      next += 1;
+      free.push(next);
+    }
+  }
+  return free.slice(0, count);
+}
+
+/**
+ * Evaluate one rule for one trip and change its WhatsApp seats when the rule applies
+ * @param {Object} rule - { id, action, seat_count, max_sold_percent, hours_before_departure }
+ * @param {Object} trip - Trip row
+ * @param {Object} options - { now, lockService }
+ * @returns {Promise<Object>} { outcome: 'applied'|'skipped'|'unchanged', from_quota, to_quota }
+ */
+async function applyRuleToTrip(rule, trip, { now = new Date(), lockService = null } = {}) {
+  const seatMap = await seatMapService.getSeatMap(trip.id, { now });
+  const currentSeats = seatMap.whatsapp_seat_numbers;
+  const soldSeats = seatMap.seats
+    .filter((seat) => [seatMapService.SEAT_STATUSES.HELD, seatMapService.SEAT_STATUSES.CONFIRMED].includes(seat.status))
+    .map((seat) => seat.seat_number);
+  const soldPercent = currentSeats.length > 0 ? Math.round((soldSeats.length / currentSeats.length) * 100) : 0;
+  const result = { from_quota: currentSeats.length, to_quota: currentSeats.length, sold_percent: soldPercent };
+
+  if (rule.max_sold_percent !== null && rule.max_sold_percent !== undefined && soldPercent >= rule.max_sold_percent) {
+    return { ...result, outcome: 'skipped' };
+  }
+
+  const newSeats = rule.action === QUOTA_RULE_ACTIONS.RELEASE_SEATS
+    ? [...currentSeats, ...pickSeatsToRelease(seatMap, rule.seat_count)].sort((a, b) => a - b)
+    : soldSeats;
+  if (newSeats.length === currentSeats.length && newSeats.every((seat) => currentSeats.includes(seat))) {
+    return { ...result, outcome: 'unchanged' };
+  }
+
+  await tripModel.updateWhatsAppSeats(trip.id, newSeats);
+  await auditEventModel.create({
+    event_type: 'TRIP_QUOTA_AUTO_ADJUSTED',
+    operator_id: trip.operator_id || null,
+    idempotency_key: `quota_rule:${rule.id}:trip:${trip.id}`,
+    payload: {
+      trip_id: trip.id,
+      rule_id: rule.id,
+      action: rule.action,
+      hours_before_departure: rule.hours_before_departure,
+      sold_seats: soldSeats.length,
+      sold_percent: soldPercent,
+      from_quota: currentSeats.length,
+      to_quota: newSeats.length,
+      from_seat_numbers: currentSeats,
+      to_seat_numbers: newSeats
+    }
+  });
+  // Seats added to WhatsApp go to the trip's waitlist first
+  if (newSeats.length > currentSeats.length) {
+    await promoteWaitlists([trip.id], { lockService, now });
+  }
+  return { ...result, to_quota: newSeats.length, outcome: 'applied' };
+}
+
+/**
+ * Scheduled job: evaluate every rule whose moment has come for trips that have not
+ * departed yet. Each rule is evaluated once per trip; rules whose trip departed
+ * before the job got to them are recorded as missed.
+ * @param {Object} options - { now, lockService }; without a lock service waitlists open their own Redis connection
+ * @returns {Promise<Object>} { evaluated, applied, failed }
+ */
+async function evaluateQuotaRules({ now = new Date(), lockService = null } = {}) {
+  const today = formatZonedDateTime(now).slice(0, 10);
+  const pending = await quotaRuleModel.findPending(
+    addDays(today, -1),
+    addDays(today, Math.ceil(MAX_HOURS_BEFORE_DEPARTURE / 24) + 1)
+  );
+
+  const summary = { evaluated: 0, applied: 0, failed: 0 };
+  for (const row of pending) {
+    const rule = {
+      id: row.rule_id,
+      hours_before_departure: row.rule_hours_before_departure,
+      action: row.rule_action,
+      seat_count: row.rule_seat_count,
+      max_sold_percent: row.rule_max_sold_percent
+    };
+    const hoursLeft = hoursUntilDeparture(row, now);
+    if (hoursLeft > rule.hours_before_departure) {
+      continue;
+    }
+    try {
+      const result = hoursLeft <= 0
+        ? { outcome: 'missed', from_quota: row.whatsapp_seat_quota, to_quota: row.whatsapp_seat_quota }
+        : await applyRuleToTrip(rule, row, { now, lockService });
+      await quotaRuleModel.recordRun({
+        rule_id: rule.id,
+        trip_id: row.id,
+        outcome: result.outcome,
+        from_quota: result.from_quota,
+        to_quota: result.to_quota
+      });
+      summary.evaluated++;
+      if (result.outcome === 'applied') {
+        summary.applied++;
+      }
+    } catch (error) {
+      summary.failed++;
+      console.error(`Failed to apply quota rule ${rule.id} to trip ${row.id}:`, error.message);
+    }
+  }
+  return summary;
+}
+
+module.exports = {
+  QUOTA_RULE_ACTIONS,
+  normalizeRule,
+  createQuotaRule,
+  applyRuleToTrip,
+  evaluateQuotaRules
+};
@@ -1,4 +1,5 @@
 const inventoryOverrideModel = require('../../models/inventoryOverride');
+const tripModel = require('../../models/trip');
 const { buildSeatLockKey, releaseLockKeys } = require('../inventoryLocking');
 
 async function acquireSeatLocks({
@@ -6,8 +7,13 @@ async function acquireSeatLocks({
   trip,
   seatCount,
   sessionId,
-  ttlSeconds
+  ttlSeconds,
+  preferredSeats = null
 }) {
+  if (Array.isArray(preferredSeats) && preferredSeats.length > 0) {
+    return acquirePreferredSeatLocks({ lockService, trip, seatCount, sessionId, ttlSeconds, preferredSeats });
+  }
+
   const seatNumbers = [];
   const lockKeys = [];
 
@@ -17,7 +23,10 @@ async function acquireSeatLocks({
   );
   const blockedSet = new Set(blockedSeats.map((seat) => Number(seat)));
 
-  for (let seatNumber = 1; seatNumber <= trip.whatsapp_seat_quota && seatNumbers.length < seatCount; seatNumber += 1) {
+  for (const seatNumber of tripModel.getQuotaSeatNumbers(trip)) {
+    if (seatNumbers.length >= seatCount) {
+      break;
+    }
     if (blockedSet.has(seatNumber)) {
       continue;
     }
@@ -53,6 +62,72 @@ async function acquireSeatLocks({
   return { acquired: true, seatNumbers, lockKeys };
 }
 
+/**
+ * Lock the exact seats a customer picked from the seat map.
+ * Either every seat is locked or none is.
+ */
+async function acquirePreferredSeatLocks({
+  lockService,
+  trip,
+  seatCount,
+  sessionId,
+  ttlSeconds,
+  preferredSeats
+}) {
+  const requested = Array.from(new Set(preferredSeats.map((seat) => Number(seat))));
+  if (requested.length !== seatCount) {
+    const error = new Error(`Expected ${seatCount} seat(s), got ${requested.length}`);
+    error.code = 'SEAT_SELECTION_INVALID';
+    throw error;
+  }
+
+  const blockedSeats = await inventoryOverrideModel.findBlockedSeats(
+    trip.route_id,
+    trip.journey_date,
+    requested
+  );
+  const blockedSet = new Set(blockedSeats.map((seat) => Number(seat)));
+  const quotaSet = new Set(tripModel.getQuotaSeatNumbers(trip));
+  const unavailable = requested.filter((seatNumber) => !quotaSet.has(seatNumber) || blockedSet.has(seatNumber));
+
+  const seatNumbers = [];
+  const lockKeys = [];
+  if (unavailable.length === 0) {
+    for (const seatNumber of requested) {
+      const lockKey = buildSeatLockKey(trip.id, seatNumber);
+      try {
+        if (await lockService.acquire(lockKey, sessionId, ttlSeconds)) {
+          seatNumbers.push(seatNumber);
+          lockKeys.push(lockKey);
+        } else {
+          unavailable.push(seatNumber);
+        }
+      } catch (error) {
+        await releaseLockKeys(lockService, lockKeys, {
+          bookingId: null,
+          reason: 'acquire-failed'
+        });
+        throw error;
+      }
+    }
+  }
+
+  if (unavailable.length > 0) {
+    await releaseLockKeys(lockService, lockKeys, {
+      bookingId: null,
+      reason: 'acquire-preferred-unavailable'
+    });
+    return { acquired: false, seatNumbers: [], lockKeys: [], unavailable };
+  }
+
+  console.log('[inventory-locks] Acquired preferred seat locks', {
+    tripId: trip.id,
+    seatNumbers,
+    lockKeys
+  });
+  return { acquired: true, seatNumbers, lockKeys };
+}
+
 module.exports = {
   acquireSeatLocks
 };
@@ -6,6 +6,8 @@ const auditEventModel = require('../../models/auditEvent');
 const { InventoryOverrideCache } = require('../redis/InventoryOverrideCache');
 const { InventoryLockService } = require('../redis/InventoryLockService');
 const { getLockKeysForBooking, releaseLockKeys } = require('../inventoryLocking');
+const { getLayoutSeatNumbers } = require('./seat_map_service');
+const { promoteWaitlists } = require('./waitlist_service');
 
 const REDIS_URL = process.env.REDIS_URL || 'redis://127.0.0.1:6379';
 
@@ -17,10 +19,12 @@ function normalizeSeatNumbers(seatNumbers) {
   return inventoryOverrideModel.normalizeSeatNumbers(seatNumbers);
 }
 
+// Seats are checked against the trip's layout, not its WhatsApp quota:
+// operators may block any seat on the coach.
 async function validateSeatsExist(trips, seatNumbers) {
   for (const trip of trips) {
-    const maxSeat = trip.whatsapp_seat_quota || 0;
-    const invalid = seatNumbers.filter((seat) => seat < 1 || seat > maxSeat);
+    const layoutSeats = new Set(await getLayoutSeatNumbers(trip));
+    const invalid = seatNumbers.filter((seat) => !layoutSeats.has(seat));
     if (invalid.length > 0) {
       return {
         ok: false,
@@ -196,6 +200,12 @@ async function unblockSeats({ routeId, tripDate, seatNumbers, reason, actorType,
     }
   });
 
+  await withRedisClient((redisClient) =>
+    promoteWaitlists(trips.map((trip) => trip.id), {
+      lockService: new InventoryLockService(redisClient)
+    })
+  );
+
   return {
     route_id: routeId,
     trip_date: tripDate,
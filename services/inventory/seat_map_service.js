@@ -0,0 +1,351 @@
+const tripModel = require('../../models/trip');
+const bookingModel = require('../../models/booking');
+const tripSeatModel = require('../../models/tripSeat');
+const inventoryOverrideModel = require('../../models/inventoryOverride');
+const { parseStoredTimestamp } = require('../dateTimeResolver');
+
+const SEAT_STATUSES = Object.freeze({
+  AVAILABLE: 'available',
+  HELD: 'held',
+  CONFIRMED: 'confirmed',
+  BLOCKED: 'blocked',
+  // In the layout but not in the WhatsApp quota (sold through other channels)
+  UNAVAILABLE: 'unavailable'
+});
+
+const MAX_LABEL_LENGTH = 8;
+const DEFAULT_SEATS_PER_ROW = 4;
+
+function layoutError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_SEAT_LAYOUT';
+  return error;
+}
+
+/**
+ * Layout used for trips without a stored one: numbered seaters, 2+2 per row
+ * @param {number} seatCount - Number of seats
+ * @returns {Array<Object>} Seats
+ */
+function buildDefaultLayout(seatCount) {
+  return Array.from({ length: Math.max(0, seatCount || 0) }, (unused, index) => {
+    const position = index % DEFAULT_SEATS_PER_ROW;
+    return {
+      seat_number: index + 1,
+      label: String(index + 1),
+      seat_type: 'seater',
+      deck: 'lower',
+      row: Math.floor(index / DEFAULT_SEATS_PER_ROW),
+      // Column 2 is the aisle
+      column: position < 2 ? position : position + 1,
+      is_ladies: false
+    };
+  });
+}
+
+/**
+ * Validate a seat layout and fill in defaults
+ * @param {Array<Object>} seats - Seats as sent by the operator
+ * @returns {Array<Object>} Normalized seats, ordered by seat number
+ */
+function normalizeLayout(seats) {
+  if (!Array.isArray(seats) || seats.length === 0) {
+    throw layoutError('seats must be a non-empty array');
+  }
+
+  const numbers = new Set();
+  const labels = new Set();
+  const normalized = seats.map((seat, index) => {
+    const seatNumber = Number(seat?.seat_number);
+    if (!Number.isInteger(seatNumber) || seatNumber < 1) {
+      throw layoutError(`Seat ${index + 1}: seat_number must be a positive integer`);
+    }
+    const label = String(seat.label ?? seatNumber).trim().toUpperCase();
+    if (!/^[A-Z0-9]+$/.test(label) || label.length > MAX_LABEL_LENGTH) {
+      throw layoutError(`Seat ${seatNumber}: label must be 1-${MAX_LABEL_LENGTH} letters or digits`);
+    }
+    const seatType = seat.seat_type || 'seater';
+    if (!tripSeatModel.SEAT_TYPES.includes(seatType)) {
+      throw layoutError(`Seat ${seatNumber}: seat_type must be one of ${tripSeatModel.SEAT_TYPES.join(', ')}`);
+    }
+    const deck = seat.deck || 'lower';
+    if (!tripSeatModel.DECKS.includes(deck)) {
+      throw layoutError(`Seat ${seatNumber}: deck must be one of ${tripSeatModel.DECKS.join(', ')}`);
+    }
+    const row = Number(seat.row);
+    const column = Number(seat.column);
+    if (!Number.isInteger(row) || row < 0 || !Number.isInteger(column) || column < 0) {
+      throw layoutError(`Seat ${seatNumber}: row and column must be non-negative integers`);
+    }
+    if (numbers.has(seatNumber)) {
+      throw layoutError(`Duplicate seat_number ${seatNumber}`);
+    }
+    if (labels.has(label)) {
+      throw layoutError(`Duplicate label ${label}`);
+    }
+    numbers.add(seatNumber);
+    labels.add(label);
+
+    return {
+      seat_number: seatNumber,
+      label,
+      seat_type: seatType,
+      deck,
+      row,
+      column,
+      is_ladies: Boolean(seat.is_ladies)
+    };
+  });
+
+  return normalized.sort((a, b) => a.seat_number - b.seat_number);
+}
+
+/**
+ * Seats of a trip: its stored layout, or the default layout covering every
+ * seat in the WhatsApp quota
+ * @param {Object} trip - Trip row
+ * @returns {Promise<Object>} { seats, source: 'trip'|'default' }
+ */
+async function loadTripLayout(trip) {
+  const storedLayout = await tripSeatModel.findByTripId(trip.id);
+  if (storedLayout.length > 0) {
+    return { seats: storedLayout, source: 'trip' };
+  }
+  const quotaSeats = tripModel.getQuotaSeatNumbers(trip);
+  const seatCount = quotaSeats.length > 0 ? quotaSeats[quotaSeats.length - 1] : 0;
+  return { seats: buildDefaultLayout(seatCount), source: 'default' };
+}
+
+/**
+ * Seat numbers that exist on a trip
+ * @param {Object} trip - Trip row
+ * @returns {Promise<Array<number>>} Seat numbers
+ */
+async function getLayoutSeatNumbers(trip) {
+  const { seats } = await loadTripLayout(trip);
+  return seats.map((seat) => seat.seat_number);
+}
+
+/**
+ * Seats taken by bookings: unexpired holds and confirmed bookings
+ * @param {Array<Object>} bookings - Bookings of the trip
+ * @param {Date} now - Current time
+ * @returns {Map<number, Object>} seat_number -> { status, booking_id }
+ */
+function collectOccupiedSeats(bookings, now) {
+  const occupied = new Map();
+  bookings.forEach((booking) => {
+    const status = bookingModel.normalizeStatus(booking.status);
+    let seatStatus = null;
+    if (status === 'confirmed') {
+      seatStatus = SEAT_STATUSES.CONFIRMED;
+    } else if (status === 'hold') {
+      const expiresAt = parseStoredTimestamp(booking.hold_expires_at);
+      if (expiresAt && expiresAt > now) {
+        seatStatus = SEAT_STATUSES.HELD;
+      }
+    }
+    if (!seatStatus) return;
+
+    bookingModel.getSeatNumbers(booking).forEach((seatNumber) => {
+      const current = occupied.get(Number(seatNumber));
+      // A confirmed booking wins over a stale hold on the same seat
+      if (!current || seatStatus === SEAT_STATUSES.CONFIRMED) {
+        occupied.set(Number(seatNumber), { status: seatStatus, booking_id: booking.id });
+      }
+    });
+  });
+  return occupied;
+}
+
+/**
+ * Seat map of a trip: the layout with each seat's current status
+ * @param {number} tripId - Trip ID
+ * @param {Object} options - { now }
+ * @returns {Promise<Object|null>} Seat map, or null when the trip does not exist
+ */
+async function getSeatMap(tripId, { now = new Date() } = {}) {
+  const trip = await tripModel.findById(tripId);
+  if (!trip) {
+    return null;
+  }
+
+  const layout = await loadTripLayout(trip);
+  const quotaSeats = new Set(tripModel.getQuotaSeatNumbers(trip));
+  const blocked = new Set(await inventoryOverrideModel.findBlockedSeats(trip.route_id, trip.journey_date));
+  const occupied = collectOccupiedSeats(await bookingModel.findByTripId(trip.id), now);
+
+  const summary = Object.fromEntries(Object.values(SEAT_STATUSES).map((status) => [status, 0]));
+  const seats = layout.seats.map((seat) => {
+    const booking = occupied.get(seat.seat_number);
+    let status = SEAT_STATUSES.AVAILABLE;
+    if (booking) {
+      status = booking.status;
+    } else if (blocked.has(seat.seat_number)) {
+      status = SEAT_STATUSES.BLOCKED;
+    } else if (!quotaSeats.has(seat.seat_number)) {
+      status = SEAT_STATUSES.UNAVAILABLE;
+    }
+    summary[status] += 1;
+    return {
+      ...seat,
+      status,
+      booking_id: booking ? booking.booking_id : null
+    };
+  });
+
+  return {
+    trip_id: trip.id,
+    route_id: trip.route_id,
+    source: trip.source,
+    destination: trip.destination,
+    journey_date: trip.journey_date,
+    departure_time: trip.departure_time,
+    whatsapp_seat_quota: trip.whatsapp_seat_quota,
+    whatsapp_seat_numbers: Array.from(quotaSeats),
+    vehicle_layout_id: trip.vehicle_layout_id || null,
+    layout_source: layout.source,
+    decks: Array.from(new Set(seats.map((seat) => seat.deck))),
+    seats,
+    summary
+  };
+}
+
+/**
+ * Check a WhatsApp quota against the seats of a layout
+ * @param {Array<number>} seatNumbers - Seats to sell on WhatsApp
+ * @param {Array<number>|null} layoutSeatNumbers - Seats of the layout; null for the
+ *   default layout, which grows to cover any positive seat number
+ * @returns {Array<number>} Normalized seat numbers
+ */
+function validateQuotaSeats(seatNumbers, layoutSeatNumbers) {
+  if (!Array.isArray(seatNumbers)) {
+    const error = new Error('whatsapp_seat_numbers must be an array of seat numbers');
+    error.code = 'INVALID_WHATSAPP_SEATS';
+    throw error;
+  }
+  const normalized = Array.from(new Set(seatNumbers.map((seat) => Number(seat))));
+  const layoutSeats = layoutSeatNumbers ? new Set(layoutSeatNumbers) : null;
+  const invalid = normalized.filter((seat) => (
+    !Number.isInteger(seat) || seat < 1 || (layoutSeats && !layoutSeats.has(seat))
+  ));
+  if (invalid.length > 0) {
+    const error = new Error(`Seats not in the layout: ${invalid.join(', ')}`);
+    error.code = 'INVALID_WHATSAPP_SEATS';
+    throw error;
+  }
+  return normalized.sort((a, b) => a - b);
+}
+
+/**
+ * Store a trip's seat layout. Seats that are held or confirmed must stay, and
+ * the WhatsApp quota must fit the new layout.
+ * @param {number} tripId - Trip ID
+ * @param {Array<Object>} seats - Layout seats
+ * @param {Object} options - { whatsappSeatNumbers } new quota seats (default: keep the current ones)
+ * @returns {Promise<Object|null>} Updated seat map, or null when the trip does not exist
+ */
+async function setTripLayout(tripId, seats, { whatsappSeatNumbers = null } = {}) {
+  const normalized = normalizeLayout(seats);
+  const current = await getSeatMap(tripId);
+  if (!current) {
+    return null;
+  }
+
+  const kept = new Set(normalized.map((seat) => seat.seat_number));
+  const dropped = current.seats.filter((seat) => (
+    [SEAT_STATUSES.HELD, SEAT_STATUSES.CONFIRMED].includes(seat.status) && !kept.has(seat.seat_number)
+  ));
+  if (dropped.length > 0) {
+    const error = new Error(
+      `Layout removes booked seats: ${dropped.map((seat) => `${seat.label} (booking ${seat.booking_id})`).join(', ')}`
+    );
+    error.code = 'SEAT_LAYOUT_CONFLICT';
+    throw error;
+  }
+
+  const quotaSeats = validateQuotaSeats(
+    whatsappSeatNumbers || current.whatsapp_seat_numbers,
+    normalized.map((seat) => seat.seat_number)
+  );
+
+  await tripSeatModel.replaceForTrip(tripId, normalized);
+  if (whatsappSeatNumbers) {
+    await tripModel.updateWhatsAppSeats(tripId, quotaSeats);
+  }
+  return getSeatMap(tripId);
+}
+
+/**
+ * Define the WhatsApp quota as an explicit set of seats in the trip's layout
+ * @param {number} tripId - Trip ID
+ * @param {Array<number>} seatNumbers - Seats to sell on WhatsApp
+ * @returns {Promise<Object|null>} Updated seat map, or null when the trip does not exist
+ */
+async function setWhatsAppSeats(tripId, seatNumbers) {
+  const trip = await tripModel.findById(tripId);
+  if (!trip) {
+    return null;
+  }
+  const storedLayout = await tripSeatModel.findByTripId(trip.id);
+  const quotaSeats = validateQuotaSeats(
+    seatNumbers,
+    storedLayout.length > 0 ? storedLayout.map((seat) => seat.seat_number) : null
+  );
+  await tripModel.updateWhatsAppSeats(tripId, quotaSeats);
+  return getSeatMap(tripId);
+}
+
+/**
+ * Set the WhatsApp quota to seats 1..whatsappSeatQuota; on trips with their
+ * own layout those seats must exist
+ * @param {number} tripId - Trip ID
+ * @param {number} whatsappSeatQuota - New quota
+ * @returns {Promise<Object|null>} Updated trip, or null when the trip does not exist
+ */
+async function setSeatQuota(tripId, whatsappSeatQuota) {
+  const storedLayout = await tripSeatModel.findByTripId(tripId);
+  if (storedLayout.length > 0) {
+    validateQuotaSeats(
+      tripModel.getQuotaSeatNumbers({ whatsapp_seat_quota: whatsappSeatQuota }),
+      storedLayout.map((seat) => seat.seat_number)
+    );
+  }
+  return tripModel.updateSeatQuota(tripId, whatsappSeatQuota);
+}
+
+/**
+ * Match seat labels chosen by a customer against a seat map
+ * @param {Object} seatMap - Result of getSeatMap
+ * @param {Array<string>} labels - Seat labels, e.g. ['L1', 'L2']
+ * @returns {Object} { seatNumbers, unknown, unavailable }
+ */
+function resolveSeatLabels(seatMap, labels) {
+  const byLabel = new Map(seatMap.seats.map((seat) => [seat.label, seat]));
+  const result = { seatNumbers: [], unknown: [], unavailable: [] };
+  labels.forEach((rawLabel) => {
+    const label = String(rawLabel).trim().toUpperCase();
+    const seat = byLabel.get(label);
+    if (!seat) {
+      result.unknown.push(label);
+    } else if (seat.status !== SEAT_STATUSES.AVAILABLE) {
+      result.unavailable.push(label);
+    } else {
+      result.seatNumbers.push(seat.seat_number);
+    }
+  });
+  return result;
+}
+
+module.exports = {
+  SEAT_STATUSES,
+  buildDefaultLayout,
+  normalizeLayout,
+  getLayoutSeatNumbers,
+  getSeatMap,
+  setTripLayout,
+  setWhatsAppSeats,
+  setSeatQuota,
+  validateQuotaSeats,
+  resolveSeatLabels
+};
@@ -0,0 +1,123 @@
+const routeModel = require('../../models/route');
+const tripModel = require('../../models/trip');
+const { formatZonedDateTime } = require('../dateTimeResolver');
+const { getLowestFare } = require('./fare_service');
+
+const ALTERNATIVE_KINDS = Object.freeze({
+  // Same route, same day, another departure
+  OTHER_TIME: 'other_time',
+  // Same route, a day before or after
+  OTHER_DATE: 'other_date',
+  // Another operator's route between the same cities
+  OTHER_ROUTE: 'other_route'
+});
+// Offered in this order
+const KIND_ORDER = [ALTERNATIVE_KINDS.OTHER_TIME, ALTERNATIVE_KINDS.OTHER_DATE, ALTERNATIVE_KINDS.OTHER_ROUTE];
+
+const MAX_ALTERNATIVES = 5;
+const ADJACENT_DAYS = 1;
+
+function addDays(date, days) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function dayDistance(fromDate, toDate) {
+  return Math.abs(Date.parse(`${toDate}T00:00:00Z`) - Date.parse(`${fromDate}T00:00:00Z`)) / (24 * 60 * 60 * 1000);
+}
+
+/**
+ * Trips a customer can book instead of one that is full or does not exist:
+ * other departures of the route that day, the route on adjacent dates, and
+ * other operators' routes between the same cities on those dates.
+ * Only trips that have not departed and still have enough WhatsApp seats are returned;
+ * price is the lowest fare per seat still available.
+ * @param {Object} request - Request details
+ * @param {Object} request.route - Route the customer asked for
+ * @param {string} request.date - Requested journey date (YYYY-MM-DD)
+ * @param {string|null} request.time - Requested departure (HH:MM); alternatives closest to it come first
+ * @param {number} request.seats - Seats the customer needs
+ * @param {number|null} request.excludeTripId - The requested trip, when it exists
+ * @param {Date} request.now - Current time
+ * @param {number} request.limit - Maximum alternatives
+ * @returns {Promise<Array>} { trip_id, route_id, operator_name, source, destination, date, time, price, available_seats, kind }
+ */
+async function findAlternativeTrips({
+  route,
+  date,
+  time = null,
+  seats,
+  excludeTripId = null,
+  now = new Date(),
+  limit = MAX_ALTERNATIVES
+}) {
+  const current = formatZonedDateTime(now);
+  const routes = await routeModel.findByCities(route.source, route.destination);
+  if (!routes.some((candidate) => candidate.id === route.id)) {
+    routes.unshift(route);
+  }
+
+  const dates = [];
+  for (let offset = -ADJACENT_DAYS; offset <= ADJACENT_DAYS; offset++) {
+    const candidateDate = addDays(date, offset);
+    if (candidateDate >= current.slice(0, 10)) {
+      dates.push(candidateDate);
+    }
+  }
+
+  const alternatives = [];
+  for (const candidateRoute of routes) {
+    for (const candidateDate of dates) {
+      const trips = await tripModel.findByRouteDate(candidateRoute.id, candidateDate);
+      for (const trip of trips) {
+        if (trip.id === excludeTripId || `${trip.journey_date} ${trip.departure_time}` <= current) {
+          continue;
+        }
+        const availableSeats = await tripModel.getAvailableSeats(trip.id);
+        if (availableSeats < seats) {
+          continue;
+        }
+        let kind = ALTERNATIVE_KINDS.OTHER_ROUTE;
+        if (candidateRoute.id === route.id) {
+          kind = candidateDate === date ? ALTERNATIVE_KINDS.OTHER_TIME : ALTERNATIVE_KINDS.OTHER_DATE;
+        }
+        alternatives.push({
+          trip_id: trip.id,
+          route_id: candidateRoute.id,
+          operator_name: candidateRoute.operator_name || null,
+          source: candidateRoute.source,
+          destination: candidateRoute.destination,
+          date: trip.journey_date,
+          time: trip.departure_time,
+          price: await getLowestFare(trip),
+          available_seats: availableSeats,
+          kind
+        });
+      }
+    }
+  }
+
+  const requestedMinutes = time ? toMinutes(time) : null;
+  return alternatives
+    .sort((a, b) =>
+      KIND_ORDER.indexOf(a.kind) - KIND_ORDER.indexOf(b.kind) ||
+      dayDistance(date, a.date) - dayDistance(date, b.date) ||
+      (requestedMinutes === null
+        ? 0
+        : Math.abs(toMinutes(a.time) - requestedMinutes) - Math.abs(toMinutes(b.time) - requestedMinutes)) ||
+      `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`) ||
+      a.route_id - b.route_id)
+    .slice(0, limit);
+}
+
+module.exports = {
+  ALTERNATIVE_KINDS,
+  MAX_ALTERNATIVES,
+  findAlternativeTrips
+};
@@ -0,0 +1,351 @@
+const tripScheduleModel = require('../../models/tripSchedule');
+const tripModel = require('../../models/trip');
+const routeModel = require('../../models/route');
+const bookingModel = require('../../models/booking');
+const waitlistEntryModel = require('../../models/waitlistEntry');
+const vehicleLayoutModel = require('../../models/vehicleLayout');
+const seatMapService = require('./seat_map_service');
+const { assignLayoutToTrip } = require('./vehicle_layout_service');
+const { getZonedToday } = require('../dateTimeResolver');
+
+// How far ahead trips are generated from schedules
+const SCHEDULE_DAYS_AHEAD = Number.parseInt(process.env.TRIP_SCHEDULE_DAYS_AHEAD || '30', 10);
+
+const WEEKDAY_NAMES = Object.freeze(['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT']);
+const DAY_PRESETS = Object.freeze({
+  DAILY: [0, 1, 2, 3, 4, 5, 6],
+  WEEKDAYS: [1, 2, 3, 4, 5],
+  WEEKENDS: [0, 6]
+});
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function scheduleError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_TRIP_SCHEDULE';
+  return error;
+}
+
+function isValidDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  return new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+}
+
+function addDays(date, days) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+}
+
+function weekdayOf(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+function todayIn(now) {
+  const { year, month, day } = getZonedToday(now);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Weekdays a schedule runs on, from "daily", "weekdays", "weekends" or a list
+ * of day names ("MON") or numbers (0 = Sunday)
+ * @param {string|Array|null} value - Days as sent by the operator; empty means daily
+ * @returns {Array<number>} Sorted weekday numbers
+ */
+function normalizeDaysOfWeek(value) {
+  if (value === undefined || value === null || (Array.isArray(value) && value.length === 0)) {
+    return DAY_PRESETS.DAILY;
+  }
+  if (typeof value === 'string') {
+    const preset = DAY_PRESETS[value.trim().toUpperCase()];
+    if (preset) return preset;
+    return normalizeDaysOfWeek(value.split(','));
+  }
+  if (!Array.isArray(value)) {
+    throw scheduleError('days_of_week must be "daily", "weekdays", "weekends" or a list of days');
+  }
+  const days = value.map((day) => {
+    const text = String(day).trim().toUpperCase();
+    const number = /^\d$/.test(text) ? Number(text) : WEEKDAY_NAMES.indexOf(text.slice(0, 3));
+    if (number < 0 || number > 6) {
+      throw scheduleError(`Unknown day of week: ${day}`);
+    }
+    return number;
+  });
+  return Array.from(new Set(days)).sort((a, b) => a - b);
+}
+
+/**
+ * Validate schedule fields and fill in defaults
+ * @param {Object} input - Schedule fields
+ * @returns {Object} Normalized schedule fields
+ */
+function normalizeSchedule(input) {
+  const departureTime = String(input.departure_time || '').trim();
+  if (!TIME_PATTERN.test(departureTime)) {
+    throw scheduleError('departure_time must be HH:MM');
+  }
+  if (!isValidDate(input.start_date)) {
+    throw scheduleError('start_date must be YYYY-MM-DD');
+  }
+  const endDate = input.end_date || null;
+  if (endDate !== null && (!isValidDate(endDate) || endDate < input.start_date)) {
+    throw scheduleError('end_date must be YYYY-MM-DD and not before start_date');
+  }
+  const exceptionDates = input.exception_dates || [];
+  if (!Array.isArray(exceptionDates) || !exceptionDates.every(isValidDate)) {
+    throw scheduleError('exception_dates must be a list of YYYY-MM-DD dates');
+  }
+  const quota = Number(input.whatsapp_seat_quota ?? 0);
+  if (!Number.isInteger(quota) || quota < 0) {
+    throw scheduleError('whatsapp_seat_quota must be a non-negative integer');
+  }
+
+  return {
+    departure_time: departureTime,
+    days_of_week: normalizeDaysOfWeek(input.days_of_week),
+    start_date: input.start_date,
+    end_date: endDate,
+    exception_dates: Array.from(new Set(exceptionDates)).sort(),
+    whatsapp_seat_quota: quota,
+    vehicle_layout_id: input.vehicle_layout_id ? Number(input.vehicle_layout_id) : null,
+    active: input.active === undefined ? true : Boolean(input.active)
+  };
+}
+
+/**
+ * Whether a schedule has a departure on a date
+ * @param {Object} schedule - Schedule
+ * @param {string} date - Journey date (YYYY-MM-DD)
+ * @returns {boolean}
+ */
+function runsOn(schedule, date) {
+  return schedule.active &&
+    date >= schedule.start_date &&
+    (!schedule.end_date || date <= schedule.end_date) &&
+    schedule.days_of_week.includes(weekdayOf(date)) &&
+    !schedule.exception_dates.includes(date);
+}
+
+/**
+ * Journey dates of a schedule between two dates (inclusive)
+ * @param {Object} schedule - Schedule
+ * @param {string} fromDate - First date (YYYY-MM-DD)
+ * @param {string} toDate - Last date (YYYY-MM-DD)
+ * @returns {Array<string>} Dates
+ */
+function listScheduleDates(schedule, fromDate, toDate) {
+  const dates = [];
+  for (let date = fromDate; date <= toDate; date = addDays(date, 1)) {
+    if (runsOn(schedule, date)) {
+      dates.push(date);
+    }
+  }
+  return dates;
+}
+
+async function loadLayout(vehicleLayoutId) {
+  if (!vehicleLayoutId) return null;
+  const layout = await vehicleLayoutModel.findById(vehicleLayoutId);
+  if (!layout) {
+    const error = new Error(`Vehicle layout ${vehicleLayoutId} not found`);
+    error.code = 'VEHICLE_LAYOUT_NOT_FOUND';
+    throw error;
+  }
+  return layout;
+}
+
+// The schedule's layout, else the route's; the quota has to fit it
+async function resolveScheduleLayout(schedule, route) {
+  const layout = await loadLayout(schedule.vehicle_layout_id || route.vehicle_layout_id);
+  seatMapService.validateQuotaSeats(
+    tripModel.getQuotaSeatNumbers({ whatsapp_seat_quota: schedule.whatsapp_seat_quota }),
+    layout ? layout.seats.map((seat) => seat.seat_number) : null
+  );
+  return layout;
+}
+
+/**
+ * Create the missing trips of one schedule up to daysAhead days from today.
+ * Dates that already have a trip at the same time (e.g. created by hand) are skipped.
+ * @param {Object} schedule - Schedule
+ * @param {Object} options - { now, daysAhead }
+ * @returns {Promise<Object>} { created: trips, skipped }
+ */
+async function generateScheduleTrips(schedule, { now = new Date(), daysAhead = SCHEDULE_DAYS_AHEAD } = {}) {
+  if (!schedule.active) {
+    return { created: [], skipped: 0 };
+  }
+  const route = await routeModel.findById(schedule.route_id);
+  const layout = await resolveScheduleLayout(schedule, route);
+  const today = todayIn(now);
+  const fromDate = schedule.start_date > today ? schedule.start_date : today;
+  const dates = listScheduleDates(schedule, fromDate, addDays(today, daysAhead));
+
+  const created = [];
+  let skipped = 0;
+  for (const date of dates) {
+    const existing = await tripModel.findByRouteDateTime(schedule.route_id, date, schedule.departure_time);
+    if (existing) {
+      skipped++;
+      continue;
+    }
+    let trip;
+    try {
+      trip = await tripModel.create({
+        route_id: schedule.route_id,
+        journey_date: date,
+        departure_time: schedule.departure_time,
+        whatsapp_seat_quota: schedule.whatsapp_seat_quota,
+        schedule_id: schedule.id
+      });
+    } catch (error) {
+      // A trip created concurrently for the same route, date and time
+      if (error.code === 'SQLITE_CONSTRAINT') {
+        skipped++;
+        continue;
+      }
+      throw error;
+    }
+    if (layout) {
+      await assignLayoutToTrip(trip.id, layout.id);
+    }
+    created.push(trip);
+  }
+  return { created, skipped };
+}
+
+/**
+ * Generate upcoming trips for every active schedule. A schedule that cannot be
+ * generated (e.g. its quota no longer fits the route's layout) is logged and skipped.
+ * @param {Object} options - { now, daysAhead }
+ * @returns {Promise<Object>} { schedules, created, failed }
+ */
+async function generateScheduledTrips(options = {}) {
+  const schedules = await tripScheduleModel.findAll({ activeOnly: true });
+  let created = 0;
+  let failed = 0;
+  for (const schedule of schedules) {
+    try {
+      const result = await generateScheduleTrips(schedule, options);
+      created += result.created.length;
+    } catch (error) {
+      failed++;
+      console.error(`Failed to generate trips for schedule ${schedule.id}:`, error.message);
+    }
+  }
+  return { schedules: schedules.length, created, failed };
+}
+
+/**
+ * Create a schedule and generate its first trips
+ * @param {Object} input - { route_id, departure_time, days_of_week, start_date, end_date,
+ *   exception_dates, whatsapp_seat_quota, vehicle_layout_id }
+ * @param {Object} options - { now, daysAhead }
+ * @returns {Promise<Object>} { schedule, created: trips }
+ */
+async function createSchedule(input, options = {}) {
+  const fields = normalizeSchedule(input);
+  const route = await routeModel.findById(input.route_id);
+  if (!route) {
+    const error = new Error(`Route ${input.route_id} not found`);
+    error.code = 'ROUTE_NOT_FOUND';
+    throw error;
+  }
+  await resolveScheduleLayout(fields, route);
+
+  const schedule = await tripScheduleModel.create({ ...fields, route_id: route.id });
+  const { created } = await generateScheduleTrips(schedule, options);
+  return { schedule, created };
+}
+
+// Why a trip that no longer fits its schedule must stay, or null when it can be removed.
+// Removing a trip would also drop its waitlist without telling the customers.
+async function getKeepReason(tripId) {
+  const bookings = await bookingModel.findByTripId(tripId);
+  if (bookings.length > 0) {
+    return 'Trip has bookings';
+  }
+  const waiting = await waitlistEntryModel.findWaitingByTrip(tripId);
+  return waiting.length > 0 ? 'Trip has waitlisted customers' : null;
+}
+
+/**
+ * Edit a schedule and apply the change to its future trips:
+ * - trips that no longer fit the schedule (dropped day, exception date, new time,
+ *   shorter date range, paused schedule) are removed unless they have bookings or a waitlist;
+ * - a new quota or vehicle layout is applied to the remaining future trips;
+ * - trips for newly covered dates are generated.
+ * Trips that cannot be changed are left as they are and reported in `kept`.
+ * @param {number} scheduleId - Schedule ID
+ * @param {Object} changes - Schedule fields to change
+ * @param {Object} options - { now, daysAhead }
+ * @returns {Promise<Object|null>} { schedule, updated, removed, kept, created }, or null when not found
+ */
+async function updateSchedule(scheduleId, changes, options = {}) {
+  const current = await tripScheduleModel.findById(scheduleId);
+  if (!current) {
+    return null;
+  }
+  const editable = Object.fromEntries(
+    tripScheduleModel.UPDATABLE_FIELDS
+      .filter((field) => changes[field] !== undefined)
+      .map((field) => [field, changes[field]])
+  );
+  const fields = normalizeSchedule({ ...current, ...editable });
+  const route = await routeModel.findById(current.route_id);
+  const layout = await resolveScheduleLayout(fields, route);
+  const schedule = await tripScheduleModel.update(scheduleId, fields);
+
+  const quotaChanged = fields.whatsapp_seat_quota !== current.whatsapp_seat_quota;
+  const layoutChanged = fields.vehicle_layout_id !== current.vehicle_layout_id;
+  const result = { schedule, updated: 0, removed: [], kept: [], created: [] };
+
+  const futureTrips = await tripModel.findBySchedule(scheduleId, todayIn(options.now || new Date()));
+  for (const trip of futureTrips) {
+    const fits = runsOn(schedule, trip.journey_date) && trip.departure_time === schedule.departure_time;
+    if (!fits) {
+      const reason = await getKeepReason(trip.id);
+      if (reason) {
+        result.kept.push({ trip_id: trip.id, journey_date: trip.journey_date, reason });
+      } else {
+        await tripModel.remove(trip.id);
+        result.removed.push(trip.id);
+      }
+      continue;
+    }
+    if (!quotaChanged && !layoutChanged) {
+      continue;
+    }
+    try {
+      if (layoutChanged && layout) {
+        await assignLayoutToTrip(trip.id, layout.id, {
+          whatsappSeatNumbers: tripModel.getQuotaSeatNumbers({ whatsapp_seat_quota: schedule.whatsapp_seat_quota })
+        });
+      } else {
+        await seatMapService.setSeatQuota(trip.id, schedule.whatsapp_seat_quota);
+      }
+      result.updated++;
+    } catch (error) {
+      if (!['SEAT_LAYOUT_CONFLICT', 'INVALID_WHATSAPP_SEATS'].includes(error.code)) {
+        throw error;
+      }
+      result.kept.push({ trip_id: trip.id, journey_date: trip.journey_date, reason: error.message });
+    }
+  }
+
+  result.created = (await generateScheduleTrips(schedule, options)).created;
+  return result;
+}
+
+module.exports = {
+  SCHEDULE_DAYS_AHEAD,
+  normalizeDaysOfWeek,
+  normalizeSchedule,
+  listScheduleDates,
+  generateScheduleTrips,
+  generateScheduledTrips,
+  createSchedule,
+  updateSchedule
+};
@@ -0,0 +1,109 @@
+const vehicleLayoutModel = require('../../models/vehicleLayout');
+const tripModel = require('../../models/trip');
+const seatMapService = require('./seat_map_service');
+
+// Column positions per row; the missing column is the aisle
+const ARRANGEMENTS = Object.freeze({
+  '2+1': [0, 2, 3],
+  '2+2': [0, 1, 3, 4]
+});
+
+function layoutError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_SEAT_LAYOUT';
+  return error;
+}
+
+function buildDeck({ deck, seatType, columns, count, firstSeatNumber, labelPrefix }) {
+  return Array.from({ length: count }, (unused, index) => ({
+    seat_number: firstSeatNumber + index,
+    label: `${labelPrefix}${index + 1}`,
+    seat_type: seatType,
+    deck,
+    row: Math.floor(index / columns.length),
+    column: columns[index % columns.length],
+    is_ladies: false
+  }));
+}
+
+/**
+ * Seats for a standard coach, e.g. { seat_type: 'sleeper', arrangement: '2+1', seat_count: 36 }.
+ * Sleepers are split evenly over a lower (L1, L2, ...) and upper (U1, U2, ...) deck;
+ * seaters are a single deck labelled 1, 2, ...
+ * @param {Object} preset - { seat_type, arrangement, seat_count }
+ * @returns {Array<Object>} Layout seats
+ */
+function generateLayout({ seat_type: seatType = 'seater', arrangement = '2+2', seat_count: seatCount } = {}) {
+  const columns = ARRANGEMENTS[arrangement];
+  if (!columns) {
+    throw layoutError(`arrangement must be one of ${Object.keys(ARRANGEMENTS).join(', ')}`);
+  }
+  const count = Number(seatCount);
+  if (!Number.isInteger(count) || count < 1) {
+    throw layoutError('seat_count must be a positive integer');
+  }
+
+  if (seatType === 'sleeper') {
+    if (count % 2 !== 0) {
+      throw layoutError('A sleeper layout needs an even seat_count to fill both decks');
+    }
+    const perDeck = count / 2;
+    return [
+      ...buildDeck({ deck: 'lower', seatType, columns, count: perDeck, firstSeatNumber: 1, labelPrefix: 'L' }),
+      ...buildDeck({ deck: 'upper', seatType, columns, count: perDeck, firstSeatNumber: perDeck + 1, labelPrefix: 'U' })
+    ];
+  }
+  if (seatType === 'seater') {
+    return buildDeck({ deck: 'lower', seatType, columns, count, firstSeatNumber: 1, labelPrefix: '' });
+  }
+  throw layoutError('seat_type must be seater or sleeper');
+}
+
+/**
+ * Save a vehicle layout template from explicit seats or a preset
+ * @param {Object} layoutData - { operator_id, name, description, seats } or { ..., preset }
+ * @returns {Promise<Object>} Created layout
+ */
+async function createVehicleLayout({ operator_id = null, name, description = null, seats, preset }) {
+  if (!name || !String(name).trim()) {
+    throw layoutError('name is required');
+  }
+  const layoutSeats = seatMapService.normalizeLayout(seats || generateLayout(preset));
+  return vehicleLayoutModel.create({
+    operator_id,
+    name: String(name).trim(),
+    description,
+    seats: layoutSeats
+  });
+}
+
+/**
+ * Give a trip the seats of a vehicle layout. The seats are copied, so later
+ * changes to the template do not move seats on existing trips.
+ * @param {number} tripId - Trip ID
+ * @param {number} vehicleLayoutId - Vehicle layout ID
+ * @param {Object} options - { whatsappSeatNumbers } seats sold on WhatsApp (default: keep the current quota)
+ * @returns {Promise<Object|null>} Updated seat map, or null when the trip does not exist
+ */
+async function assignLayoutToTrip(tripId, vehicleLayoutId, { whatsappSeatNumbers = null } = {}) {
+  const layout = await vehicleLayoutModel.findById(vehicleLayoutId);
+  if (!layout) {
+    const error = new Error(`Vehicle layout ${vehicleLayoutId} not found`);
+    error.code = 'VEHICLE_LAYOUT_NOT_FOUND';
+    throw error;
+  }
+
+  const seatMap = await seatMapService.setTripLayout(tripId, layout.seats, { whatsappSeatNumbers });
+  if (!seatMap) {
+    return null;
+  }
+  await tripModel.setVehicleLayout(tripId, layout.id);
+  return { ...seatMap, vehicle_layout_id: layout.id };
+}
+
+module.exports = {
+  ARRANGEMENTS,
+  generateLayout,
+  createVehicleLayout,
+  assignLayoutToTrip
+};
@@ -0,0 +1,234 @@
+const waitlistEntryModel = require('../../models/waitlistEntry');
+const bookingModel = require('../../models/booking');
+const tripModel = require('../../models/trip');
+const operatorModel = require('../../models/operator');
+const { InventoryLockService } = require('../redis/InventoryLockService');
+const { getRedisClient } = require('../redis/redis_client');
+const { releaseLockKeys } = require('../inventoryLocking');
+const { acquireSeatLocks } = require('./seat_allocation_service');
+const { quoteFare } = require('./fare_service');
+const { hasDeparted } = require('../dateTimeResolver');
+const { queueCustomerNotification, queueReplyButtons } = require('../whatsapp/outbox');
+const { buildOperatorDecisionButtons } = require('../whatsapp/interactive');
+const { offerPaymentLink } = require('../payment/payment_links');
+const { SESSION_TTL_MINUTES } = require('../whatsapp/session_store');
+
+const WAITLIST_HOLD_MINUTES = Number.parseInt(
+  process.env.WAITLIST_HOLD_MINUTES || process.env.HOLD_DURATION_MINUTES || '10',
+  10
+);
+// How long a customer can reply WAITLIST after being told a trip is full
+const WAITLIST_OFFER_MINUTES = SESSION_TTL_MINUTES;
+
+/**
+ * Offer the waitlist to a customer who asked for more seats than are left
+ * @param {Object} request - { tripId, phoneNumber, seatCount, language, now }
+ * @returns {Promise<Object>} The offered entry
+ */
+async function offerWaitlist({ tripId, phoneNumber, seatCount, language = 'en', now = new Date() }) {
+  return waitlistEntryModel.createOffer({
+    trip_id: tripId,
+    customer_phone: phoneNumber,
+    seat_count: seatCount,
+    language,
+    now
+  });
+}
+
+/**
+ * Put a customer on the waitlist of the trip they were last offered
+ * @param {string} phoneNumber - Customer phone number
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} { status: 'joined'|'already_waiting'|'seats_available'|'no_offer', entry, position }
+ */
+async function joinWaitlist(phoneNumber, { now = new Date() } = {}) {
+  const since = new Date(now.getTime() - WAITLIST_OFFER_MINUTES * 60 * 1000);
+  const offer = await waitlistEntryModel.findLatestOffer(phoneNumber, since);
+  if (!offer) {
+    return { status: 'no_offer', entry: null, position: null };
+  }
+
+  const waiting = await waitlistEntryModel.findWaiting(phoneNumber, offer.trip_id);
+  if (waiting) {
+    return {
+      status: 'already_waiting',
+      entry: waiting,
+      position: await waitlistEntryModel.getPosition(waiting)
+    };
+  }
+
+  // Seats freed since the offer are not held for anyone; the customer can just ask again
+  if (await tripModel.getAvailableSeats(offer.trip_id) >= offer.seat_count) {
+    return { status: 'seats_available', entry: offer, position: null };
+  }
+
+  const entry = await waitlistEntryModel.markWaiting(offer.id, now);
+  if (!entry) {
+    return { status: 'no_offer', entry: null, position: null };
+  }
+  return { status: 'joined', entry, position: await waitlistEntryModel.getPosition(entry) };
+}
+
+async function notifyHold(entry, trip, booking) {
+  try {
+    await queueCustomerNotification(entry.customer_phone, 'waitlist_hold', {
+      booking_id: booking.id,
+      source: trip.source,
+      destination: trip.destination,
+      date: trip.journey_date,
+      time: trip.departure_time,
+      seats: entry.seat_count,
+      price: booking.fare_amount,
+      hold_minutes: WAITLIST_HOLD_MINUTES
+    }, { language: entry.language, bookingId: booking.id, logType: 'waitlist_hold' });
+  } catch (error) {
+    console.warn(`Failed to notify waitlisted customer for booking ${booking.id}:`, error.message);
+  }
+  await offerPaymentLink(booking);
+
+  try {
+    const operator = await operatorModel.findByBookingId(booking.id);
+    if (!operator) return;
+    const operatorMessage = `🔔 New Booking Request (from waitlist)!\n\n` +
+      `Booking ID: ${booking.id}\n` +
+      `Customer: ${entry.customer_phone}\n` +
+      `Route: ${trip.source} → ${trip.destination}\n` +
+      `Date: ${trip.journey_date}\n` +
+      `Time: ${trip.departure_time}\n` +
+      `Seats: ${entry.seat_count}\n` +
+      `Price: ₹${booking.fare_amount}\n\n` +
+      `⚠️ Hold expires in ${WAITLIST_HOLD_MINUTES} minutes\n\n` +
+      `Tap YES to accept or NO to reject. ` +
+      `Please contact the customer and send the ticket to confirm the booking.`;
+    await queueReplyButtons(
+      operator.phone_number,
+      operatorMessage,
+      buildOperatorDecisionButtons(booking.id),
+      { bookingId: booking.id, logType: 'operator_notification' }
+    );
+  } catch (error) {
+    console.warn(`Failed to notify operator of waitlist hold ${booking.id}:`, error.message);
+  }
+}
+
+// Lock seats and create the hold for one waiting customer; null when the seats could not be locked
+async function holdSeatsForEntry(entry, trip, lockService, now) {
+  const holdExpiresAt = new Date(now.getTime() + WAITLIST_HOLD_MINUTES * 60 * 1000);
+  const sessionId = `waitlist_${entry.id}`;
+  const lockPayload = await acquireSeatLocks({
+    lockService,
+    trip,
+    seatCount: entry.seat_count,
+    sessionId,
+    ttlSeconds: WAITLIST_HOLD_MINUTES * 60
+  });
+  if (!lockPayload.acquired) {
+    return null;
+  }
+
+  let booking;
+  try {
+    const fare = await quoteFare(trip, lockPayload.seatNumbers);
+    booking = await bookingModel.create({
+      customer_phone: entry.customer_phone,
+      trip_id: trip.id,
+      seat_count: entry.seat_count,
+      hold_duration_minutes: WAITLIST_HOLD_MINUTES,
+      hold_expires_at: holdExpiresAt.toISOString(),
+      seat_numbers: lockPayload.seatNumbers,
+      lock_keys: lockPayload.lockKeys,
+      lock_key: lockPayload.lockKeys[0],
+      lock_session_id: sessionId,
+      fare_amount: fare.fare_amount,
+      fare_details: fare.seats
+    });
+  } catch (error) {
+    await releaseLockKeys(lockService, lockPayload.lockKeys, {
+      bookingId: null,
+      reason: 'waitlist-hold-insert-failed'
+    });
+    throw error;
+  }
+  await waitlistEntryModel.markHeld(entry.id, booking.id);
+  console.log(`Waitlist hold created: Booking ID ${booking.id} for waitlist entry ${entry.id}`);
+
+  await notifyHold(entry, trip, booking);
+  return booking;
+}
+
+/**
+ * Give freed seats of a trip to its waitlist. Customers are served in the order
+ * they joined; a customer who needs more seats than are free is passed over
+ * for later customers who fit, and keeps their place for the next release.
+ * @param {number} tripId - Trip ID
+ * @param {Object} options - { lockService, now }; without a lock service a Redis connection is opened
+ * @returns {Promise<Array>} Holds created, as { entry_id, booking_id }
+ */
+async function promoteWaitlist(tripId, { lockService = null, now = new Date() } = {}) {
+  const trip = await tripModel.findById(tripId);
+  if (!trip || hasDeparted(trip, now)) {
+    return [];
+  }
+  const entries = await waitlistEntryModel.findWaitingByTrip(tripId);
+  if (entries.length === 0) {
+    return [];
+  }
+
+  let redisHandle = null;
+  if (!lockService) {
+    redisHandle = await getRedisClient();
+    lockService = new InventoryLockService(redisHandle.client);
+  }
+
+  const held = [];
+  try {
+    let available = await tripModel.getAvailableSeats(tripId);
+    for (const entry of entries) {
+      if (available <= 0) {
+        break;
+      }
+      if (entry.seat_count > available) {
+        continue;
+      }
+      const booking = await holdSeatsForEntry(entry, trip, lockService, now);
+      if (!booking) {
+        // Free by count but locked by an in-flight request; try again on the next release
+        break;
+      }
+      available -= entry.seat_count;
+      held.push({ entry_id: entry.id, booking_id: booking.id });
+    }
+  } finally {
+    if (redisHandle) {
+      await redisHandle.close();
+    }
+  }
+  return held;
+}
+
+/**
+ * Promote the waitlists of several trips. Failures are logged per trip so that
+ * the caller's own work (expiring, cancelling, unblocking) is never undone.
+ * @param {Array<number>} tripIds - Trip IDs
+ * @param {Object} options - Passed to promoteWaitlist
+ * @returns {Promise<number>} Number of holds created
+ */
+async function promoteWaitlists(tripIds, options = {}) {
+  let promoted = 0;
+  for (const tripId of new Set(tripIds)) {
+    try {
+      promoted += (await promoteWaitlist(tripId, options)).length;
+    } catch (error) {
+      console.error(`Failed to promote waitlist of trip ${tripId}:`, error.message);
+    }
+  }
+  return promoted;
+}
+
+module.exports = {
+  WAITLIST_HOLD_MINUTES,
+  offerWaitlist,
+  joinWaitlist,
+  promoteWaitlist,
+  promoteWaitlists
+};
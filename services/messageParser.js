@@ -1,3 +1,6 @@
+const { extractDate, extractTime } = require('./dateTimeResolver');
+const { t } = require('./i18n/translator');
+
 /**
  * Parse customer booking request from WhatsApp message
  * Expected formats:
@@ -63,11 +66,104 @@ function parseBookingRequest(messageText) {
 }
 
 /**
- * Normalize date to YYYY-MM-DD format
+ * Parse a "Source to Destination" fragment
+ * Accepts optional "FROM"/"BOOK" prefixes and ignores filler words.
+ *
+ * @param {string} messageText - Raw message text
+ * @returns {Object|null} { source, destination } or null if no route found
+ */
+function parseRouteText(messageText) {
+  if (!messageText) return null;
+
+  const cleaned = messageText
+    .toUpperCase()
+    .replace(/\b(ROUTE|DATE|TIME|SEATS?|ON|AT|FOR|BUS)\b:?/g, ' ')
+    .replace(/[,:]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const match = cleaned.match(/^(?:BOOK\s+)?(?:FROM\s+)?(.+?)\s+TO\s+(.+)$/);
+  if (!match) return null;
+
+  const source = match[1].trim();
+  const destination = match[2].trim();
+  if (!source || !destination) return null;
+
+  return { source, destination };
+}
+
+/**
+ * Extract whichever booking fields are present in a message.
+ * Used by the conversational flow, where customers answer one question at a time
+ * (e.g. "Mumbai to Pune", then "tomorrow", then "8am", then "2 seats").
+ *
+ * Relative and named dates/times are resolved in the operator's timezone.
+ * A bare time-of-day word ("evening bus") is returned as `time_window`, and
+ * expressions with more than one reading ("next Friday", "8 baje") are
+ * reported under `ambiguities` instead of being dropped.
+ *
+ * @param {string} messageText - Raw message text
+ * @param {Object} options - { now, timeZone, bareHour }
+ * @returns {Object} Partial booking request (only the fields that were found)
+ */
+function parsePartialBookingRequest(messageText, options = {}) {
+  const result = {};
+  if (!messageText) return result;
+
+  let text = messageText.trim().toUpperCase();
+  const ambiguities = {};
+
+  const dateResult = extractDate(text, options);
+  if (dateResult.match) {
+    if (dateResult.value) {
+      result.date = dateResult.value;
+    } else if (dateResult.ambiguous) {
+      ambiguities.date = dateResult.candidates;
+    }
+    text = text.replace(dateResult.match, ' ');
+  }
+
+  const seatsMatch = text.match(/\b(\d+)\s*SEATS?\b/);
+  if (seatsMatch) {
+    result.seats = parseInt(seatsMatch[1], 10);
+    text = text.replace(seatsMatch[0], ' ');
+  }
+
+  const timeResult = extractTime(text, options);
+  if (timeResult.match) {
+    if (timeResult.value) {
+      result.time = timeResult.value;
+    } else if (timeResult.ambiguous) {
+      ambiguities.time = timeResult.candidates;
+    } else if (timeResult.window) {
+      result.time_window = timeResult.window;
+    }
+    text = text.replace(timeResult.match, ' ');
+  }
+
+  const route = parseRouteText(text);
+  if (route) {
+    result.source = route.source;
+    result.destination = route.destination;
+  }
+
+  if (Object.keys(ambiguities).length > 0) {
+    result.ambiguities = ambiguities;
+  }
+
+  return result;
+}
+
+/**
+ * Normalize date to YYYY-MM-DD format.
+ * Also accepts relative and named dates ("tomorrow", "kal", "15 Jan"); returns
+ * null for ambiguous expressions — use parsePartialBookingRequest to get the candidates.
+ *
  * @param {string} dateStr - Date string in various formats
+ * @param {Object} options - { now, timeZone }
  * @returns {string} Normalized date or null
  */
-function normalizeDate(dateStr) {
+function normalizeDate(dateStr, options = {}) {
   if (!dateStr) return null;
   
   // Already in YYYY-MM-DD format
@@ -80,6 +176,11 @@ function normalizeDate(dateStr) {
   if (ddmmyyyy) {
     return `${ddmmyyyy[3]}-${ddmmyyyy[2]}-${ddmmyyyy[1]}`;
   }
+
+  const resolved = extractDate(dateStr, options);
+  if (resolved.match) {
+    return resolved.value;
+  }
   
   // Try to parse as date
   const date = new Date(dateStr);
@@ -94,7 +195,10 @@ function normalizeDate(dateStr) {
 }
 
 /**
- * Normalize time to HH:MM format
+ * Normalize time to HH:MM format.
+ * Also accepts "8am", "8:30 pm", "noon"; returns null for ambiguous or
+ * window-only expressions ("8 baje", "evening").
+ *
  * @param {string} timeStr - Time string
  * @returns {string} Normalized time or null
  */
@@ -106,28 +210,24 @@ function normalizeTime(timeStr) {
     const [hours, minutes] = timeStr.split(':');
     return `${String(hours).padStart(2, '0')}:${minutes}`;
   }
-  
-  return null;
+
+  return extractTime(timeStr).value;
 }
 
 /**
  * Generate help message for customer
+ * @param {string} language - Reply language (en, hi, mr, gu)
  * @returns {string} Help message
  */
-function getHelpMessage() {
-  return `To book seats, send your request in one of these formats:
-
-📋 Format 1:
-Route: [Source] to [Destination], Date: YYYY-MM-DD, Time: HH:MM, Seats: [number]
-
-📋 Format 2:
-[Source] to [Destination], YYYY-MM-DD, HH:MM, [number] seats
-
-Example:
-Route: Mumbai to Pune, Date: 2024-01-15, Time: 08:00, Seats: 2`;
+function getHelpMessage(language = 'en') {
+  return t(language, 'help');
 }
 
 module.exports = {
   parseBookingRequest,
+  parseRouteText,
+  parsePartialBookingRequest,
+  normalizeDate,
+  normalizeTime,
   getHelpMessage
 };
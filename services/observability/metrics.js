@@ -1,6 +1,7 @@
 const DEFAULT_THRESHOLDS = Object.freeze({
   booking_failures: 10,
-  payment_webhook_duplicates: 25
+  payment_webhook_duplicates: 25,
+  outbox_dead_letters: 1
 });
 
 const counters = new Map();
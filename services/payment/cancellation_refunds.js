@@ -0,0 +1,55 @@
+const paymentModel = require('../../models/payment');
+const refundModel = require('../../models/refund');
+const { queueCustomerNotification } = require('../whatsapp/outbox');
+const { PAYMENT_STATES } = require('./reconciliation');
+const { evaluateRefundPolicy } = require('./refund_policy');
+const { createRefund, getRefundedTotal, notifyRefundStatus } = require('./refunds');
+
+/**
+ * Refund a cancelled booking's payment as the refund policy allows, and tell
+ * the customer on WhatsApp. Bookings paid to the operator directly have no
+ * payment to refund.
+ * @param {Object} booking - Cancelled booking, with journey_date and departure_time
+ * @param {Object} options - { now, fee } where fee is the cancellation fee to keep back;
+ *   without one the default refund tiers apply
+ * @returns {Promise<Object|null>} { tier, refund_amount, hours_before_departure, refund_id, status },
+ *   or null when nothing was paid
+ */
+async function refundCancelledBooking(booking, { now = new Date(), fee = null } = {}) {
+  const payments = await paymentModel.findByBooking(booking.id);
+  const payment = payments.filter((candidate) => candidate.status === PAYMENT_STATES.SUCCEEDED).pop();
+  if (!payment || !payment.amount) {
+    return null;
+  }
+
+  const policy = evaluateRefundPolicy({ paidAmount: payment.amount, trip: booking, now, fee });
+  const refundable = Math.max(0, payment.amount - await getRefundedTotal(booking.id));
+  const amount = Math.min(policy.refund_amount, refundable);
+  if (amount <= 0) {
+    // Money already on its way back is not the customer's to be told about again
+    if (policy.refund_amount > 0) {
+      return { ...policy, refund_amount: 0, refund_id: null, status: null };
+    }
+    await queueCustomerNotification(booking.customer_phone, 'refund_not_eligible', {
+      booking_id: booking.id,
+      amount: payment.amount
+    }, { bookingId: booking.id, logType: 'refund' });
+    return { ...policy, refund_amount: 0, refund_id: null, status: null };
+  }
+
+  const refund = await createRefund({
+    bookingId: booking.id,
+    originalAmount: payment.amount,
+    amount,
+    currency: payment.currency || 'INR',
+    reason: 'cancellation',
+    paymentId: payment.id,
+    idempotencyKey: `refund:cancel:${booking.id}`
+  });
+  await notifyRefundStatus(await refundModel.findById(refund.refund_id));
+  return { ...policy, refund_amount: amount, refund_id: refund.refund_id, status: refund.status };
+}
+
+module.exports = {
+  refundCancelledBooking
+};
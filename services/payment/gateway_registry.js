@@ -0,0 +1,54 @@
+const { NonRetryableError } = require('../errors');
+const { createRazorpayGateway } = require('./razorpay_gateway');
+
+// Gateway used for new payment links. Unset means customers are not sent
+// payment links and pay the operator directly.
+const PAYMENT_GATEWAY = process.env.PAYMENT_GATEWAY || null;
+
+// A gateway implements createPaymentLink(request), fetchPaymentLink(gatewayRef) and
+// cancelPaymentLink(gatewayRef), each resolving to the link, plus
+// createRefund(request) and fetchRefund(paymentId, refundId), resolving to the refund.
+const factories = new Map([
+  ['razorpay', () => createRazorpayGateway({
+    keyId: process.env.RAZORPAY_KEY_ID,
+    keySecret: process.env.RAZORPAY_KEY_SECRET,
+    baseUrl: process.env.RAZORPAY_BASE_URL || undefined,
+    upiLink: process.env.RAZORPAY_UPI_LINKS === '1'
+  })]
+]);
+const instances = new Map();
+
+/**
+ * Make a payment gateway available by name
+ * @param {string} name - Gateway name recorded on each payment intent
+ * @param {Function} factory - Returns the gateway instance
+ */
+function registerPaymentGateway(name, factory) {
+  factories.set(name, factory);
+  instances.delete(name);
+}
+
+/**
+ * Get a payment gateway, creating it on first use
+ * @param {string} name - Gateway name (defaults to PAYMENT_GATEWAY)
+ * @returns {Object|null} Payment gateway, or null when none is configured
+ */
+function getPaymentGateway(name = PAYMENT_GATEWAY) {
+  if (!name) {
+    return null;
+  }
+  if (!instances.has(name)) {
+    const factory = factories.get(name);
+    if (!factory) {
+      throw new NonRetryableError(`Unknown payment gateway: ${name}`, { code: 'PAYMENT_GATEWAY_UNKNOWN' });
+    }
+    instances.set(name, factory());
+  }
+  return instances.get(name);
+}
+
+module.exports = {
+  PAYMENT_GATEWAY,
+  registerPaymentGateway,
+  getPaymentGateway
+};
@@ -0,0 +1,251 @@
+const bookingModel = require('../../models/booking');
+const paymentIntentModel = require('../../models/paymentIntent');
+const tripModel = require('../../models/trip');
+const { hasDeparted } = require('../dateTimeResolver');
+const { getLockKeysForBooking, releaseLockKeys } = require('../inventoryLocking');
+const { acquireSeatLocks } = require('../inventory/seat_allocation_service');
+const { getSeatMap, SEAT_STATUSES } = require('../inventory/seat_map_service');
+const { queueCustomerNotification } = require('../whatsapp/outbox');
+const { PAYMENT_INTENT_EVENTS, applyIntentEvent } = require('./payment_intents');
+const { getPaymentGateway } = require('./gateway_registry');
+const { createRefund } = require('./refunds');
+
+// How long a hold is kept from the moment the gateway reports a payment in progress
+const PAYMENT_HOLD_EXTENSION_MINUTES = Number.parseInt(process.env.PAYMENT_HOLD_EXTENSION_MINUTES || '10', 10);
+
+// Locks taken while a late payment's seats are confirmed again
+const REINSTATE_LOCK_SECONDS = 60;
+
+const LATE_PAYMENT_OUTCOMES = Object.freeze({
+  REINSTATED: 'reinstated',
+  REFUNDED: 'refunded'
+});
+
+// The link may still be paid if the gateway cannot cancel it; that payment is settled as late
+async function cancelPaymentLink(intent) {
+  try {
+    await getPaymentGateway(intent.gateway).cancelPaymentLink(intent.gateway_ref);
+  } catch (error) {
+    console.warn(`Failed to cancel payment link ${intent.gateway_ref} of intent ${intent.id}:`, error.message);
+  }
+}
+
+/**
+ * Expire the open payment intents of a booking whose hold has ended, and
+ * cancel their payment links at the gateway
+ * @param {number} bookingId - Booking ID
+ * @returns {Promise<number>} Number of intents expired
+ */
+async function expirePaymentIntents(bookingId) {
+  const intents = await paymentIntentModel.findByBooking(bookingId);
+  let expired = 0;
+  for (const intent of intents) {
+    const next = applyIntentEvent(intent.state, PAYMENT_INTENT_EVENTS.EXPIRE);
+    if (!next.ok) {
+      continue;
+    }
+    await paymentIntentModel.updateState(intent.id, next.state);
+    expired += 1;
+    if (intent.gateway && intent.gateway_ref) {
+      await cancelPaymentLink(intent);
+    }
+  }
+  return expired;
+}
+
+/**
+ * Keep a hold, its seat locks and its open payment intents alive while the
+ * customer's payment is in progress. A hold is never shortened, and one that
+ * has already expired is left to the late payment rules.
+ * @param {Object} booking - Booking row
+ * @param {Object} options - { lockService, now }
+ * @returns {Promise<Object|null>} Booking with its new expiry, or null when the hold could not be kept
+ */
+async function extendHoldForPayment(booking, { lockService, now = new Date() }) {
+  const currentExpiry = booking.hold_expires_at ? new Date(booking.hold_expires_at) : null;
+  if (bookingModel.normalizeStatus(booking.status) !== 'hold' || !currentExpiry || currentExpiry <= now) {
+    return null;
+  }
+  const holdExpiresAt = new Date(now.getTime() + PAYMENT_HOLD_EXTENSION_MINUTES * 60 * 1000);
+  if (currentExpiry >= holdExpiresAt) {
+    return booking;
+  }
+
+  const lockKeys = getLockKeysForBooking(booking);
+  if (lockKeys.length > 0 && !booking.lock_session_id) {
+    console.warn(`Cannot extend hold ${booking.id}: its seat locks have no recorded owner`);
+    return null;
+  }
+  const ttlSeconds = PAYMENT_HOLD_EXTENSION_MINUTES * 60;
+  try {
+    for (const lockKey of lockKeys) {
+      // A lock that lapsed is taken again, unless another customer got the seat first
+      const kept = await lockService.extend(lockKey, booking.lock_session_id, ttlSeconds) ||
+        await lockService.acquire(lockKey, booking.lock_session_id, ttlSeconds);
+      if (!kept) {
+        console.warn(`Cannot extend hold ${booking.id}: ${lockKey} is no longer free`);
+        return null;
+      }
+    }
+  } catch (error) {
+    console.warn(`Cannot extend hold ${booking.id}:`, error.message);
+    return null;
+  }
+
+  const extended = await bookingModel.extendHold(booking.id, holdExpiresAt);
+  if (!extended) {
+    return null;
+  }
+  const intents = await paymentIntentModel.findByBooking(booking.id);
+  for (const intent of intents) {
+    if (applyIntentEvent(intent.state, PAYMENT_INTENT_EVENTS.EXPIRE).ok) {
+      await paymentIntentModel.updateExpiry(intent.id, holdExpiresAt);
+    }
+  }
+  console.log(`Extended hold ${booking.id} to ${holdExpiresAt.toISOString()} for a payment in progress`);
+  return extended;
+}
+
+// Confirm an expired booking again when all of its seats are still free
+async function reinstateBooking(booking, payment, lockService, now) {
+  const trip = await tripModel.findById(booking.trip_id);
+  const seatNumbers = bookingModel.getSeatNumbers(booking);
+  if (!trip || hasDeparted(trip, now) || seatNumbers.length === 0) {
+    return null;
+  }
+  const seatMap = await getSeatMap(trip.id, { now });
+  const free = new Set(seatMap.seats
+    .filter((seat) => seat.status === SEAT_STATUSES.AVAILABLE)
+    .map((seat) => seat.seat_number));
+  if (!seatNumbers.every((seatNumber) => free.has(Number(seatNumber)))) {
+    return null;
+  }
+
+  // Locked for the moment of confirming, so a hold being created cannot take the same seats
+  const lockPayload = await acquireSeatLocks({
+    lockService,
+    trip,
+    seatCount: seatNumbers.length,
+    sessionId: `late_payment_${payment.id}`,
+    ttlSeconds: REINSTATE_LOCK_SECONDS,
+    preferredSeats: seatNumbers
+  });
+  if (!lockPayload.acquired) {
+    return null;
+  }
+  try {
+    return await bookingModel.transitionStatus(booking.id, 'confirmed', { reinstate: true });
+  } finally {
+    await releaseLockKeys(lockService, lockPayload.lockKeys, {
+      bookingId: booking.id,
+      reason: 'late-payment'
+    });
+  }
+}
+
+/**
+ * Settle a payment that arrived after its hold expired: the booking is
+ * confirmed again when its seats are still free, otherwise the payment is
+ * refunded. A payment on a rejected or cancelled booking is always refunded.
+ * Either way the customer is told on WhatsApp.
+ * @param {Object} booking - Booking row, an expired hold or a cancelled booking
+ * @param {Object} payment - Payment row flagged is_late_payment
+ * @param {Object} options - { lockService, now }
+ * @returns {Promise<Object>} { outcome, booking, refund }
+ */
+async function settleLatePayment(booking, payment, { lockService, now = new Date() }) {
+  let current = booking;
+  if (bookingModel.normalizeStatus(current.status) === 'confirmed') {
+    // Settled by an earlier delivery of the same payment
+    return { outcome: LATE_PAYMENT_OUTCOMES.REINSTATED, booking: current, refund: null };
+  }
+  if (bookingModel.normalizeStatus(current.status) === 'hold') {
+    // Not swept by the expiry job yet
+    const lockKeys = getLockKeysForBooking(booking);
+    current = await bookingModel.expireHold(booking.id, {
+      releaseInventoryLock: async () =>
+        releaseLockKeys(lockService, lockKeys, { bookingId: booking.id, reason: 'expiry' })
+    });
+    await expirePaymentIntents(booking.id);
+  }
+
+  const reinstated = bookingModel.normalizeStatus(current.status) === 'expired'
+    ? await reinstateBooking(current, payment, lockService, now)
+    : null;
+  if (reinstated) {
+    await queueCustomerNotification(current.customer_phone, 'late_payment_confirmed', {
+      booking_id: current.id
+    }, { bookingId: current.id, logType: 'late_payment' });
+    return { outcome: LATE_PAYMENT_OUTCOMES.REINSTATED, booking: reinstated, refund: null };
+  }
+
+  const amount = payment.amount ?? bookingModel.getFareAmount(current);
+  const refund = await createRefund({
+    bookingId: current.id,
+    originalAmount: amount,
+    amount,
+    currency: payment.currency || 'INR',
+    reason: 'late_payment',
+    paymentId: payment.id,
+    idempotencyKey: `refund:late:${payment.id}`
+  });
+  const notice = bookingModel.normalizeStatus(current.status) === 'cancelled'
+    ? 'cancelled_payment_refunded'
+    : 'late_payment_refunded';
+  await queueCustomerNotification(current.customer_phone, notice, {
+    booking_id: current.id,
+    amount
+  }, { bookingId: current.id, logType: 'late_payment' });
+  return { outcome: LATE_PAYMENT_OUTCOMES.REFUNDED, booking: current, refund };
+}
+
+/**
+ * Whether a successful payment falls short of the booking's current price,
+ * e.g. an old payment link paid after the operator raised the price
+ * @param {Object} booking - Booking row
+ * @param {Object} payment - Payment row
+ * @returns {boolean} True when the payment does not cover the price
+ */
+function isShortPayment(booking, payment) {
+  const price = bookingModel.getFareAmount(booking);
+  if (payment.amount === null || payment.amount === undefined || !price) {
+    return false;
+  }
+  return Number(payment.amount) < Number(price);
+}
+
+/**
+ * Refund a payment that does not cover its hold's price. The hold stands,
+ * so the customer can still pay the latest link at the right price.
+ * @param {Object} booking - Held booking
+ * @param {Object} payment - Payment row short of the price
+ * @returns {Promise<Object>} Refund
+ */
+async function refundShortPayment(booking, payment) {
+  const price = bookingModel.getFareAmount(booking);
+  const refund = await createRefund({
+    bookingId: booking.id,
+    originalAmount: payment.amount,
+    amount: payment.amount,
+    currency: payment.currency || 'INR',
+    reason: 'short_payment',
+    paymentId: payment.id,
+    idempotencyKey: `refund:short:${payment.id}`
+  });
+  await queueCustomerNotification(booking.customer_phone, 'short_payment_refunded', {
+    booking_id: booking.id,
+    amount: payment.amount,
+    price
+  }, { bookingId: booking.id, logType: 'refund' });
+  return refund;
+}
+
+module.exports = {
+  PAYMENT_HOLD_EXTENSION_MINUTES,
+  LATE_PAYMENT_OUTCOMES,
+  expirePaymentIntents,
+  extendHoldForPayment,
+  settleLatePayment,
+  isShortPayment,
+  refundShortPayment
+};
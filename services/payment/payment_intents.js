@@ -1,3 +1,4 @@
+const paymentIntentModel = require('../../models/paymentIntent');
 const { withIdempotency } = require('../idempotency/with_idempotency');
 
 const PAYMENT_INTENT_STATES = Object.freeze({
@@ -39,13 +40,24 @@ function applyIntentEvent(currentState, event) {
   return { ok: true, state: nextState, error: null };
 }
 
+/**
+ * Record a payment intent for a booking. With a gateway, the intent also gets
+ * a payment link the customer can pay; the link's reference id is the
+ * idempotency key, so a retried request cannot create a second link.
+ * @param {Object} request - { bookingId, amount, currency, expiresAt, idempotencyKey, metadata,
+ *   gateway, paymentLink: { description, customerPhone } }
+ * @returns {Promise<Object>} Intent row { id, booking_id, amount, currency, state, gateway,
+ *   gateway_ref, pay_link_url, expires_at, metadata, ... } as it is now
+ */
 async function createPaymentIntent({
   bookingId,
   amount,
   currency = 'INR',
   expiresAt,
   idempotencyKey,
-  metadata = {}
+  metadata = {},
+  gateway = null,
+  paymentLink = {}
 }) {
   if (!bookingId) {
     throw new Error('bookingId is required');
@@ -64,13 +76,43 @@ async function createPaymentIntent({
     metadata
   };
 
-  return withIdempotency({
+  const key = idempotencyKey || `intent:${bookingId}`;
+
+  const created = await withIdempotency({
     source: 'payment',
     eventType: 'payment_intent_create',
-    idempotencyKey: idempotencyKey || `intent:${bookingId}`,
+    idempotencyKey: key,
     request: payload,
-    handler: async () => payload
+    handler: async () => {
+      const link = gateway
+        ? await gateway.createPaymentLink({
+          referenceId: key,
+          amount,
+          currency,
+          description: paymentLink.description || null,
+          customerPhone: paymentLink.customerPhone || null,
+          expiresAt: expiresAt || null,
+          notes: { booking_id: String(bookingId), intent_id: intentId }
+        })
+        : null;
+      return paymentIntentModel.create({
+        id: intentId,
+        booking_id: bookingId,
+        amount,
+        currency,
+        state: PAYMENT_INTENT_STATES.CREATED,
+        gateway: gateway ? gateway.name : null,
+        gateway_ref: link ? link.gateway_ref : null,
+        pay_link_url: link ? link.url : null,
+        expires_at: expiresAt || null,
+        idempotency_key: key,
+        metadata
+      });
+    }
   });
+
+  // A retried request gets the intent in its current state, not as first created
+  return paymentIntentModel.findById(created.id);
 }
 
 module.exports = {
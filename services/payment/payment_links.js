@@ -0,0 +1,76 @@
+const bookingModel = require('../../models/booking');
+const paymentIntentModel = require('../../models/paymentIntent');
+const { NonRetryableError } = require('../errors');
+const { createPaymentIntent, applyIntentEvent, PAYMENT_INTENT_EVENTS } = require('./payment_intents');
+const { getPaymentGateway } = require('./gateway_registry');
+const { queueCustomerNotification } = require('../whatsapp/outbox');
+
+/**
+ * Create a payment link for a held booking and send it to the customer on WhatsApp.
+ * Asking again for the same hold and price re-sends the link already created;
+ * a new price or hold expiry gets a new link.
+ * @param {Object} booking - Booking row
+ * @param {Object} options - { gateway, now }
+ * @returns {Promise<Object>} Payment intent with gateway_ref and pay_link_url
+ */
+async function sendPaymentLink(booking, { gateway = getPaymentGateway(), now = new Date() } = {}) {
+  if (!gateway) {
+    throw new NonRetryableError('No payment gateway is configured', { code: 'PAYMENT_GATEWAY_NOT_CONFIGURED' });
+  }
+  if (bookingModel.normalizeStatus(booking.status) !== 'hold') {
+    throw new NonRetryableError(`Booking is ${booking.status}`, { code: 'BOOKING_NOT_PAYABLE' });
+  }
+  const holdExpiresAt = booking.hold_expires_at ? new Date(booking.hold_expires_at) : null;
+  if (holdExpiresAt && holdExpiresAt <= now) {
+    throw new NonRetryableError('Hold has expired', { code: 'BOOKING_NOT_PAYABLE' });
+  }
+  const amount = bookingModel.getFareAmount(booking);
+  if (!amount) {
+    throw new NonRetryableError('Booking has no fare to pay', { code: 'BOOKING_NOT_PAYABLE' });
+  }
+
+  const expirySeconds = holdExpiresAt ? Math.floor(holdExpiresAt.getTime() / 1000) : 0;
+  const intent = await createPaymentIntent({
+    bookingId: booking.id,
+    amount,
+    currency: 'INR',
+    expiresAt: holdExpiresAt ? holdExpiresAt.toISOString() : null,
+    // Doubles as the gateway's reference id, which Razorpay caps at 40 characters
+    idempotencyKey: `paylink:${booking.id}:${amount}:${expirySeconds}`,
+    gateway,
+    paymentLink: {
+      description: `Booking ${booking.id}`,
+      customerPhone: booking.customer_phone
+    }
+  });
+
+  await queueCustomerNotification(booking.customer_phone, 'payment_link', {
+    booking_id: booking.id,
+    price: amount,
+    pay_link_url: intent.pay_link_url
+  }, { bookingId: booking.id, logType: 'payment_link' });
+
+  const sent = applyIntentEvent(intent.state, PAYMENT_INTENT_EVENTS.SEND);
+  return sent.ok ? paymentIntentModel.updateState(intent.id, sent.state) : intent;
+}
+
+/**
+ * Send a payment link for a new hold when a payment gateway is configured.
+ * The hold stands if the link cannot be sent; the operator can send it again.
+ * @param {Object} booking - Held booking
+ * @returns {Promise<Object|null>} Payment intent, or null when no link was sent
+ */
+async function offerPaymentLink(booking) {
+  try {
+    const gateway = getPaymentGateway();
+    return gateway ? await sendPaymentLink(booking, { gateway }) : null;
+  } catch (error) {
+    console.warn(`Failed to send payment link for booking ${booking.id}:`, error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  sendPaymentLink,
+  offerPaymentLink
+};
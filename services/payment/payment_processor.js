@@ -1,8 +1,18 @@
 const { InventoryLockService } = require('../redis/InventoryLockService');
 const bookingModel = require('../../models/booking');
 const auditEventModel = require('../../models/auditEvent');
+const { recordPayment } = require('./payments');
+const {
+  extendHoldForPayment,
+  settleLatePayment,
+  isShortPayment,
+  refundShortPayment
+} = require('./payment_holds');
 const { getLockKeysForBooking, releaseLockKeys } = require('../inventoryLocking');
 
+// The customer has started paying; the gateway reports the result later
+const IN_PROGRESS_STATUSES = ['PENDING', 'AUTHORIZED', 'PROCESSING'];
+
 function normalizePaymentStatus(status) {
   if (!status) return null;
   return String(status).trim().toUpperCase();
@@ -18,11 +28,20 @@ function mapStatusToBooking(status) {
   return null;
 }
 
-async function processPaymentEvent(payload, { redisClient }) {
+/**
+ * Apply a gateway payment result to its booking: extend the hold while the
+ * payment is in progress, confirm or expire the hold once it is done, and
+ * settle payments that arrive after the hold ended.
+ * @param {Object} payload - { gateway_event_id, booking_id or metadata.booking_id, status, amount,
+ *   currency, gateway, gateway_payment_id or payment_id }
+ * @param {Object} options - { redisClient } or { lockService }
+ * @returns {Promise<Object>} { idempotent, bookingId, status, ... }
+ */
+async function processPaymentEvent(payload, { redisClient = null, lockService = null }) {
   if (!payload || typeof payload !== 'object') {
     throw new Error('Payment payload is required');
   }
-  if (!redisClient) {
+  if (!redisClient && !lockService) {
     throw new Error('Redis client is required');
   }
 
@@ -41,18 +60,59 @@ async function processPaymentEvent(payload, { redisClient }) {
   if (!booking) {
     throw new Error(`Booking ${bookingId} not found`);
   }
+
+  const normalizedStatus = normalizePaymentStatus(payload.status);
+  if (IN_PROGRESS_STATUSES.includes(normalizedStatus)) {
+    const extended = bookingModel.normalizeStatus(booking.status) === 'hold'
+      ? await extendHoldForPayment(booking, { lockService: lockService || new InventoryLockService(redisClient) })
+      : null;
+    return {
+      idempotent: false,
+      bookingId,
+      status: normalizedStatus,
+      hold_expires_at: extended ? extended.hold_expires_at : null
+    };
+  }
+
+  const newBookingStatus = mapStatusToBooking(normalizedStatus);
+  let payment = null;
+  if (newBookingStatus) {
+    // Recorded even when the hold is gone, so money that came in late can be found and returned
+    payment = await recordPayment({
+      bookingId: booking.id,
+      status: normalizedStatus,
+      gatewayEventId,
+      amount: payload.amount ?? null,
+      currency: payload.currency || 'INR',
+      gateway: payload.gateway || null,
+      gatewayPaymentId: payload.gateway_payment_id || payload.payment_id || null
+    });
+  }
+
+  if (payment && payment.is_late_payment) {
+    const settled = await settleLatePayment(booking, payment, {
+      lockService: lockService || new InventoryLockService(redisClient)
+    });
+    return { idempotent: false, bookingId, status: normalizedStatus, late_payment: settled.outcome };
+  }
+
+  // A link sent before the price went up does not pay for the booking
+  if (payment && newBookingStatus === 'confirmed' && bookingModel.normalizeStatus(booking.status) === 'hold' &&
+    isShortPayment(booking, payment)) {
+    const refund = await refundShortPayment(booking, payment);
+    return { idempotent: false, bookingId, status: normalizedStatus, short_payment_refund: refund };
+  }
+
   if (bookingModel.normalizeStatus(booking.status) !== 'hold') {
     return { idempotent: true, bookingId, status: payload.status };
   }
 
-  const normalizedStatus = normalizePaymentStatus(payload.status);
-  const newBookingStatus = mapStatusToBooking(normalizedStatus);
   if (!newBookingStatus) {
     throw new Error(`Unsupported payment status: ${payload.status}`);
   }
 
   const lockKeys = getLockKeysForBooking(booking);
-  const lockService = new InventoryLockService(redisClient);
+  lockService = lockService || new InventoryLockService(redisClient);
   const updated = await bookingModel.transitionStatus(bookingId, newBookingStatus, {
     releaseInventoryLock: async () => {
       try {
@@ -0,0 +1,135 @@
+const { getDatabase } = require('../../database');
+const bookingModel = require('../../models/booking');
+const paymentIntentModel = require('../../models/paymentIntent');
+const paymentModel = require('../../models/payment');
+const refundModel = require('../../models/refund');
+const { PAYMENT_INTENT_STATES } = require('./payment_intents');
+const { PAYMENT_STATES } = require('./reconciliation');
+
+// Badge statuses shown to operators
+const PAYMENT_BADGE_STATUSES = Object.freeze({
+  PENDING: 'PENDING',
+  SUCCESS: 'SUCCESS',
+  FAILED: 'FAILED',
+  REFUNDED: 'REFUNDED'
+});
+
+const REFUND_STATUSES = Object.freeze({
+  REQUESTED: 'REQUESTED',
+  PARTIAL: 'PARTIALLY_REFUNDED',
+  REFUNDED: 'REFUNDED'
+});
+
+// SQLite stores CURRENT_TIMESTAMP columns as "YYYY-MM-DD HH:MM:SS" in UTC
+function toIsoTimestamp(value) {
+  if (!value) return null;
+  const text = String(value);
+  const parsed = new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(text) ? text : `${text.replace(' ', 'T')}Z`);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString();
+}
+
+// Cancellations ask for a refund before one is made
+async function hasRefundRequest(bookingId) {
+  const db = await getDatabase();
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT 1 AS found FROM audit_events
+       WHERE session_id = ? AND event_type = 'REFUND_REQUESTED'
+       LIMIT 1`,
+      [`sess_${bookingId}`],
+      (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(Boolean(row));
+      }
+    );
+  });
+}
+
+function deriveRefundStatus(refundedTotal, paidAmount, refundRequested) {
+  if (refundedTotal > 0) {
+    return paidAmount && refundedTotal < paidAmount ? REFUND_STATUSES.PARTIAL : REFUND_STATUSES.REFUNDED;
+  }
+  return refundRequested ? REFUND_STATUSES.REQUESTED : null;
+}
+
+/**
+ * Payment badge of a booking, from its latest payment intent, its payments and refunds.
+ * A booking nobody has asked to pay online (e.g. paid at the counter) has status null.
+ * @param {Object} booking - Booking row
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} { status, amount, currency, pay_link_url, pay_link_expires_at,
+ *   gateway_ref, last_event_at, is_late_payment, refund_status }
+ */
+async function getPaymentBadge(booking, { now = new Date() } = {}) {
+  const [intent, payments, refunds, refundRequested] = await Promise.all([
+    paymentIntentModel.findLatestByBooking(booking.id),
+    paymentModel.findByBooking(booking.id),
+    refundModel.findByBooking(booking.id),
+    hasRefundRequest(booking.id)
+  ]);
+  const lastPayment = payments[payments.length - 1] || null;
+  // Gateway refunds count once the money is back; until then they are requested
+  const refundedTotal = refunds
+    .filter((refund) => refund.status === refundModel.REFUND_STATES.PROCESSED)
+    .reduce((sum, refund) => sum + Number(refund.amount || 0), 0);
+  const refundPending = refunds.some((refund) => refund.status === refundModel.REFUND_STATES.PENDING);
+
+  const amount = lastPayment?.amount ?? intent?.amount ?? bookingModel.getFareAmount(booking);
+  const linkExpiresAt = intent?.expires_at ? toIsoTimestamp(intent.expires_at) : null;
+  const linkIsOpen = Boolean(intent) &&
+    ![PAYMENT_INTENT_STATES.SUCCEEDED, PAYMENT_INTENT_STATES.FAILED, PAYMENT_INTENT_STATES.EXPIRED].includes(intent.state) &&
+    (!linkExpiresAt || new Date(linkExpiresAt) > now);
+
+  let status = null;
+  if (lastPayment && [PAYMENT_STATES.SUCCEEDED, PAYMENT_STATES.REFUNDED].includes(lastPayment.status)) {
+    status = PAYMENT_BADGE_STATUSES.SUCCESS;
+  } else if (lastPayment) {
+    status = PAYMENT_BADGE_STATUSES.FAILED;
+  } else if (linkIsOpen) {
+    status = PAYMENT_BADGE_STATUSES.PENDING;
+  } else if (intent) {
+    // The link lapsed without the gateway reporting a payment
+    status = PAYMENT_BADGE_STATUSES.FAILED;
+  }
+
+  const refundStatus = deriveRefundStatus(
+    refundedTotal,
+    status === PAYMENT_BADGE_STATUSES.SUCCESS ? amount : null,
+    refundRequested || refundPending
+  );
+  if (refundStatus === REFUND_STATUSES.REFUNDED && status === PAYMENT_BADGE_STATUSES.SUCCESS) {
+    status = PAYMENT_BADGE_STATUSES.REFUNDED;
+  }
+
+  const lastEventAt = [
+    intent?.updated_at,
+    ...payments.map((payment) => payment.updated_at),
+    ...refunds.map((refund) => refund.updated_at)
+  ]
+    .map(toIsoTimestamp)
+    .filter(Boolean)
+    .sort()
+    .pop() || null;
+
+  const showLink = status === PAYMENT_BADGE_STATUSES.PENDING;
+  return {
+    status,
+    amount: amount ?? null,
+    currency: lastPayment?.currency || intent?.currency || (amount != null ? 'INR' : null),
+    pay_link_url: showLink ? intent.pay_link_url || null : null,
+    pay_link_expires_at: showLink ? linkExpiresAt : null,
+    gateway_ref: lastPayment?.gateway_payment_id || lastPayment?.gateway_event_id || intent?.gateway_ref || intent?.id || null,
+    last_event_at: lastEventAt,
+    is_late_payment: Boolean(lastPayment?.is_late_payment),
+    refund_status: refundStatus
+  };
+}
+
+module.exports = {
+  PAYMENT_BADGE_STATUSES,
+  REFUND_STATUSES,
+  getPaymentBadge
+};
@@ -13,7 +13,7 @@ const logger = createLogger({ source: 'payment_webhook' });
 
 function derivePaymentEventType(payload) {
   const explicit = String(payload?.event_type || '').toLowerCase();
-  if (['payment_success', 'payment_failed', 'refund'].includes(explicit)) {
+  if (['payment_success', 'payment_failed', 'payment_pending', 'refund'].includes(explicit)) {
     return explicit;
   }
   const status = String(payload?.status || '').trim().toUpperCase();
@@ -26,6 +26,9 @@ function derivePaymentEventType(payload) {
   if (['FAILED', 'FAILURE', 'CANCELLED'].includes(status)) {
     return 'payment_failed';
   }
+  if (['PENDING', 'AUTHORIZED', 'PROCESSING'].includes(status)) {
+    return 'payment_pending';
+  }
   return 'payment_failed';
 }
 
@@ -0,0 +1,91 @@
+const bookingModel = require('../../models/booking');
+const paymentModel = require('../../models/payment');
+const paymentIntentModel = require('../../models/paymentIntent');
+const { PAYMENT_STATES, PAYMENT_EVENTS, applyPaymentEvent } = require('./reconciliation');
+const { PAYMENT_INTENT_EVENTS, applyIntentEvent } = require('./payment_intents');
+
+const SUCCESS_STATUSES = ['SUCCESS', 'SUCCEEDED', 'PAID'];
+
+/**
+ * Record a payment result reported by the gateway, against the booking's
+ * latest payment intent. Each gateway event is recorded once.
+ * @param {Object} result - { bookingId, status, gatewayEventId, amount, currency, gateway,
+ *   gatewayPaymentId, now }
+ * @returns {Promise<Object>} Payment row
+ */
+async function recordPayment({
+  bookingId,
+  status,
+  gatewayEventId,
+  amount = null,
+  currency = 'INR',
+  gateway = null,
+  gatewayPaymentId = null,
+  now = new Date()
+}) {
+  const booking = await bookingModel.findById(bookingId);
+  if (!booking) {
+    const error = new Error(`Booking ${bookingId} not found`);
+    error.code = 'BOOKING_NOT_FOUND';
+    throw error;
+  }
+
+  const succeeded = SUCCESS_STATUSES.includes(String(status || '').trim().toUpperCase());
+  const { state } = applyPaymentEvent(
+    PAYMENT_STATES.PENDING,
+    succeeded ? PAYMENT_EVENTS.SUCCEED : PAYMENT_EVENTS.FAIL
+  );
+  const intent = await paymentIntentModel.findLatestByBooking(booking.id);
+  const bookingStatus = bookingModel.normalizeStatus(booking.status);
+  const holdExpiresAt = booking.hold_expires_at ? new Date(booking.hold_expires_at) : null;
+  // Paid after the hold ended, whether or not the expiry job has swept it yet, or after it was
+  // rejected or cancelled
+  const holdEnded = bookingStatus === 'expired' || bookingStatus === 'cancelled' ||
+    (bookingStatus === 'hold' && Boolean(holdExpiresAt) && holdExpiresAt <= now);
+
+  const payment = await paymentModel.create({
+    booking_id: booking.id,
+    intent_id: intent ? intent.id : null,
+    status: state,
+    amount: amount ?? intent?.amount ?? null,
+    currency: intent?.currency || currency,
+    gateway: gateway || intent?.gateway || null,
+    gateway_payment_id: gatewayPaymentId,
+    gateway_event_id: gatewayEventId,
+    is_late_payment: succeeded && holdEnded
+  });
+
+  // A payment short of the intent's amount was made on an older link and does not settle the latest one
+  const shortOfIntent = succeeded && amount !== null && intent?.amount != null && Number(amount) < Number(intent.amount);
+  if (intent && !shortOfIntent) {
+    const next = applyIntentEvent(
+      intent.state,
+      succeeded ? PAYMENT_INTENT_EVENTS.SUCCEED : PAYMENT_INTENT_EVENTS.FAIL
+    );
+    if (next.ok) {
+      await paymentIntentModel.updateState(intent.id, next.state);
+    }
+  }
+
+  return payment;
+}
+
+/**
+ * Mark a booking's successful payments refunded once all the money is back
+ * @param {number} bookingId - Booking ID
+ * @returns {Promise<void>}
+ */
+async function markPaymentsRefunded(bookingId) {
+  const payments = await paymentModel.findByBooking(bookingId);
+  for (const payment of payments) {
+    const next = applyPaymentEvent(payment.status, PAYMENT_EVENTS.REFUND);
+    if (payment.status === PAYMENT_STATES.SUCCEEDED && next.ok) {
+      await paymentModel.updateStatus(payment.id, next.state);
+    }
+  }
+}
+
+module.exports = {
+  recordPayment,
+  markPaymentsRefunded
+};
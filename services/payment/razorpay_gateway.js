@@ -0,0 +1,193 @@
+const axios = require('axios');
+const { RetryableError, NonRetryableError } = require('../errors');
+
+// Razorpay rejects payment links that expire less than 15 minutes from now
+const MIN_LINK_LIFETIME_MS = 16 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+
+function toPaise(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+function fromPaise(amount) {
+  return amount == null ? null : Number(amount) / 100;
+}
+
+function toGatewayError(error, action) {
+  const status = error.response?.status;
+  const description = error.response?.data?.error?.description || error.message;
+  // Timeouts, rate limits and gateway outages are worth retrying; anything else is our request
+  if (!status || status === 429 || status >= 500) {
+    return new RetryableError(`Payment gateway unavailable while trying to ${action}: ${description}`, {
+      code: 'PAYMENT_GATEWAY_UNAVAILABLE',
+      status: status || null
+    });
+  }
+  return new NonRetryableError(`Payment gateway rejected ${action}: ${description}`, {
+    code: 'PAYMENT_GATEWAY_REJECTED',
+    status
+  });
+}
+
+function mapPaymentLink(link) {
+  return {
+    gateway_ref: link.id,
+    url: link.short_url,
+    status: link.status,
+    amount: fromPaise(link.amount),
+    currency: link.currency,
+    reference_id: link.reference_id || null,
+    expires_at: link.expire_by ? new Date(link.expire_by * 1000).toISOString() : null,
+    payment_id: link.payments?.[link.payments.length - 1]?.payment_id || null
+  };
+}
+
+function mapRefund(refund) {
+  return {
+    gateway_refund_id: refund.id,
+    payment_id: refund.payment_id,
+    status: refund.status,
+    amount: fromPaise(refund.amount),
+    currency: refund.currency
+  };
+}
+
+/**
+ * Payment gateway backed by the Razorpay Payment Links API. Links accept UPI
+ * as well as cards and netbanking; `upi_link` makes them open straight in the
+ * customer's UPI app.
+ *
+ * @param {Object} options
+ * @param {string} options.keyId - API key id
+ * @param {string} options.keySecret - API key secret
+ * @param {string} options.baseUrl - API origin (the local stub server in tests)
+ * @param {boolean} options.upiLink - Create UPI-only links
+ * @returns {Object} Payment gateway { name, createPaymentLink, fetchPaymentLink, cancelPaymentLink,
+ *   createRefund, fetchRefund }
+ */
+function createRazorpayGateway({ keyId, keySecret, baseUrl = 'https://api.razorpay.com', upiLink = false }) {
+  if (!keyId || !keySecret) {
+    throw new NonRetryableError('RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET must be set', {
+      code: 'PAYMENT_GATEWAY_NOT_CONFIGURED'
+    });
+  }
+
+  const client = axios.create({
+    baseURL: `${String(baseUrl).replace(/\/+$/, '')}/v1`,
+    auth: { username: keyId, password: keySecret },
+    timeout: REQUEST_TIMEOUT_MS,
+    headers: { 'Content-Type': 'application/json' }
+  });
+
+  return {
+    name: 'razorpay',
+
+    /**
+     * Create a payment link
+     * @param {Object} request - { referenceId, amount, currency, description, customerPhone, expiresAt, notes }
+     * @returns {Promise<Object>} { gateway_ref, url, status, amount, currency, reference_id, expires_at, payment_id }
+     */
+    async createPaymentLink({
+      referenceId,
+      amount,
+      currency = 'INR',
+      description = null,
+      customerPhone = null,
+      expiresAt = null,
+      notes = {}
+    }) {
+      const minimumExpiry = Date.now() + MIN_LINK_LIFETIME_MS;
+      const expireBy = expiresAt ? Math.max(new Date(expiresAt).getTime(), minimumExpiry) : null;
+
+      try {
+        const response = await client.post('/payment_links', {
+          amount: toPaise(amount),
+          currency,
+          accept_partial: false,
+          reference_id: referenceId,
+          description,
+          customer: customerPhone ? { contact: `+${String(customerPhone).replace(/\D/g, '')}` } : undefined,
+          // We send the link on WhatsApp ourselves
+          notify: { sms: false, email: false },
+          reminder_enable: false,
+          upi_link: upiLink,
+          expire_by: expireBy ? Math.ceil(expireBy / 1000) : undefined,
+          notes
+        });
+        return mapPaymentLink(response.data);
+      } catch (error) {
+        throw toGatewayError(error, 'create payment link');
+      }
+    },
+
+    /**
+     * Fetch a payment link and its latest payment
+     * @param {string} gatewayRef - Payment link id (plink_...)
+     * @returns {Promise<Object>} Same shape as createPaymentLink
+     */
+    async fetchPaymentLink(gatewayRef) {
+      try {
+        const response = await client.get(`/payment_links/${encodeURIComponent(gatewayRef)}`);
+        return mapPaymentLink(response.data);
+      } catch (error) {
+        throw toGatewayError(error, 'fetch payment link');
+      }
+    },
+
+    /**
+     * Cancel a payment link so it can no longer be paid
+     * @param {string} gatewayRef - Payment link id (plink_...)
+     * @returns {Promise<Object>} Same shape as createPaymentLink
+     */
+    async cancelPaymentLink(gatewayRef) {
+      try {
+        const response = await client.post(`/payment_links/${encodeURIComponent(gatewayRef)}/cancel`);
+        return mapPaymentLink(response.data);
+      } catch (error) {
+        throw toGatewayError(error, 'cancel payment link');
+      }
+    },
+
+    /**
+     * Refund some or all of a captured payment
+     * @param {Object} request - { paymentId, amount, referenceId, notes }
+     * @returns {Promise<Object>} { gateway_refund_id, payment_id, status, amount, currency };
+     *   status is pending, processed or failed
+     */
+    async createRefund({ paymentId, amount, referenceId = null, notes = {} }) {
+      try {
+        const response = await client.post(`/payments/${encodeURIComponent(paymentId)}/refund`, {
+          amount: toPaise(amount),
+          speed: 'normal',
+          receipt: referenceId || undefined,
+          notes
+        });
+        return mapRefund(response.data);
+      } catch (error) {
+        throw toGatewayError(error, 'refund payment');
+      }
+    },
+
+    /**
+     * Fetch a refund to follow its status
+     * @param {string} paymentId - Payment id (pay_...)
+     * @param {string} refundId - Refund id (rfnd_...)
+     * @returns {Promise<Object>} Same shape as createRefund
+     */
+    async fetchRefund(paymentId, refundId) {
+      try {
+        const response = await client.get(
+          `/payments/${encodeURIComponent(paymentId)}/refunds/${encodeURIComponent(refundId)}`
+        );
+        return mapRefund(response.data);
+      } catch (error) {
+        throw toGatewayError(error, 'fetch refund');
+      }
+    }
+  };
+}
+
+module.exports = {
+  createRazorpayGateway,
+  fromPaise
+};
@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const { processPaymentEvent } = require('./payment_processor');
+const { fromPaise } = require('./razorpay_gateway');
+const { withIdempotency } = require('../idempotency/with_idempotency');
+const { RetryLaterError } = require('../idempotency/retry_later_error');
+const { InventoryLockService } = require('../redis/InventoryLockService');
+const { RetryableError, NonRetryableError } = require('../errors');
+const { createLogger } = require('../observability/logger');
+const metrics = require('../observability/metrics');
+const { getRedisClient } = require('../redis/redis_client');
+
+const logger = createLogger({ source: 'razorpay_webhook' });
+
+// Razorpay events that move a booking's payment, as the in-house payment status and event type
+const RAZORPAY_EVENTS = Object.freeze({
+  'payment_link.paid': { status: 'SUCCESS', eventType: 'payment_success' },
+  'payment.authorized': { status: 'AUTHORIZED', eventType: 'payment_pending' },
+  'payment.failed': { status: 'FAILED', eventType: 'payment_failed' }
+});
+
+function normalizeHeader(headers, name) {
+  if (!headers) return null;
+  return headers[name] || headers[name.toLowerCase()] || null;
+}
+
+/**
+ * Check the X-Razorpay-Signature of a webhook: the hex HMAC-SHA256 of the raw
+ * body under the webhook secret set in the Razorpay dashboard
+ * @param {Object} request - { rawBody, headers, secret }
+ * @returns {Object} { ok, error }
+ */
+function verifyRazorpaySignature({ rawBody, headers, secret }) {
+  if (!secret) {
+    return { ok: false, error: 'WEBHOOK_SECRET_MISSING' };
+  }
+  const signature = normalizeHeader(headers, 'x-razorpay-signature');
+  if (!signature) {
+    return { ok: false, error: 'WEBHOOK_SIGNATURE_MISSING' };
+  }
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  const expectedBuffer = Buffer.from(expected, 'utf8');
+  const providedBuffer = Buffer.from(String(signature), 'utf8');
+  if (expectedBuffer.length !== providedBuffer.length) {
+    return { ok: false, error: 'WEBHOOK_SIGNATURE_INVALID' };
+  }
+  return crypto.timingSafeEqual(expectedBuffer, providedBuffer)
+    ? { ok: true }
+    : { ok: false, error: 'WEBHOOK_SIGNATURE_INVALID' };
+}
+
+/**
+ * Translate a Razorpay webhook event into the payload processPaymentEvent takes.
+ * Payment links carry the booking id in their notes, and their payments copy them.
+ * @param {Object} event - Parsed webhook body
+ * @param {string|null} eventId - X-Razorpay-Event-Id header
+ * @returns {Object|null} Payment payload, or null for events that do not concern a booking
+ */
+function toPaymentEvent(event, eventId = null) {
+  const mapping = RAZORPAY_EVENTS[event?.event];
+  if (!mapping) return null;
+
+  const payment = event.payload?.payment?.entity || {};
+  const link = event.payload?.payment_link?.entity || {};
+  const bookingId = link.notes?.booking_id || payment.notes?.booking_id;
+  if (!bookingId || !payment.id) return null;
+
+  return {
+    gateway_event_id: eventId || `${event.event}:${payment.id}`,
+    event_type: mapping.eventType,
+    booking_id: Number.parseInt(bookingId, 10),
+    status: mapping.status,
+    amount: fromPaise(payment.amount),
+    currency: payment.currency || 'INR',
+    gateway: 'razorpay',
+    gateway_payment_id: payment.id
+  };
+}
+
+/**
+ * Verify a Razorpay webhook and apply it to its booking once, however often
+ * Razorpay delivers it
+ * @param {Object} request - { rawBody, headers }
+ * @param {Object} options - { secret, redisClient } or { secret, lockService }
+ * @returns {Promise<Object>} { ignored, payload, response }
+ */
+async function handleRazorpayWebhook(
+  { rawBody, headers },
+  { secret = process.env.RAZORPAY_WEBHOOK_SECRET, redisClient = null, lockService = null }
+) {
+  const raw = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || '');
+  const verification = verifyRazorpaySignature({ rawBody: raw, headers, secret });
+  if (!verification.ok) {
+    throw new NonRetryableError('Razorpay webhook signature is invalid', { code: verification.error });
+  }
+
+  let event;
+  try {
+    event = JSON.parse(raw);
+  } catch (error) {
+    throw new NonRetryableError('Razorpay webhook body is not JSON', { code: 'WEBHOOK_PAYLOAD_INVALID' });
+  }
+  const payload = toPaymentEvent(event, normalizeHeader(headers, 'x-razorpay-event-id'));
+  if (!payload) {
+    return { ignored: true, payload: null, response: { success: true } };
+  }
+
+  const response = await withIdempotency({
+    source: 'payment',
+    eventType: payload.event_type,
+    idempotencyKey: payload.gateway_event_id,
+    request: payload,
+    handler: async () => {
+      await processPaymentEvent(payload, { redisClient, lockService });
+      return { success: true, booking_id: payload.booking_id };
+    }
+  });
+  return { ignored: false, payload, response };
+}
+
+const razorpayWebhookHandler = async (req, res) => {
+  let redisHandle = null;
+  try {
+    redisHandle = await getRedisClient();
+    const { payload, response } = await handleRazorpayWebhook(
+      { rawBody: req.body, headers: req.headers },
+      { lockService: new InventoryLockService(redisHandle.client) }
+    );
+    if (payload) {
+      metrics.increment('booking_success', 1, { source: 'razorpay_webhook' });
+    }
+    return res.status(200).json(response || { success: true });
+  } catch (error) {
+    if (error instanceof RetryLaterError) {
+      return res.status(error.statusCode || 409).json({ success: false, error: 'RETRY_LATER' });
+    }
+    if (error instanceof RetryableError) {
+      logger.warn('razorpay_webhook_retryable_error', { error: error.message, code: error.code });
+      return res.status(503).json({ success: false, error: error.code || 'RETRY_LATER' });
+    }
+    if (error instanceof NonRetryableError) {
+      metrics.increment('booking_failures', 1, { source: 'razorpay_webhook' });
+      logger.warn('razorpay_webhook_rejected', { error: error.message, code: error.code });
+      return res.status(401).json({ success: false, error: error.code || 'REJECTED' });
+    }
+    console.error('Razorpay webhook error:', error.message);
+    return res.status(500).json({ success: false });
+  } finally {
+    if (redisHandle) {
+      await redisHandle.close();
+    }
+  }
+};
+
+module.exports = {
+  verifyRazorpaySignature,
+  toPaymentEvent,
+  handleRazorpayWebhook,
+  razorpayWebhookHandler
+};
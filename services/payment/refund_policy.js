@@ -0,0 +1,71 @@
+const { hoursUntilDeparture } = require('../dateTimeResolver');
+
+// Cancelling at least this many hours before departure refunds everything
+const REFUND_FULL_BEFORE_HOURS = Number.parseFloat(process.env.REFUND_FULL_BEFORE_HOURS || '24');
+// Share of the payment refunded when cancelling later, up to departure
+const REFUND_PARTIAL_PERCENT = Number.parseFloat(process.env.REFUND_PARTIAL_PERCENT || '50');
+
+const REFUND_TIERS = Object.freeze({
+  FULL: 'FULL',
+  PARTIAL: 'PARTIAL',
+  NONE: 'NONE'
+});
+
+/**
+ * Work out how much of a payment goes back when a booking is cancelled:
+ * everything up to REFUND_FULL_BEFORE_HOURS before departure, then
+ * REFUND_PARTIAL_PERCENT until departure, and nothing after it. A cancellation
+ * fee set by the route's own cancellation policy replaces these tiers.
+ * @param {Object} request - { paidAmount, trip: { journey_date, departure_time }, now, policy, fee }
+ * @returns {Object} { tier, refund_amount, hours_before_departure }
+ */
+function evaluateRefundPolicy({
+  paidAmount,
+  trip,
+  now = new Date(),
+  policy = { fullBeforeHours: REFUND_FULL_BEFORE_HOURS, partialPercent: REFUND_PARTIAL_PERCENT },
+  fee = null
+}) {
+  const hours = hoursUntilDeparture(trip, now);
+  if (fee !== null && fee !== undefined) {
+    const refundAmount = Math.round(Math.max(0, paidAmount - fee) * 100) / 100;
+    let feeTier = REFUND_TIERS.PARTIAL;
+    if (fee <= 0) {
+      feeTier = REFUND_TIERS.FULL;
+    } else if (refundAmount <= 0) {
+      feeTier = REFUND_TIERS.NONE;
+    }
+    return {
+      tier: feeTier,
+      refund_amount: refundAmount,
+      hours_before_departure: Math.round(hours * 100) / 100
+    };
+  }
+
+  let tier = REFUND_TIERS.NONE;
+  if (hours >= policy.fullBeforeHours) {
+    tier = REFUND_TIERS.FULL;
+  } else if (hours > 0 && policy.partialPercent > 0) {
+    tier = REFUND_TIERS.PARTIAL;
+  }
+
+  let refundAmount = 0;
+  if (tier === REFUND_TIERS.FULL) {
+    refundAmount = paidAmount;
+  } else if (tier === REFUND_TIERS.PARTIAL) {
+    refundAmount = Math.round(paidAmount * Math.min(policy.partialPercent, 100)) / 100;
+  }
+
+  return {
+    tier,
+    refund_amount: refundAmount,
+    hours_before_departure: Math.round(hours * 100) / 100
+  };
+}
+
+module.exports = {
+  REFUND_FULL_BEFORE_HOURS,
+  REFUND_PARTIAL_PERCENT,
+  REFUND_TIERS,
+  evaluateRefundPolicy
+};
@@ -1,5 +1,27 @@
-const { getDatabase } = require('../../database');
+const bookingModel = require('../../models/booking');
+const paymentModel = require('../../models/payment');
+const refundModel = require('../../models/refund');
+const { RetryableError } = require('../errors');
 const { withIdempotency } = require('../idempotency/with_idempotency');
+const { queueCustomerNotification } = require('../whatsapp/outbox');
+const { getPaymentGateway } = require('./gateway_registry');
+const { markPaymentsRefunded } = require('./payments');
+const { PAYMENT_STATES } = require('./reconciliation');
+
+const { REFUND_STATES } = refundModel;
+
+// Gateway refund statuses as refund states; anything else is still on its way
+const GATEWAY_REFUND_STATES = Object.freeze({
+  processed: REFUND_STATES.PROCESSED,
+  failed: REFUND_STATES.FAILED
+});
+
+// Customer message for each refund state
+const REFUND_NOTIFICATIONS = Object.freeze({
+  [REFUND_STATES.PENDING]: 'refund_pending',
+  [REFUND_STATES.PROCESSED]: 'refund_processed',
+  [REFUND_STATES.FAILED]: 'refund_failed'
+});
 
 function normalizeAmount(value) {
   const amount = Number(value);
@@ -9,37 +31,13 @@ function normalizeAmount(value) {
   return amount;
 }
 
+/**
+ * Total refunded for a booking
+ * @param {number} bookingId - Booking ID
+ * @returns {Promise<number>} Total amount
+ */
 async function getRefundedTotal(bookingId) {
-  const db = await getDatabase();
-  return new Promise((resolve, reject) => {
-    db.all(
-      `SELECT response_snapshot
-       FROM audit_events
-       WHERE source = 'payment' AND event_type = 'refund'`,
-      [],
-      (err, rows) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-        const total = (rows || []).reduce((sum, row) => {
-          try {
-            const payload = row?.response_snapshot
-              ? JSON.parse(row.response_snapshot)
-              : null;
-            if (payload?.booking_id !== bookingId) {
-              return sum;
-            }
-            const amount = Number(payload?.amount || 0);
-            return sum + (Number.isFinite(amount) ? amount : 0);
-          } catch (error) {
-            return sum;
-          }
-        }, 0);
-        resolve(total);
-      }
-    );
-  });
+  return refundModel.getRefundedTotal(bookingId);
 }
 
 function ensureRefundWithinBalance({ originalAmount, alreadyRefunded, requestAmount }) {
@@ -58,17 +56,83 @@ function ensureRefundWithinBalance({ originalAmount, alreadyRefunded, requestAmo
   return { remaining, request };
 }
 
+function isGatewayPayment(payment) {
+  return Boolean(payment && payment.gateway && payment.gateway_payment_id);
+}
+
+/**
+ * Send a pending refund to the gateway the payment was made through. An
+ * unreachable gateway leaves the refund pending for syncPendingRefunds to send
+ * again; a refused one fails it.
+ * @param {Object} refund - Refund row
+ * @param {Object} payment - Payment the money goes back from
+ * @returns {Promise<Object>} Refund as it is now
+ */
+async function submitRefund(refund, payment) {
+  try {
+    const result = await getPaymentGateway(payment.gateway).createRefund({
+      paymentId: payment.gateway_payment_id,
+      amount: refund.amount,
+      referenceId: `refund_${refund.id}`,
+      notes: { booking_id: String(refund.booking_id) }
+    });
+    return refundModel.updateStatus(
+      refund.id,
+      GATEWAY_REFUND_STATES[result.status] || REFUND_STATES.PENDING,
+      result.gateway_refund_id
+    );
+  } catch (error) {
+    if (error instanceof RetryableError) {
+      console.warn(`Refund ${refund.id} stays pending:`, error.message);
+      return refund;
+    }
+    console.warn(`Refund ${refund.id} failed:`, error.message);
+    return refundModel.updateStatus(refund.id, REFUND_STATES.FAILED);
+  }
+}
+
+/**
+ * Tell the customer where their refund stands
+ * @param {Object} refund - Refund row
+ * @returns {Promise<void>}
+ */
+async function notifyRefundStatus(refund) {
+  const booking = await bookingModel.findById(refund.booking_id);
+  const key = REFUND_NOTIFICATIONS[refund.status];
+  if (!booking || !key) {
+    return;
+  }
+  await queueCustomerNotification(booking.customer_phone, key, {
+    booking_id: booking.id,
+    amount: refund.amount
+  }, { bookingId: booking.id, logType: 'refund' });
+}
+
+/**
+ * Refund part or all of what was paid for a booking. Money paid through a
+ * gateway goes back through the same gateway; other refunds are recorded as
+ * already processed.
+ * @param {Object} request - { bookingId, originalAmount, amount, currency, reason, paymentId,
+ *   idempotencyKey }
+ * @returns {Promise<Object>} { booking_id, amount, currency, reason, remaining_after, refund_id, status }
+ */
 async function createRefund({
   bookingId,
   originalAmount,
   amount,
   currency = 'INR',
   reason = null,
+  paymentId = null,
   idempotencyKey
 }) {
   if (!bookingId) {
     throw new Error('bookingId is required');
   }
+  if (!(await bookingModel.findById(bookingId))) {
+    const error = new Error('Booking not found');
+    error.code = 'BOOKING_NOT_FOUND';
+    throw error;
+  }
   const alreadyRefunded = await getRefundedTotal(bookingId);
   const { remaining, request } = ensureRefundWithinBalance({
     originalAmount,
@@ -84,17 +148,96 @@ async function createRefund({
     remaining_after: Math.max(0, remaining - request)
   };
 
+  const key = idempotencyKey || `refund:${bookingId}:${request}`;
+
   return withIdempotency({
     source: 'payment',
     eventType: 'refund',
-    idempotencyKey: idempotencyKey || `refund:${bookingId}:${request}`,
+    idempotencyKey: key,
     request: refundPayload,
-    handler: async () => refundPayload
+    handler: async () => {
+      const payment = paymentId ? await paymentModel.findById(paymentId) : null;
+      let refund = await refundModel.create({
+        booking_id: bookingId,
+        payment_id: paymentId,
+        amount: request,
+        currency,
+        reason,
+        status: isGatewayPayment(payment) ? REFUND_STATES.PENDING : REFUND_STATES.PROCESSED,
+        idempotency_key: key
+      });
+      if (isGatewayPayment(payment)) {
+        refund = await submitRefund(refund, payment);
+      }
+      // A payment counts as refunded once the money is actually back
+      if (refund.status === REFUND_STATES.PROCESSED && refundPayload.remaining_after === 0) {
+        await markPaymentsRefunded(bookingId);
+      }
+      return { ...refundPayload, refund_id: refund.id, status: refund.status };
+    }
   });
 }
 
+async function isFullyRefunded(bookingId) {
+  const payments = await paymentModel.findByBooking(bookingId);
+  const paid = payments
+    .filter((payment) => payment.status === PAYMENT_STATES.SUCCEEDED)
+    .reduce((total, payment) => total + Number(payment.amount || 0), 0);
+  return paid > 0 && await getRefundedTotal(bookingId) >= paid;
+}
+
+/**
+ * Follow refunds still waiting on the gateway: send the ones the gateway never
+ * received, and tell customers when theirs is processed or has failed. Run
+ * periodically.
+ * @param {Object} options - { limit }
+ * @returns {Promise<Object>} { processed, failed, pending }
+ */
+async function syncPendingRefunds({ limit = 50 } = {}) {
+  const totals = { processed: 0, failed: 0, pending: 0 };
+  const refunds = await refundModel.findPending(limit);
+  for (const refund of refunds) {
+    try {
+      const payment = refund.payment_id ? await paymentModel.findById(refund.payment_id) : null;
+      if (!isGatewayPayment(payment)) {
+        totals.pending += 1;
+        continue;
+      }
+      let current;
+      if (refund.gateway_refund_id) {
+        const result = await getPaymentGateway(payment.gateway)
+          .fetchRefund(payment.gateway_payment_id, refund.gateway_refund_id);
+        const state = GATEWAY_REFUND_STATES[result.status] || REFUND_STATES.PENDING;
+        current = state === refund.status ? refund : await refundModel.updateStatus(refund.id, state);
+      } else {
+        current = await submitRefund(refund, payment);
+      }
+
+      if (current.status === REFUND_STATES.PROCESSED) {
+        totals.processed += 1;
+        if (refund.status !== current.status && await isFullyRefunded(refund.booking_id)) {
+          await markPaymentsRefunded(refund.booking_id);
+        }
+      } else if (current.status === REFUND_STATES.FAILED) {
+        totals.failed += 1;
+      } else {
+        totals.pending += 1;
+      }
+      if (current.status !== refund.status) {
+        await notifyRefundStatus(current);
+      }
+    } catch (error) {
+      totals.pending += 1;
+      console.warn(`Failed to sync refund ${refund.id}:`, error.message);
+    }
+  }
+  return totals;
+}
+
 module.exports = {
   getRefundedTotal,
   ensureRefundWithinBalance,
-  createRefund
+  createRefund,
+  notifyRefundStatus,
+  syncPendingRefunds
 };
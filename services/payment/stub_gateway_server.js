@@ -0,0 +1,265 @@
+const express = require('express');
+const crypto = require('crypto');
+
+function randomId(prefix) {
+  return `${prefix}_${crypto.randomBytes(7).toString('hex')}`;
+}
+
+function sendError(res, status, description) {
+  res.status(status).json({ error: { code: 'BAD_REQUEST_ERROR', description } });
+}
+
+// A webhook as Razorpay delivers it: the JSON body and the headers that sign and identify it
+function buildWebhook(webhookSecret, eventName, entities) {
+  const body = JSON.stringify({
+    entity: 'event',
+    account_id: 'acc_stub',
+    event: eventName,
+    contains: Object.keys(entities),
+    payload: Object.fromEntries(Object.entries(entities).map(([name, entity]) => [name, { entity }])),
+    created_at: Math.floor(Date.now() / 1000)
+  });
+  return {
+    event: eventName,
+    body,
+    headers: {
+      'content-type': 'application/json',
+      'x-razorpay-event-id': randomId('evt'),
+      'x-razorpay-signature': crypto.createHmac('sha256', webhookSecret).update(body).digest('hex')
+    }
+  };
+}
+
+/**
+ * Local stand-in for the Razorpay Payment Links API, for tests and local
+ * development (point RAZORPAY_BASE_URL at it). Links live in memory;
+ * payLink() and failLinkPayment() play the customer paying, and leave the
+ * webhook Razorpay would send in `webhooks`.
+ *
+ * @param {Object} options
+ * @param {string} options.keyId - Accepted API key id
+ * @param {string} options.keySecret - Accepted API key secret
+ * @param {string} options.webhookSecret - Secret the webhooks are signed with
+ * @param {number} options.port - Port to listen on (0 picks a free one)
+ * @returns {Promise<Object>} { baseUrl, links, payments, refunds, requests, webhooks, payLink,
+ *   failLinkPayment, settleRefund, failNext, close }
+ */
+async function startStubGatewayServer({
+  keyId = 'rzp_test_stub',
+  keySecret = 'stub_secret',
+  webhookSecret = 'stub_webhook_secret',
+  port = 0
+} = {}) {
+  const links = new Map();
+  const payments = new Map();
+  const refunds = new Map();
+  const requests = [];
+  const webhooks = [];
+  let failures = [];
+  let baseUrl = null;
+
+  const app = express();
+  app.use(express.json());
+
+  app.use('/v1', (req, res, next) => {
+    requests.push({ method: req.method, path: req.path, body: req.body });
+    const expected = `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`;
+    if (req.get('authorization') !== expected) {
+      return sendError(res, 401, 'The api key provided is invalid');
+    }
+    const failure = failures.shift();
+    if (failure) {
+      return sendError(res, failure, 'Stub failure');
+    }
+    next();
+  });
+
+  app.post('/v1/payment_links', (req, res) => {
+    const body = req.body || {};
+    if (!Number.isInteger(body.amount) || body.amount < 100) {
+      return sendError(res, 400, 'The amount must be atleast INR 1.00');
+    }
+    if (body.expire_by && body.expire_by * 1000 < Date.now() + 15 * 60 * 1000) {
+      return sendError(res, 400, 'expire_by should be at least 15 minutes after current time');
+    }
+    const duplicate = body.reference_id &&
+      [...links.values()].find((link) => link.reference_id === body.reference_id);
+    if (duplicate) {
+      return sendError(res, 400, 'Payment Link with reference id already exists');
+    }
+
+    const id = randomId('plink');
+    const link = {
+      id,
+      amount: body.amount,
+      currency: body.currency || 'INR',
+      reference_id: body.reference_id || null,
+      description: body.description || null,
+      customer: body.customer || {},
+      notes: body.notes || {},
+      upi_link: Boolean(body.upi_link),
+      expire_by: body.expire_by || 0,
+      status: 'created',
+      payments: null,
+      short_url: `${baseUrl}/pay/${id}`,
+      created_at: Math.floor(Date.now() / 1000)
+    };
+    links.set(id, link);
+    res.status(200).json(link);
+  });
+
+  app.get('/v1/payment_links/:id', (req, res) => {
+    const link = links.get(req.params.id);
+    if (!link) {
+      return sendError(res, 400, 'The id provided does not exist');
+    }
+    res.status(200).json(link);
+  });
+
+  app.post('/v1/payment_links/:id/cancel', (req, res) => {
+    const link = links.get(req.params.id);
+    if (!link) {
+      return sendError(res, 400, 'The id provided does not exist');
+    }
+    if (link.status !== 'created') {
+      return sendError(res, 400, `Payment Link cannot be cancelled as it is ${link.status}`);
+    }
+    link.status = 'cancelled';
+    res.status(200).json(link);
+  });
+
+  app.post('/v1/payments/:id/refund', (req, res) => {
+    const payment = payments.get(req.params.id);
+    if (!payment) {
+      return sendError(res, 400, 'The id provided does not exist');
+    }
+    const amount = req.body?.amount ?? payment.amount - payment.amount_refunded;
+    if (!Number.isInteger(amount) || amount < 100) {
+      return sendError(res, 400, 'The amount must be atleast INR 1.00');
+    }
+    if (amount > payment.amount - payment.amount_refunded) {
+      return sendError(res, 400, 'The refund amount provided is greater than amount captured');
+    }
+    payment.amount_refunded += amount;
+    const refund = {
+      id: randomId('rfnd'),
+      payment_id: payment.id,
+      amount,
+      currency: payment.currency,
+      receipt: req.body?.receipt || null,
+      notes: req.body?.notes || {},
+      status: 'pending',
+      created_at: Math.floor(Date.now() / 1000)
+    };
+    refunds.set(refund.id, refund);
+    res.status(200).json(refund);
+  });
+
+  app.get('/v1/payments/:paymentId/refunds/:id', (req, res) => {
+    const refund = refunds.get(req.params.id);
+    if (!refund || refund.payment_id !== req.params.paymentId) {
+      return sendError(res, 400, 'The id provided does not exist');
+    }
+    res.status(200).json(refund);
+  });
+
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(port, '127.0.0.1', () => resolve(listener));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  function paymentEntity(link, paymentId, status) {
+    return {
+      id: paymentId,
+      entity: 'payment',
+      amount: link.amount,
+      currency: link.currency,
+      status,
+      method: 'upi',
+      notes: link.notes,
+      contact: link.customer.contact || null,
+      created_at: Math.floor(Date.now() / 1000)
+    };
+  }
+
+  return {
+    baseUrl,
+    keyId,
+    keySecret,
+    webhookSecret,
+    links,
+    payments,
+    refunds,
+    requests,
+    webhooks,
+
+    /**
+     * Mark a link paid, as if the customer completed the payment
+     * @param {string} id - Payment link id
+     * @returns {string} Payment id
+     */
+    payLink(id) {
+      const link = links.get(id);
+      if (!link || link.status !== 'created') {
+        throw new Error(`Payment link ${id} cannot be paid`);
+      }
+      const paymentId = randomId('pay');
+      link.status = 'paid';
+      link.amount_paid = link.amount;
+      link.payments = [{ payment_id: paymentId, amount: link.amount, method: 'upi', status: 'captured' }];
+      payments.set(paymentId, { id: paymentId, amount: link.amount, currency: link.currency, amount_refunded: 0 });
+      webhooks.push(buildWebhook(webhookSecret, 'payment_link.paid', {
+        payment_link: link,
+        order: { id: randomId('order'), entity: 'order', amount: link.amount, status: 'paid' },
+        payment: paymentEntity(link, paymentId, 'captured')
+      }));
+      return paymentId;
+    },
+
+    /**
+     * Fail a payment attempt on a link, which stays open for another attempt
+     * @param {string} id - Payment link id
+     * @returns {string} Payment id
+     */
+    failLinkPayment(id) {
+      const link = links.get(id);
+      if (!link || link.status !== 'created') {
+        throw new Error(`Payment link ${id} cannot be paid`);
+      }
+      const paymentId = randomId('pay');
+      webhooks.push(buildWebhook(webhookSecret, 'payment.failed', {
+        payment: paymentEntity(link, paymentId, 'failed')
+      }));
+      return paymentId;
+    },
+
+    /**
+     * Finish a refund, as the bank does a few days after it is created
+     * @param {string} id - Refund id
+     * @param {string} status - processed or failed
+     */
+    settleRefund(id, status = 'processed') {
+      const refund = refunds.get(id);
+      refund.status = status;
+      if (status === 'failed') {
+        payments.get(refund.payment_id).amount_refunded -= refund.amount;
+      }
+    },
+
+    /**
+     * Answer the next API calls with these HTTP error statuses
+     * @param {...number} statuses - e.g. 503, 400
+     */
+    failNext(...statuses) {
+      failures = failures.concat(statuses);
+    },
+
+    close() {
+      return new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
+
+module.exports = {
+  startStubGatewayServer
+};
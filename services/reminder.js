@@ -1,10 +1,9 @@
 const bookingModel = require('../models/booking');
-const messageLogModel = require('../models/messageLog');
-const whatsappService = require('./whatsapp');
+const { queueCustomerNotification } = require('./whatsapp/outbox');
 
 /**
  * Send reminders for bookings within the next 6 hours.
- * Uses message_logs to prevent duplicate reminders.
+ * Uses message_logs and the outbox to prevent duplicate reminders.
  */
 async function sendReminders() {
   const bookings = await bookingModel.findBookingsNeedingReminders(new Date());
@@ -15,18 +14,17 @@ async function sendReminders() {
 
   for (const booking of bookings) {
     try {
-      // Booking now includes trip and route details from the join query
-      const reminderMessage = `Reminder: Your bus from ${booking.source} to ${booking.destination} ` +
-        `departs at ${booking.departure_time} on ${booking.journey_date}. Safe journey!`;
+      // Booking now includes trip and route details from the join query.
+      // Reminders usually go out long after the customer's last message,
+      // so this falls back to the approved template when needed.
+      await queueCustomerNotification(booking.customer_phone, 'reminder', {
+        source: booking.source,
+        destination: booking.destination,
+        time: booking.departure_time,
+        date: booking.journey_date
+      }, { bookingId: booking.id, logType: 'reminder' });
 
-      await whatsappService.sendMessage(booking.customer_phone, reminderMessage);
-
-      await messageLogModel.create({
-        booking_id: booking.id,
-        type: 'reminder'
-      });
-
-      console.log(`Reminder sent for booking ${booking.id}`);
+      console.log(`Reminder queued for booking ${booking.id}`);
     } catch (error) {
       console.error(`Failed to send reminder for booking ${booking.id}:`, error.message);
     }
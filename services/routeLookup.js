@@ -0,0 +1,23 @@
+const routeModel = require('../models/route');
+const cityAliasModel = require('../models/cityAlias');
+const { resolveRoute } = require('./cityMatcher');
+
+/**
+ * Find route by source and destination.
+ * Uses operator city aliases and typo-tolerant matching (see services/cityMatcher).
+ * @param {string} source - Source city
+ * @param {string} destination - Destination city
+ * @returns {Promise<Object>} { route, suggestions } - suggestions are set when
+ *   several different routes match equally well
+ */
+async function findRouteByCities(source, destination) {
+  const [routes, aliases] = await Promise.all([
+    routeModel.findAll(),
+    cityAliasModel.findAll()
+  ]);
+  return resolveRoute(source, destination, routes, aliases);
+}
+
+module.exports = {
+  findRouteByCities
+};
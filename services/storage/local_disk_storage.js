@@ -0,0 +1,61 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { NonRetryableError } = require('../errors');
+
+/**
+ * File storage on the local disk, under a single root directory.
+ * Keys are relative paths like "bookings/12/ticket-3.pdf".
+ *
+ * @param {Object} options
+ * @param {string} options.rootDir - Directory that holds all stored files
+ * @returns {Object} Storage backend { name, put, get, exists }
+ */
+function createLocalDiskStorage({ rootDir }) {
+  const root = path.resolve(rootDir);
+
+  function resolveKey(key) {
+    const filePath = path.resolve(root, String(key || ''));
+    if (!key || !filePath.startsWith(`${root}${path.sep}`)) {
+      throw new NonRetryableError(`Invalid storage key: ${key}`, { code: 'STORAGE_INVALID_KEY' });
+    }
+    return filePath;
+  }
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      // Write then rename so a crash never leaves a half-written file under the key
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, buffer);
+      await fs.rename(tempPath, filePath);
+      return { key };
+    },
+
+    async get(key) {
+      try {
+        return await fs.readFile(resolveKey(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new NonRetryableError(`Stored file not found: ${key}`, { code: 'STORAGE_NOT_FOUND' });
+        }
+        throw error;
+      }
+    },
+
+    async exists(key) {
+      try {
+        await fs.access(resolveKey(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    }
+  };
+}
+
+module.exports = {
+  createLocalDiskStorage
+};
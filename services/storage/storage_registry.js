@@ -0,0 +1,46 @@
+const path = require('path');
+const { NonRetryableError } = require('../errors');
+const { createLocalDiskStorage } = require('./local_disk_storage');
+
+// Backend used for new files. Each stored file records the backend it was
+// written to, so switching this does not orphan older files.
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'local';
+const STORAGE_DIR = process.env.STORAGE_DIR || path.join(__dirname, '..', '..', 'storage');
+
+// A backend implements put(key, buffer) -> { key }, get(key) -> Buffer and exists(key).
+const factories = new Map([
+  ['local', () => createLocalDiskStorage({ rootDir: STORAGE_DIR })]
+]);
+const instances = new Map();
+
+/**
+ * Make a storage backend available by name (e.g. an object store)
+ * @param {string} name - Backend name stored alongside each file
+ * @param {Function} factory - Returns the backend instance
+ */
+function registerStorageBackend(name, factory) {
+  factories.set(name, factory);
+  instances.delete(name);
+}
+
+/**
+ * Get a storage backend, creating it on first use
+ * @param {string} name - Backend name (defaults to STORAGE_BACKEND)
+ * @returns {Object} Storage backend
+ */
+function getStorageBackend(name = STORAGE_BACKEND) {
+  if (!instances.has(name)) {
+    const factory = factories.get(name);
+    if (!factory) {
+      throw new NonRetryableError(`Unknown storage backend: ${name}`, { code: 'STORAGE_BACKEND_UNKNOWN' });
+    }
+    instances.set(name, factory());
+  }
+  return instances.get(name);
+}
+
+module.exports = {
+  STORAGE_BACKEND,
+  registerStorageBackend,
+  getStorageBackend
+};
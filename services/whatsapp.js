@@ -3,7 +3,8 @@ const axios = require('axios');
 const ACCESS_TOKEN = process.env.ACCESS_TOKEN;
 const PHONE_NUMBER_ID = process.env.PHONE_NUMBER_ID;
 const API_VERSION = 'v22.0';
-const BASE_URL = `https://graph.facebook.com/${API_VERSION}/${PHONE_NUMBER_ID}/messages`;
+const GRAPH_URL = `https://graph.facebook.com/${API_VERSION}`;
+const BASE_URL = `${GRAPH_URL}/${PHONE_NUMBER_ID}/messages`;
 
 /**
  * Normalize phone number for WhatsApp Cloud API
@@ -16,23 +17,28 @@ function normalizePhoneNumber(phoneNumber) {
   return phoneNumber.replace(/[\s+\-()]/g, '');
 }
 
+// Cloud API limits for interactive messages
+const MAX_REPLY_BUTTONS = 3;
+const MAX_BUTTON_TITLE_LENGTH = 20;
+const MAX_LIST_ROWS = 10;
+const MAX_ROW_TITLE_LENGTH = 24;
+const MAX_ROW_DESCRIPTION_LENGTH = 72;
+
 /**
- * Send WhatsApp message via Cloud API
+ * POST a message payload to the Cloud API
  * @param {string} phoneNumber - Recipient phone number
- * @param {string} message - Message text to send
+ * @param {Object} content - Type-specific payload fields ({ type, text } / { type, interactive } / { type, template })
+ * @param {string} logLabel - Caller name used in log lines
  * @returns {Promise<Object>} API response
  */
-async function sendMessage(phoneNumber, message) {
-  console.log(`[whatsapp.sendMessage] Called with phoneNumber: ${phoneNumber}, message length: ${message?.length || 0}`);
-  
-  
+async function postMessage(phoneNumber, content, logLabel) {
   if (!ACCESS_TOKEN) {
-    console.error('[whatsapp.sendMessage] ACCESS_TOKEN is missing');
+    console.error(`[whatsapp.${logLabel}] ACCESS_TOKEN is missing`);
     throw new Error('ACCESS_TOKEN environment variable is not set');
   }
 
   if (!PHONE_NUMBER_ID) {
-    console.error('[whatsapp.sendMessage] PHONE_NUMBER_ID is missing');
+    console.error(`[whatsapp.${logLabel}] PHONE_NUMBER_ID is missing`);
     throw new Error('PHONE_NUMBER_ID environment variable is not set');
   }
 
@@ -40,25 +46,16 @@ async function sendMessage(phoneNumber, message) {
     throw new Error('Phone number is required');
   }
 
-  if (!message) {
-    throw new Error('Message is required');
-  }
-
   const normalizedPhone = normalizePhoneNumber(phoneNumber);
-  console.log(`[whatsapp.sendMessage] Normalized phone: ${normalizedPhone} (from ${phoneNumber})`);
+  console.log(`[whatsapp.${logLabel}] Normalized phone: ${normalizedPhone} (from ${phoneNumber})`);
 
   const payload = {
     messaging_product: 'whatsapp',
     to: normalizedPhone,
-    type: 'text',
-    text: {
-      body: message
-    }
+    ...content
   };
 
-  console.log(`[whatsapp.sendMessage] Sending to ${BASE_URL}`);
-  console.log(`[whatsapp.sendMessage] Payload:`, JSON.stringify({ ...payload, text: { body: message.substring(0, 50) + '...' } }, null, 2));
-
+  console.log(`[whatsapp.${logLabel}] Sending to ${BASE_URL}`);
 
   try {
     const response = await axios.post(BASE_URL, payload, {
@@ -68,22 +65,24 @@ async function sendMessage(phoneNumber, message) {
       }
     });
 
-    console.log(`[whatsapp.sendMessage] Success! Response status: ${response.status}`);
-    console.log(`[whatsapp.sendMessage] Response data:`, JSON.stringify(response.data, null, 2));
+    console.log(`[whatsapp.${logLabel}] Success! Response status: ${response.status}`);
+    console.log(`[whatsapp.${logLabel}] Response data:`, JSON.stringify(response.data, null, 2));
 
 
     return response.data;
   } catch (error) {
     
     // Log error details for debugging
-    console.error(`[whatsapp.sendMessage] Error sending message to ${normalizedPhone}:`);
+    console.error(`[whatsapp.${logLabel}] Error sending message to ${normalizedPhone}:`);
     if (error.response) {
       console.error('WhatsApp API Error Response:', {
         status: error.response.status,
         statusText: error.response.statusText,
         data: error.response.data
       });
-      throw new Error(`WhatsApp API Error: ${error.response.status} - ${JSON.stringify(error.response.data)}`);
+      const apiError = new Error(`WhatsApp API Error: ${error.response.status} - ${JSON.stringify(error.response.data)}`);
+      apiError.status = error.response.status;
+      throw apiError;
     } else if (error.request) {
       console.error('WhatsApp API Request Error (no response):', error.message);
       console.error('Request details:', {
@@ -100,6 +99,224 @@ async function sendMessage(phoneNumber, message) {
   }
 }
 
+/**
+ * Send WhatsApp message via Cloud API
+ * @param {string} phoneNumber - Recipient phone number
+ * @param {string} message - Message text to send
+ * @returns {Promise<Object>} API response
+ */
+async function sendMessage(phoneNumber, message) {
+  console.log(`[whatsapp.sendMessage] Called with phoneNumber: ${phoneNumber}, message length: ${message?.length || 0}`);
+
+  if (!message) {
+    throw new Error('Message is required');
+  }
+
+  console.log(`[whatsapp.sendMessage] Text: ${message.substring(0, 50)}...`);
+
+  return postMessage(phoneNumber, {
+    type: 'text',
+    text: {
+      body: message
+    }
+  }, 'sendMessage');
+}
+
+/**
+ * Build the Cloud API payload for reply buttons
+ * @param {string} bodyText - Message text shown above the buttons
+ * @param {Array<Object>} buttons - [{ id, title }] (max 3, titles up to 20 characters)
+ * @returns {Object} Payload fields ({ type, interactive })
+ */
+function buildReplyButtonsPayload(bodyText, buttons) {
+  if (!bodyText) {
+    throw new Error('Message is required');
+  }
+  if (!Array.isArray(buttons) || buttons.length === 0 || buttons.length > MAX_REPLY_BUTTONS) {
+    throw new Error(`Reply buttons require 1 to ${MAX_REPLY_BUTTONS} buttons`);
+  }
+
+  return {
+    type: 'interactive',
+    interactive: {
+      type: 'button',
+      body: { text: bodyText },
+      action: {
+        buttons: buttons.map((button) => ({
+          type: 'reply',
+          reply: {
+            id: button.id,
+            title: String(button.title).slice(0, MAX_BUTTON_TITLE_LENGTH)
+          }
+        }))
+      }
+    }
+  };
+}
+
+/**
+ * Build the Cloud API payload for a list picker
+ * @param {string} bodyText - Message text shown above the list button
+ * @param {string} buttonText - Label of the button that opens the list
+ * @param {Array<Object>} sections - [{ title, rows: [{ id, title, description }] }] (max 10 rows overall)
+ * @returns {Object} Payload fields ({ type, interactive })
+ */
+function buildListPayload(bodyText, buttonText, sections) {
+  if (!bodyText) {
+    throw new Error('Message is required');
+  }
+  const rowCount = (sections || []).reduce((count, section) => count + (section.rows || []).length, 0);
+  if (rowCount === 0 || rowCount > MAX_LIST_ROWS) {
+    throw new Error(`List messages require 1 to ${MAX_LIST_ROWS} rows`);
+  }
+
+  return {
+    type: 'interactive',
+    interactive: {
+      type: 'list',
+      body: { text: bodyText },
+      action: {
+        button: String(buttonText).slice(0, MAX_BUTTON_TITLE_LENGTH),
+        sections: sections.map((section) => ({
+          title: String(section.title).slice(0, MAX_ROW_TITLE_LENGTH),
+          rows: section.rows.map((row) => ({
+            id: row.id,
+            title: String(row.title).slice(0, MAX_ROW_TITLE_LENGTH),
+            ...(row.description
+              ? { description: String(row.description).slice(0, MAX_ROW_DESCRIPTION_LENGTH) }
+              : {})
+          }))
+        }))
+      }
+    }
+  };
+}
+
+/**
+ * Send a message with up to three reply buttons.
+ * The tapped button comes back to the webhook as an `interactive` message
+ * carrying the button id.
+ * @param {string} phoneNumber - Recipient phone number
+ * @param {string} bodyText - Message text
+ * @param {Array<Object>} buttons - [{ id, title }]
+ * @returns {Promise<Object>} API response
+ */
+async function sendReplyButtons(phoneNumber, bodyText, buttons) {
+  console.log(`[whatsapp.sendReplyButtons] Called with phoneNumber: ${phoneNumber}, buttons: ${buttons?.length || 0}`);
+  return postMessage(phoneNumber, buildReplyButtonsPayload(bodyText, buttons), 'sendReplyButtons');
+}
+
+/**
+ * Send a list picker message.
+ * The chosen row comes back to the webhook as an `interactive` message
+ * carrying the row id.
+ * @param {string} phoneNumber - Recipient phone number
+ * @param {string} bodyText - Message text
+ * @param {string} buttonText - Label of the button that opens the list
+ * @param {Array<Object>} sections - [{ title, rows: [{ id, title, description }] }]
+ * @returns {Promise<Object>} API response
+ */
+async function sendListMessage(phoneNumber, bodyText, buttonText, sections) {
+  console.log(`[whatsapp.sendListMessage] Called with phoneNumber: ${phoneNumber}, sections: ${sections?.length || 0}`);
+  return postMessage(phoneNumber, buildListPayload(bodyText, buttonText, sections), 'sendListMessage');
+}
+
+/**
+ * Build the Cloud API payload for an approved template message
+ * @param {string} templateName - Template name as approved in WhatsApp Manager
+ * @param {string} languageCode - Template language code (e.g. 'en', 'hi')
+ * @param {Array<string>} bodyParameters - Values for {{1}}, {{2}}, ... in the template body
+ * @returns {Object} Payload fields ({ type, template })
+ */
+function buildTemplatePayload(templateName, languageCode, bodyParameters = []) {
+  if (!templateName) {
+    throw new Error('Template name is required');
+  }
+  if (!languageCode) {
+    throw new Error('Template language is required');
+  }
+
+  return {
+    type: 'template',
+    template: {
+      name: templateName,
+      language: { code: languageCode },
+      ...(bodyParameters.length > 0
+        ? {
+          components: [
+            {
+              type: 'body',
+              parameters: bodyParameters.map((value) => ({ type: 'text', text: String(value) }))
+            }
+          ]
+        }
+        : {})
+    }
+  };
+}
+
+/**
+ * Send an approved template message.
+ * Templates are the only messages the Cloud API accepts once 24 hours have
+ * passed since the customer last wrote to us.
+ * @param {string} phoneNumber - Recipient phone number
+ * @param {string} templateName - Template name
+ * @param {string} languageCode - Template language code
+ * @param {Array<string>} bodyParameters - Body variable values in order
+ * @returns {Promise<Object>} API response
+ */
+async function sendTemplate(phoneNumber, templateName, languageCode, bodyParameters = []) {
+  console.log(`[whatsapp.sendTemplate] Called with phoneNumber: ${phoneNumber}, template: ${templateName} (${languageCode})`);
+  return postMessage(phoneNumber, buildTemplatePayload(templateName, languageCode, bodyParameters), 'sendTemplate');
+}
+
+/**
+ * Download media a user sent us (e.g. an operator's ticket).
+ * The media ID is first resolved to a short-lived URL, which needs the same
+ * bearer token to fetch. Media IDs themselves expire after a few weeks.
+ * @param {string} mediaId - WhatsApp media ID
+ * @returns {Promise<Object>} { buffer, mimeType, sha256, fileSize }
+ */
+async function downloadMedia(mediaId) {
+  if (!ACCESS_TOKEN) {
+    console.error('[whatsapp.downloadMedia] ACCESS_TOKEN is missing');
+    throw new Error('ACCESS_TOKEN environment variable is not set');
+  }
+  if (!mediaId) {
+    throw new Error('Media ID is required');
+  }
+
+  const headers = { 'Authorization': `Bearer ${ACCESS_TOKEN}` };
+  try {
+    const { data: media } = await axios.get(`${GRAPH_URL}/${encodeURIComponent(mediaId)}`, { headers });
+    const response = await axios.get(media.url, { headers, responseType: 'arraybuffer' });
+    return {
+      buffer: Buffer.from(response.data),
+      mimeType: media.mime_type || response.headers['content-type'] || null,
+      sha256: media.sha256 || null,
+      fileSize: media.file_size ?? null
+    };
+  } catch (error) {
+    if (error.response) {
+      console.error(`[whatsapp.downloadMedia] Error downloading media ${mediaId}:`, {
+        status: error.response.status,
+        statusText: error.response.statusText
+      });
+      const apiError = new Error(`WhatsApp media download error: ${error.response.status}`);
+      apiError.status = error.response.status;
+      throw apiError;
+    }
+    throw error;
+  }
+}
+
 module.exports = {
-  sendMessage
+  sendMessage,
+  sendReplyButtons,
+  sendListMessage,
+  sendTemplate,
+  downloadMedia,
+  buildReplyButtonsPayload,
+  buildListPayload,
+  buildTemplatePayload
 };
@@ -0,0 +1,273 @@
+const bookingModel = require('../../models/booking');
+const operatorModel = require('../../models/operator');
+const bookingCancellationService = require('../booking/booking_cancellation_service');
+const cancellationPolicyService = require('../booking/cancellation_policy_service');
+const waitlistService = require('../inventory/waitlist_service');
+const { t } = require('../i18n/translator');
+const { formatZonedDateTime, parseStoredTimestamp } = require('../dateTimeResolver');
+const { queueText } = require('./outbox');
+
+// Keyword commands stay in Latin script, like YES/NO/RESET.
+// A bare CANCEL is left to the conversation, where it declines a pending request.
+// CANCEL <id> shows what cancelling costs; CANCEL <id> YES goes ahead.
+const COMMAND_PATTERNS = Object.freeze([
+  { command: 'my_bookings', pattern: /^(?:MY\s+)?BOOKINGS?$/ },
+  { command: 'status', pattern: /^STATUS(?:\s+#?(\d+))?$/ },
+  { command: 'cancel_confirm', pattern: /^CANCEL\s+#?(\d+)\s+(?:YES|CONFIRM)$/ },
+  { command: 'cancel', pattern: /^CANCEL\s+#?(\d+)$/ },
+  { command: 'waitlist', pattern: /^(?:JOIN\s+)?WAITLIST$/ }
+]);
+
+const MAX_LISTED_BOOKINGS = 5;
+const CUSTOMER_CANCELLATION_REASON = 'Cancelled by customer on WhatsApp';
+
+/**
+ * Recognise a self-service command in a customer message
+ * @param {string} messageText - Message text
+ * @returns {Object|null} { command: 'my_bookings'|'status'|'cancel'|'cancel_confirm'|'waitlist', bookingId }
+ */
+function parseCustomerCommand(messageText) {
+  const text = String(messageText || '').toUpperCase().trim().replace(/\s+/g, ' ');
+  for (const { command, pattern } of COMMAND_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      return {
+        command,
+        bookingId: match[1] ? Number.parseInt(match[1], 10) : null
+      };
+    }
+  }
+  return null;
+}
+
+function holdExpiry(booking) {
+  const expiresAt = parseStoredTimestamp(booking.hold_expires_at);
+  return expiresAt ? formatZonedDateTime(expiresAt) : '-';
+}
+
+/**
+ * Customer-facing status of a booking. A hold past its expiry is shown as
+ * expired even before the expiry job has run.
+ * @param {Object} booking - Booking row
+ * @param {Date} now - Current time
+ * @returns {string} 'hold', 'confirmed', 'cancelled' or 'expired'
+ */
+function getCustomerStatus(booking, now = new Date()) {
+  const status = bookingModel.normalizeStatus(booking.status);
+  if (status === 'hold') {
+    const expiresAt = parseStoredTimestamp(booking.hold_expires_at);
+    return expiresAt && expiresAt <= now ? 'expired' : 'hold';
+  }
+  return status || 'cancelled';
+}
+
+function describeStatus(booking, language, now) {
+  const status = getCustomerStatus(booking, now);
+  return t(language, `status_${status}`, { expires: holdExpiry(booking) });
+}
+
+function bookingParams(booking, language, now) {
+  return {
+    id: booking.id,
+    source: booking.source,
+    destination: booking.destination,
+    date: booking.journey_date,
+    time: booking.departure_time,
+    seats: booking.seat_count,
+    status: describeStatus(booking, language, now)
+  };
+}
+
+async function listBookings(phoneNumber, language, now) {
+  const bookings = await bookingModel.findByPhone(phoneNumber);
+  if (bookings.length === 0) {
+    return t(language, 'my_bookings_empty');
+  }
+  const lines = bookings
+    .slice(0, MAX_LISTED_BOOKINGS)
+    .map((booking) => t(language, 'booking_line', bookingParams(booking, language, now)));
+  return t(language, 'my_bookings', { bookings: lines.join('\n') });
+}
+
+async function describeBooking(phoneNumber, bookingId, language, now) {
+  const bookings = await bookingModel.findByPhone(phoneNumber);
+  if (!bookingId) {
+    // STATUS on its own: the most recent booking
+    if (bookings.length === 0) {
+      return t(language, 'my_bookings_empty');
+    }
+    return t(language, 'booking_status', bookingParams(bookings[0], language, now));
+  }
+
+  const booking = bookings.find((candidate) => candidate.id === bookingId);
+  if (!booking) {
+    return t(language, 'booking_not_found', { id: bookingId });
+  }
+  return t(language, 'booking_status', bookingParams(booking, language, now));
+}
+
+async function notifyOperatorOfCancellation(booking) {
+  try {
+    const operator = await operatorModel.findByBookingId(booking.id);
+    if (!operator) return;
+    await queueText(
+      operator.phone_number,
+      `❌ Booking ${booking.id} (${booking.source} → ${booking.destination}, ${booking.journey_date} ` +
+        `${booking.departure_time}, ${booking.seat_count} seat(s)) was cancelled by the customer.`,
+      { bookingId: booking.id }
+    );
+  } catch (error) {
+    console.warn(`Failed to notify operator of customer cancellation for booking ${booking.id}:`, error.message);
+  }
+}
+
+function describeBlockedCancellation(bookingId, quote, language) {
+  if (quote.blocked_by === cancellationPolicyService.CANCELLATION_BLOCKS.NO_CANCEL_WINDOW) {
+    return t(language, 'cancel_blocked_window', {
+      id: bookingId,
+      start: quote.window.start_date,
+      end: quote.window.end_date
+    });
+  }
+  return t(language, 'cancel_blocked_cutoff', { id: bookingId, hours: quote.cutoff_hours });
+}
+
+// What cancelling costs, asked for before anything is cancelled. The fee is
+// remembered so that CANCEL <id> YES never charges more than the customer saw.
+async function quoteCustomerCancellation(booking, language, now, quote = null) {
+  quote = quote || await cancellationPolicyService.quoteCancellation(booking, { now });
+  if (!quote.allowed) {
+    return describeBlockedCancellation(booking.id, quote, language);
+  }
+  await bookingModel.setCancellationQuote(booking.id, quote.fee);
+  const lines = [
+    quote.fee > 0
+      ? t(language, 'cancel_quote_fee', { id: booking.id, fee: quote.fee })
+      : t(language, 'cancel_quote_free', { id: booking.id })
+  ];
+  if (quote.paid_amount) {
+    lines.push(t(language, 'cancel_quote_refund', { refund: quote.refund_amount, paid: quote.paid_amount }));
+  }
+  lines.push(t(language, 'cancel_confirm_prompt', { id: booking.id }));
+  return lines.join(' ');
+}
+
+async function cancelCustomerBooking(phoneNumber, bookingId, language, now, { confirmed = false, lockService = null } = {}) {
+  // Only the customer's own bookings are visible; others are "not found"
+  const bookings = await bookingModel.findByPhone(phoneNumber);
+  const booking = bookings.find((candidate) => candidate.id === bookingId);
+  if (!booking) {
+    return t(language, 'booking_not_found', { id: bookingId });
+  }
+
+  const status = getCustomerStatus(booking, now);
+  if (status === 'hold') {
+    return t(language, 'cancel_hold', { id: bookingId, expires: holdExpiry(booking) });
+  }
+  if (status === 'expired') {
+    return t(language, 'cancel_not_allowed', { id: bookingId, status: describeStatus(booking, language, now) });
+  }
+  if (!confirmed) {
+    if (status === 'cancelled') {
+      return t(language, 'cancel_already', { id: bookingId });
+    }
+    return quoteCustomerCancellation(booking, language, now);
+  }
+
+  if (status === 'confirmed') {
+    // The fee may have moved into a dearer slab since it was quoted; quote again rather than charge it
+    const quote = await cancellationPolicyService.quoteCancellation(booking, { now });
+    if (quote.allowed && quote.fee > Number(booking.cancellation_quote_fee ?? 0)) {
+      const requote = await quoteCustomerCancellation(booking, language, now, quote);
+      return `${t(language, 'cancel_quote_changed', { id: bookingId })} ${requote}`;
+    }
+  }
+
+  try {
+    const result = await bookingCancellationService.cancelBooking({
+      bookingId,
+      actorType: 'customer',
+      actorDetails: { customer_phone: phoneNumber },
+      reason: CUSTOMER_CANCELLATION_REASON,
+      now,
+      lockService
+    });
+    if (result.idempotent) {
+      return t(language, 'cancel_already', { id: bookingId });
+    }
+  } catch (error) {
+    switch (error.code) {
+      case 'BOOKING_NOT_FOUND':
+      case 'BOOKING_OWNERSHIP_INVALID':
+        return t(language, 'booking_not_found', { id: bookingId });
+      case 'BOOKING_NOT_CONFIRMED':
+        return t(language, 'cancel_not_allowed', { id: bookingId, status: describeStatus(booking, language, now) });
+      case 'BOOKING_LOCKED':
+        return t(language, 'cancel_in_progress', { id: bookingId });
+      case 'CANCELLATION_NOT_ALLOWED':
+        return describeBlockedCancellation(bookingId, error.quote, language);
+      default:
+        throw error;
+    }
+  }
+
+  await notifyOperatorOfCancellation(booking);
+  return t(language, 'cancel_done', { id: bookingId });
+}
+
+async function joinWaitlist(phoneNumber, language, now) {
+  const { status, entry, position } = await waitlistService.joinWaitlist(phoneNumber, { now });
+  if (status === 'no_offer') {
+    return t(language, 'waitlist_no_offer');
+  }
+  const params = {
+    source: entry.source,
+    destination: entry.destination,
+    date: entry.journey_date,
+    time: entry.departure_time,
+    seats: entry.seat_count,
+    position
+  };
+  switch (status) {
+    case 'seats_available':
+      return t(language, 'waitlist_seats_available', params);
+    case 'already_waiting':
+      return t(language, 'waitlist_already', params);
+    default:
+      return t(language, 'waitlist_joined', params);
+  }
+}
+
+/**
+ * Run a self-service command and build the reply
+ * @param {string} phoneNumber - Customer phone number
+ * @param {Object} command - Result of parseCustomerCommand
+ * @param {Object} options - { language, now, lockService }
+ * @returns {Promise<string>} Reply text
+ */
+async function handleCustomerCommand(
+  phoneNumber,
+  { command, bookingId },
+  { language = 'en', now = new Date(), lockService = null } = {}
+) {
+  switch (command) {
+    case 'my_bookings':
+      return listBookings(phoneNumber, language, now);
+    case 'status':
+      return describeBooking(phoneNumber, bookingId, language, now);
+    case 'cancel':
+      return cancelCustomerBooking(phoneNumber, bookingId, language, now);
+    case 'cancel_confirm':
+      return cancelCustomerBooking(phoneNumber, bookingId, language, now, { confirmed: true, lockService });
+    case 'waitlist':
+      return joinWaitlist(phoneNumber, language, now);
+    default:
+      throw new Error(`Unknown customer command: ${command}`);
+  }
+}
+
+module.exports = {
+  parseCustomerCommand,
+  getCustomerStatus,
+  handleCustomerCommand
+};
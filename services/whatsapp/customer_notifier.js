@@ -0,0 +1,70 @@
+const customerContactModel = require('../../models/customerContact');
+const whatsappService = require('../whatsapp');
+const { t } = require('../i18n/translator');
+const { getCustomerLanguage } = require('../i18n/customer_language');
+const { buildTemplateMessage } = require('./templates');
+
+// The Cloud API only accepts free-form messages within 24 hours of the
+// customer's last inbound message.
+const SESSION_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Remember when a customer last wrote to us
+ * @param {string} phoneNumber - Normalized customer phone number
+ * @param {Object} message - Inbound WhatsApp message (uses its unix `timestamp` when present)
+ * @returns {Promise<Object>} Contact row
+ */
+async function recordCustomerInbound(phoneNumber, message = {}) {
+  const timestamp = Number.parseInt(message.timestamp, 10);
+  const receivedAt = Number.isFinite(timestamp) ? new Date(timestamp * 1000) : new Date();
+  return customerContactModel.recordInbound(phoneNumber, receivedAt);
+}
+
+/**
+ * Whether free-form text can still be sent to a customer
+ * @param {string} phoneNumber - Normalized customer phone number
+ * @param {Date} now - Current time
+ * @returns {Promise<boolean>} True while the 24-hour session window is open
+ */
+async function isSessionWindowOpen(phoneNumber, now = new Date()) {
+  const contact = await customerContactModel.findByPhone(phoneNumber);
+  if (!contact) return false;
+  return now.getTime() - new Date(contact.last_inbound_at).getTime() < SESSION_WINDOW_MS;
+}
+
+/**
+ * Send a catalog message to a customer outside a conversation reply.
+ * Inside the session window the translated text is sent as-is; once it has
+ * closed the approved template for the same key is sent instead.
+ *
+ * @param {string} phoneNumber - Normalized customer phone number
+ * @param {string} key - Catalog key (must have a template in ./templates)
+ * @param {Object} params - Placeholder values
+ * @param {Object} options - { language, now, forceTemplate }
+ * @returns {Promise<Object>} { channel: 'text'|'template', language, template?, response }
+ */
+async function sendCustomerNotification(phoneNumber, key, params = {}, options = {}) {
+  const language = options.language || await getCustomerLanguage(phoneNumber);
+
+  if (!options.forceTemplate && await isSessionWindowOpen(phoneNumber, options.now)) {
+    const response = await whatsappService.sendMessage(phoneNumber, t(language, key, params));
+    return { channel: 'text', language, response };
+  }
+
+  const template = buildTemplateMessage(key, params, language);
+  console.log(`[customer_notifier] Session window closed for ${phoneNumber}, sending template ${template.name}`);
+  const response = await whatsappService.sendTemplate(
+    phoneNumber,
+    template.name,
+    template.languageCode,
+    template.bodyParameters
+  );
+  return { channel: 'template', language, template: template.name, response };
+}
+
+module.exports = {
+  SESSION_WINDOW_MS,
+  recordCustomerInbound,
+  isSessionWindowOpen,
+  sendCustomerNotification
+};
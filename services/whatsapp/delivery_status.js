@@ -0,0 +1,117 @@
+const messageLogModel = require('../../models/messageLog');
+const outboundMessageModel = require('../../models/outboundMessage');
+const operatorModel = require('../../models/operator');
+const { enqueue, queueText } = require('./outbox');
+
+// Callbacks can arrive out of order; a status never moves backwards.
+const STATUS_RANK = Object.freeze({
+  sent: 1,
+  delivered: 2,
+  read: 3,
+  failed: 4
+});
+
+// Message types the customer cannot do without. A failed delivery is resent
+// once and then escalated to the operator.
+const CRITICAL_LOG_TYPES = Object.freeze(['confirmation']);
+const MAX_AUTOMATIC_RESENDS = 1;
+
+// Cloud API error for free-form text sent outside the 24-hour session window.
+const REENGAGEMENT_ERROR_CODE = 131047;
+
+function formatStatusError(status) {
+  const error = status.errors?.[0];
+  if (!error) return null;
+  const detail = error.error_data?.details || error.message || error.title || 'Unknown error';
+  return error.code ? `${error.code}: ${detail}` : detail;
+}
+
+function toStatusTime(status) {
+  const timestamp = Number.parseInt(status.timestamp, 10);
+  return Number.isFinite(timestamp) ? new Date(timestamp * 1000) : new Date();
+}
+
+async function alertOperator(log, reason) {
+  const operator = log.booking_id ? await operatorModel.findByBookingId(log.booking_id) : null;
+  if (!operator) {
+    console.error(`[delivery_status] No operator to alert for message log ${log.id}: ${reason}`);
+    return null;
+  }
+
+  return queueText(
+    operator.phone_number,
+    `⚠️ The ${log.type} message for booking ${log.booking_id} could not be delivered to the customer` +
+      ` (${reason}). Please contact the customer directly.`,
+    { bookingId: log.booking_id, logType: 'delivery_alert' }
+  );
+}
+
+/**
+ * Resend a critical message once, then alert the operator
+ * @param {Object} log - Failed message log
+ * @returns {Promise<string>} 'resent' or 'alerted'
+ */
+async function handleCriticalFailure(log) {
+  const failures = await messageLogModel.countByDeliveryStatus(log.booking_id, log.type, 'failed');
+  const original = log.outbound_message_id
+    ? await outboundMessageModel.findById(log.outbound_message_id)
+    : null;
+
+  if (original && failures <= MAX_AUTOMATIC_RESENDS) {
+    const payload = { ...original.payload };
+    // Our record of the session window was wrong; only a template can get through.
+    if (log.delivery_error?.startsWith(`${REENGAGEMENT_ERROR_CODE}:`)) {
+      payload.forceTemplate = true;
+    }
+    await enqueue({
+      phone: original.recipient_phone,
+      kind: original.kind,
+      payload,
+      bookingId: log.booking_id,
+      logType: log.type
+    });
+    console.warn(`[delivery_status] Resent ${log.type} for booking ${log.booking_id} after failed delivery`);
+    return 'resent';
+  }
+
+  await alertOperator(log, log.delivery_error || 'delivery failed');
+  return 'alerted';
+}
+
+/**
+ * Store one entry of a webhook `statuses` array against its message log
+ * @param {Object} status - { id, status, timestamp, recipient_id, errors }
+ * @returns {Promise<Object>} { updated, log, action }
+ */
+async function handleStatusUpdate(status) {
+  const deliveryStatus = String(status?.status || '').toLowerCase();
+  if (!status?.id || !STATUS_RANK[deliveryStatus]) {
+    return { updated: false, log: null, action: null };
+  }
+
+  const log = await messageLogModel.findByWaMessageId(status.id);
+  if (!log) {
+    return { updated: false, log: null, action: null };
+  }
+  if ((STATUS_RANK[log.delivery_status] || 0) >= STATUS_RANK[deliveryStatus]) {
+    return { updated: false, log, action: null };
+  }
+
+  const updated = await messageLogModel.updateDeliveryStatus(log.id, {
+    delivery_status: deliveryStatus,
+    delivery_status_at: toStatusTime(status).toISOString(),
+    delivery_error: formatStatusError(status)
+  });
+
+  let action = null;
+  if (deliveryStatus === 'failed' && CRITICAL_LOG_TYPES.includes(updated.type)) {
+    action = await handleCriticalFailure(updated);
+  }
+  return { updated: true, log: updated, action };
+}
+
+module.exports = {
+  STATUS_RANK,
+  CRITICAL_LOG_TYPES,
+  handleStatusUpdate
+};
@@ -0,0 +1,182 @@
+const { t } = require('../i18n/translator');
+
+// Ids carried by buttons and list rows. WhatsApp echoes the id back when the
+// user taps, so every id must say what was chosen without any other context.
+const PAYLOADS = Object.freeze({
+  CONFIRM_REQUEST: 'CONFIRM_REQUEST',
+  CANCEL_REQUEST: 'CANCEL_REQUEST',
+  CHOOSE_SEATS: 'CHOOSE_SEATS',
+  TRIP_TIME: 'TRIP_TIME',
+  OPERATOR_ACCEPT: 'OPERATOR_ACCEPT',
+  OPERATOR_REJECT: 'OPERATOR_REJECT',
+  TICKET_BOOKING: 'TICKET_BOOKING'
+});
+
+// List messages show at most 10 rows.
+const MAX_TICKET_CHOICES = 10;
+
+/**
+ * Confirm/Cancel buttons for the booking summary, plus "Choose seats" when
+ * the trip has a seat map to pick from
+ * @param {string} language - Customer language
+ * @param {Object} options - { seatChoice }
+ * @returns {Array<Object>} [{ id, title }]
+ */
+function buildConfirmationButtons(language = 'en', { seatChoice = false } = {}) {
+  const buttons = [
+    { id: PAYLOADS.CONFIRM_REQUEST, title: t(language, 'button_confirm') },
+    { id: PAYLOADS.CANCEL_REQUEST, title: t(language, 'button_cancel') }
+  ];
+  if (seatChoice) {
+    buttons.push({ id: PAYLOADS.CHOOSE_SEATS, title: t(language, 'button_choose_seats') });
+  }
+  return buttons;
+}
+
+/**
+ * List picker of departure times
+ * @param {Array<string>} departureTimes - HH:MM values
+ * @param {string} language - Customer language
+ * @returns {Object} { button, sections }
+ */
+function buildTripTimeList(departureTimes, language = 'en') {
+  return {
+    button: t(language, 'list_choose_time'),
+    sections: [
+      {
+        title: t(language, 'list_departures'),
+        rows: departureTimes.map((time) => ({
+          id: `${PAYLOADS.TRIP_TIME}:${time}`,
+          title: time
+        }))
+      }
+    ]
+  };
+}
+
+/**
+ * YES/NO buttons attached to the operator's "New Booking Request" message
+ * @param {number} bookingId - Booking ID
+ * @returns {Array<Object>} [{ id, title }]
+ */
+function buildOperatorDecisionButtons(bookingId) {
+  return [
+    { id: `${PAYLOADS.OPERATOR_ACCEPT}:${bookingId}`, title: 'YES' },
+    { id: `${PAYLOADS.OPERATOR_REJECT}:${bookingId}`, title: 'NO' }
+  ];
+}
+
+/**
+ * List picker asking the operator which hold an uploaded ticket belongs to.
+ * Each row id carries the booking and the media, so the tap alone is enough
+ * to attach the ticket.
+ * @param {Array<Object>} holds - Candidate holds (newest first)
+ * @param {Object} media - { mediaId, mediaType }
+ * @returns {Object} { button, sections }
+ */
+function buildTicketBookingList(holds, { mediaId, mediaType }) {
+  return {
+    button: 'Choose booking',
+    sections: [
+      {
+        title: 'Active holds',
+        rows: holds.slice(0, MAX_TICKET_CHOICES).map((hold) => ({
+          id: `${PAYLOADS.TICKET_BOOKING}:${hold.id}:${mediaType}:${mediaId}`,
+          title: `#${hold.id} ${hold.departure_time || ''}`.trim(),
+          description: `${hold.source} → ${hold.destination}, ${hold.journey_date}, ` +
+            `${hold.seat_count} seat(s), ${hold.customer_phone}`
+        }))
+      }
+    ]
+  };
+}
+
+/**
+ * Extract the tapped button or list row from an inbound webhook message
+ * @param {Object} message - WhatsApp message object
+ * @returns {Object|null} { id, title } or null when the message is not a reply
+ */
+function parseInteractiveReply(message) {
+  if (!message) return null;
+
+  if (message.type === 'interactive') {
+    const reply = message.interactive?.button_reply || message.interactive?.list_reply;
+    if (reply?.id) {
+      return { id: reply.id, title: reply.title || null };
+    }
+    return null;
+  }
+
+  // Quick-reply buttons on template messages arrive as type "button".
+  if (message.type === 'button' && message.button) {
+    return {
+      id: message.button.payload || message.button.text,
+      title: message.button.text || null
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Translate a customer's tap into the text the conversation already understands
+ * @param {Object} reply - { id, title }
+ * @returns {string|null} Equivalent message text
+ */
+function customerReplyToText(reply) {
+  if (!reply || !reply.id) return null;
+  if (reply.id === PAYLOADS.CONFIRM_REQUEST) return 'YES';
+  if (reply.id === PAYLOADS.CANCEL_REQUEST) return 'NO';
+  if (reply.id === PAYLOADS.CHOOSE_SEATS) return 'CHOOSE SEATS';
+
+  const tripTime = reply.id.match(new RegExp(`^${PAYLOADS.TRIP_TIME}:(\\d{2}:\\d{2})$`));
+  if (tripTime) return tripTime[1];
+
+  return reply.title || null;
+}
+
+/**
+ * Read the operator's YES/NO decision from a button reply
+ * @param {Object} reply - { id, title }
+ * @returns {Object|null} { decision: 'accept'|'reject', bookingId }
+ */
+function parseOperatorDecision(reply) {
+  const match = reply?.id?.match(
+    new RegExp(`^(${PAYLOADS.OPERATOR_ACCEPT}|${PAYLOADS.OPERATOR_REJECT}):(\\d+)$`)
+  );
+  if (!match) return null;
+  return {
+    decision: match[1] === PAYLOADS.OPERATOR_ACCEPT ? 'accept' : 'reject',
+    bookingId: Number.parseInt(match[2], 10)
+  };
+}
+
+/**
+ * Read the operator's choice from the ticket disambiguation list
+ * @param {Object} reply - { id, title }
+ * @returns {Object|null} { bookingId, mediaType, mediaId }
+ */
+function parseTicketBookingChoice(reply) {
+  const match = reply?.id?.match(
+    new RegExp(`^${PAYLOADS.TICKET_BOOKING}:(\\d+):(image|document):(.+)$`)
+  );
+  if (!match) return null;
+  return {
+    bookingId: Number.parseInt(match[1], 10),
+    mediaType: match[2],
+    mediaId: match[3]
+  };
+}
+
+module.exports = {
+  PAYLOADS,
+  MAX_TICKET_CHOICES,
+  buildConfirmationButtons,
+  buildTripTimeList,
+  buildOperatorDecisionButtons,
+  buildTicketBookingList,
+  parseInteractiveReply,
+  customerReplyToText,
+  parseOperatorDecision,
+  parseTicketBookingChoice
+};
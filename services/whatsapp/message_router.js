@@ -0,0 +1,403 @@
+const sessionStore = require('./session_store');
+const {
+  CONVERSATION_STATES,
+  createSession,
+  advanceConversation,
+  buildPrompt
+} = require('./state_machine');
+const { parseBookingRequest } = require('../messageParser');
+const { t } = require('../i18n/translator');
+const tripModel = require('../../models/trip');
+const routeModel = require('../../models/route');
+const { findRouteByCities } = require('../routeLookup');
+const { isTimeInWindow } = require('../dateTimeResolver');
+const seatMapService = require('../inventory/seat_map_service');
+const { ALTERNATIVE_KINDS } = require('../inventory/trip_alternatives_service');
+const {
+  buildConfirmationButtons,
+  buildTripTimeList
+} = require('./interactive');
+
+const MAX_LISTED_DEPARTURES = 10;
+
+/**
+ * The route of a draft: the one pinned by a chosen alternative, else the one its cities match
+ * @param {Object} draft - Conversation draft
+ * @returns {Promise<Object|null>} Route or null
+ */
+async function findDraftRoute(draft) {
+  if (draft.route_id) {
+    return routeModel.findById(draft.route_id);
+  }
+  const { route } = await findRouteByCities(draft.source, draft.destination);
+  return route;
+}
+
+/**
+ * Departure times on the draft's route and date, for the time list picker.
+ * Lookup failures only cost the customer the picker, so they are swallowed.
+ * @param {Object} draft - Conversation draft
+ * @returns {Promise<Array<string>>} HH:MM values
+ */
+async function listDepartureTimes(draft) {
+  if (!draft.source || !draft.destination || !draft.date) return [];
+  try {
+    const route = await findDraftRoute(draft);
+    if (!route) return [];
+    const trips = await tripModel.findByRouteDate(route.id, draft.date);
+    return Array.from(new Set(trips.map((trip) => trip.departure_time))).slice(0, MAX_LISTED_DEPARTURES);
+  } catch (error) {
+    console.warn('[message_router] Failed to list departures:', error.message);
+    return [];
+  }
+}
+
+/**
+ * The trip a complete draft points at: the exact departure, or the only one
+ * inside the chosen time window
+ * @param {Object} draft - Conversation draft
+ * @returns {Promise<Object|null>} Trip or null
+ */
+async function findDraftTrip(draft) {
+  if (!draft.source || !draft.destination || !draft.date) return null;
+  try {
+    const route = await findDraftRoute(draft);
+    if (!route) return null;
+    if (draft.time) {
+      return await tripModel.findByRouteDateTime(route.id, draft.date, draft.time);
+    }
+    if (!draft.time_window) return null;
+    const trips = (await tripModel.findByRouteDate(route.id, draft.date))
+      .filter((trip) => isTimeInWindow(trip.departure_time, draft.time_window));
+    return trips.length === 1 ? trips[0] : null;
+  } catch (error) {
+    console.warn('[message_router] Failed to find trip for draft:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Seat map of the draft's trip, or null when there is nothing to pick from
+ * @param {Object} draft - Conversation draft
+ * @returns {Promise<Object|null>} Seat map
+ */
+async function loadDraftSeatMap(draft) {
+  const trip = await findDraftTrip(draft);
+  if (!trip) return null;
+  const seatMap = await seatMapService.getSeatMap(trip.id);
+  if (!seatMap || seatMap.summary[seatMapService.SEAT_STATUSES.AVAILABLE] < (draft.seats || 1)) {
+    return null;
+  }
+  return seatMap;
+}
+
+/**
+ * WhatsApp text listing the free seats, grouped by deck and seat type.
+ * Ladies seats are marked with "*".
+ * @param {Object} seatMap - Result of getSeatMap
+ * @param {string} language - Reply language
+ * @returns {string} Message text
+ */
+function formatSeatMap(seatMap, language = 'en') {
+  const groups = new Map();
+  let hasLadiesSeats = false;
+  seatMap.seats
+    .filter((seat) => seat.status === seatMapService.SEAT_STATUSES.AVAILABLE)
+    .forEach((seat) => {
+      const heading = `${t(language, `deck_${seat.deck}`)} · ${t(language, `seat_type_${seat.seat_type}`)}`;
+      if (!groups.has(heading)) groups.set(heading, []);
+      groups.get(heading).push(seat.is_ladies ? `${seat.label}*` : seat.label);
+      hasLadiesSeats = hasLadiesSeats || seat.is_ladies;
+    });
+
+  const seatLines = Array.from(groups.entries())
+    .map(([heading, labels]) => `${heading}:\n${labels.join(' ')}`)
+    .join('\n\n');
+  const text = t(language, 'seat_map', {
+    date: seatMap.journey_date,
+    time: seatMap.departure_time,
+    seats: seatLines
+  });
+  return hasLadiesSeats ? `${text}\n${t(language, 'seat_map_ladies')}` : text;
+}
+
+/**
+ * Attach the seat map to seat-choice replies and check chosen seats against it.
+ * Without a seat map the customer goes back to the summary, and seats are
+ * allocated automatically.
+ * @param {string} previousState - State before the message was applied
+ * @param {Object} result - Result of advanceConversation
+ * @param {string} language - Reply language
+ * @returns {Promise<Object>} Adjusted result, plus the seat map when one was loaded
+ */
+async function applySeatChoice(previousState, result, language) {
+  const { session } = result;
+  const enteringChoice = session.state === CONVERSATION_STATES.AWAITING_SEAT_CHOICE;
+  const seatsChosen = previousState === CONVERSATION_STATES.AWAITING_SEAT_CHOICE &&
+    session.state === CONVERSATION_STATES.AWAITING_CONFIRMATION &&
+    Array.isArray(session.draft.seat_labels);
+  if (!enteringChoice && !seatsChosen) {
+    return result;
+  }
+
+  const seatMap = await loadDraftSeatMap(session.draft);
+  if (!seatMap) {
+    const draft = { ...session.draft };
+    delete draft.seat_labels;
+    return {
+      ...result,
+      session: { ...session, state: CONVERSATION_STATES.AWAITING_CONFIRMATION, draft },
+      reply: `${t(language, 'seat_map_unavailable')}\n\n` +
+        buildPrompt(CONVERSATION_STATES.AWAITING_CONFIRMATION, draft, language)
+    };
+  }
+
+  if (enteringChoice) {
+    return { ...result, reply: `${formatSeatMap(seatMap, language)}\n\n${result.reply}`, seatMap };
+  }
+
+  const { unknown, unavailable } = seatMapService.resolveSeatLabels(seatMap, session.draft.seat_labels);
+  const rejected = [...unknown, ...unavailable];
+  if (rejected.length === 0) {
+    return { ...result, seatMap };
+  }
+  const draft = { ...session.draft };
+  delete draft.seat_labels;
+  return {
+    ...result,
+    session: { ...session, state: CONVERSATION_STATES.AWAITING_SEAT_CHOICE, draft },
+    reply: `${t(language, 'seat_choice_unavailable', { labels: rejected.join(', ') })}\n\n` +
+      `${formatSeatMap(seatMap, language)}\n\n` +
+      buildPrompt(CONVERSATION_STATES.AWAITING_SEAT_CHOICE, draft, language),
+    seatMap
+  };
+}
+
+/**
+ * Buttons or list picker to attach to a conversation reply
+ * @param {Object} session - Session after the message was applied
+ * @param {string} language - Reply language
+ * @param {Object|null} seatMap - Seat map already loaded for this reply
+ * @returns {Promise<Object|null>} { buttons } | { list } | null
+ */
+async function buildInteractiveReply(session, language, seatMap = null) {
+  if (session.state === CONVERSATION_STATES.AWAITING_CONFIRMATION) {
+    const draft = session.draft || {};
+    const seatChoice = !draft.seat_labels && Boolean(seatMap || await loadDraftSeatMap(draft));
+    return { buttons: buildConfirmationButtons(language, { seatChoice }) };
+  }
+  if (session.state === CONVERSATION_STATES.AWAITING_TIME) {
+    const departureTimes = await listDepartureTimes(session.draft || {});
+    return departureTimes.length > 0 ? { list: buildTripTimeList(departureTimes, language) } : null;
+  }
+  return null;
+}
+
+/**
+ * Route an inbound customer text through the booking conversation.
+ *
+ * A message that already contains a complete booking request skips the
+ * conversation entirely; anything else advances the customer's session.
+ *
+ * @param {string} phoneNumber - Normalized customer phone number
+ * @param {string} messageText - Inbound message text
+ * @param {Object} options - { language } reply language for conversation prompts
+ * @returns {Promise<Object>} { handled, reply, interactive, bookingRequest }
+ *   interactive - buttons or list picker to send with the reply, or null
+ */
+async function routeCustomerMessage(phoneNumber, messageText, options = {}) {
+  const fullRequest = parseBookingRequest(messageText);
+  if (fullRequest) {
+    await sessionStore.clearSession(phoneNumber);
+    return { handled: true, reply: null, interactive: null, bookingRequest: fullRequest };
+  }
+
+  const session = (await sessionStore.getSession(phoneNumber)) || createSession(phoneNumber);
+  const result = await applySeatChoice(
+    session.state,
+    advanceConversation(session, messageText, options),
+    options.language
+  );
+
+  if (!result.handled) {
+    return { handled: false, reply: null, interactive: null, bookingRequest: null };
+  }
+
+  if (result.session.state === CONVERSATION_STATES.IDLE) {
+    await sessionStore.clearSession(phoneNumber);
+  } else {
+    await sessionStore.saveSession({ ...result.session, phone_number: phoneNumber });
+  }
+
+  return {
+    handled: true,
+    reply: result.reply,
+    interactive: result.reply
+      ? await buildInteractiveReply(result.session, options.language, result.seatMap)
+      : null,
+    bookingRequest: result.bookingRequest
+  };
+}
+
+/**
+ * Put the customer back on the departure-time question when a time window
+ * ("evening") matches more than one trip, listing the departures to choose from.
+ *
+ * @param {string} phoneNumber - Normalized customer phone number
+ * @param {Object} bookingRequest - Request that carried the time window
+ * @param {Array<string>} departureTimes - HH:MM departures inside the window
+ * @param {string} language - Reply language
+ * @returns {Promise<Object>} { reply, interactive } text plus a list picker of the departures
+ */
+async function askForDepartureTime(phoneNumber, bookingRequest, departureTimes, language = 'en') {
+  const draft = {
+    source: bookingRequest.source,
+    destination: bookingRequest.destination,
+    date: bookingRequest.date,
+    seats: bookingRequest.seats
+  };
+  await sessionStore.saveSession({
+    phone_number: phoneNumber,
+    state: CONVERSATION_STATES.AWAITING_TIME,
+    draft
+  });
+
+  return {
+    reply: t(language, 'departure_choice', {
+      date: bookingRequest.date,
+      options: departureTimes.map((time) => `• ${time}`).join('\n')
+    }),
+    interactive: {
+      list: buildTripTimeList(departureTimes.slice(0, MAX_LISTED_DEPARTURES), language)
+    }
+  };
+}
+
+/**
+ * Put the customer back on the route question when their cities match
+ * several different routes, offering those routes as suggestions.
+ *
+ * @param {string} phoneNumber - Normalized customer phone number
+ * @param {Object} bookingRequest - Request whose route was unclear
+ * @param {Array<Object>} routes - Suggested routes ({ source, destination })
+ * @param {string} language - Reply language
+ * @returns {Promise<string>} Reply text
+ */
+async function askToChooseRoute(phoneNumber, bookingRequest, routes, language = 'en') {
+  const draft = {
+    date: bookingRequest.date,
+    seats: bookingRequest.seats
+  };
+  if (bookingRequest.time) {
+    draft.time = bookingRequest.time;
+  } else if (bookingRequest.time_window) {
+    draft.time_window = bookingRequest.time_window;
+  }
+  await sessionStore.saveSession({
+    phone_number: phoneNumber,
+    state: CONVERSATION_STATES.AWAITING_ROUTE,
+    draft
+  });
+
+  return t(language, 'route_choice', {
+    source: bookingRequest.source,
+    destination: bookingRequest.destination,
+    options: routes.map((route) => `• ${route.source} to ${route.destination}`).join('\n')
+  });
+}
+
+/**
+ * Put the customer back on the seat question when the seats they picked were
+ * taken between the seat map and the hold.
+ *
+ * @param {string} phoneNumber - Normalized customer phone number
+ * @param {Object} bookingRequest - Request that carried the seat labels
+ * @param {Object} trip - Trip the seats were picked on
+ * @param {Array<string>} takenLabels - Labels that could not be held
+ * @param {string} language - Reply language
+ * @returns {Promise<string>} Reply text
+ */
+async function askToChooseSeats(phoneNumber, bookingRequest, trip, takenLabels, language = 'en') {
+  const draft = {
+    source: bookingRequest.source,
+    destination: bookingRequest.destination,
+    date: bookingRequest.date,
+    time: trip.departure_time,
+    seats: bookingRequest.seats
+  };
+  const seatMap = await seatMapService.getSeatMap(trip.id);
+  const taken = t(language, 'seats_taken', { labels: takenLabels.join(', ') });
+
+  if (!seatMap || seatMap.summary[seatMapService.SEAT_STATUSES.AVAILABLE] < bookingRequest.seats) {
+    await sessionStore.clearSession(phoneNumber);
+    return `${taken}\n\n${t(language, 'seats_limited', {
+      available: seatMap ? seatMap.summary[seatMapService.SEAT_STATUSES.AVAILABLE] : 0
+    })}`;
+  }
+
+  await sessionStore.saveSession({
+    phone_number: phoneNumber,
+    state: CONVERSATION_STATES.AWAITING_SEAT_CHOICE,
+    draft
+  });
+  return `${taken}\n\n${formatSeatMap(seatMap, language)}\n\n` +
+    buildPrompt(CONVERSATION_STATES.AWAITING_SEAT_CHOICE, draft, language);
+}
+
+/**
+ * Offer trips the customer can book instead of one that is full or missing,
+ * as a numbered list they answer with the number of their choice.
+ *
+ * @param {string} phoneNumber - Normalized customer phone number
+ * @param {Object} bookingRequest - Request that could not be served
+ * @param {Array<Object>} alternatives - Result of findAlternativeTrips
+ * @param {string} language - Reply language
+ * @returns {Promise<string>} Reply text listing the alternatives
+ */
+async function offerAlternatives(phoneNumber, bookingRequest, alternatives, language = 'en') {
+  const draft = {
+    source: bookingRequest.source,
+    destination: bookingRequest.destination,
+    date: bookingRequest.date,
+    seats: bookingRequest.seats,
+    alternatives: alternatives.map(({ route_id, source, destination, date, time }) => ({
+      route_id,
+      source,
+      destination,
+      date,
+      time
+    }))
+  };
+  if (bookingRequest.time) {
+    draft.time = bookingRequest.time;
+  } else if (bookingRequest.time_window) {
+    draft.time_window = bookingRequest.time_window;
+  }
+  await sessionStore.saveSession({
+    phone_number: phoneNumber,
+    state: CONVERSATION_STATES.AWAITING_ALTERNATIVE,
+    draft
+  });
+
+  const options = alternatives.map((alternative, index) => t(language, 'alternative_line', {
+    number: index + 1,
+    date: alternative.date,
+    time: alternative.time,
+    source: alternative.source,
+    destination: alternative.destination,
+    // Only other operators' buses are told apart by operator
+    operator: alternative.kind === ALTERNATIVE_KINDS.OTHER_ROUTE && alternative.operator_name ? ` (${alternative.operator_name})` : '',
+    price: alternative.price * bookingRequest.seats,
+    available: alternative.available_seats
+  }));
+  return t(language, 'alternatives_choice', { options: options.join('\n') });
+}
+
+module.exports = {
+  routeCustomerMessage,
+  askToChooseSeats,
+  formatSeatMap,
+  askForDepartureTime,
+  askToChooseRoute,
+  offerAlternatives
+};
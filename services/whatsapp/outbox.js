@@ -0,0 +1,274 @@
+const outboundMessageModel = require('../../models/outboundMessage');
+const messageLogModel = require('../../models/messageLog');
+const whatsappService = require('../whatsapp');
+const { sendCustomerNotification } = require('./customer_notifier');
+const { NonRetryableError } = require('../errors');
+const metrics = require('../observability/metrics');
+
+const OUTBOX_MAX_ATTEMPTS = Number.parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '6', 10);
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+// A send that has not finished after this long is assumed lost with its worker.
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+const KINDS = Object.freeze({
+  TEXT: 'text',
+  BUTTONS: 'buttons',
+  LIST: 'list',
+  NOTIFICATION: 'notification'
+});
+
+/**
+ * Delay before the next attempt: 30s, 1m, 2m, 4m, ... capped at one hour
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number} Delay in milliseconds
+ */
+function computeRetryDelayMs(attempts) {
+  return Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Client errors (bad number, rejected template) will fail the same way on
+ * every attempt; rate limits, server errors and network errors may not.
+ * @param {Error} error - Send error
+ * @returns {boolean} True when retrying can help
+ */
+function isRetryable(error) {
+  if (error instanceof NonRetryableError) return false;
+  if (error.status && error.status >= 400 && error.status < 500 && error.status !== 429) {
+    return false;
+  }
+  return true;
+}
+
+async function deliver(message) {
+  const { recipient_phone: phone, payload } = message;
+  switch (message.kind) {
+    case KINDS.TEXT:
+      return whatsappService.sendMessage(phone, payload.text);
+    case KINDS.BUTTONS:
+      return whatsappService.sendReplyButtons(phone, payload.text, payload.buttons);
+    case KINDS.LIST:
+      return whatsappService.sendListMessage(phone, payload.text, payload.button, payload.sections);
+    case KINDS.NOTIFICATION: {
+      // The session window is checked at send time, so a retry after the
+      // window has closed goes out as a template.
+      const result = await sendCustomerNotification(phone, payload.key, payload.params, {
+        language: payload.language || undefined,
+        forceTemplate: Boolean(payload.forceTemplate)
+      });
+      return result.response;
+    }
+    default:
+      throw new NonRetryableError(`Unknown outbound message kind: ${message.kind}`, {
+        code: 'OUTBOX_UNKNOWN_KIND'
+      });
+  }
+}
+
+/**
+ * Make one delivery attempt for a queued message
+ * @param {Object} message - Outbound message row
+ * @param {Date} now - Attempt time
+ * @returns {Promise<string|null>} 'sent', 'retry', 'dead', or null if the message could not be claimed
+ */
+async function attemptDelivery(message, now = new Date()) {
+  const claimed = await outboundMessageModel.claim(message.id, now);
+  if (!claimed) {
+    return null;
+  }
+
+  const attempts = message.attempts + 1;
+  let providerMessageId = null;
+  try {
+    const response = await deliver(message);
+    providerMessageId = response?.messages?.[0]?.id || null;
+    await outboundMessageModel.markSent(message.id, {
+      attempts,
+      provider_message_id: providerMessageId
+    });
+  } catch (error) {
+    const retry = isRetryable(error) && attempts < message.max_attempts;
+    await outboundMessageModel.markFailed(message.id, {
+      status: retry ? 'pending' : 'dead',
+      attempts,
+      next_attempt_at: new Date(now.getTime() + (retry ? computeRetryDelayMs(attempts) : 0)),
+      last_error: error.message
+    });
+
+    if (retry) {
+      console.warn(`[outbox] Message ${message.id} to ${message.recipient_phone} failed (attempt ${attempts}), will retry:`, error.message);
+      return 'retry';
+    }
+
+    metrics.increment('outbox_dead_letters', 1, { kind: message.kind, log_type: message.log_type || 'none' });
+    console.error(`[outbox] Message ${message.id} to ${message.recipient_phone} dead-lettered after ${attempts} attempt(s):`, error.message);
+    return 'dead';
+  }
+
+  if (message.log_type) {
+    try {
+      await messageLogModel.create({
+        booking_id: message.booking_id,
+        type: message.log_type,
+        outbound_message_id: message.id,
+        wa_message_id: providerMessageId,
+        delivery_status: providerMessageId ? 'sent' : null
+      });
+    } catch (logError) {
+      console.warn(`[outbox] Failed to log message ${message.id}:`, logError.message);
+    }
+  }
+  return 'sent';
+}
+
+/**
+ * Send everything that is due for one recipient, oldest first.
+ * Stops at the first failure so later messages never overtake it.
+ * @param {string} recipientPhone - Normalized phone number
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { sent, retried, dead }
+ */
+async function drainRecipient(recipientPhone, now = new Date()) {
+  const result = { sent: 0, retried: 0, dead: 0 };
+  for (;;) {
+    const [head] = await outboundMessageModel.findDue(now, { recipientPhone, limit: 1 });
+    if (!head) break;
+
+    const outcome = await attemptDelivery(head, now);
+    if (outcome === 'sent') {
+      result.sent += 1;
+    } else if (outcome === 'dead') {
+      result.dead += 1;
+    } else {
+      if (outcome === 'retry') result.retried += 1;
+      break;
+    }
+  }
+  return result;
+}
+
+/**
+ * Queue a message and try to send it straight away.
+ * A failed first attempt is left in the queue for processOutbox to retry.
+ *
+ * @param {Object} options - Message options
+ * @param {string} options.phone - Recipient phone number
+ * @param {string} options.kind - One of KINDS
+ * @param {Object} options.payload - Kind-specific content
+ * @param {number|null} options.bookingId - Booking the message is about
+ * @param {string|null} options.logType - message_logs type written once sent
+ * @param {boolean} options.deliverNow - Attempt delivery before returning (default true)
+ * @returns {Promise<Object>} Outbound message row after the first attempt
+ */
+async function enqueue({ phone, kind, payload, bookingId = null, logType = null, deliverNow = true }) {
+  const message = await outboundMessageModel.create({
+    recipient_phone: phone,
+    kind,
+    payload,
+    booking_id: bookingId,
+    log_type: logType,
+    max_attempts: OUTBOX_MAX_ATTEMPTS
+  });
+
+  if (deliverNow) {
+    try {
+      await drainRecipient(phone);
+    } catch (error) {
+      console.error(`[outbox] Immediate delivery to ${phone} failed:`, error.message);
+    }
+  }
+  return outboundMessageModel.findById(message.id);
+}
+
+/**
+ * Queue a plain text message
+ * @param {string} phone - Recipient phone number
+ * @param {string} text - Message text
+ * @param {Object} options - { bookingId, logType, deliverNow }
+ * @returns {Promise<Object>} Outbound message row
+ */
+async function queueText(phone, text, options = {}) {
+  return enqueue({ ...options, phone, kind: KINDS.TEXT, payload: { text } });
+}
+
+/**
+ * Queue a message with reply buttons
+ * @param {string} phone - Recipient phone number
+ * @param {string} text - Message text
+ * @param {Array<Object>} buttons - [{ id, title }]
+ * @param {Object} options - { bookingId, logType, deliverNow }
+ * @returns {Promise<Object>} Outbound message row
+ */
+async function queueReplyButtons(phone, text, buttons, options = {}) {
+  return enqueue({ ...options, phone, kind: KINDS.BUTTONS, payload: { text, buttons } });
+}
+
+/**
+ * Queue a list picker message
+ * @param {string} phone - Recipient phone number
+ * @param {string} text - Message text
+ * @param {string} button - Label of the button that opens the list
+ * @param {Array<Object>} sections - [{ title, rows: [{ id, title, description }] }]
+ * @param {Object} options - { bookingId, logType, deliverNow }
+ * @returns {Promise<Object>} Outbound message row
+ */
+async function queueListMessage(phone, text, button, sections, options = {}) {
+  return enqueue({ ...options, phone, kind: KINDS.LIST, payload: { text, button, sections } });
+}
+
+/**
+ * Queue a catalog notification for a customer (text or template fallback)
+ * @param {string} phone - Customer phone number
+ * @param {string} key - Catalog key
+ * @param {Object} params - Placeholder values
+ * @param {Object} options - { language, bookingId, logType, deliverNow }
+ * @returns {Promise<Object>} Outbound message row
+ */
+async function queueCustomerNotification(phone, key, params = {}, options = {}) {
+  const { language = null, ...enqueueOptions } = options;
+  return enqueue({
+    ...enqueueOptions,
+    phone,
+    kind: KINDS.NOTIFICATION,
+    payload: { key, params, language }
+  });
+}
+
+/**
+ * Retry due messages across all recipients. Run periodically.
+ * @param {Object} options - { now, limit }
+ * @returns {Promise<Object>} { sent, retried, dead }
+ */
+async function processOutbox({ now = new Date(), limit = 50 } = {}) {
+  const released = await outboundMessageModel.releaseStaleClaims(new Date(now.getTime() - STALE_CLAIM_MS));
+  if (released > 0) {
+    console.warn(`[outbox] Released ${released} stale claim(s)`);
+  }
+
+  const due = await outboundMessageModel.findDue(now, { limit });
+  const recipients = [...new Set(due.map((message) => message.recipient_phone))];
+  const totals = { sent: 0, retried: 0, dead: 0 };
+
+  for (const recipient of recipients) {
+    const result = await drainRecipient(recipient, now);
+    totals.sent += result.sent;
+    totals.retried += result.retried;
+    totals.dead += result.dead;
+  }
+  return totals;
+}
+
+module.exports = {
+  KINDS,
+  computeRetryDelayMs,
+  isRetryable,
+  attemptDelivery,
+  drainRecipient,
+  enqueue,
+  queueText,
+  queueReplyButtons,
+  queueListMessage,
+  queueCustomerNotification,
+  processOutbox
+};
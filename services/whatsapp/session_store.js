@@ -0,0 +1,119 @@
+const { getDatabase } = require('../../database');
+
+const SESSION_TTL_MINUTES = Number.parseInt(
+  process.env.WHATSAPP_SESSION_TTL_MINUTES || '30', 10
+);
+
+function parseDraft(value) {
+  if (!value || typeof value !== 'string') return {};
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function mapRow(row) {
+  if (!row) return null;
+  return {
+    phone_number: row.phone_number,
+    state: row.state,
+    draft: parseDraft(row.draft),
+    updated_at: row.updated_at,
+    expires_at: row.expires_at
+  };
+}
+
+/**
+ * Load the active conversation session for a customer.
+ * Sessions idle for longer than WHATSAPP_SESSION_TTL_MINUTES are treated as absent.
+ * @param {string} phoneNumber - Normalized customer phone number
+ * @returns {Promise<Object|null>} Session or null
+ */
+async function getSession(phoneNumber) {
+  const db = await getDatabase();
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT * FROM conversation_sessions
+       WHERE phone_number = ? AND (expires_at IS NULL OR expires_at > datetime('now'))`,
+      [phoneNumber],
+      (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(mapRow(row));
+      }
+    );
+  });
+}
+
+/**
+ * Create or replace a customer's conversation session and push its expiry forward
+ * @param {Object} session - { phone_number, state, draft }
+ * @returns {Promise<Object>} Stored session
+ */
+async function saveSession(session) {
+  if (!session || !session.phone_number) {
+    throw new Error('session.phone_number is required');
+  }
+  const db = await getDatabase();
+  const ttlClause = `+${SESSION_TTL_MINUTES} minutes`;
+
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO conversation_sessions (phone_number, state, draft, updated_at, expires_at)
+       VALUES (?, ?, ?, datetime('now'), datetime('now', ?))
+       ON CONFLICT(phone_number) DO UPDATE SET
+         state = excluded.state,
+         draft = excluded.draft,
+         updated_at = excluded.updated_at,
+         expires_at = excluded.expires_at`,
+      [
+        session.phone_number,
+        session.state,
+        JSON.stringify(session.draft || {}),
+        ttlClause
+      ],
+      (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        getSession(session.phone_number)
+          .then(resolve)
+          .catch(reject);
+      }
+    );
+  });
+}
+
+/**
+ * Remove a customer's conversation session
+ * @param {string} phoneNumber - Normalized customer phone number
+ * @returns {Promise<number>} Number of rows removed
+ */
+async function clearSession(phoneNumber) {
+  const db = await getDatabase();
+  return new Promise((resolve, reject) => {
+    db.run(
+      'DELETE FROM conversation_sessions WHERE phone_number = ?',
+      [phoneNumber],
+      function (err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(this.changes || 0);
+      }
+    );
+  });
+}
+
+module.exports = {
+  getSession,
+  saveSession,
+  clearSession,
+  SESSION_TTL_MINUTES
+};
@@ -0,0 +1,432 @@
+const { parsePartialBookingRequest } = require('../messageParser');
+const { t } = require('../i18n/translator');
+
+const CONVERSATION_STATES = Object.freeze({
+  IDLE: 'IDLE',
+  AWAITING_ROUTE: 'AWAITING_ROUTE',
+  AWAITING_DATE: 'AWAITING_DATE',
+  AWAITING_TIME: 'AWAITING_TIME',
+  AWAITING_SEATS: 'AWAITING_SEATS',
+  AWAITING_CONFIRMATION: 'AWAITING_CONFIRMATION',
+  AWAITING_SEAT_CHOICE: 'AWAITING_SEAT_CHOICE',
+  AWAITING_ALTERNATIVE: 'AWAITING_ALTERNATIVE'
+});
+
+const CONVERSATION_EVENTS = Object.freeze({
+  DETAILS_PROVIDED: 'DETAILS_PROVIDED',
+  CONFIRM: 'CONFIRM',
+  DECLINE: 'DECLINE',
+  CHOOSE_SEATS: 'CHOOSE_SEATS',
+  SEATS_CHOSEN: 'SEATS_CHOSEN',
+  ALTERNATIVE_CHOSEN: 'ALTERNATIVE_CHOSEN',
+  RESET: 'RESET'
+});
+
+// Customers may answer several questions in one message or correct an earlier
+// answer, so providing details can move to any slot-filling state.
+const SLOT_STATES = Object.freeze([
+  CONVERSATION_STATES.AWAITING_ROUTE,
+  CONVERSATION_STATES.AWAITING_DATE,
+  CONVERSATION_STATES.AWAITING_TIME,
+  CONVERSATION_STATES.AWAITING_SEATS,
+  CONVERSATION_STATES.AWAITING_CONFIRMATION
+]);
+
+const CONVERSATION_TRANSITIONS = Object.freeze({
+  [CONVERSATION_STATES.IDLE]: {
+    [CONVERSATION_EVENTS.DETAILS_PROVIDED]: SLOT_STATES,
+    [CONVERSATION_EVENTS.RESET]: [CONVERSATION_STATES.IDLE]
+  },
+  [CONVERSATION_STATES.AWAITING_ROUTE]: {
+    [CONVERSATION_EVENTS.DETAILS_PROVIDED]: SLOT_STATES,
+    [CONVERSATION_EVENTS.RESET]: [CONVERSATION_STATES.IDLE]
+  },
+  [CONVERSATION_STATES.AWAITING_DATE]: {
+    [CONVERSATION_EVENTS.DETAILS_PROVIDED]: SLOT_STATES,
+    [CONVERSATION_EVENTS.RESET]: [CONVERSATION_STATES.IDLE]
+  },
+  [CONVERSATION_STATES.AWAITING_TIME]: {
+    [CONVERSATION_EVENTS.DETAILS_PROVIDED]: SLOT_STATES,
+    [CONVERSATION_EVENTS.RESET]: [CONVERSATION_STATES.IDLE]
+  },
+  [CONVERSATION_STATES.AWAITING_SEATS]: {
+    [CONVERSATION_EVENTS.DETAILS_PROVIDED]: SLOT_STATES,
+    [CONVERSATION_EVENTS.RESET]: [CONVERSATION_STATES.IDLE]
+  },
+  [CONVERSATION_STATES.AWAITING_CONFIRMATION]: {
+    [CONVERSATION_EVENTS.DETAILS_PROVIDED]: SLOT_STATES,
+    [CONVERSATION_EVENTS.CONFIRM]: [CONVERSATION_STATES.IDLE],
+    [CONVERSATION_EVENTS.DECLINE]: [CONVERSATION_STATES.IDLE],
+    [CONVERSATION_EVENTS.CHOOSE_SEATS]: [CONVERSATION_STATES.AWAITING_SEAT_CHOICE],
+    [CONVERSATION_EVENTS.RESET]: [CONVERSATION_STATES.IDLE]
+  },
+  [CONVERSATION_STATES.AWAITING_SEAT_CHOICE]: {
+    [CONVERSATION_EVENTS.DETAILS_PROVIDED]: SLOT_STATES,
+    [CONVERSATION_EVENTS.SEATS_CHOSEN]: [CONVERSATION_STATES.AWAITING_CONFIRMATION],
+    [CONVERSATION_EVENTS.RESET]: [CONVERSATION_STATES.IDLE]
+  },
+  [CONVERSATION_STATES.AWAITING_ALTERNATIVE]: {
+    [CONVERSATION_EVENTS.DETAILS_PROVIDED]: SLOT_STATES,
+    [CONVERSATION_EVENTS.ALTERNATIVE_CHOSEN]: [CONVERSATION_STATES.AWAITING_CONFIRMATION],
+    [CONVERSATION_EVENTS.RESET]: [CONVERSATION_STATES.IDLE]
+  }
+});
+
+const RESET_KEYWORDS = Object.freeze(['RESET', 'RESTART', 'START OVER']);
+const CONFIRM_KEYWORDS = Object.freeze([
+  'YES', 'Y', 'CONFIRM', 'OK',
+  'HAAN', 'HAN', 'HA', 'HO', 'हाँ', 'हां', 'हो', 'હા'
+]);
+const DECLINE_KEYWORDS = Object.freeze([
+  'NO', 'N',
+  'NAHI', 'NAHIN', 'NA', 'नहीं', 'नाही', 'ના'
+]);
+const CHOOSE_SEATS_KEYWORDS = Object.freeze(['CHOOSE SEATS', 'SEAT MAP']);
+// Lets the customer leave seat choice and take whichever seats are free
+const ANY_SEATS_KEYWORDS = Object.freeze(['ANY', 'ANY SEATS']);
+// Seat labels such as 7, L1, U12 or 3A
+const SEAT_LABEL_PATTERN = /^[A-Z]{0,2}\d{1,3}[A-Z]?$/;
+// Number of an offered alternative trip, e.g. 2 or #2
+const ALTERNATIVE_CHOICE_PATTERN = /^#?(\d{1,2})$/;
+
+function isAllowedConversationTransition(fromState, event, toState) {
+  const allowed = CONVERSATION_TRANSITIONS[fromState]?.[event];
+  return Array.isArray(allowed) && allowed.includes(toState);
+}
+
+function applyConversationEvent(currentState, event, toState) {
+  const state = currentState || CONVERSATION_STATES.IDLE;
+  if (!isAllowedConversationTransition(state, event, toState)) {
+    return { ok: false, state, error: 'INVALID_CONVERSATION_TRANSITION' };
+  }
+  return { ok: true, state: toState, error: null };
+}
+
+function createSession(phoneNumber) {
+  return {
+    phone_number: phoneNumber,
+    state: CONVERSATION_STATES.IDLE,
+    draft: {}
+  };
+}
+
+/**
+ * Pick the next question to ask based on which booking fields are still missing
+ * @param {Object} draft - Partially collected booking request
+ * @returns {string} Conversation state
+ */
+function getNextState(draft = {}) {
+  if (!draft.source || !draft.destination) {
+    return CONVERSATION_STATES.AWAITING_ROUTE;
+  }
+  if (!draft.date) {
+    return CONVERSATION_STATES.AWAITING_DATE;
+  }
+  if (!draft.time && !draft.time_window) {
+    return CONVERSATION_STATES.AWAITING_TIME;
+  }
+  if (!draft.seats) {
+    return CONVERSATION_STATES.AWAITING_SEATS;
+  }
+  return CONVERSATION_STATES.AWAITING_CONFIRMATION;
+}
+
+function formatDraftSeats(draft) {
+  if (!Array.isArray(draft.seat_labels) || draft.seat_labels.length === 0) {
+    return draft.seats;
+  }
+  return `${draft.seats} (${draft.seat_labels.join(', ')})`;
+}
+
+/**
+ * Read the seat labels of a seat-choice reply, e.g. "L1, L2" or "7 8"
+ * @param {string} upperText - Upper-cased message text
+ * @returns {Array<string>|null} Labels, or null when the text is not a list of seats
+ */
+function parseSeatLabels(upperText) {
+  const labels = upperText.split(/[\s,]+/).filter(Boolean);
+  if (labels.length === 0 || !labels.every((label) => SEAT_LABEL_PATTERN.test(label))) {
+    return null;
+  }
+  return Array.from(new Set(labels));
+}
+
+function formatDraftTime(draft, language) {
+  if (draft.time) return draft.time;
+  const window = draft.time_window;
+  return window ? `${t(language, `window_${window.label}`)} (${window.from}–${window.to})` : '';
+}
+
+/**
+ * Ask the customer to pick between the readings of an ambiguous date or time
+ * @param {Object} ambiguities - { date: [...], time: [...] } candidate values
+ * @param {string} language - Reply language
+ * @returns {string} Message text
+ */
+function buildClarificationPrompt(ambiguities, language = 'en') {
+  const field = ambiguities.date ? 'date' : 'time';
+  const options = ambiguities[field].map((candidate) => `• ${candidate}`).join('\n');
+  return t(language, `clarify_${field}`, { options });
+}
+
+/**
+ * Build the question (or summary) sent to the customer for a state
+ * @param {string} state - Conversation state
+ * @param {Object} draft - Partially collected booking request
+ * @param {string} language - Reply language
+ * @returns {string|null} Message text
+ */
+function buildPrompt(state, draft = {}, language = 'en') {
+  switch (state) {
+    case CONVERSATION_STATES.AWAITING_ROUTE:
+      return t(language, 'prompt_route');
+    case CONVERSATION_STATES.AWAITING_DATE:
+      return t(language, 'prompt_date', draft);
+    case CONVERSATION_STATES.AWAITING_TIME:
+      return t(language, 'prompt_time', draft);
+    case CONVERSATION_STATES.AWAITING_SEATS:
+      return t(language, 'prompt_seats');
+    case CONVERSATION_STATES.AWAITING_CONFIRMATION:
+      return t(language, 'prompt_confirmation', {
+        ...draft,
+        time: formatDraftTime(draft, language),
+        seats: formatDraftSeats(draft)
+      });
+    case CONVERSATION_STATES.AWAITING_SEAT_CHOICE:
+      return t(language, 'prompt_seat_choice', { seats: draft.seats });
+    case CONVERSATION_STATES.AWAITING_ALTERNATIVE:
+      return t(language, 'prompt_alternative', { count: (draft.alternatives || []).length });
+    default:
+      return null;
+  }
+}
+
+function extractStepInput(state, messageText, options) {
+  const partial = parsePartialBookingRequest(messageText, {
+    ...options,
+    bareHour: state === CONVERSATION_STATES.AWAITING_TIME
+  });
+  if (state === CONVERSATION_STATES.AWAITING_SEATS && partial.seats === undefined) {
+    const bareNumber = messageText.trim().match(/^(\d+)$/);
+    if (bareNumber) {
+      partial.seats = parseInt(bareNumber[1], 10);
+    }
+  }
+  return partial;
+}
+
+function hasBookingFields(partial) {
+  return ['source', 'destination', 'date', 'time', 'time_window', 'seats', 'ambiguities'].some(
+    (field) => partial[field] !== undefined && partial[field] !== null
+  );
+}
+
+/**
+ * Advance a customer's conversation by one inbound message.
+ * Pure function: the caller is responsible for persisting the returned session.
+ *
+ * @param {Object} session - Current session ({ phone_number, state, draft })
+ * @param {string} messageText - Inbound message text
+ * @param {Object} options - { language, now, timeZone }
+ * @returns {Object} { handled, session, reply, bookingRequest }
+ *   handled        - false when the message is not part of a booking conversation
+ *   reply          - text to send back to the customer (null when a booking is ready)
+ *   bookingRequest - completed request once the customer confirms
+ */
+function advanceConversation(session, messageText, options = {}) {
+  const current = session || createSession(null);
+  const state = current.state || CONVERSATION_STATES.IDLE;
+  const draft = { ...(current.draft || {}) };
+  const upperText = String(messageText || '').toUpperCase().trim();
+  const language = options.language || 'en';
+
+  if (RESET_KEYWORDS.includes(upperText)) {
+    const transition = applyConversationEvent(state, CONVERSATION_EVENTS.RESET, CONVERSATION_STATES.IDLE);
+    return {
+      handled: true,
+      session: { ...current, state: transition.state, draft: {} },
+      reply: t(language, 'start_over', {
+        prompt: buildPrompt(CONVERSATION_STATES.AWAITING_ROUTE, {}, language)
+      }),
+      bookingRequest: null
+    };
+  }
+
+  if (state === CONVERSATION_STATES.AWAITING_CONFIRMATION) {
+    if (CONFIRM_KEYWORDS.includes(upperText)) {
+      const transition = applyConversationEvent(state, CONVERSATION_EVENTS.CONFIRM, CONVERSATION_STATES.IDLE);
+      return {
+        handled: true,
+        session: { ...current, state: transition.state, draft: {} },
+        reply: null,
+        bookingRequest: {
+          source: draft.source,
+          destination: draft.destination,
+          date: draft.date,
+          time: draft.time || null,
+          ...(draft.time_window ? { time_window: draft.time_window } : {}),
+          seats: draft.seats,
+          ...(draft.route_id ? { route_id: draft.route_id } : {}),
+          ...(draft.seat_labels ? { seat_labels: draft.seat_labels } : {})
+        }
+      };
+    }
+    if (DECLINE_KEYWORDS.includes(upperText)) {
+      const transition = applyConversationEvent(state, CONVERSATION_EVENTS.DECLINE, CONVERSATION_STATES.IDLE);
+      return {
+        handled: true,
+        session: { ...current, state: transition.state, draft: {} },
+        reply: t(language, 'discarded', {
+          prompt: buildPrompt(CONVERSATION_STATES.AWAITING_ROUTE, {}, language)
+        }),
+        bookingRequest: null
+      };
+    }
+    if (CHOOSE_SEATS_KEYWORDS.includes(upperText)) {
+      const transition = applyConversationEvent(
+        state,
+        CONVERSATION_EVENTS.CHOOSE_SEATS,
+        CONVERSATION_STATES.AWAITING_SEAT_CHOICE
+      );
+      return {
+        handled: true,
+        session: { ...current, state: transition.state, draft },
+        reply: buildPrompt(transition.state, draft, language),
+        bookingRequest: null
+      };
+    }
+  }
+
+  if (state === CONVERSATION_STATES.AWAITING_SEAT_CHOICE) {
+    const labels = ANY_SEATS_KEYWORDS.includes(upperText) ? [] : parseSeatLabels(upperText);
+    if (labels && labels.length > 0 && labels.length !== draft.seats) {
+      return {
+        handled: true,
+        session: current,
+        reply: t(language, 'seat_choice_count', { seats: draft.seats }),
+        bookingRequest: null
+      };
+    }
+    if (labels) {
+      if (labels.length > 0) {
+        draft.seat_labels = labels;
+      } else {
+        delete draft.seat_labels;
+      }
+      const transition = applyConversationEvent(
+        state,
+        CONVERSATION_EVENTS.SEATS_CHOSEN,
+        CONVERSATION_STATES.AWAITING_CONFIRMATION
+      );
+      return {
+        handled: true,
+        session: { ...current, state: transition.state, draft },
+        reply: buildPrompt(transition.state, draft, language),
+        bookingRequest: null
+      };
+    }
+  }
+
+  if (state === CONVERSATION_STATES.AWAITING_ALTERNATIVE) {
+    const choice = upperText.match(ALTERNATIVE_CHOICE_PATTERN);
+    if (choice) {
+      const alternatives = draft.alternatives || [];
+      const picked = alternatives[Number.parseInt(choice[1], 10) - 1];
+      if (!picked) {
+        return {
+          handled: true,
+          session: current,
+          reply: buildPrompt(state, draft, language),
+          bookingRequest: null
+        };
+      }
+      // The chosen trip is pinned by route, so another operator's route stays chosen
+      const chosenDraft = {
+        source: picked.source,
+        destination: picked.destination,
+        date: picked.date,
+        time: picked.time,
+        seats: draft.seats,
+        route_id: picked.route_id
+      };
+      const transition = applyConversationEvent(
+        state,
+        CONVERSATION_EVENTS.ALTERNATIVE_CHOSEN,
+        CONVERSATION_STATES.AWAITING_CONFIRMATION
+      );
+      return {
+        handled: true,
+        session: { ...current, state: transition.state, draft: chosenDraft },
+        reply: buildPrompt(transition.state, chosenDraft, language),
+        bookingRequest: null
+      };
+    }
+  }
+
+  const extracted = extractStepInput(state, messageText || '', options);
+  const { ambiguities, ...partial } = extracted;
+  if (!hasBookingFields(extracted)) {
+    if (state === CONVERSATION_STATES.IDLE) {
+      return { handled: false, session: current, reply: null, bookingRequest: null };
+    }
+    return {
+      handled: true,
+      session: current,
+      reply: t(language, 'not_understood', { prompt: buildPrompt(state, draft, language) }),
+      bookingRequest: null
+    };
+  }
+
+  Object.keys(partial).forEach((field) => {
+    if (partial[field] !== undefined && partial[field] !== null) {
+      draft[field] = partial[field];
+    }
+  });
+  // Seats picked from the map belong to the trip they were picked on
+  delete draft.seat_labels;
+  // Offered alternatives are only valid as answers to the offer itself
+  delete draft.alternatives;
+  if (partial.source || partial.destination) {
+    delete draft.route_id;
+  }
+  if (partial.time) {
+    delete draft.time_window;
+  } else if (partial.time_window) {
+    delete draft.time;
+  }
+
+  let nextState = getNextState(draft);
+  if (ambiguities) {
+    nextState = ambiguities.date
+      ? CONVERSATION_STATES.AWAITING_DATE
+      : CONVERSATION_STATES.AWAITING_TIME;
+  }
+
+  const transition = applyConversationEvent(
+    state,
+    CONVERSATION_EVENTS.DETAILS_PROVIDED,
+    nextState
+  );
+
+  return {
+    handled: true,
+    session: { ...current, state: transition.state, draft },
+    reply: ambiguities
+      ? buildClarificationPrompt(ambiguities, language)
+      : buildPrompt(transition.state, draft, language),
+    bookingRequest: null
+  };
+}
+
+module.exports = {
+  CONVERSATION_STATES,
+  CONVERSATION_EVENTS,
+  applyConversationEvent,
+  isAllowedConversationTransition,
+  createSession,
+  getNextState,
+  buildPrompt,
+  buildClarificationPrompt,
+  parseSeatLabels,
+  advanceConversation
+};
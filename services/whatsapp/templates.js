@@ -0,0 +1,134 @@
+const { normalizeLanguage } = require('../i18n/translator');
+
+// Approved message templates used when the customer's 24-hour session window
+// has closed. Keys match the i18n catalog; `params` lists the catalog
+// placeholders in the order of the template's {{1}}, {{2}}, ... variables.
+// Each template must be approved in WhatsApp Manager under this name for
+// every supported language.
+const TEMPLATES = Object.freeze({
+  hold_notification: {
+    name: 'booking_hold',
+    params: ['booking_id', 'source', 'destination', 'date', 'time', 'seats', 'price', 'hold_minutes']
+  },
+  booking_received: {
+    name: 'booking_received',
+    params: ['booking_id', 'source', 'destination', 'date', 'time', 'seats', 'price']
+  },
+  booking_confirmed: {
+    name: 'booking_confirmed',
+    params: ['booking_id', 'source', 'destination', 'date', 'time', 'seats', 'price']
+  },
+  ticket_confirmed: {
+    name: 'ticket_confirmed',
+    params: ['booking_id', 'source', 'destination', 'date', 'time', 'seats']
+  },
+  booking_rejected: {
+    name: 'booking_rejected',
+    params: ['booking_id', 'source', 'destination', 'date']
+  },
+  waitlist_hold: {
+    name: 'waitlist_hold',
+    params: ['booking_id', 'source', 'destination', 'date', 'time', 'seats', 'price', 'hold_minutes']
+  },
+  price_updated: {
+    name: 'price_updated',
+    params: ['booking_id', 'previous_price', 'price']
+  },
+  payment_link: {
+    name: 'payment_link',
+    params: ['booking_id', 'price', 'pay_link_url']
+  },
+  late_payment_confirmed: {
+    name: 'late_payment_confirmed',
+    params: ['booking_id']
+  },
+  late_payment_refunded: {
+    name: 'late_payment_refunded',
+    params: ['booking_id', 'amount']
+  },
+  cancelled_payment_refunded: {
+    name: 'cancelled_payment_refunded',
+    params: ['booking_id', 'amount']
+  },
+  short_payment_refunded: {
+    name: 'short_payment_refunded',
+    params: ['booking_id', 'amount', 'price']
+  },
+  refund_pending: {
+    name: 'refund_pending',
+    params: ['booking_id', 'amount']
+  },
+  refund_processed: {
+    name: 'refund_processed',
+    params: ['booking_id', 'amount']
+  },
+  refund_failed: {
+    name: 'refund_failed',
+    params: ['booking_id', 'amount']
+  },
+  refund_not_eligible: {
+    name: 'refund_not_eligible',
+    params: ['booking_id', 'amount']
+  },
+  reminder: {
+    name: 'journey_reminder',
+    params: ['source', 'destination', 'date', 'time']
+  }
+});
+
+// Template language codes as registered in WhatsApp Manager
+const TEMPLATE_LANGUAGE_CODES = Object.freeze({
+  en: 'en',
+  hi: 'hi',
+  mr: 'mr',
+  gu: 'gu'
+});
+
+const MISSING_VALUE = '-';
+
+/**
+ * Look up the approved template for a catalog message
+ * @param {string} key - Catalog key
+ * @returns {Object|null} { name, params } or null when no template is registered
+ */
+function getTemplate(key) {
+  return TEMPLATES[key] || null;
+}
+
+/**
+ * Build the template name, language and ordered body parameters for a message
+ * @param {string} key - Catalog key
+ * @param {Object} params - Placeholder values (same as for t())
+ * @param {string} language - Customer language
+ * @returns {Object} { name, languageCode, bodyParameters }
+ */
+function buildTemplateMessage(key, params, language) {
+  const template = getTemplate(key);
+  if (!template) {
+    throw new Error(`No approved template registered for ${key}`);
+  }
+
+  const bodyParameters = template.params.map((name) => {
+    const value = params[name];
+    // The Cloud API rejects empty template variables, so a missing value is
+    // sent as a dash rather than dropping the whole notification.
+    if (value === undefined || value === null || value === '') {
+      console.warn(`[templates] ${template.name} has no value for ${name}`);
+      return MISSING_VALUE;
+    }
+    return String(value);
+  });
+
+  return {
+    name: template.name,
+    languageCode: TEMPLATE_LANGUAGE_CODES[normalizeLanguage(language)],
+    bodyParameters
+  };
+}
+
+module.exports = {
+  TEMPLATES,
+  TEMPLATE_LANGUAGE_CODES,
+  getTemplate,
+  buildTemplateMessage
+};
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const ticketAttachmentModel = require('../../models/ticketAttachment');
+const whatsappService = require('../whatsapp');
+const { getStorageBackend } = require('../storage/storage_registry');
+const { NonRetryableError } = require('../errors');
+
+// Meta keeps media for about 30 days; retries stop well before that.
+const TICKET_ARCHIVE_MAX_ATTEMPTS = 10;
+
+const FILE_EXTENSIONS = Object.freeze({
+  'application/pdf': '.pdf',
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp'
+});
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Storage key for an archived ticket, e.g. "tickets/12/ticket-3-9f86d081884c.pdf"
+ * @param {Object} attachment - Ticket attachment row
+ * @param {string} checksum - SHA-256 of the file (hex)
+ * @param {string|null} mimeType - File MIME type
+ * @returns {string} Storage key
+ */
+function buildStorageKey(attachment, checksum, mimeType) {
+  const extension = FILE_EXTENSIONS[mimeType] || '';
+  return `tickets/${attachment.booking_id}/ticket-${attachment.id}-${checksum.slice(0, 12)}${extension}`;
+}
+
+/**
+ * Download a ticket from WhatsApp and keep a copy in storage.
+ * Already archived tickets are returned unchanged.
+ * @param {Object} attachment - Ticket attachment row
+ * @returns {Promise<Object>} Updated attachment
+ */
+async function archiveTicket(attachment) {
+  if (attachment.archived_at) {
+    return attachment;
+  }
+
+  try {
+    const media = await whatsappService.downloadMedia(attachment.media_id);
+    const checksum = sha256(media.buffer);
+    if (media.sha256 && media.sha256.toLowerCase() !== checksum) {
+      throw new Error(`Checksum mismatch for media ${attachment.media_id}`);
+    }
+
+    const storage = getStorageBackend();
+    const { key } = await storage.put(buildStorageKey(attachment, checksum, media.mimeType), media.buffer);
+    const archived = await ticketAttachmentModel.markArchived(attachment.id, {
+      storage_backend: storage.name,
+      storage_key: key,
+      mime_type: media.mimeType,
+      file_size: media.buffer.length,
+      checksum_sha256: checksum
+    });
+    console.log(`[ticket_archive] Archived ticket ${attachment.id} for booking ${attachment.booking_id} as ${key}`);
+    return archived;
+  } catch (error) {
+    await ticketAttachmentModel.markArchiveFailed(attachment.id, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Retry archiving tickets whose first download failed. Run periodically.
+ * @param {Object} options - { limit }
+ * @returns {Promise<Object>} { archived, failed }
+ */
+async function archivePendingTickets({ limit = 20 } = {}) {
+  const pending = await ticketAttachmentModel.findUnarchived({
+    maxAttempts: TICKET_ARCHIVE_MAX_ATTEMPTS,
+    limit
+  });
+  const result = { archived: 0, failed: 0 };
+
+  for (const attachment of pending) {
+    try {
+      await archiveTicket(attachment);
+      result.archived += 1;
+    } catch (error) {
+      result.failed += 1;
+      console.warn(`[ticket_archive] Ticket ${attachment.id} not archived (attempt ${attachment.archive_attempts + 1}):`, error.message);
+    }
+  }
+  return result;
+}
+
+/**
+ * Read an archived ticket back, checking it against the stored checksum
+ * @param {Object} attachment - Archived ticket attachment row
+ * @returns {Promise<Object>} { buffer, mimeType, checksum }
+ */
+async function readArchivedTicket(attachment) {
+  if (!attachment.archived_at) {
+    throw new NonRetryableError(`Ticket ${attachment.id} has not been archived`, {
+      code: 'TICKET_NOT_ARCHIVED'
+    });
+  }
+
+  const buffer = await getStorageBackend(attachment.storage_backend).get(attachment.storage_key);
+  if (sha256(buffer) !== attachment.checksum_sha256) {
+    throw new NonRetryableError(`Archived ticket ${attachment.id} failed its checksum`, {
+      code: 'TICKET_CHECKSUM_MISMATCH'
+    });
+  }
+  return {
+    buffer,
+    mimeType: attachment.mime_type || 'application/octet-stream',
+    checksum: attachment.checksum_sha256
+  };
+}
+
+module.exports = {
+  TICKET_ARCHIVE_MAX_ATTEMPTS,
+  buildStorageKey,
+  archiveTicket,
+  archivePendingTickets,
+  readArchivedTicket
+};
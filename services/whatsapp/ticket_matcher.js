@@ -0,0 +1,64 @@
+// Booking references an operator can put in a ticket caption:
+// "#123", "Booking 123", "booking id: 123", "BK-123", "book_123".
+const CAPTION_BOOKING_PATTERN = /(?:#|\bbooking\s*(?:id)?\s*[:#-]?\s*|\bbk\s*[:#-]?\s*|\bbook_)(\d+)\b/i;
+
+/**
+ * Read a booking ID from a ticket caption.
+ * A caption that is only a number is taken as the booking ID; a number inside
+ * other text ("seat 12") needs one of the booking prefixes.
+ *
+ * @param {string} caption - Media caption
+ * @returns {number|null} Booking ID or null
+ */
+function parseBookingIdFromCaption(caption) {
+  if (!caption) return null;
+  const text = String(caption).trim();
+
+  const bare = text.match(/^(\d+)$/);
+  if (bare) return Number.parseInt(bare[1], 10);
+
+  const tagged = text.match(CAPTION_BOOKING_PATTERN);
+  return tagged ? Number.parseInt(tagged[1], 10) : null;
+}
+
+/**
+ * Decide which hold an operator's ticket belongs to.
+ * An explicit booking ID (caption, then the replied-to notification) always
+ * wins and must be one of the operator's active holds. Without one, the
+ * ticket is only matched automatically when a single hold is open.
+ *
+ * @param {Object} options
+ * @param {Array<Object>} options.holds - Operator's active holds
+ * @param {number|null} options.captionBookingId - Booking ID from the caption
+ * @param {number|null} options.replyBookingId - Booking of the message the operator replied to
+ * @returns {Object} { hold, matchedBy } on a match, otherwise
+ *   { hold: null, reason: 'not_active'|'no_holds'|'ambiguous', bookingId?, candidates? }
+ */
+function resolveTicketHold({ holds, captionBookingId = null, replyBookingId = null }) {
+  const explicit = captionBookingId
+    ? { bookingId: captionBookingId, matchedBy: 'caption' }
+    : replyBookingId
+      ? { bookingId: replyBookingId, matchedBy: 'reply' }
+      : null;
+
+  if (explicit) {
+    const hold = holds.find((candidate) => candidate.id === explicit.bookingId);
+    if (!hold) {
+      return { hold: null, reason: 'not_active', bookingId: explicit.bookingId };
+    }
+    return { hold, matchedBy: explicit.matchedBy };
+  }
+
+  if (holds.length === 0) {
+    return { hold: null, reason: 'no_holds' };
+  }
+  if (holds.length === 1) {
+    return { hold: holds[0], matchedBy: 'only_hold' };
+  }
+  return { hold: null, reason: 'ambiguous', candidates: holds };
+}
+
+module.exports = {
+  parseBookingIdFromCaption,
+  resolveTicketHold
+};
@@ -0,0 +1,247 @@
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { runSql } = require('./helpers/db');
+const whatsappService = require('../services/whatsapp');
+const routesRoutes = require('../routes/routes');
+const bookingModel = require('../models/booking');
+const cancellationPolicyModel = require('../models/cancellationPolicy');
+const refundModel = require('../models/refund');
+const { recordPayment } = require('../services/payment/payments');
+const { cancelBooking } = require('../services/booking/booking_cancellation_service');
+const { evaluateCancellation } = require('../services/booking/cancellation_policy_service');
+const { buildSeatLockKey } = require('../services/inventoryLocking');
+const { handleCustomerCommand } = require('../services/whatsapp/customer_commands');
+
+const OPERATOR_PHONE = '919800000982';
+const CUSTOMER_PHONE = '919800000915';
+const TRIP = { journey_date: '2030-10-20', departure_time: '09:00' };
+
+// Departure is 09:00 IST, 03:30 UTC
+function hoursBefore(hours) {
+  return new Date(Date.parse('2030-10-20T03:30:00Z') - hours * 60 * 60 * 1000);
+}
+
+const POLICY = {
+  cutoff_hours: 4,
+  fee_slabs: [
+    { hours_before: 12, fee_percent: 25 },
+    { hours_before: 48, fee_percent: 10 },
+    { hours_before: 0, fee_percent: 50 }
+  ],
+  no_cancel_windows: [{ start_date: '2030-11-10', end_date: '2030-11-16', label: 'Diwali' }]
+};
+
+const originalSendMessage = whatsappService.sendMessage;
+let routeId;
+let tripId;
+let server;
+let baseUrl;
+let sent;
+
+// Stands in for Redis, with the seats of the test's bookings locked
+function createLockService() {
+  const locks = new Map();
+  return {
+    locks,
+    async acquire(key, owner) {
+      if (locks.has(key)) return false;
+      locks.set(key, owner);
+      return true;
+    },
+    async release(key, owner) {
+      if (locks.get(key) === owner) locks.delete(key);
+    },
+    async expire(key) {
+      locks.delete(key);
+    }
+  };
+}
+
+function putPolicy(id, body) {
+  return fetch(`${baseUrl}/routes/${id}/cancellation-policy`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  }).then(async (response) => ({ status: response.status, body: await response.json() }));
+}
+
+// A confirmed 2-seat booking at ₹800, paid in full
+async function createPaidBooking(trip = tripId) {
+  const bookingId = await runSql(
+    `INSERT INTO bookings (customer_phone, trip_id, seat_count, status, seat_numbers, fare_amount)
+     VALUES (?, ?, 2, 'confirmed', '[1,2]', 800)`,
+    [CUSTOMER_PHONE, trip]
+  );
+  await runSql(
+    "DELETE FROM audit_events WHERE source = 'payment' AND json_extract(response_snapshot, '$.booking_id') = ?",
+    [bookingId]
+  );
+  await recordPayment({
+    bookingId,
+    status: 'SUCCESS',
+    gatewayEventId: `evt_cancel_policy_${bookingId}`,
+    amount: 800
+  });
+  return bookingModel.findById(bookingId);
+}
+
+before(async () => {
+  await runSql('DELETE FROM operators WHERE phone_number = ?', [OPERATOR_PHONE]);
+  const operatorId = await runSql(
+    'INSERT INTO operators (name, phone_number, approved) VALUES (?, ?, 1)',
+    ['Policy Operator', OPERATOR_PHONE]
+  );
+  routeId = await runSql(
+    'INSERT INTO routes (operator_id, source, destination, price) VALUES (?, ?, ?, ?)',
+    [operatorId, 'GONDIA', 'BHANDARA', 400]
+  );
+  tripId = await runSql(
+    'INSERT INTO trips (route_id, journey_date, departure_time, whatsapp_seat_quota) VALUES (?, ?, ?, ?)',
+    [routeId, TRIP.journey_date, TRIP.departure_time, 4]
+  );
+
+  const app = express();
+  app.use(express.json());
+  app.use('/routes', routesRoutes);
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(async () => {
+  await runSql('DELETE FROM bookings WHERE customer_phone = ?', [CUSTOMER_PHONE]);
+  await runSql('DELETE FROM outbound_messages WHERE recipient_phone IN (?, ?)', [CUSTOMER_PHONE, OPERATOR_PHONE]);
+  await cancellationPolicyModel.removeByRoute(routeId);
+  sent = [];
+  whatsappService.sendMessage = async (phone, text) => {
+    sent.push({ phone, text });
+    return { messages: [{ id: `wamid.policy.${sent.length}` }] };
+  };
+});
+
+afterEach(() => {
+  whatsappService.sendMessage = originalSendMessage;
+});
+
+test('operators set a route\'s cut-off, fee slabs and no-cancel windows', async () => {
+  const invalid = await putPolicy(routeId, { fee_slabs: [{ hours_before: 24, fee_percent: 120 }] });
+  assert.strictEqual(invalid.status, 400);
+  assert.strictEqual(invalid.body.code, 'INVALID_CANCELLATION_POLICY');
+  const missing = await putPolicy(999999, POLICY);
+  assert.strictEqual(missing.status, 404);
+
+  const saved = await putPolicy(routeId, POLICY);
+  assert.strictEqual(saved.status, 200);
+  assert.deepStrictEqual(saved.body.policy.fee_slabs.map((slab) => slab.hours_before), [48, 12, 0]);
+  const fetched = await fetch(`${baseUrl}/routes/${routeId}/cancellation-policy`).then((response) => response.json());
+  assert.strictEqual(fetched.policy.cutoff_hours, 4);
+  assert.strictEqual(fetched.policy.no_cancel_windows[0].label, 'Diwali');
+
+  const policy = fetched.policy;
+  const evaluate = (hours, trip = TRIP) => evaluateCancellation({ trip, policy, amount: 800, now: hoursBefore(hours) });
+  assert.strictEqual(evaluate(72).fee, 80);
+  assert.strictEqual(evaluate(24).fee, 200);
+  assert.strictEqual(evaluate(6).fee, 400);
+  const late = evaluate(3);
+  assert.strictEqual(late.allowed, false);
+  assert.strictEqual(late.blocked_by, 'cutoff');
+  const diwali = evaluateCancellation({
+    trip: { journey_date: '2030-11-12', departure_time: '09:00' },
+    policy,
+    amount: 800,
+    now: hoursBefore(72)
+  });
+  assert.strictEqual(diwali.blocked_by, 'no_cancel_window');
+  assert.strictEqual(diwali.window.label, 'Diwali');
+
+  // Without a policy anyone may cancel, and the default refund tiers decide what is kept back
+  const fallback = evaluateCancellation({ trip: TRIP, policy: null, amount: 800, now: hoursBefore(6) });
+  assert.strictEqual(fallback.allowed, true);
+  assert.strictEqual(fallback.fee, 400);
+
+  const deleted = await fetch(`${baseUrl}/routes/${routeId}/cancellation-policy`, { method: 'DELETE' });
+  assert.strictEqual(deleted.status, 200);
+  assert.strictEqual(await cancellationPolicyModel.findByRoute(routeId), null);
+});
+
+test('customers see the fee before they confirm CANCEL, and the refund keeps it back', async () => {
+  await putPolicy(routeId, POLICY);
+  const booking = await createPaidBooking();
+  const lockService = createLockService();
+  [1, 2].forEach((seat) => lockService.locks.set(buildSeatLockKey(tripId, seat), 'booked'));
+
+  const quote = await handleCustomerCommand(CUSTOMER_PHONE, { command: 'cancel', bookingId: booking.id }, { now: hoursBefore(24) });
+  assert.strictEqual(
+    quote,
+    `Cancelling booking #${booking.id} now costs a cancellation fee of ₹200. ₹600 of the ₹800 you paid will be refunded. ` +
+      `Send CANCEL ${booking.id} YES to confirm.`
+  );
+  const closed = await handleCustomerCommand(CUSTOMER_PHONE, { command: 'cancel', bookingId: booking.id }, { now: hoursBefore(3) });
+  assert.match(closed, /cancellations close 4 hours before departure/);
+
+  await handleCustomerCommand(CUSTOMER_PHONE, { command: 'cancel', bookingId: booking.id }, { now: hoursBefore(24) });
+  const done = await handleCustomerCommand(
+    CUSTOMER_PHONE,
+    { command: 'cancel_confirm', bookingId: booking.id },
+    { now: hoursBefore(24), lockService }
+  );
+  assert.strictEqual(done, `Booking #${booking.id} has been cancelled. The operator has been informed.`);
+  assert.strictEqual((await bookingModel.findById(booking.id)).status, 'cancelled');
+
+  const refunds = await refundModel.findByBooking(booking.id);
+  assert.strictEqual(refunds.length, 1);
+  assert.strictEqual(refunds[0].amount, 600);
+  assert.strictEqual(refunds[0].status, 'PROCESSED');
+  const operatorNotices = sent.filter((message) => message.phone === OPERATOR_PHONE);
+  assert.strictEqual(operatorNotices.length, 1);
+  assert.match(operatorNotices[0].text, new RegExp(`Booking ${booking.id} .* was cancelled by the customer`));
+  assert.strictEqual(lockService.locks.size, 0, 'the seats and the cancellation lock are released');
+});
+
+test('CANCEL YES asks again when the fee has moved into a dearer slab since the quote', async () => {
+  await putPolicy(routeId, POLICY);
+  const booking = await createPaidBooking();
+
+  const quote = await handleCustomerCommand(CUSTOMER_PHONE, { command: 'cancel', bookingId: booking.id }, { now: hoursBefore(49) });
+  assert.match(quote, /cancellation fee of ₹80\./);
+  assert.strictEqual((await bookingModel.findById(booking.id)).cancellation_quote_fee, 80);
+
+  const requote = await handleCustomerCommand(CUSTOMER_PHONE, { command: 'cancel_confirm', bookingId: booking.id }, { now: hoursBefore(47) });
+  assert.strictEqual(
+    requote,
+    `The cancellation fee for booking #${booking.id} has gone up since you asked. ` +
+      `Cancelling booking #${booking.id} now costs a cancellation fee of ₹200. ₹600 of the ₹800 you paid will be refunded. ` +
+      `Send CANCEL ${booking.id} YES to confirm.`
+  );
+  const unchanged = await bookingModel.findById(booking.id);
+  assert.strictEqual(unchanged.status, 'confirmed');
+  assert.strictEqual(unchanged.cancellation_quote_fee, 200, 'the new fee is what the next CANCEL YES agrees to');
+  assert.strictEqual(sent.length, 0);
+});
+
+test('cancelBooking holds customers to no-cancel windows, whatever the time', async () => {
+  await putPolicy(routeId, { no_cancel_windows: [{ start_date: TRIP.journey_date }] });
+  const booking = await createPaidBooking();
+
+  await assert.rejects(
+    cancelBooking({
+      bookingId: booking.id,
+      actorType: 'customer',
+      actorDetails: { customer_phone: CUSTOMER_PHONE }
+    }),
+    (error) => error.code === 'CANCELLATION_NOT_ALLOWED' && error.blocked_by === 'no_cancel_window'
+  );
+  const reply = await handleCustomerCommand(CUSTOMER_PHONE, { command: 'cancel_confirm', bookingId: booking.id });
+  assert.strictEqual(
+    reply,
+    `Booking #${booking.id} cannot be cancelled: journeys from ${TRIP.journey_date} to ${TRIP.journey_date} cannot be cancelled.`
+  );
+  assert.strictEqual((await bookingModel.findById(booking.id)).status, 'confirmed');
+  assert.strictEqual(sent.length, 0);
+});
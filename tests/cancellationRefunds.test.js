@@ -0,0 +1,195 @@
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { runSql } = require('./helpers/db');
+const whatsappService = require('../services/whatsapp');
+const bookingModel = require('../models/booking');
+const paymentModel = require('../models/payment');
+const refundModel = require('../models/refund');
+const { registerPaymentGateway, getPaymentGateway } = require('../services/payment/gateway_registry');
+const { createRazorpayGateway } = require('../services/payment/razorpay_gateway');
+const { startStubGatewayServer } = require('../services/payment/stub_gateway_server');
+const { recordPayment } = require('../services/payment/payments');
+const { syncPendingRefunds } = require('../services/payment/refunds');
+const { evaluateRefundPolicy } = require('../services/payment/refund_policy');
+const { refundCancelledBooking } = require('../services/payment/cancellation_refunds');
+const { getPaymentBadge } = require('../services/payment/payment_status');
+
+const OPERATOR_PHONE = '919800000983';
+const CUSTOMER_PHONE = '919800000914';
+const TRIP = { journey_date: '2030-10-12', departure_time: '09:00' };
+
+// Instants in UTC; departure is 09:00 IST, 03:30 UTC
+const TWO_DAYS_BEFORE = new Date('2030-10-10T03:30:00Z');
+const SIX_HOURS_BEFORE = new Date('2030-10-11T21:30:00Z');
+const AFTER_DEPARTURE = new Date('2030-10-12T04:30:00Z');
+
+const originalSendMessage = whatsappService.sendMessage;
+const originalSendTemplate = whatsappService.sendTemplate;
+let tripId;
+let stub;
+let sent;
+
+function customerNotices() {
+  return sent.filter((message) => message.phone === CUSTOMER_PHONE);
+}
+
+// A 2-seat booking paid ₹800 through a gateway payment link, then cancelled
+async function createCancelledPaidBooking() {
+  const bookingId = await runSql(
+    `INSERT INTO bookings (customer_phone, trip_id, seat_count, status, seat_numbers, fare_amount)
+     VALUES (?, ?, 2, 'confirmed', '[1,2]', 800)`,
+    [CUSTOMER_PHONE, tripId]
+  );
+  await runSql(
+    "DELETE FROM audit_events WHERE source = 'payment' AND json_extract(response_snapshot, '$.booking_id') = ?",
+    [bookingId]
+  );
+  const link = await getPaymentGateway('razorpay').createPaymentLink({
+    referenceId: `cancel-refund-${bookingId}`,
+    amount: 800
+  });
+  const gatewayPaymentId = stub.payLink(link.gateway_ref);
+  const payment = await recordPayment({
+    bookingId,
+    status: 'SUCCESS',
+    gatewayEventId: `evt_cancel_refund_${bookingId}`,
+    amount: 800,
+    gateway: 'razorpay',
+    gatewayPaymentId
+  });
+  await bookingModel.transitionStatus(bookingId, 'cancelled');
+  return { booking: await bookingModel.findById(bookingId), payment, gatewayPaymentId };
+}
+
+before(async () => {
+  await runSql('DELETE FROM operators WHERE phone_number = ?', [OPERATOR_PHONE]);
+  const operatorId = await runSql(
+    'INSERT INTO operators (name, phone_number, approved) VALUES (?, ?, 1)',
+    ['Refunds Operator', OPERATOR_PHONE]
+  );
+  const routeId = await runSql(
+    'INSERT INTO routes (operator_id, source, destination, price) VALUES (?, ?, ?, ?)',
+    [operatorId, 'WARDHA', 'AMRAVATI', 400]
+  );
+  tripId = await runSql(
+    'INSERT INTO trips (route_id, journey_date, departure_time, whatsapp_seat_quota) VALUES (?, ?, ?, ?)',
+    [routeId, TRIP.journey_date, TRIP.departure_time, 4]
+  );
+
+  stub = await startStubGatewayServer();
+  registerPaymentGateway('razorpay', () => createRazorpayGateway({
+    keyId: stub.keyId,
+    keySecret: stub.keySecret,
+    baseUrl: stub.baseUrl
+  }));
+});
+
+after(async () => {
+  await stub.close();
+});
+
+beforeEach(async () => {
+  await runSql('DELETE FROM bookings WHERE trip_id = ?', [tripId]);
+  sent = [];
+  whatsappService.sendMessage = async (phone, text) => {
+    sent.push({ kind: 'text', phone, text });
+    return { messages: [{ id: `wamid.refunds.${sent.length}` }] };
+  };
+  whatsappService.sendTemplate = async (phone, name, languageCode, bodyParameters) => {
+    sent.push({ kind: 'template', phone, name, bodyParameters });
+    return { messages: [{ id: `wamid.refunds.${sent.length}` }] };
+  };
+});
+
+afterEach(() => {
+  whatsappService.sendMessage = originalSendMessage;
+  whatsappService.sendTemplate = originalSendTemplate;
+});
+
+test('the refund shrinks as departure nears', () => {
+  const policy = { fullBeforeHours: 24, partialPercent: 50 };
+  const full = evaluateRefundPolicy({ paidAmount: 800, trip: TRIP, now: TWO_DAYS_BEFORE, policy });
+  assert.deepStrictEqual(full, { tier: 'FULL', refund_amount: 800, hours_before_departure: 48 });
+
+  const partial = evaluateRefundPolicy({ paidAmount: 815, trip: TRIP, now: SIX_HOURS_BEFORE, policy });
+  assert.deepStrictEqual(partial, { tier: 'PARTIAL', refund_amount: 407.5, hours_before_departure: 6 });
+
+  const departed = evaluateRefundPolicy({ paidAmount: 800, trip: TRIP, now: AFTER_DEPARTURE, policy });
+  assert.strictEqual(departed.tier, 'NONE');
+  assert.strictEqual(departed.refund_amount, 0);
+
+  const noPartial = evaluateRefundPolicy({
+    paidAmount: 800,
+    trip: TRIP,
+    now: SIX_HOURS_BEFORE,
+    policy: { fullBeforeHours: 24, partialPercent: 0 }
+  });
+  assert.strictEqual(noPartial.tier, 'NONE');
+});
+
+test('a cancelled booking is refunded through the gateway and the customer hears when the money is back', async () => {
+  const { booking, payment, gatewayPaymentId } = await createCancelledPaidBooking();
+
+  const result = await refundCancelledBooking(booking, { now: TWO_DAYS_BEFORE });
+  assert.strictEqual(result.tier, 'FULL');
+  assert.strictEqual(result.refund_amount, 800);
+  assert.strictEqual(result.status, 'PENDING');
+
+  const refund = await refundModel.findById(result.refund_id);
+  assert.strictEqual(refund.reason, 'cancellation');
+  assert.strictEqual(refund.payment_id, payment.id);
+  const gatewayRefund = stub.refunds.get(refund.gateway_refund_id);
+  assert.strictEqual(gatewayRefund.payment_id, gatewayPaymentId);
+  assert.strictEqual(gatewayRefund.amount, 80000, 'amounts go to the gateway in paise');
+  assert.strictEqual((await paymentModel.findById(payment.id)).status, 'SUCCEEDED', 'not refunded until processed');
+  assert.strictEqual((await getPaymentBadge(booking)).refund_status, 'REQUESTED');
+  assert.deepStrictEqual(customerNotices().map((message) => message.name), ['refund_pending']);
+  assert.deepStrictEqual(customerNotices()[0].bodyParameters, [String(booking.id), '800']);
+
+  // Cancelling again refunds nothing more
+  const again = await refundCancelledBooking(booking, { now: TWO_DAYS_BEFORE });
+  assert.strictEqual(again.refund_amount, 0);
+  assert.strictEqual((await refundModel.findByBooking(booking.id)).length, 1);
+  assert.strictEqual(customerNotices().length, 1);
+
+  sent = [];
+  stub.settleRefund(refund.gateway_refund_id);
+  const synced = await syncPendingRefunds();
+  assert.ok(synced.processed >= 1);
+  assert.strictEqual((await refundModel.findById(refund.id)).status, 'PROCESSED');
+  assert.strictEqual((await paymentModel.findById(payment.id)).status, 'REFUNDED');
+  assert.strictEqual((await getPaymentBadge(booking)).status, 'REFUNDED');
+  assert.deepStrictEqual(customerNotices().map((message) => message.name), ['refund_processed']);
+});
+
+test('partial refunds survive gateway outages, and nothing is refunded after departure', async () => {
+  const { booking, payment } = await createCancelledPaidBooking();
+
+  stub.failNext(503);
+  const result = await refundCancelledBooking(booking, { now: SIX_HOURS_BEFORE });
+  assert.strictEqual(result.tier, 'PARTIAL');
+  assert.strictEqual(result.refund_amount, 400);
+  assert.strictEqual(result.status, 'PENDING');
+  assert.strictEqual((await refundModel.findById(result.refund_id)).gateway_refund_id, null);
+
+  // The sync job sends it again once the gateway is back
+  await syncPendingRefunds();
+  const resent = await refundModel.findById(result.refund_id);
+  assert.strictEqual(resent.status, 'PENDING');
+  assert.strictEqual(stub.refunds.get(resent.gateway_refund_id).amount, 40000);
+
+  sent = [];
+  stub.settleRefund(resent.gateway_refund_id, 'failed');
+  await syncPendingRefunds();
+  assert.strictEqual((await refundModel.findById(resent.id)).status, 'FAILED');
+  assert.strictEqual((await paymentModel.findById(payment.id)).status, 'SUCCEEDED');
+  assert.deepStrictEqual(customerNotices().map((message) => message.name), ['refund_failed']);
+
+  const late = await createCancelledPaidBooking();
+  sent = [];
+  const none = await refundCancelledBooking(late.booking, { now: AFTER_DEPARTURE });
+  assert.strictEqual(none.tier, 'NONE');
+  assert.strictEqual(none.refund_id, null);
+  assert.strictEqual((await refundModel.findByBooking(late.booking.id)).length, 0);
+  assert.deepStrictEqual(customerNotices().map((message) => message.name), ['refund_not_eligible']);
+});
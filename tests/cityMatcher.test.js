@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  editDistance,
+  scoreCityMatch,
+  resolveRoute
+} = require('../services/cityMatcher');
+
+const routes = [
+  { id: 1, operator_id: 1, source: 'Mumbai', destination: 'Pune' },
+  { id: 2, operator_id: 1, source: 'Mumbai', destination: 'Nashik' },
+  { id: 3, operator_id: 2, source: 'Mumbai', destination: 'Pune' },
+  { id: 4, operator_id: 2, source: 'Mumbai', destination: 'Panvel' }
+];
+const aliases = [
+  { operator_id: 1, alias: 'BOMBAY', city: 'Mumbai' },
+  { operator_id: 1, alias: 'POONA', city: 'Pune' }
+];
+
+test('edit distance counts single-character edits', () => {
+  assert.strictEqual(editDistance('PUNA', 'PUNE'), 1);
+  assert.strictEqual(editDistance('NASIK', 'NASHIK'), 1);
+  assert.strictEqual(editDistance('BOMBAY', 'MUMBAI'), 3);
+});
+
+test('city scores prefer exact and alias matches over typos', () => {
+  const aliasMap = new Map([['BOMBAY', 'MUMBAI']]);
+  assert.strictEqual(scoreCityMatch('mumbai', 'Mumbai'), 0);
+  assert.strictEqual(scoreCityMatch('Bombay', 'Mumbai', aliasMap), 0);
+  assert.strictEqual(scoreCityMatch('Mumbai Central', 'Mumbai'), 1);
+  assert.strictEqual(scoreCityMatch('Bombay Central', 'Mumbai', aliasMap), 1);
+  assert.strictEqual(scoreCityMatch('Puna', 'Pune'), 2);
+  assert.strictEqual(scoreCityMatch('Bombay', 'Mumbai'), null);
+  assert.strictEqual(scoreCityMatch('Goa', 'Pune'), null);
+});
+
+test('typos and aliases resolve to a single route', () => {
+  assert.strictEqual(resolveRoute('Mumbai', 'Puna', routes, aliases).route.id, 1);
+  assert.strictEqual(resolveRoute('Bombay', 'Poona', routes, aliases).route.id, 1);
+  assert.strictEqual(resolveRoute('Mumbai Central', 'Nasik', routes, aliases).route.id, 2);
+});
+
+test('aliases only apply to the operator that registered them', () => {
+  const operatorTwoRoutes = routes.filter((route) => route.operator_id === 2);
+  const result = resolveRoute('Bombay', 'Pune', operatorTwoRoutes, aliases);
+  assert.strictEqual(result.route, null);
+  assert.deepStrictEqual(result.suggestions, []);
+});
+
+test('equally good matches on different routes return suggestions', () => {
+  const withPuri = [...routes, { id: 5, operator_id: 2, source: 'Mumbai', destination: 'Puri' }];
+  const result = resolveRoute('Mumbai', 'Pure', withPuri, aliases);
+  assert.strictEqual(result.route, null);
+  assert.deepStrictEqual(result.suggestions.map((route) => route.id), [1, 5]);
+});
+
+test('the same city pair from several operators is not treated as ambiguous', () => {
+  const result = resolveRoute('Mumbai', 'Pune', routes, aliases);
+  assert.strictEqual(result.route.id, 1);
+  assert.deepStrictEqual(result.suggestions, []);
+});
@@ -0,0 +1,156 @@
+const { test, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { runSql } = require('./helpers/db');
+const whatsappService = require('../services/whatsapp');
+const bookingCancellationService = require('../services/booking/booking_cancellation_service');
+const {
+  parseCustomerCommand,
+  getCustomerStatus,
+  handleCustomerCommand
+} = require('../services/whatsapp/customer_commands');
+
+const OPERATOR_PHONE = '919800000890';
+const CUSTOMER_PHONE = '919800000801';
+const OTHER_CUSTOMER_PHONE = '919800000802';
+const NOW = new Date('2030-01-10T06:00:00Z');
+
+const originalCancelBooking = bookingCancellationService.cancelBooking;
+const originalSendMessage = whatsappService.sendMessage;
+let tripId;
+let cancelCalls;
+let sent;
+
+function createBooking(phone, status, holdExpiresAt = null) {
+  return runSql(
+    'INSERT INTO bookings (customer_phone, trip_id, seat_count, status, hold_expires_at) VALUES (?, ?, 2, ?, ?)',
+    [phone, tripId, status, holdExpiresAt]
+  );
+}
+
+before(async () => {
+  await runSql('DELETE FROM operators WHERE phone_number = ?', [OPERATOR_PHONE]);
+  const operatorId = await runSql(
+    'INSERT INTO operators (name, phone_number, approved) VALUES (?, ?, 1)',
+    ['Commands Operator', OPERATOR_PHONE]
+  );
+  const routeId = await runSql(
+    'INSERT INTO routes (operator_id, source, destination, price) VALUES (?, ?, ?, ?)',
+    [operatorId, 'MUMBAI', 'PUNE', 500]
+  );
+  tripId = await runSql(
+    'INSERT INTO trips (route_id, journey_date, departure_time, whatsapp_seat_quota) VALUES (?, ?, ?, ?)',
+    [routeId, '2030-01-15', '08:00', 10]
+  );
+});
+
+beforeEach(async () => {
+  await runSql('DELETE FROM bookings WHERE customer_phone IN (?, ?)', [CUSTOMER_PHONE, OTHER_CUSTOMER_PHONE]);
+
+  cancelCalls = [];
+  bookingCancellationService.cancelBooking = async (options) => {
+    cancelCalls.push(options);
+    return { booking: null, cancellation: null, idempotent: false };
+  };
+  sent = [];
+  whatsappService.sendMessage = async (phone, text) => {
+    sent.push({ phone, text });
+    return { messages: [{ id: `wamid.commands.${sent.length}` }] };
+  };
+});
+
+afterEach(() => {
+  bookingCancellationService.cancelBooking = originalCancelBooking;
+  whatsappService.sendMessage = originalSendMessage;
+});
+
+test('commands are recognised with or without a booking number', () => {
+  assert.deepStrictEqual(parseCustomerCommand('my bookings'), { command: 'my_bookings', bookingId: null });
+  assert.deepStrictEqual(parseCustomerCommand('BOOKINGS'), { command: 'my_bookings', bookingId: null });
+  assert.deepStrictEqual(parseCustomerCommand('status'), { command: 'status', bookingId: null });
+  assert.deepStrictEqual(parseCustomerCommand(' Status #42 '), { command: 'status', bookingId: 42 });
+  assert.deepStrictEqual(parseCustomerCommand('cancel 42'), { command: 'cancel', bookingId: 42 });
+  assert.deepStrictEqual(parseCustomerCommand('Cancel #42 yes'), { command: 'cancel_confirm', bookingId: 42 });
+
+  // A bare CANCEL belongs to the booking conversation
+  assert.strictEqual(parseCustomerCommand('cancel'), null);
+  assert.strictEqual(parseCustomerCommand('Mumbai to Pune status'), null);
+});
+
+test('MY BOOKINGS lists the customer\'s bookings with hold expiry', async () => {
+  const holdId = await createBooking(CUSTOMER_PHONE, 'hold', '2030-01-10T06:10:00.000Z');
+  const confirmedId = await createBooking(CUSTOMER_PHONE, 'confirmed');
+  await createBooking(OTHER_CUSTOMER_PHONE, 'confirmed');
+
+  const reply = await handleCustomerCommand(CUSTOMER_PHONE, { command: 'my_bookings' }, { now: NOW });
+  assert.match(reply, new RegExp(`#${holdId} MUMBAI → PUNE, 2030-01-15 08:00, 2 seat\\(s\\): on hold until 2030-01-10 11:40`));
+  assert.match(reply, new RegExp(`#${confirmedId} .*: confirmed`));
+  assert.strictEqual(reply.split('\n').filter((line) => line.startsWith('#')).length, 2);
+
+  const empty = await handleCustomerCommand('919800000803', { command: 'my_bookings' }, { now: NOW });
+  assert.match(empty, /no bookings yet/);
+});
+
+test('STATUS shows one booking and never another customer\'s', async () => {
+  const expiredId = await createBooking(CUSTOMER_PHONE, 'hold', '2030-01-10T05:00:00.000Z');
+  const otherId = await createBooking(OTHER_CUSTOMER_PHONE, 'confirmed');
+
+  const reply = await handleCustomerCommand(CUSTOMER_PHONE, { command: 'status', bookingId: expiredId }, { now: NOW });
+  assert.match(reply, new RegExp(`Booking #${expiredId}`));
+  assert.match(reply, /Status: expired/);
+
+  const hidden = await handleCustomerCommand(CUSTOMER_PHONE, { command: 'status', bookingId: otherId }, { now: NOW });
+  assert.match(hidden, new RegExp(`couldn't find booking #${otherId}`));
+
+  const latest = await handleCustomerCommand(CUSTOMER_PHONE, { command: 'status' }, { now: NOW, language: 'hi' });
+  assert.match(latest, new RegExp(`बुकिंग #${expiredId}`));
+});
+
+test('CANCEL shows the fee, and CANCEL YES goes through cancelBooking as the customer and tells the operator', async () => {
+  const confirmedId = await createBooking(CUSTOMER_PHONE, 'confirmed');
+
+  const quote = await handleCustomerCommand(CUSTOMER_PHONE, { command: 'cancel', bookingId: confirmedId }, { now: NOW });
+  assert.strictEqual(quote, `Cancelling booking #${confirmedId} is free. Send CANCEL ${confirmedId} YES to confirm.`);
+  assert.strictEqual(cancelCalls.length, 0);
+
+  const reply = await handleCustomerCommand(CUSTOMER_PHONE, { command: 'cancel_confirm', bookingId: confirmedId }, { now: NOW });
+  assert.strictEqual(reply, `Booking #${confirmedId} has been cancelled. The operator has been informed.`);
+  assert.deepStrictEqual(cancelCalls[0], {
+    bookingId: confirmedId,
+    actorType: 'customer',
+    actorDetails: { customer_phone: CUSTOMER_PHONE },
+    reason: 'Cancelled by customer on WhatsApp',
+    now: NOW,
+    lockService: null
+  });
+  assert.strictEqual(sent[0].phone, OPERATOR_PHONE);
+  assert.match(sent[0].text, new RegExp(`Booking ${confirmedId} .* was cancelled by the customer`));
+});
+
+test('CANCEL explains holds, other people\'s bookings and locked cancellations', async () => {
+  const holdId = await createBooking(CUSTOMER_PHONE, 'hold', '2030-01-10T06:10:00.000Z');
+  const otherId = await createBooking(OTHER_CUSTOMER_PHONE, 'confirmed');
+  const confirmedId = await createBooking(CUSTOMER_PHONE, 'confirmed');
+
+  const hold = await handleCustomerCommand(CUSTOMER_PHONE, { command: 'cancel', bookingId: holdId }, { now: NOW });
+  assert.match(hold, /not confirmed yet/);
+  assert.match(hold, /2030-01-10 11:40/);
+
+  const other = await handleCustomerCommand(CUSTOMER_PHONE, { command: 'cancel', bookingId: otherId }, { now: NOW });
+  assert.match(other, /couldn't find/);
+  assert.strictEqual(cancelCalls.length, 0);
+
+  bookingCancellationService.cancelBooking = async () => {
+    const error = new Error('Booking is locked for cancellation');
+    error.code = 'BOOKING_LOCKED';
+    throw error;
+  };
+  const locked = await handleCustomerCommand(CUSTOMER_PHONE, { command: 'cancel_confirm', bookingId: confirmedId }, { now: NOW });
+  assert.match(locked, /already being cancelled/);
+  assert.strictEqual(sent.length, 0);
+});
+
+test('a hold past its expiry counts as expired before the expiry job runs', () => {
+  assert.strictEqual(getCustomerStatus({ status: 'hold', hold_expires_at: '2030-01-10 05:59:00' }, NOW), 'expired');
+  assert.strictEqual(getCustomerStatus({ status: 'hold', hold_expires_at: '2030-01-10T06:01:00.000Z' }, NOW), 'hold');
+  assert.strictEqual(getCustomerStatus({ status: 'rejected' }, NOW), 'cancelled');
+});
@@ -0,0 +1,122 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  extractDate,
+  extractTime,
+  hoursUntilDeparture,
+  hasDeparted
+} = require('../services/dateTimeResolver');
+const { parsePartialBookingRequest } = require('../services/messageParser');
+const {
+  CONVERSATION_STATES,
+  createSession,
+  advanceConversation
+} = require('../services/whatsapp/state_machine');
+
+// Monday 2030-01-14, 12:00 in Asia/Kolkata
+const MONDAY_NOON_IST = new Date('2030-01-14T06:30:00Z');
+const options = { now: MONDAY_NOON_IST, timeZone: 'Asia/Kolkata' };
+
+test('relative dates resolve against the operator calendar day', () => {
+  assert.strictEqual(extractDate('tomorrow', options).value, '2030-01-15');
+  assert.strictEqual(extractDate('kal', options).value, '2030-01-15');
+  assert.strictEqual(extractDate('parso', options).value, '2030-01-16');
+  assert.strictEqual(extractDate('today', options).value, '2030-01-14');
+
+  // 01:30 IST on Tuesday is still Monday in UTC
+  const lateNight = { now: new Date('2030-01-14T20:00:00Z'), timeZone: 'Asia/Kolkata' };
+  assert.strictEqual(extractDate('tomorrow', lateNight).value, '2030-01-16');
+});
+
+test('named dates roll forward to the next occurrence', () => {
+  assert.strictEqual(extractDate('15 Jan', options).value, '2030-01-15');
+  assert.strictEqual(extractDate('Jan 10th', options).value, '2031-01-10');
+  assert.strictEqual(extractDate('3 March 2031', options).value, '2031-03-03');
+  assert.strictEqual(extractDate('31 Feb', options).value, null);
+});
+
+test('weekday names are reported as ambiguous when they have two readings', () => {
+  assert.strictEqual(extractDate('friday', options).value, '2030-01-18');
+
+  const nextFriday = extractDate('next Friday', options);
+  assert.strictEqual(nextFriday.value, null);
+  assert.strictEqual(nextFriday.ambiguous, true);
+  assert.deepStrictEqual(nextFriday.candidates, ['2030-01-18', '2030-01-25']);
+
+  const sameDay = extractDate('monday', options);
+  assert.deepStrictEqual(sameDay.candidates, ['2030-01-14', '2030-01-21']);
+});
+
+test('departures are compared with now on the operator wall clock', () => {
+  const trip = { journey_date: '2030-01-15', departure_time: '09:00' };
+  assert.strictEqual(hoursUntilDeparture(trip, MONDAY_NOON_IST), 21);
+  assert.strictEqual(hasDeparted(trip, MONDAY_NOON_IST), false);
+  assert.strictEqual(hasDeparted({ journey_date: '2030-01-14', departure_time: '12:00' }, MONDAY_NOON_IST), true);
+  assert.strictEqual(hoursUntilDeparture({ journey_date: '2030-01-14', departure_time: '11:30' }, MONDAY_NOON_IST), -0.5);
+});
+
+test('times accept am/pm, spoken hours and time-of-day windows', () => {
+  assert.strictEqual(extractTime('8am').value, '08:00');
+  assert.strictEqual(extractTime('8:30 p.m.').value, '20:30');
+  assert.strictEqual(extractTime('12 am').value, '00:00');
+  assert.strictEqual(extractTime('shaam 7 baje').value, '19:00');
+
+  const spoken = extractTime('8 baje');
+  assert.strictEqual(spoken.ambiguous, true);
+  assert.deepStrictEqual(spoken.candidates, ['08:00', '20:00']);
+
+  const evening = extractTime('evening bus');
+  assert.strictEqual(evening.value, null);
+  assert.deepStrictEqual(evening.window, { label: 'evening', from: '17:00', to: '20:59' });
+
+  assert.strictEqual(extractTime('2 seats').match, null);
+});
+
+test('partial parser extracts natural-language fields and keeps the route clean', () => {
+  const parsed = parsePartialBookingRequest('Mumbai to Pune tomorrow evening bus 2 seats', options);
+  assert.deepStrictEqual(parsed, {
+    date: '2030-01-15',
+    seats: 2,
+    time_window: { label: 'evening', from: '17:00', to: '20:59' },
+    source: 'MUMBAI',
+    destination: 'PUNE'
+  });
+
+  const ambiguous = parsePartialBookingRequest('next friday', options);
+  assert.deepStrictEqual(ambiguous.ambiguities, { date: ['2030-01-18', '2030-01-25'] });
+});
+
+test('conversation asks the customer to clarify an ambiguous date', () => {
+  const session = {
+    ...createSession('919800000101'),
+    state: CONVERSATION_STATES.AWAITING_DATE,
+    draft: { source: 'MUMBAI', destination: 'PUNE' }
+  };
+
+  const result = advanceConversation(session, 'next Friday', options);
+  assert.strictEqual(result.session.state, CONVERSATION_STATES.AWAITING_DATE);
+  assert.strictEqual(result.session.draft.date, undefined);
+  assert.match(result.reply, /2030-01-18/);
+  assert.match(result.reply, /2030-01-25/);
+
+  const answered = advanceConversation(result.session, '2030-01-25', options);
+  assert.strictEqual(answered.session.state, CONVERSATION_STATES.AWAITING_TIME);
+  assert.strictEqual(answered.session.draft.date, '2030-01-25');
+});
+
+test('bare hour is only read as a time while waiting for the time', () => {
+  const session = {
+    ...createSession('919800000102'),
+    state: CONVERSATION_STATES.AWAITING_TIME,
+    draft: { source: 'MUMBAI', destination: 'PUNE', date: '2030-01-15' }
+  };
+
+  const result = advanceConversation(session, '8', options);
+  assert.strictEqual(result.session.state, CONVERSATION_STATES.AWAITING_TIME);
+  assert.match(result.reply, /08:00/);
+  assert.match(result.reply, /20:00/);
+
+  const evening = advanceConversation(session, 'evening', options);
+  assert.strictEqual(evening.session.state, CONVERSATION_STATES.AWAITING_SEATS);
+  assert.strictEqual(evening.session.draft.time_window.label, 'evening');
+});
@@ -0,0 +1,160 @@
+const { test, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { runSql } = require('./helpers/db');
+const whatsappService = require('../services/whatsapp');
+const bookingModel = require('../models/booking');
+const tripModel = require('../models/trip');
+const { createVehicleLayout, assignLayoutToTrip } = require('../services/inventory/vehicle_layout_service');
+const { promoteWaitlist } = require('../services/inventory/waitlist_service');
+const {
+  createFareRule,
+  quoteFare,
+  getLowestFare
+} = require('../services/inventory/fare_service');
+
+const OPERATOR_PHONE = '919800000997';
+const CUSTOMER_PHONE = '919800000908';
+const NOW = new Date('2030-08-01T06:00:00Z');
+
+const originalSendMessage = whatsappService.sendMessage;
+const originalSendTemplate = whatsappService.sendTemplate;
+const originalSendReplyButtons = whatsappService.sendReplyButtons;
+let operatorId;
+let routeId;
+let layoutId;
+let sent;
+
+function createLockService() {
+  const locks = new Map();
+  return {
+    async acquire(key, owner) {
+      if (locks.has(key)) return false;
+      locks.set(key, owner);
+      return true;
+    },
+    async expire(key) {
+      locks.delete(key);
+    }
+  };
+}
+
+// Two seaters, a lower sleeper and an upper sleeper
+async function createTrip(journeyDate, whatsappSeatNumbers = [1, 2, 3, 4]) {
+  const tripId = await runSql(
+    'INSERT INTO trips (route_id, journey_date, departure_time, whatsapp_seat_quota) VALUES (?, ?, ?, ?)',
+    [routeId, journeyDate, '22:00', 4]
+  );
+  await assignLayoutToTrip(tripId, layoutId, { whatsappSeatNumbers });
+  return tripModel.findById(tripId);
+}
+
+function fares(quote) {
+  return quote.seats.map((seat) => [seat.label, seat.fare]);
+}
+
+before(async () => {
+  await runSql('DELETE FROM operators WHERE phone_number = ?', [OPERATOR_PHONE]);
+  operatorId = await runSql(
+    'INSERT INTO operators (name, phone_number, approved) VALUES (?, ?, 1)',
+    ['Fare Operator', OPERATOR_PHONE]
+  );
+  routeId = await runSql(
+    'INSERT INTO routes (operator_id, source, destination, price) VALUES (?, ?, ?, ?)',
+    [operatorId, 'NAGPUR', 'AMRAVATI', 500]
+  );
+  const layout = await createVehicleLayout({
+    operator_id: operatorId,
+    name: 'Mixed 4',
+    seats: [
+      { seat_number: 1, label: 'S1', seat_type: 'seater', deck: 'lower', row: 0, column: 0 },
+      { seat_number: 2, label: 'S2', seat_type: 'seater', deck: 'lower', row: 0, column: 1 },
+      { seat_number: 3, label: 'L1', seat_type: 'sleeper', deck: 'lower', row: 1, column: 0 },
+      { seat_number: 4, label: 'U1', seat_type: 'sleeper', deck: 'upper', row: 0, column: 0 }
+    ]
+  });
+  layoutId = layout.id;
+});
+
+beforeEach(async () => {
+  await runSql('DELETE FROM bookings WHERE customer_phone = ?', [CUSTOMER_PHONE]);
+  await runSql('DELETE FROM trips WHERE route_id = ?', [routeId]);
+  await runSql('DELETE FROM fare_rules WHERE route_id = ?', [routeId]);
+
+  sent = [];
+  whatsappService.sendMessage = async (phone, text) => {
+    sent.push({ kind: 'text', phone, text });
+    return { messages: [{ id: `wamid.fare.${sent.length}` }] };
+  };
+  whatsappService.sendTemplate = async (phone, name, languageCode, bodyParameters) => {
+    sent.push({ kind: 'template', phone, name, bodyParameters });
+    return { messages: [{ id: `wamid.fare.${sent.length}` }] };
+  };
+  whatsappService.sendReplyButtons = async (phone, text, buttons) => {
+    sent.push({ kind: 'buttons', phone, text, buttons });
+    return { messages: [{ id: `wamid.fare.${sent.length}` }] };
+  };
+});
+
+afterEach(() => {
+  whatsappService.sendMessage = originalSendMessage;
+  whatsappService.sendTemplate = originalSendTemplate;
+  whatsappService.sendReplyButtons = originalSendReplyButtons;
+});
+
+test('each seat gets the most specific fare rule, falling back to the route price', async () => {
+  const wednesday = await createTrip('2030-08-14');
+  const saturday = await createTrip('2030-08-17');
+  const diwali = await createTrip('2030-11-05');
+
+  await createFareRule({ route_id: routeId, seat_type: 'sleeper', fare: 800 });
+  await createFareRule({ route_id: routeId, seat_type: 'sleeper', deck: 'upper', fare: 700 });
+  await createFareRule({ route_id: routeId, days_of_week: 'weekends', fare: 600, label: 'Weekend' });
+  await createFareRule({ route_id: routeId, start_date: '2030-11-01', end_date: '2030-11-07', fare: 1100, label: 'Diwali' });
+  const tripRule = await createFareRule({ trip_id: saturday.id, seat_type: 'SLEEPER', fare: 950 });
+  assert.strictEqual(tripRule.route_id, routeId);
+  assert.strictEqual(tripRule.seat_type, 'sleeper');
+
+  assert.deepStrictEqual(fares(await quoteFare(wednesday, [1, 3, 4])), [['S1', 500], ['L1', 800], ['U1', 700]]);
+  assert.deepStrictEqual(fares(await quoteFare(saturday, [1, 3, 4])), [['S1', 600], ['L1', 950], ['U1', 950]]);
+  assert.deepStrictEqual(fares(await quoteFare(diwali, [2, 4])), [['S2', 1100], ['U1', 1100]]);
+
+  const unseated = await quoteFare(wednesday, null, { seatCount: 2 });
+  assert.strictEqual(unseated.fare_amount, 1000, 'seat class fares need a seat');
+  assert.strictEqual(await getLowestFare(diwali), 1100);
+
+  await assert.rejects(
+    createFareRule({ route_id: routeId, deck: 'middle', fare: 100 }),
+    (error) => error.code === 'INVALID_FARE_RULE' && /deck/.test(error.message)
+  );
+  await assert.rejects(
+    createFareRule({ route_id: routeId, start_date: '2030-11-07', end_date: '2030-11-01', fare: 100 }),
+    (error) => error.code === 'INVALID_FARE_RULE'
+  );
+  await assert.rejects(createFareRule({ route_id: routeId, fare: 0 }), (error) => error.code === 'INVALID_FARE_RULE');
+  await assert.rejects(createFareRule({ trip_id: 999999, fare: 100 }), (error) => error.code === 'TRIP_NOT_FOUND');
+});
+
+test('holds keep the fare they were made at when fares change later', async () => {
+  const trip = await createTrip('2030-08-14', [2, 3]);
+  await createFareRule({ route_id: routeId, seat_type: 'seater', fare: 450 });
+  await runSql(
+    `INSERT INTO waitlist_entries (trip_id, customer_phone, seat_count, status, offered_at, joined_at)
+     VALUES (?, ?, 2, 'waiting', ?, ?)`,
+    [trip.id, CUSTOMER_PHONE, NOW.toISOString(), NOW.toISOString()]
+  );
+
+  const [held] = await promoteWaitlist(trip.id, { lockService: createLockService(), now: NOW });
+  const booking = await bookingModel.findById(held.booking_id);
+  assert.strictEqual(booking.fare_amount, 950);
+  assert.deepStrictEqual(
+    bookingModel.getFareDetails(booking).map((seat) => [seat.label, seat.fare]),
+    [['S2', 450], ['L1', 500]]
+  );
+  const notice = sent.find((message) => message.phone === CUSTOMER_PHONE);
+  assert.strictEqual(notice.bodyParameters[6], '950');
+
+  await runSql('UPDATE routes SET price = 650 WHERE id = ?', [routeId]);
+  await runSql('DELETE FROM fare_rules WHERE route_id = ?', [routeId]);
+  assert.strictEqual((await quoteFare(await tripModel.findById(trip.id), [2, 3])).fare_amount, 1300);
+  assert.strictEqual(bookingModel.getFareAmount(await bookingModel.findById(held.booking_id)), 950);
+});
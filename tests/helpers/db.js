@@ -0,0 +1,61 @@
+const { getDatabase } = require('../../database');
+
+/**
+ * Run a statement against the test database
+ * @param {string} sql - SQL statement
+ * @param {Array} params - Bound parameters
+ * @returns {Promise<number>} Row id of the last insert
+ */
+function runSql(sql, params = []) {
+  return getDatabase().then((db) => new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(this.lastID);
+    });
+  }));
+}
+
+/**
+ * Fetch the first row of a query against the test database
+ * @param {string} sql - SQL query
+ * @param {Array} params - Bound parameters
+ * @returns {Promise<Object|undefined>} Row, or undefined when nothing matches
+ */
+function getRow(sql, params = []) {
+  return getDatabase().then((db) => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(row);
+    });
+  }));
+}
+
+/**
+ * Fetch every row of a query against the test database
+ * @param {string} sql - SQL query
+ * @param {Array} params - Bound parameters
+ * @returns {Promise<Array<Object>>} Rows
+ */
+function getRows(sql, params = []) {
+  return getDatabase().then((db) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(rows);
+    });
+  }));
+}
+
+module.exports = {
+  runSql,
+  getRow,
+  getRows
+};
@@ -0,0 +1,91 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { getDatabase } = require('../database');
+const { MESSAGES } = require('../services/i18n/catalog');
+const {
+  t,
+  detectLanguage,
+  parseLanguageCommand
+} = require('../services/i18n/translator');
+const {
+  getCustomerLanguage,
+  resolveCustomerLanguage,
+  setCustomerLanguage
+} = require('../services/i18n/customer_language');
+const {
+  CONVERSATION_STATES,
+  createSession,
+  advanceConversation
+} = require('../services/whatsapp/state_machine');
+
+function placeholders(template) {
+  return (template.match(/\{\w+\}/g) || []).sort();
+}
+
+beforeEach(async () => {
+  const db = await getDatabase();
+  await new Promise((resolve, reject) => {
+    db.run('DELETE FROM customer_preferences', (err) => (err ? reject(err) : resolve()));
+  });
+});
+
+test('every language defines every English key with the same placeholders', () => {
+  Object.entries(MESSAGES).forEach(([language, messages]) => {
+    Object.entries(MESSAGES.en).forEach(([key, template]) => {
+      assert.ok(messages[key], `${language} is missing ${key}`);
+      assert.deepStrictEqual(placeholders(messages[key]), placeholders(template), `${language}.${key}`);
+    });
+  });
+});
+
+test('t interpolates params and falls back to English for unknown languages', () => {
+  const message = t('xx', 'no_route', { source: 'MUMBAI', destination: 'PUNE' });
+  assert.strictEqual(message, 'Sorry, no route found from MUMBAI to PUNE. Please check and try again.');
+  assert.match(t('hi', 'min_seats'), /कम से कम 1 सीट/);
+  assert.throws(() => t('en', 'no_such_key'), /Unknown message key/);
+});
+
+test('language is detected from script and romanized marker words', () => {
+  assert.strictEqual(detectLanguage('मुझे कल पुणे जाना है'), 'hi');
+  assert.strictEqual(detectLanguage('मला उद्या पुण्याला जायचे आहे'), 'mr');
+  assert.strictEqual(detectLanguage('મારે કાલે પુણે જવું છે'), 'gu');
+  assert.strictEqual(detectLanguage('mujhe kal pune jana hai'), 'hi');
+  assert.strictEqual(detectLanguage('mala udya pune la jaycha ahe'), 'mr');
+  assert.strictEqual(detectLanguage('I want to travel tomorrow please'), 'en');
+  assert.strictEqual(detectLanguage('Mumbai to Pune'), null);
+});
+
+test('language commands need a full name or the LANGUAGE prefix', () => {
+  assert.strictEqual(parseLanguageCommand('hindi'), 'hi');
+  assert.strictEqual(parseLanguageCommand('मराठी'), 'mr');
+  assert.strictEqual(parseLanguageCommand('LANGUAGE gu'), 'gu');
+  assert.strictEqual(parseLanguageCommand('Hi'), null);
+  assert.strictEqual(parseLanguageCommand('Mumbai to Pune'), null);
+});
+
+test('detected language is remembered until the customer picks one explicitly', async () => {
+  const phone = '919800000201';
+  assert.strictEqual(await getCustomerLanguage(phone), 'en');
+
+  assert.strictEqual(await resolveCustomerLanguage(phone, 'mujhe kal jana hai'), 'hi');
+  assert.strictEqual(await resolveCustomerLanguage(phone, 'Mumbai to Pune'), 'hi');
+  assert.strictEqual(await getCustomerLanguage(phone), 'hi');
+
+  await setCustomerLanguage(phone, 'gu');
+  assert.strictEqual(await resolveCustomerLanguage(phone, 'I want to travel please'), 'gu');
+  assert.strictEqual(await getCustomerLanguage(phone), 'gu');
+});
+
+test('conversation prompts are rendered in the customer language', () => {
+  const result = advanceConversation(createSession('919800000202'), 'Mumbai to Pune', { language: 'mr' });
+  assert.strictEqual(result.session.state, CONVERSATION_STATES.AWAITING_DATE);
+  assert.match(result.reply, /कोणत्या तारखेला/);
+
+  const session = {
+    ...createSession('919800000202'),
+    state: CONVERSATION_STATES.AWAITING_CONFIRMATION,
+    draft: { source: 'MUMBAI', destination: 'PUNE', date: '2030-01-15', time: '08:00', seats: 2 }
+  };
+  const confirmed = advanceConversation(session, 'हाँ', { language: 'hi' });
+  assert.strictEqual(confirmed.bookingRequest.seats, 2);
+});
@@ -3,6 +3,7 @@ const assert = require('node:assert/strict');
 const { getDatabase } = require('../database');
 const { withIdempotency } = require('../services/idempotency/with_idempotency');
 const { RetryLaterError } = require('../services/idempotency/retry_later_error');
+const { RetryableError } = require('../services/errors');
 const { STARTED_TTL_SECONDS } = require('../services/idempotency/audit_repo');
 
 async function resetAuditEvents() {
@@ -356,3 +357,28 @@ test('crash-recovery: handler failure after takeover marks row failed', async ()
   });
   assert.strictEqual(row.status, 'failed');
 });
+
+test('retryable handler failure releases the key for a retry', async () => {
+  const key = `retryable_fail_${Date.now()}`;
+  let executions = 0;
+  const handler = async () => {
+    executions += 1;
+    if (executions === 1) {
+      throw new RetryableError('gateway timed out', { code: 'PAYMENT_GATEWAY_UNAVAILABLE' });
+    }
+    return { ok: true };
+  };
+
+  await assert.rejects(
+    () => withIdempotency({ source: 'payment', eventType: 'refund', idempotencyKey: key, request: {}, handler }),
+    (error) => error.code === 'PAYMENT_GATEWAY_UNAVAILABLE'
+  );
+  assert.strictEqual(
+    await getAuditRow({ source: 'payment', eventType: 'refund', idempotencyKey: key }),
+    null
+  );
+
+  const response = await withIdempotency({ source: 'payment', eventType: 'refund', idempotencyKey: key, request: {}, handler });
+  assert.deepStrictEqual(response, { ok: true });
+  assert.strictEqual(executions, 2);
+});
@@ -0,0 +1,164 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { runSql } = require('./helpers/db');
+const bookingModel = require('../models/booking');
+const operatorRoutes = require('../routes/operator');
+const { createPaymentIntent } = require('../services/payment/payment_intents');
+const { createRefund } = require('../services/payment/refunds');
+const { recordPayment } = require('../services/payment/payments');
+const { getPaymentBadge } = require('../services/payment/payment_status');
+
+const OPERATOR_PHONE = '919800000988';
+const OTHER_OPERATOR_PHONE = '919800000987';
+const CUSTOMER_PHONE = '919800000910';
+
+let operatorId;
+let otherOperatorId;
+let tripId;
+let server;
+let baseUrl;
+
+async function createOperator(name, phone) {
+  await runSql('DELETE FROM operators WHERE phone_number = ?', [phone]);
+  return runSql('INSERT INTO operators (name, phone_number, approved) VALUES (?, ?, 1)', [name, phone]);
+}
+
+// A 2-seat hold at ₹800, with payment records of earlier runs cleared
+async function createBooking(holdExpiresAt) {
+  const bookingId = await runSql(
+    `INSERT INTO bookings (customer_phone, trip_id, seat_count, status, seat_numbers, fare_amount, hold_expires_at)
+     VALUES (?, ?, 2, 'hold', '[1,2]', 800, ?)`,
+    [CUSTOMER_PHONE, tripId, holdExpiresAt]
+  );
+  await runSql(
+    `DELETE FROM audit_events
+     WHERE (source = 'payment' AND json_extract(response_snapshot, '$.booking_id') = ?) OR session_id = ?`,
+    [bookingId, `sess_${bookingId}`]
+  );
+  return bookingModel.findById(bookingId);
+}
+
+// Stands in for a gateway, handing out one payment link per call
+const linkGateway = {
+  name: 'test',
+  async createPaymentLink({ notes }) {
+    return { gateway_ref: `plink_${notes.intent_id}`, url: `https://pay.example/badge/${notes.booking_id}` };
+  }
+};
+
+function recordWebhook(bookingId, status) {
+  return recordPayment({
+    bookingId,
+    status,
+    gatewayEventId: `evt_badge_${bookingId}_${status}_${Date.now()}`,
+    gatewayPaymentId: `pay_badge_${bookingId}_${status}`
+  });
+}
+
+function getBadge(bookingRef, operator) {
+  return fetch(`${baseUrl}/operator/bookings/${bookingRef}/payment`, {
+    headers: { 'X-Operator-Id': String(operator) }
+  }).then(async (response) => ({ status: response.status, body: await response.json() }));
+}
+
+before(async () => {
+  operatorId = await createOperator('Badge Operator', OPERATOR_PHONE);
+  otherOperatorId = await createOperator('Other Badge Operator', OTHER_OPERATOR_PHONE);
+  const routeId = await runSql(
+    'INSERT INTO routes (operator_id, source, destination, price) VALUES (?, ?, ?, ?)',
+    [operatorId, 'LATUR', 'NANDED', 400]
+  );
+  tripId = await runSql(
+    'INSERT INTO trips (route_id, journey_date, departure_time, whatsapp_seat_quota) VALUES (?, ?, ?, ?)',
+    [routeId, '2030-10-01', '09:00', 4]
+  );
+
+  const app = express();
+  app.use(express.json());
+  app.use('/operator', operatorRoutes);
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(async () => {
+  await runSql('DELETE FROM bookings WHERE customer_phone = ?', [CUSTOMER_PHONE]);
+});
+
+test('the badge follows the payment link, the gateway webhook and refunds', async () => {
+  const booking = await createBooking(new Date(Date.now() + 10 * 60 * 1000).toISOString());
+  const linkExpiresAt = new Date(Date.now() + 10 * 60 * 1000).toISOString();
+
+  const unpaid = await getBadge(`book_${booking.id}`, operatorId);
+  assert.strictEqual(unpaid.status, 200);
+  assert.strictEqual(unpaid.body.payment.status, null, 'no payment was asked for');
+  assert.strictEqual(unpaid.body.payment.amount, 800);
+
+  const intent = await createPaymentIntent({
+    bookingId: booking.id,
+    amount: 800,
+    expiresAt: linkExpiresAt,
+    idempotencyKey: `intent:badge:${booking.id}:${Date.now()}`,
+    gateway: linkGateway
+  });
+  const pending = await getBadge(booking.id, operatorId);
+  assert.strictEqual(pending.body.payment.status, 'PENDING');
+  assert.strictEqual(pending.body.payment.pay_link_url, `https://pay.example/badge/${booking.id}`);
+  assert.strictEqual(pending.body.payment.pay_link_expires_at, linkExpiresAt);
+  assert.strictEqual(pending.body.payment.gateway_ref, intent.gateway_ref);
+
+  const payment = await recordWebhook(booking.id, 'SUCCESS');
+  assert.strictEqual(payment.intent_id, intent.id);
+  assert.strictEqual(payment.amount, 800);
+  const paid = await getPaymentBadge(booking);
+  assert.strictEqual(paid.status, 'SUCCESS');
+  assert.strictEqual(paid.pay_link_url, null);
+  assert.strictEqual(paid.gateway_ref, payment.gateway_payment_id);
+  assert.strictEqual(paid.is_late_payment, false);
+  assert.strictEqual(paid.refund_status, null);
+
+  await createRefund({ bookingId: booking.id, originalAmount: 800, amount: 300, idempotencyKey: `refund:badge:${booking.id}:1` });
+  assert.strictEqual((await getPaymentBadge(booking)).refund_status, 'PARTIALLY_REFUNDED');
+
+  await createRefund({ bookingId: booking.id, originalAmount: 800, amount: 500, idempotencyKey: `refund:badge:${booking.id}:2` });
+  const refunded = await getPaymentBadge(booking);
+  assert.strictEqual(refunded.status, 'REFUNDED');
+  assert.strictEqual(refunded.refund_status, 'REFUNDED');
+});
+
+test('late, failed and lapsed payments are flagged, and only the owner sees them', async () => {
+  const late = await createBooking(new Date(Date.now() - 60 * 60 * 1000).toISOString());
+  await recordWebhook(late.id, 'SUCCESS');
+  const lateBadge = await getPaymentBadge(late);
+  assert.strictEqual(lateBadge.status, 'SUCCESS');
+  assert.strictEqual(lateBadge.is_late_payment, true);
+
+  const lapsed = await createBooking(new Date(Date.now() + 10 * 60 * 1000).toISOString());
+  await createPaymentIntent({
+    bookingId: lapsed.id,
+    amount: 800,
+    expiresAt: new Date(Date.now() - 60 * 1000).toISOString(),
+    idempotencyKey: `intent:badge:${lapsed.id}:${Date.now()}`,
+    gateway: linkGateway
+  });
+  const lapsedBadge = await getPaymentBadge(lapsed);
+  assert.strictEqual(lapsedBadge.status, 'FAILED');
+  assert.strictEqual(lapsedBadge.pay_link_url, null);
+
+  await recordWebhook(lapsed.id, 'FAILED');
+  assert.strictEqual((await getPaymentBadge(lapsed)).status, 'FAILED');
+
+  const forbidden = await getBadge(late.id, otherOperatorId);
+  assert.strictEqual(forbidden.status, 403);
+  assert.strictEqual(forbidden.body.error, 'OPERATOR_FORBIDDEN');
+
+  const missing = await getBadge('book_999999999', operatorId);
+  assert.strictEqual(missing.status, 404);
+  assert.strictEqual(missing.body.error, 'BOOKING_NOT_FOUND');
+});
@@ -0,0 +1,258 @@
+process.env.PAYMENT_GATEWAY = 'razorpay';
+
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { runSql } = require('./helpers/db');
+const whatsappService = require('../services/whatsapp');
+const operatorRoutes = require('../routes/operator');
+const { registerPaymentGateway, getPaymentGateway } = require('../services/payment/gateway_registry');
+const { createRazorpayGateway } = require('../services/payment/razorpay_gateway');
+const { startStubGatewayServer } = require('../services/payment/stub_gateway_server');
+const { getPaymentBadge } = require('../services/payment/payment_status');
+const { handleRazorpayWebhook } = require('../services/payment/razorpay_webhook');
+const { overrideBookingPrice } = require('../services/booking/price_override_service');
+const { buildSeatLockKey } = require('../services/inventoryLocking');
+const bookingModel = require('../models/booking');
+const paymentModel = require('../models/payment');
+const paymentIntentModel = require('../models/paymentIntent');
+
+const OPERATOR_PHONE = '919800000986';
+const CUSTOMER_PHONE = '919800000911';
+
+const originalSendMessage = whatsappService.sendMessage;
+const originalSendTemplate = whatsappService.sendTemplate;
+let operatorId;
+let tripId;
+let stub;
+let server;
+let baseUrl;
+let sent;
+
+// A 2-seat hold at ₹800 that expires in 10 minutes, with payment records of earlier runs cleared
+async function createHold(status = 'hold') {
+  const bookingId = await runSql(
+    `INSERT INTO bookings (customer_phone, trip_id, seat_count, status, seat_numbers, fare_amount, hold_expires_at)
+     VALUES (?, ?, 2, ?, '[1,2]', 800, ?)`,
+    [CUSTOMER_PHONE, tripId, status, new Date(Date.now() + 10 * 60 * 1000).toISOString()]
+  );
+  await runSql(
+    "DELETE FROM audit_events WHERE source = 'payment' AND json_extract(response_snapshot, '$.booking_id') = ?",
+    [bookingId]
+  );
+  return bookingId;
+}
+
+// Stands in for Redis, with the hold's seats locked
+function createLockService() {
+  const locks = new Map([1, 2].map((seat) => [buildSeatLockKey(tripId, seat), 'hold']));
+  return {
+    locks,
+    async expire(key) {
+      locks.delete(key);
+    }
+  };
+}
+
+function deliverWebhook(webhook, lockService, body = webhook.body) {
+  return handleRazorpayWebhook(
+    { rawBody: Buffer.from(body), headers: webhook.headers },
+    { secret: stub.webhookSecret, lockService }
+  );
+}
+
+function postPaymentLink(bookingRef) {
+  return fetch(`${baseUrl}/operator/bookings/${bookingRef}/payment-link`, {
+    method: 'POST',
+    headers: { 'X-Operator-Id': String(operatorId) }
+  }).then(async (response) => ({ status: response.status, body: await response.json() }));
+}
+
+before(async () => {
+  await runSql('DELETE FROM operators WHERE phone_number = ?', [OPERATOR_PHONE]);
+  operatorId = await runSql(
+    'INSERT INTO operators (name, phone_number, approved) VALUES (?, ?, 1)',
+    ['Gateway Operator', OPERATOR_PHONE]
+  );
+  const routeId = await runSql(
+    'INSERT INTO routes (operator_id, source, destination, price) VALUES (?, ?, ?, ?)',
+    [operatorId, 'SATARA', 'SANGLI', 400]
+  );
+  tripId = await runSql(
+    'INSERT INTO trips (route_id, journey_date, departure_time, whatsapp_seat_quota) VALUES (?, ?, ?, ?)',
+    [routeId, '2030-10-05', '08:00', 4]
+  );
+
+  stub = await startStubGatewayServer();
+  registerPaymentGateway('razorpay', () => createRazorpayGateway({
+    keyId: stub.keyId,
+    keySecret: stub.keySecret,
+    baseUrl: stub.baseUrl,
+    upiLink: true
+  }));
+
+  const app = express();
+  app.use(express.json());
+  app.use('/operator', operatorRoutes);
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await stub.close();
+});
+
+beforeEach(async () => {
+  await runSql('DELETE FROM bookings WHERE customer_phone = ?', [CUSTOMER_PHONE]);
+  sent = [];
+  whatsappService.sendMessage = async (phone, text) => {
+    sent.push({ kind: 'text', phone, text });
+    return { messages: [{ id: `wamid.gateway.${sent.length}` }] };
+  };
+  whatsappService.sendTemplate = async (phone, name, languageCode, bodyParameters) => {
+    sent.push({ kind: 'template', phone, name, bodyParameters });
+    return { messages: [{ id: `wamid.gateway.${sent.length}` }] };
+  };
+});
+
+afterEach(() => {
+  whatsappService.sendMessage = originalSendMessage;
+  whatsappService.sendTemplate = originalSendTemplate;
+});
+
+test('a held booking gets a UPI payment link on WhatsApp', async () => {
+  const bookingId = await createHold();
+
+  const first = await postPaymentLink(`book_${bookingId}`);
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.body.amount, 800);
+  assert.match(first.body.pay_link_url, new RegExp(`^${stub.baseUrl}/pay/plink_`));
+  assert.match(first.body.gateway_ref, /^plink_/);
+
+  const created = stub.requests.filter((request) => request.path === '/payment_links' && request.method === 'POST');
+  assert.strictEqual(created.length, 1);
+  assert.strictEqual(created[0].body.amount, 80000, 'amounts go to the gateway in paise');
+  assert.strictEqual(created[0].body.upi_link, true);
+  assert.strictEqual(created[0].body.customer.contact, `+${CUSTOMER_PHONE}`);
+  assert.strictEqual(created[0].body.notes.booking_id, String(bookingId));
+  assert.ok(created[0].body.expire_by * 1000 >= Date.now() + 15 * 60 * 1000, 'links live at least as long as Razorpay allows');
+
+  const notices = sent.filter((message) => message.phone === CUSTOMER_PHONE);
+  assert.strictEqual(notices.length, 1);
+  assert.strictEqual(notices[0].name, 'payment_link');
+  assert.deepStrictEqual(notices[0].bodyParameters, [String(bookingId), '800', first.body.pay_link_url]);
+
+  // Asking again re-sends the same link
+  const again = await postPaymentLink(bookingId);
+  assert.strictEqual(again.body.pay_link_url, first.body.pay_link_url);
+  assert.strictEqual(stub.links.size, 1);
+  assert.strictEqual(sent.filter((message) => message.phone === CUSTOMER_PHONE).length, 2);
+
+  const intent = await paymentIntentModel.findLatestByBooking(bookingId);
+  assert.strictEqual(intent.state, 'SENT');
+  assert.strictEqual(intent.gateway, 'razorpay');
+  assert.strictEqual(intent.gateway_ref, first.body.gateway_ref);
+
+  const badge = await getPaymentBadge(await bookingModel.findById(bookingId));
+  assert.strictEqual(badge.status, 'PENDING');
+  assert.strictEqual(badge.pay_link_url, first.body.pay_link_url);
+
+  const paymentId = stub.payLink(first.body.gateway_ref);
+  const link = await getPaymentGateway().fetchPaymentLink(first.body.gateway_ref);
+  assert.strictEqual(link.status, 'paid');
+  assert.strictEqual(link.payment_id, paymentId);
+  assert.strictEqual(link.amount, 800);
+});
+
+test('gateway outages can be retried; confirmed bookings and bad credentials are refused', async () => {
+  const bookingId = await createHold();
+
+  stub.failNext(503);
+  const outage = await postPaymentLink(bookingId);
+  assert.strictEqual(outage.status, 503);
+  assert.strictEqual(outage.body.error, 'PAYMENT_GATEWAY_UNAVAILABLE');
+  assert.strictEqual(sent.length, 0);
+
+  const retried = await postPaymentLink(bookingId);
+  assert.strictEqual(retried.status, 200);
+
+  const confirmedId = await createHold('confirmed');
+  const confirmed = await postPaymentLink(confirmedId);
+  assert.strictEqual(confirmed.status, 409);
+  assert.strictEqual(confirmed.body.error, 'BOOKING_NOT_PAYABLE');
+
+  const wrongKey = createRazorpayGateway({ keyId: stub.keyId, keySecret: 'wrong', baseUrl: stub.baseUrl });
+  await assert.rejects(
+    wrongKey.createPaymentLink({ referenceId: `wrong-key-${bookingId}`, amount: 800 }),
+    (error) => error.code === 'PAYMENT_GATEWAY_REJECTED'
+  );
+  assert.throws(
+    () => createRazorpayGateway({ keyId: null, keySecret: null }),
+    (error) => error.code === 'PAYMENT_GATEWAY_NOT_CONFIGURED'
+  );
+});
+
+test('Razorpay\'s payment_link.paid webhook confirms the hold the link was sent for', async () => {
+  const bookingId = await createHold();
+  const lockService = createLockService();
+  const link = await postPaymentLink(bookingId);
+
+  const paymentId = stub.payLink(link.body.gateway_ref);
+  const webhook = stub.webhooks.at(-1);
+  assert.strictEqual(webhook.event, 'payment_link.paid');
+
+  const tampered = webhook.body.replace('"amount":80000', '"amount":100');
+  await assert.rejects(
+    deliverWebhook(webhook, lockService, tampered),
+    (error) => error.code === 'WEBHOOK_SIGNATURE_INVALID'
+  );
+  assert.strictEqual((await bookingModel.findById(bookingId)).status, 'hold');
+
+  const delivered = await deliverWebhook(webhook, lockService);
+  assert.strictEqual(delivered.payload.booking_id, bookingId);
+  assert.strictEqual((await bookingModel.findById(bookingId)).status, 'confirmed');
+  assert.strictEqual(lockService.locks.size, 0, 'the hold\'s seat locks are released');
+  const payments = await paymentModel.findByBooking(bookingId);
+  assert.strictEqual(payments.length, 1);
+  assert.strictEqual(payments[0].status, 'SUCCEEDED');
+  assert.strictEqual(payments[0].amount, 800, 'paise come back as rupees');
+  assert.strictEqual(payments[0].gateway, 'razorpay');
+  assert.strictEqual(payments[0].gateway_payment_id, paymentId);
+  assert.strictEqual(payments[0].is_late_payment, false);
+
+  // Razorpay delivers at least once; a repeat is not recorded again
+  await deliverWebhook(webhook, lockService);
+  assert.strictEqual((await paymentModel.findByBooking(bookingId)).length, 1);
+});
+
+test('a new price closes the hold\'s old link, and a payment on it is refunded instead of confirming', async () => {
+  const bookingId = await createHold();
+  const lockService = createLockService();
+  const oldLink = await postPaymentLink(bookingId);
+
+  // The gateway is down when the old link is cancelled, so the customer can still pay it
+  stub.failNext(503);
+  await overrideBookingPrice({ bookingId, operatorId, amount: 900, currency: 'INR', reason: 'Festival fare' });
+  const intents = await paymentIntentModel.findByBooking(bookingId);
+  assert.deepStrictEqual(intents.map((intent) => [intent.amount, intent.state]), [[800, 'EXPIRED'], [900, 'SENT']]);
+  const newLink = intents.find((intent) => intent.amount === 900);
+  assert.strictEqual(stub.links.get(newLink.gateway_ref).amount, 90000);
+  const notices = sent.filter((message) => message.phone === CUSTOMER_PHONE).map((message) => message.name);
+  assert.deepStrictEqual(notices, ['payment_link', 'price_updated', 'payment_link']);
+
+  sent = [];
+  stub.payLink(oldLink.body.gateway_ref);
+  await deliverWebhook(stub.webhooks.at(-1), lockService);
+  assert.strictEqual((await bookingModel.findById(bookingId)).status, 'hold', '₹800 does not pay a ₹900 booking');
+  assert.strictEqual(lockService.locks.size, 2);
+  const shortNotice = sent.find((message) => message.name === 'short_payment_refunded');
+  assert.deepStrictEqual(shortNotice.bodyParameters, [String(bookingId), '800', '900']);
+  assert.strictEqual((await paymentIntentModel.findById(newLink.id)).state, 'SENT', 'the new link can still be paid');
+
+  stub.payLink(newLink.gateway_ref);
+  await deliverWebhook(stub.webhooks.at(-1), lockService);
+  assert.strictEqual((await bookingModel.findById(bookingId)).status, 'confirmed');
+});
@@ -0,0 +1,266 @@
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { runSql } = require('./helpers/db');
+const whatsappService = require('../services/whatsapp');
+const bookingModel = require('../models/booking');
+const paymentIntentModel = require('../models/paymentIntent');
+const paymentModel = require('../models/payment');
+const refundModel = require('../models/refund');
+const { buildSeatLockKey } = require('../services/inventoryLocking');
+const { expireHolds } = require('../services/holdExpiration');
+const { registerPaymentGateway, getPaymentGateway } = require('../services/payment/gateway_registry');
+const { createRazorpayGateway } = require('../services/payment/razorpay_gateway');
+const { startStubGatewayServer } = require('../services/payment/stub_gateway_server');
+const { sendPaymentLink } = require('../services/payment/payment_links');
+const { recordPayment } = require('../services/payment/payments');
+const { rejectHold } = require('../services/booking/booking_cancellation_service');
+const {
+  PAYMENT_HOLD_EXTENSION_MINUTES,
+  extendHoldForPayment,
+  settleLatePayment
+} = require('../services/payment/payment_holds');
+
+const OPERATOR_PHONE = '919800000984';
+const CUSTOMER_PHONE = '919800000913';
+const LOCK_SESSION = 'sess_payment_holds';
+
+const originalSendMessage = whatsappService.sendMessage;
+const originalSendTemplate = whatsappService.sendTemplate;
+let tripId;
+let stub;
+let sent;
+
+function minutesAfter(date, minutes) {
+  return new Date(date.getTime() + minutes * 60 * 1000);
+}
+
+function createLockService() {
+  const locks = new Map();
+  return {
+    locks,
+    async acquire(key, owner) {
+      if (locks.has(key) && locks.get(key) !== owner) return false;
+      locks.set(key, owner);
+      return true;
+    },
+    async extend(key, owner) {
+      if (!locks.has(key)) return false;
+      if (locks.get(key) !== owner) throw new Error('NOT_OWNER');
+      return true;
+    },
+    async expire(key) {
+      locks.delete(key);
+    }
+  };
+}
+
+// A 2-seat hold on seats 1 and 2 at ₹800 for 10 minutes, with its seats locked
+async function createHold(lockService, now) {
+  const lockKeys = [1, 2].map((seat) => buildSeatLockKey(tripId, seat));
+  lockKeys.forEach((key) => lockService.locks.set(key, LOCK_SESSION));
+  const booking = await bookingModel.create({
+    customer_phone: CUSTOMER_PHONE,
+    trip_id: tripId,
+    seat_count: 2,
+    hold_expires_at: minutesAfter(now, 10).toISOString(),
+    seat_numbers: [1, 2],
+    lock_keys: lockKeys,
+    lock_session_id: LOCK_SESSION,
+    fare_amount: 800
+  });
+  await runSql(
+    "DELETE FROM audit_events WHERE source = 'payment' AND json_extract(response_snapshot, '$.booking_id') = ?",
+    [booking.id]
+  );
+  return booking;
+}
+
+before(async () => {
+  await runSql('DELETE FROM operators WHERE phone_number = ?', [OPERATOR_PHONE]);
+  const operatorId = await runSql(
+    'INSERT INTO operators (name, phone_number, approved) VALUES (?, ?, 1)',
+    ['Holds Operator', OPERATOR_PHONE]
+  );
+  const routeId = await runSql(
+    'INSERT INTO routes (operator_id, source, destination, price) VALUES (?, ?, ?, ?)',
+    [operatorId, 'JALNA', 'AKOLA', 400]
+  );
+  tripId = await runSql(
+    'INSERT INTO trips (route_id, journey_date, departure_time, whatsapp_seat_quota) VALUES (?, ?, ?, ?)',
+    [routeId, '2030-10-09', '09:00', 4]
+  );
+
+  stub = await startStubGatewayServer();
+  registerPaymentGateway('razorpay', () => createRazorpayGateway({
+    keyId: stub.keyId,
+    keySecret: stub.keySecret,
+    baseUrl: stub.baseUrl
+  }));
+});
+
+after(async () => {
+  await stub.close();
+});
+
+beforeEach(async () => {
+  await runSql('DELETE FROM bookings WHERE trip_id = ?', [tripId]);
+  await runSql('DELETE FROM outbound_messages WHERE recipient_phone IN (?, ?)', [CUSTOMER_PHONE, OPERATOR_PHONE]);
+  sent = [];
+  whatsappService.sendMessage = async (phone, text) => {
+    sent.push({ kind: 'text', phone, text });
+    return { messages: [{ id: `wamid.holds.${sent.length}` }] };
+  };
+  whatsappService.sendTemplate = async (phone, name, languageCode, bodyParameters) => {
+    sent.push({ kind: 'template', phone, name, bodyParameters });
+    return { messages: [{ id: `wamid.holds.${sent.length}` }] };
+  };
+});
+
+afterEach(() => {
+  whatsappService.sendMessage = originalSendMessage;
+  whatsappService.sendTemplate = originalSendTemplate;
+});
+
+test('an expired hold expires its payment link, unless a payment in progress extended it', async () => {
+  const now = new Date();
+  const lockService = createLockService();
+  const booking = await createHold(lockService, now);
+  const intent = await sendPaymentLink(booking, { gateway: getPaymentGateway('razorpay'), now });
+  assert.strictEqual(intent.expires_at, booking.hold_expires_at);
+
+  // The gateway reports a payment in progress 5 minutes in
+  const paying = minutesAfter(now, 5);
+  const extended = await extendHoldForPayment(booking, { lockService, now: paying });
+  const extendedUntil = minutesAfter(paying, PAYMENT_HOLD_EXTENSION_MINUTES).toISOString();
+  assert.strictEqual(extended.hold_expires_at, extendedUntil);
+  assert.strictEqual((await paymentIntentModel.findById(intent.id)).expires_at, extendedUntil);
+  assert.strictEqual(
+    (await extendHoldForPayment(extended, { lockService, now: paying })).hold_expires_at,
+    extendedUntil,
+    'a hold is never shortened'
+  );
+
+  // Only this file's trip is swept, so holds left by other tests do not count
+  const afterOriginalExpiry = await expireHolds({ lockService, now: minutesAfter(now, 11), tripId });
+  assert.strictEqual(afterOriginalExpiry.expired, 0);
+  assert.strictEqual((await bookingModel.findById(booking.id)).status, 'hold');
+
+  const afterExtension = await expireHolds({
+    lockService,
+    now: minutesAfter(paying, PAYMENT_HOLD_EXTENSION_MINUTES + 1),
+    tripId
+  });
+  assert.strictEqual(afterExtension.expired, 1);
+  assert.strictEqual(afterExtension.payment_intents, 1);
+  assert.strictEqual((await bookingModel.findById(booking.id)).status, 'expired');
+  assert.strictEqual((await paymentIntentModel.findById(intent.id)).state, 'EXPIRED');
+  assert.strictEqual(stub.links.get(intent.gateway_ref).status, 'cancelled');
+  assert.strictEqual(lockService.locks.size, 0);
+  assert.throws(() => stub.payLink(intent.gateway_ref), /cannot be paid/);
+
+  // Seats another customer took in the meantime cannot be extended
+  const other = await createHold(lockService, now);
+  lockService.locks.set(buildSeatLockKey(tripId, 2), 'sess_other_customer');
+  assert.strictEqual(await extendHoldForPayment(other, { lockService, now: paying }), null);
+  assert.strictEqual((await bookingModel.findById(other.id)).hold_expires_at, other.hold_expires_at);
+});
+
+test('a late payment confirms the booking while its seats are free, and is refunded once they are taken', async () => {
+  const now = new Date();
+  const late = minutesAfter(now, 12);
+  const lockService = createLockService();
+
+  const booking = await createHold(lockService, now);
+  await expireHolds({ lockService, now: minutesAfter(now, 11), tripId });
+  const payment = await recordPayment({
+    bookingId: booking.id,
+    status: 'SUCCESS',
+    gatewayEventId: `evt_holds_late_${booking.id}`,
+    amount: 800,
+    now: late
+  });
+  assert.strictEqual(payment.is_late_payment, true);
+
+  const reinstated = await settleLatePayment(await bookingModel.findById(booking.id), payment, { lockService, now: late });
+  assert.strictEqual(reinstated.outcome, 'reinstated');
+  assert.strictEqual(reinstated.booking.status, 'confirmed');
+  assert.strictEqual(lockService.locks.size, 0);
+  assert.deepStrictEqual(
+    sent.filter((message) => message.phone === CUSTOMER_PHONE).map((message) => message.name),
+    ['late_payment_confirmed']
+  );
+  const again = await settleLatePayment(reinstated.booking, payment, { lockService, now: late });
+  assert.strictEqual(again.refund, null, 'a repeated delivery is not refunded');
+
+  // This time the seats were sold while the customer was paying
+  const missed = await createHold(lockService, now);
+  await expireHolds({ lockService, now: minutesAfter(now, 11), tripId });
+  await runSql(
+    `INSERT INTO bookings (customer_phone, trip_id, seat_count, status, seat_numbers)
+     VALUES ('919800000999', ?, 1, 'confirmed', '[2]')`,
+    [tripId]
+  );
+  const latePayment = await recordPayment({
+    bookingId: missed.id,
+    status: 'SUCCESS',
+    gatewayEventId: `evt_holds_refund_${missed.id}`,
+    amount: 800,
+    now: late
+  });
+  sent = [];
+  const refunded = await settleLatePayment(await bookingModel.findById(missed.id), latePayment, { lockService, now: late });
+  assert.strictEqual(refunded.outcome, 'refunded');
+  assert.strictEqual(refunded.booking.status, 'expired');
+
+  const [refund] = await refundModel.findByBooking(missed.id);
+  assert.strictEqual(refund.amount, 800);
+  assert.strictEqual(refund.reason, 'late_payment');
+  assert.strictEqual(refund.payment_id, latePayment.id);
+  assert.strictEqual((await paymentModel.findById(latePayment.id)).status, 'REFUNDED');
+  const [notice] = sent.filter((message) => message.phone === CUSTOMER_PHONE);
+  assert.strictEqual(notice.name, 'late_payment_refunded');
+  assert.deepStrictEqual(notice.bodyParameters, [String(missed.id), '800']);
+});
+
+test('rejecting a hold closes its payment link, and a payment that still gets through is refunded', async () => {
+  const now = new Date();
+  const lockService = createLockService();
+
+  const booking = await createHold(lockService, now);
+  const intent = await sendPaymentLink(booking, { gateway: getPaymentGateway('razorpay'), now });
+  assert.strictEqual((await rejectHold(booking, { lockService })).status, 'cancelled');
+  assert.strictEqual((await paymentIntentModel.findById(intent.id)).state, 'EXPIRED');
+  assert.strictEqual(stub.links.get(intent.gateway_ref).status, 'cancelled');
+  assert.strictEqual(lockService.locks.size, 0);
+
+  // The gateway is down when this hold is rejected, so its link stays open and the customer pays
+  const missed = await createHold(lockService, now);
+  const openIntent = await sendPaymentLink(missed, { gateway: getPaymentGateway('razorpay'), now });
+  stub.failNext(503);
+  await rejectHold(missed, { lockService });
+  assert.strictEqual((await paymentIntentModel.findById(openIntent.id)).state, 'EXPIRED');
+  const gatewayPaymentId = stub.payLink(openIntent.gateway_ref);
+
+  const payment = await recordPayment({
+    bookingId: missed.id,
+    status: 'SUCCESS',
+    gatewayEventId: `evt_holds_rejected_${missed.id}`,
+    amount: 800,
+    gatewayPaymentId,
+    now
+  });
+  assert.strictEqual(payment.is_late_payment, true, 'paid within the hold time, but after the rejection');
+
+  sent = [];
+  const settled = await settleLatePayment(await bookingModel.findById(missed.id), payment, { lockService, now });
+  assert.strictEqual(settled.outcome, 'refunded');
+  assert.strictEqual((await bookingModel.findById(missed.id)).status, 'cancelled');
+
+  const [refund] = await refundModel.findByBooking(missed.id);
+  assert.strictEqual(refund.amount, 800);
+  assert.strictEqual(refund.reason, 'late_payment');
+  assert.strictEqual(stub.refunds.get(refund.gateway_refund_id).payment_id, gatewayPaymentId);
+  const notices = sent.filter((message) => message.phone === CUSTOMER_PHONE);
+  assert.deepStrictEqual(notices.map((message) => message.name), ['cancelled_payment_refunded']);
+  assert.deepStrictEqual(notices[0].bodyParameters, [String(missed.id), '800']);
+});
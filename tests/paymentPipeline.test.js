@@ -184,7 +184,16 @@ test('duplicate webhook delivery', async () => {
 });
 
 test('partial refund correctness', async () => {
-  const bookingId = `b_${Date.now()}`;
+  const db = await getDatabase();
+  const operatorId = await createOperator(db, 'Operator R', `992${Date.now()}`);
+  const routeId = await createRoute(db, operatorId, 'CityR', 'CityS');
+  const tripId = await createTrip(db, routeId, '2031-01-11', '10:00');
+  const { id: bookingId } = await bookingModel.create({
+    customer_phone: `993${Date.now()}`,
+    trip_id: tripId,
+    seat_count: 1,
+    hold_duration_minutes: 10
+  });
   const originalAmount = 10000;
 
   await createRefund({
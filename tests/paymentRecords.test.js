@@ -0,0 +1,119 @@
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { runSql, getRows } = require('./helpers/db');
+const paymentIntentModel = require('../models/paymentIntent');
+const paymentModel = require('../models/payment');
+const refundModel = require('../models/refund');
+const { createPaymentIntent, applyIntentEvent, PAYMENT_INTENT_EVENTS } = require('../services/payment/payment_intents');
+const { recordPayment } = require('../services/payment/payments');
+const { createRefund, getRefundedTotal } = require('../services/payment/refunds');
+
+const OPERATOR_PHONE = '919800000985';
+const CUSTOMER_PHONE = '919800000912';
+
+let tripId;
+
+// A 1-seat hold at ₹600, with idempotency records of earlier runs cleared
+async function createBooking() {
+  const bookingId = await runSql(
+    `INSERT INTO bookings (customer_phone, trip_id, seat_count, status, seat_numbers, fare_amount, hold_expires_at)
+     VALUES (?, ?, 1, 'hold', '[1]', 600, ?)`,
+    [CUSTOMER_PHONE, tripId, new Date(Date.now() + 10 * 60 * 1000).toISOString()]
+  );
+  await runSql(
+    "DELETE FROM audit_events WHERE source = 'payment' AND json_extract(response_snapshot, '$.booking_id') = ?",
+    [bookingId]
+  );
+  return bookingId;
+}
+
+before(async () => {
+  await runSql('DELETE FROM operators WHERE phone_number = ?', [OPERATOR_PHONE]);
+  const operatorId = await runSql(
+    'INSERT INTO operators (name, phone_number, approved) VALUES (?, ?, 1)',
+    ['Records Operator', OPERATOR_PHONE]
+  );
+  const routeId = await runSql(
+    'INSERT INTO routes (operator_id, source, destination, price) VALUES (?, ?, ?, ?)',
+    [operatorId, 'BEED', 'PARBHANI', 600]
+  );
+  tripId = await runSql(
+    'INSERT INTO trips (route_id, journey_date, departure_time, whatsapp_seat_quota) VALUES (?, ?, ?, ?)',
+    [routeId, '2030-10-07', '07:00', 4]
+  );
+});
+
+beforeEach(async () => {
+  await runSql('DELETE FROM bookings WHERE customer_phone = ?', [CUSTOMER_PHONE]);
+});
+
+test('intents, payments and refunds are rows of their booking', async () => {
+  const bookingId = await createBooking();
+
+  const intent = await createPaymentIntent({
+    bookingId,
+    amount: 600,
+    idempotencyKey: `intent:records:${bookingId}:${Date.now()}`,
+    metadata: { channel: 'whatsapp' }
+  });
+  assert.strictEqual(intent.booking_id, bookingId);
+  assert.strictEqual(intent.state, 'CREATED');
+  assert.deepStrictEqual(intent.metadata, { channel: 'whatsapp' });
+  await paymentIntentModel.updateState(intent.id, applyIntentEvent(intent.state, PAYMENT_INTENT_EVENTS.SEND).state);
+
+  const payment = await recordPayment({ bookingId, status: 'SUCCESS', gatewayEventId: `evt_records_${bookingId}_${Date.now()}` });
+  assert.strictEqual(payment.status, 'SUCCEEDED');
+  assert.strictEqual(payment.intent_id, intent.id);
+  assert.strictEqual(payment.amount, 600);
+  assert.strictEqual(payment.is_late_payment, false);
+  assert.strictEqual((await paymentIntentModel.findById(intent.id)).state, 'SUCCEEDED');
+
+  const again = await recordPayment({ bookingId, status: 'SUCCESS', gatewayEventId: payment.gateway_event_id });
+  assert.strictEqual(again.id, payment.id, 'a gateway event is recorded once');
+  assert.strictEqual((await paymentModel.findByBooking(bookingId)).length, 1);
+
+  await createRefund({ bookingId, originalAmount: 600, amount: 200, idempotencyKey: `refund:records:${bookingId}:1` });
+  const failed = await refundModel.create({ booking_id: bookingId, amount: 400, status: refundModel.REFUND_STATES.FAILED });
+  assert.strictEqual(await getRefundedTotal(bookingId), 200, 'failed refunds do not count');
+  assert.strictEqual((await paymentModel.findById(payment.id)).status, 'SUCCEEDED');
+
+  await createRefund({ bookingId, originalAmount: 600, amount: 400, idempotencyKey: `refund:records:${bookingId}:2` });
+  assert.strictEqual(await getRefundedTotal(bookingId), 600);
+  assert.strictEqual((await paymentModel.findById(payment.id)).status, 'REFUNDED', 'a full refund closes the payment');
+  assert.strictEqual((await refundModel.findById(failed.id)).status, 'FAILED');
+
+  await runSql('DELETE FROM bookings WHERE id = ?', [bookingId]);
+  const [counts] = await getRows(
+    `SELECT
+       (SELECT COUNT(*) FROM payment_intents WHERE booking_id = ?) AS intents,
+       (SELECT COUNT(*) FROM payments WHERE booking_id = ?) AS payments,
+       (SELECT COUNT(*) FROM refunds WHERE booking_id = ?) AS refunds`,
+    [bookingId, bookingId, bookingId]
+  );
+  assert.deepStrictEqual(counts, { intents: 0, payments: 0, refunds: 0 });
+});
+
+test('payment records need a booking, and late payments are flagged', async () => {
+  await assert.rejects(
+    createRefund({ bookingId: 999999999, originalAmount: 600, amount: 100, idempotencyKey: `refund:records:missing:${Date.now()}` }),
+    (error) => error.code === 'BOOKING_NOT_FOUND'
+  );
+  await assert.rejects(
+    recordPayment({ bookingId: 999999999, status: 'SUCCESS', gatewayEventId: `evt_records_missing_${Date.now()}` }),
+    (error) => error.code === 'BOOKING_NOT_FOUND'
+  );
+  await assert.rejects(
+    paymentModel.create({ booking_id: 999999999, status: 'SUCCEEDED' }),
+    (error) => /FOREIGN KEY/.test(error.message)
+  );
+
+  const bookingId = await createBooking();
+  await runSql('UPDATE bookings SET hold_expires_at = ? WHERE id = ?', [new Date(Date.now() - 60 * 1000).toISOString(), bookingId]);
+  const late = await recordPayment({ bookingId, status: 'PAID', gatewayEventId: `evt_records_late_${bookingId}_${Date.now()}`, amount: 600 });
+  assert.strictEqual(late.is_late_payment, true);
+  assert.strictEqual(late.intent_id, null);
+
+  const declined = await recordPayment({ bookingId, status: 'FAILED', gatewayEventId: `evt_records_declined_${bookingId}_${Date.now()}` });
+  assert.strictEqual(declined.status, 'FAILED');
+  assert.strictEqual(declined.is_late_payment, false);
+});
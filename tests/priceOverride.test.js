@@ -0,0 +1,168 @@
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { runSql, getRows } = require('./helpers/db');
+const whatsappService = require('../services/whatsapp');
+const bookingModel = require('../models/booking');
+const operatorRoutes = require('../routes/operator');
+const { overrideBookingPrice } = require('../services/booking/price_override_service');
+
+const OPERATOR_PHONE = '919800000998';
+const SUPERVISOR_PHONE = '919800000999';
+const OTHER_OPERATOR_PHONE = '919800000989';
+const CUSTOMER_PHONE = '919800000909';
+
+const originalSendMessage = whatsappService.sendMessage;
+const originalSendTemplate = whatsappService.sendTemplate;
+let operatorId;
+let supervisorId;
+let otherOperatorId;
+let tripId;
+let server;
+let baseUrl;
+let sent;
+
+async function createOperator(name, phone, role) {
+  await runSql('DELETE FROM operators WHERE phone_number = ?', [phone]);
+  return runSql(
+    'INSERT INTO operators (name, phone_number, approved, role) VALUES (?, ?, 1, ?)',
+    [name, phone, role]
+  );
+}
+
+// A 2-seat booking held at ₹1000
+function createBooking(status = 'confirmed') {
+  return runSql(
+    `INSERT INTO bookings (customer_phone, trip_id, seat_count, status, seat_numbers, fare_amount)
+     VALUES (?, ?, 2, ?, '[1,2]', 1000)`,
+    [CUSTOMER_PHONE, tripId, status]
+  );
+}
+
+function postOverride(bookingRef, operator, key, body) {
+  return fetch(`${baseUrl}/operator/bookings/${bookingRef}/price-override`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Operator-Id': String(operator),
+      'X-Idempotency-Key': key
+    },
+    body: JSON.stringify(body)
+  }).then(async (response) => ({ status: response.status, body: await response.json() }));
+}
+
+before(async () => {
+  operatorId = await createOperator('Override Operator', OPERATOR_PHONE, 'operator');
+  supervisorId = await createOperator('Override Supervisor', SUPERVISOR_PHONE, 'supervisor');
+  otherOperatorId = await createOperator('Other Override Operator', OTHER_OPERATOR_PHONE, 'operator');
+  const routeId = await runSql(
+    'INSERT INTO routes (operator_id, source, destination, price) VALUES (?, ?, ?, ?)',
+    [operatorId, 'JALGAON', 'DHULE', 500]
+  );
+  tripId = await runSql(
+    'INSERT INTO trips (route_id, journey_date, departure_time, whatsapp_seat_quota) VALUES (?, ?, ?, ?)',
+    [routeId, '2030-09-01', '10:00', 4]
+  );
+
+  const app = express();
+  app.use(express.json());
+  app.use('/operator', operatorRoutes);
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(async () => {
+  await runSql('DELETE FROM bookings WHERE customer_phone = ?', [CUSTOMER_PHONE]);
+  sent = [];
+  whatsappService.sendMessage = async (phone, text) => {
+    sent.push({ kind: 'text', phone, text });
+    return { messages: [{ id: `wamid.override.${sent.length}` }] };
+  };
+  whatsappService.sendTemplate = async (phone, name, languageCode, bodyParameters) => {
+    sent.push({ kind: 'template', phone, name, bodyParameters });
+    return { messages: [{ id: `wamid.override.${sent.length}` }] };
+  };
+});
+
+afterEach(() => {
+  whatsappService.sendMessage = originalSendMessage;
+  whatsappService.sendTemplate = originalSendTemplate;
+});
+
+test('operators change prices within 15% of the held fare and the customer is told', async () => {
+  const bookingId = await createBooking();
+  const key = `override-${bookingId}-1`;
+
+  const first = await postOverride(`book_${bookingId}`, operatorId, key, { amount: 1150, currency: 'INR', reason: 'AC upgrade' });
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.body.booking_id, `book_${bookingId}`);
+  assert.strictEqual(first.body.price_amount, 1150);
+  assert.strictEqual(first.body.price_currency, 'INR');
+
+  const replay = await postOverride(`book_${bookingId}`, operatorId, key, { amount: 1150, currency: 'INR', reason: 'AC upgrade' });
+  assert.deepStrictEqual(replay.body, first.body, 'a retried request returns the first response');
+
+  // The cap is measured from the held fare, so overrides do not compound
+  const second = await postOverride(`book_${bookingId}`, operatorId, `override-${bookingId}-2`, { amount: 1300, currency: 'INR' });
+  assert.strictEqual(second.status, 403);
+  assert.strictEqual(second.body.error, 'PRICE_OVERRIDE_LIMIT_EXCEEDED');
+
+  const booking = await bookingModel.findById(bookingId);
+  assert.strictEqual(bookingModel.getFareAmount(booking), 1150);
+  assert.strictEqual(booking.fare_amount, 1000);
+
+  const audits = await getRows(
+    "SELECT payload FROM audit_events WHERE event_type = 'PRICE_OVERRIDDEN' AND session_id = ?",
+    [`sess_${bookingId}`]
+  );
+  assert.strictEqual(audits.length, 1);
+  assert.deepStrictEqual(JSON.parse(audits[0].payload), {
+    booking_id: bookingId,
+    role: 'operator',
+    held_amount: 1000,
+    previous_amount: 1000,
+    amount: 1150,
+    currency: 'INR',
+    variance_percent: 15,
+    reason: 'AC upgrade'
+  });
+
+  const notices = sent.filter((message) => message.phone === CUSTOMER_PHONE);
+  assert.strictEqual(notices.length, 1);
+  assert.strictEqual(notices[0].name, 'price_updated');
+  assert.deepStrictEqual(notices[0].bodyParameters, [String(bookingId), '1000', '1150']);
+});
+
+test('larger changes and other operators\' bookings need a supervisor', async () => {
+  const bookingId = await createBooking('hold');
+
+  const otherOperator = await postOverride(bookingId, otherOperatorId, `override-${bookingId}-other`, { amount: 1000, currency: 'INR' });
+  assert.strictEqual(otherOperator.status, 403);
+  assert.strictEqual(otherOperator.body.error, 'OPERATOR_FORBIDDEN');
+
+  const supervisor = await postOverride(bookingId, supervisorId, `override-${bookingId}-sup`, { amount: 600, currency: 'INR' });
+  assert.strictEqual(supervisor.status, 200);
+  assert.strictEqual(supervisor.body.price_amount, 600);
+
+  const invalid = await postOverride(bookingId, supervisorId, `override-${bookingId}-usd`, { amount: 600, currency: 'USD' });
+  assert.strictEqual(invalid.status, 400);
+
+  const missingKey = await fetch(`${baseUrl}/operator/bookings/${bookingId}/price-override`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Operator-Id': String(operatorId) },
+    body: JSON.stringify({ amount: 1000, currency: 'INR' })
+  });
+  assert.strictEqual(missingKey.status, 400);
+
+  await bookingModel.transitionStatus(bookingId, 'expired');
+  await assert.rejects(
+    overrideBookingPrice({ bookingId, operatorId: supervisorId, amount: 700, currency: 'INR' }),
+    (error) => error.code === 'BOOKING_NOT_ACTIVE'
+  );
+});
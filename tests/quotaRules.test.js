@@ -0,0 +1,154 @@
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { runSql, getRow } = require('./helpers/db');
+const tripModel = require('../models/trip');
+const { setTripLayout, buildDefaultLayout } = require('../services/inventory/seat_map_service');
+const {
+  normalizeRule,
+  createQuotaRule,
+  evaluateQuotaRules
+} = require('../services/inventory/quota_rule_service');
+
+const OPERATOR_PHONE = '919800000993';
+const CUSTOMER_PHONE = '919800000903';
+// 2030-05-10 10:00 in Asia/Kolkata
+const NOW = new Date('2030-05-10T04:30:00Z');
+
+let operatorId;
+let routeId;
+
+function createTrip(journeyDate, departureTime, quota) {
+  return runSql(
+    'INSERT INTO trips (route_id, journey_date, departure_time, whatsapp_seat_quota) VALUES (?, ?, ?, ?)',
+    [routeId, journeyDate, departureTime, quota]
+  );
+}
+
+function createBooking(tripId, status, seatNumbers, holdExpiresAt = null) {
+  return runSql(
+    `INSERT INTO bookings (customer_phone, trip_id, seat_count, status, hold_expires_at, seat_numbers)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [CUSTOMER_PHONE, tripId, seatNumbers.length, status, holdExpiresAt, JSON.stringify(seatNumbers)]
+  );
+}
+
+before(async () => {
+  await runSql('DELETE FROM bookings WHERE customer_phone = ?', [CUSTOMER_PHONE]);
+  await runSql('DELETE FROM operators WHERE phone_number = ?', [OPERATOR_PHONE]);
+  operatorId = await runSql(
+    'INSERT INTO operators (name, phone_number, approved) VALUES (?, ?, 1)',
+    ['Quota Rule Operator', OPERATOR_PHONE]
+  );
+  routeId = await runSql(
+    'INSERT INTO routes (operator_id, source, destination, price) VALUES (?, ?, ?, ?)',
+    [operatorId, 'AURANGABAD', 'JALNA', 250]
+  );
+});
+
+beforeEach(async () => {
+  await runSql('DELETE FROM bookings WHERE customer_phone = ?', [CUSTOMER_PHONE]);
+  await runSql('DELETE FROM inventory_overrides WHERE route_id = ?', [routeId]);
+  await runSql('DELETE FROM trips WHERE route_id = ?', [routeId]);
+  await runSql('DELETE FROM quota_rules WHERE route_id = ?', [routeId]);
+  await runSql("DELETE FROM audit_events WHERE event_type = 'TRIP_QUOTA_AUTO_ADJUSTED' AND operator_id = ?", [operatorId]);
+});
+
+test('rules are validated and attached to an existing trip or route', async () => {
+  assert.deepStrictEqual(
+    normalizeRule({ route_id: '3', hours_before_departure: '2', action: 'shrink_to_sold', seat_count: 5 }),
+    { trip_id: null, route_id: 3, hours_before_departure: 2, action: 'shrink_to_sold', seat_count: null, max_sold_percent: null }
+  );
+
+  const invalid = [
+    { hours_before_departure: 24, action: 'shrink_to_sold' },
+    { trip_id: 1, route_id: 1, hours_before_departure: 24, action: 'shrink_to_sold' },
+    { route_id: 1, hours_before_departure: 0, action: 'shrink_to_sold' },
+    { route_id: 1, hours_before_departure: 24, action: 'double' },
+    { route_id: 1, hours_before_departure: 24, action: 'release_seats' },
+    { route_id: 1, hours_before_departure: 24, action: 'release_seats', seat_count: 2, max_sold_percent: 150 }
+  ];
+  invalid.forEach((input) => {
+    assert.throws(() => normalizeRule(input), (error) => error.code === 'INVALID_QUOTA_RULE');
+  });
+
+  await assert.rejects(
+    createQuotaRule({ trip_id: 999999, hours_before_departure: 24, action: 'shrink_to_sold' }),
+    (error) => error.code === 'TRIP_NOT_FOUND'
+  );
+});
+
+test('the job releases and shrinks quotas when their time comes, once per trip', async () => {
+  const tomorrowId = await createTrip('2030-05-11', '08:00', 4);
+  const soonId = await createTrip('2030-05-10', '11:30', 4);
+  const departedId = await createTrip('2030-05-09', '20:00', 4);
+  await createBooking(tomorrowId, 'confirmed', [1]);
+  await createBooking(soonId, 'hold', [2], '2030-05-10T05:00:00.000Z');
+  await createBooking(soonId, 'confirmed', [3]);
+
+  const release = await createQuotaRule({
+    trip_id: tomorrowId,
+    hours_before_departure: 24,
+    action: 'release_seats',
+    seat_count: 2,
+    max_sold_percent: 50
+  });
+  await createQuotaRule({
+    trip_id: soonId,
+    hours_before_departure: 24,
+    action: 'release_seats',
+    seat_count: 1,
+    max_sold_percent: 25
+  });
+  await createQuotaRule({ route_id: routeId, hours_before_departure: 2, action: 'shrink_to_sold' });
+
+  const summary = await evaluateQuotaRules({ now: NOW });
+  assert.deepStrictEqual(summary, { evaluated: 4, applied: 2, failed: 0 });
+
+  const tomorrow = await tripModel.findById(tomorrowId);
+  assert.deepStrictEqual(tripModel.getQuotaSeatNumbers(tomorrow), [1, 2, 3, 4, 5, 6]);
+  const soon = await tripModel.findById(soonId);
+  assert.deepStrictEqual(tripModel.getQuotaSeatNumbers(soon), [2, 3], 'the 50% sold trip was not topped up');
+  assert.strictEqual((await tripModel.findById(departedId)).whatsapp_seat_quota, 4);
+
+  const audit = await getRow(
+    "SELECT * FROM audit_events WHERE event_type = 'TRIP_QUOTA_AUTO_ADJUSTED' AND idempotency_key = ?",
+    [`quota_rule:${release.id}:trip:${tomorrowId}`]
+  );
+  assert.strictEqual(Number(audit.operator_id), operatorId);
+  assert.deepStrictEqual(
+    JSON.parse(audit.payload),
+    {
+      trip_id: tomorrowId,
+      rule_id: release.id,
+      action: 'release_seats',
+      hours_before_departure: 24,
+      sold_seats: 1,
+      sold_percent: 25,
+      from_quota: 4,
+      to_quota: 6,
+      from_seat_numbers: [1, 2, 3, 4],
+      to_seat_numbers: [1, 2, 3, 4, 5, 6]
+    }
+  );
+  const missed = await getRow('SELECT outcome FROM quota_rule_runs WHERE trip_id = ?', [departedId]);
+  assert.strictEqual(missed.outcome, 'missed');
+
+  assert.deepStrictEqual(await evaluateQuotaRules({ now: NOW }), { evaluated: 0, applied: 0, failed: 0 });
+  const later = await evaluateQuotaRules({ now: new Date('2030-05-11T01:00:00Z') });
+  assert.deepStrictEqual(later, { evaluated: 1, applied: 1, failed: 0 });
+  assert.deepStrictEqual(tripModel.getQuotaSeatNumbers(await tripModel.findById(tomorrowId)), [1]);
+});
+
+test('released seats come from the layout, skipping blocked ones', async () => {
+  const tripId = await createTrip('2030-05-11', '08:00', 2);
+  await setTripLayout(tripId, buildDefaultLayout(8), { whatsappSeatNumbers: [1, 2] });
+  await runSql(
+    `INSERT INTO inventory_overrides (route_id, trip_date, seat_number, status, actor_type)
+     VALUES (?, ?, ?, 'blocked', 'operator')`,
+    [routeId, '2030-05-11', 3]
+  );
+  await createQuotaRule({ trip_id: tripId, hours_before_departure: 48, action: 'release_seats', seat_count: 2 });
+
+  await evaluateQuotaRules({ now: NOW });
+  assert.deepStrictEqual(tripModel.getQuotaSeatNumbers(await tripModel.findById(tripId)), [1, 2, 4, 5]);
+});
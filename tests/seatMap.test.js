@@ -0,0 +1,220 @@
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { runSql } = require('./helpers/db');
+const sessionStore = require('../services/whatsapp/session_store');
+const { routeCustomerMessage } = require('../services/whatsapp/message_router');
+const { PAYLOADS } = require('../services/whatsapp/interactive');
+const { acquireSeatLocks } = require('../services/inventory/seat_allocation_service');
+const {
+  SEAT_STATUSES,
+  buildDefaultLayout,
+  normalizeLayout,
+  getSeatMap,
+  setTripLayout,
+  resolveSeatLabels
+} = require('../services/inventory/seat_map_service');
+
+const OPERATOR_PHONE = '919800000990';
+const CUSTOMER_PHONE = '919800000901';
+const NOW = new Date('2030-02-10T06:00:00Z');
+
+// Upper-deck sleepers U1-U4 (U2 for ladies) above lower-deck seaters L1-L4
+const LAYOUT = [
+  ...[1, 2, 3, 4].map((number) => ({
+    seat_number: number,
+    label: `l${number}`,
+    seat_type: 'seater',
+    deck: 'lower',
+    row: Math.floor((number - 1) / 2),
+    column: (number - 1) % 2
+  })),
+  ...[5, 6, 7, 8].map((number) => ({
+    seat_number: number,
+    label: `U${number - 4}`,
+    seat_type: 'sleeper',
+    deck: 'upper',
+    row: Math.floor((number - 5) / 2),
+    column: (number - 5) % 2,
+    is_ladies: number === 6
+  }))
+];
+
+let routeId;
+let tripId;
+
+function createBooking(status, seatNumbers, holdExpiresAt = null) {
+  return runSql(
+    `INSERT INTO bookings (customer_phone, trip_id, seat_count, status, hold_expires_at, seat_numbers)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [CUSTOMER_PHONE, tripId, seatNumbers.length, status, holdExpiresAt, JSON.stringify(seatNumbers)]
+  );
+}
+
+function createLockService() {
+  const locks = new Map();
+  return {
+    locks,
+    async acquire(key, owner) {
+      if (locks.has(key)) return false;
+      locks.set(key, owner);
+      return true;
+    },
+    async expire(key) {
+      locks.delete(key);
+    }
+  };
+}
+
+before(async () => {
+  await runSql('DELETE FROM operators WHERE phone_number = ?', [OPERATOR_PHONE]);
+  const operatorId = await runSql(
+    'INSERT INTO operators (name, phone_number, approved) VALUES (?, ?, 1)',
+    ['Seat Map Operator', OPERATOR_PHONE]
+  );
+  routeId = await runSql(
+    'INSERT INTO routes (operator_id, source, destination, price) VALUES (?, ?, ?, ?)',
+    [operatorId, 'NASHIK', 'SHIRDI', 300]
+  );
+  tripId = await runSql(
+    'INSERT INTO trips (route_id, journey_date, departure_time, whatsapp_seat_quota) VALUES (?, ?, ?, ?)',
+    [routeId, '2030-02-15', '07:30', 6]
+  );
+});
+
+beforeEach(async () => {
+  await runSql('DELETE FROM bookings WHERE trip_id = ?', [tripId]);
+  await runSql('DELETE FROM inventory_overrides WHERE route_id = ?', [routeId]);
+  await runSql('DELETE FROM trip_seats WHERE trip_id = ?', [tripId]);
+  await sessionStore.clearSession(CUSTOMER_PHONE);
+});
+
+test('trips without a stored layout get numbered seaters, two either side of the aisle', async () => {
+  const layout = buildDefaultLayout(6);
+  assert.deepStrictEqual(layout.map((seat) => seat.label), ['1', '2', '3', '4', '5', '6']);
+  assert.deepStrictEqual(layout.map((seat) => seat.column), [0, 1, 3, 4, 0, 1]);
+  assert.deepStrictEqual(layout.map((seat) => seat.row), [0, 0, 0, 0, 1, 1]);
+
+  const seatMap = await getSeatMap(tripId, { now: NOW });
+  assert.strictEqual(seatMap.layout_source, 'default');
+  assert.strictEqual(seatMap.seats.length, 6);
+  assert.strictEqual(seatMap.summary.available, 6);
+  assert.strictEqual(await getSeatMap(999999), null);
+});
+
+test('layouts are validated before they are stored', () => {
+  const normalized = normalizeLayout(LAYOUT);
+  assert.strictEqual(normalized[0].label, 'L1');
+  assert.strictEqual(normalized[5].is_ladies, true);
+
+  const invalid = [
+    [],
+    [{ seat_number: 0, row: 0, column: 0 }],
+    [{ seat_number: 1, seat_type: 'bench', row: 0, column: 0 }],
+    [{ seat_number: 1, deck: 'middle', row: 0, column: 0 }],
+    [{ seat_number: 1, row: -1, column: 0 }],
+    [{ seat_number: 1, row: 0, column: 0 }, { seat_number: 1, label: 'X', row: 0, column: 1 }],
+    [{ seat_number: 1, label: 'A', row: 0, column: 0 }, { seat_number: 2, label: 'a', row: 0, column: 1 }]
+  ];
+  invalid.forEach((seats) => {
+    assert.throws(() => normalizeLayout(seats), (error) => error.code === 'INVALID_SEAT_LAYOUT');
+  });
+});
+
+test('the seat map shows confirmed, held, blocked and out-of-quota seats', async () => {
+  await setTripLayout(tripId, LAYOUT);
+  const confirmedId = await createBooking('confirmed', [1]);
+  const holdId = await createBooking('hold', [2], '2030-02-10T06:10:00.000Z');
+  await createBooking('hold', [3], '2030-02-10 05:50:00');
+  await runSql(
+    `INSERT INTO inventory_overrides (route_id, trip_date, seat_number, status, actor_type)
+     VALUES (?, ?, ?, 'blocked', 'operator')`,
+    [routeId, '2030-02-15', 5]
+  );
+
+  const seatMap = await getSeatMap(tripId, { now: NOW });
+  const byLabel = Object.fromEntries(seatMap.seats.map((seat) => [seat.label, seat]));
+
+  assert.strictEqual(seatMap.layout_source, 'trip');
+  assert.deepStrictEqual(seatMap.decks, ['lower', 'upper']);
+  assert.deepStrictEqual(
+    { status: byLabel.L1.status, booking_id: byLabel.L1.booking_id },
+    { status: SEAT_STATUSES.CONFIRMED, booking_id: confirmedId }
+  );
+  assert.deepStrictEqual(
+    { status: byLabel.L2.status, booking_id: byLabel.L2.booking_id },
+    { status: SEAT_STATUSES.HELD, booking_id: holdId }
+  );
+  assert.strictEqual(byLabel.L3.status, SEAT_STATUSES.AVAILABLE, 'expired holds free their seats');
+  assert.strictEqual(byLabel.U1.status, SEAT_STATUSES.BLOCKED);
+  assert.strictEqual(byLabel.U2.is_ladies, true);
+  assert.strictEqual(byLabel.U3.status, SEAT_STATUSES.UNAVAILABLE, 'seats beyond the WhatsApp quota');
+  assert.deepStrictEqual(seatMap.summary, { available: 3, held: 1, confirmed: 1, blocked: 1, unavailable: 2 });
+
+  assert.deepStrictEqual(resolveSeatLabels(seatMap, ['l3', 'U2', 'L1', 'Z9']), {
+    seatNumbers: [3, 6],
+    unknown: ['Z9'],
+    unavailable: ['L1']
+  });
+
+  await assert.rejects(
+    setTripLayout(tripId, LAYOUT.filter((seat) => seat.seat_number !== 2)),
+    (error) => error.code === 'SEAT_LAYOUT_CONFLICT' && /L2 \(booking \d+\)/.test(error.message)
+  );
+});
+
+test('picked seats are locked all together or not at all', async () => {
+  const trip = { id: tripId, route_id: routeId, journey_date: '2030-02-15', whatsapp_seat_quota: 6 };
+  const lockService = createLockService();
+  const options = { lockService, trip, seatCount: 2, sessionId: 'sess_seat_map', ttlSeconds: 30 };
+
+  const first = await acquireSeatLocks({ ...options, preferredSeats: [3, 4] });
+  assert.strictEqual(first.acquired, true);
+  assert.deepStrictEqual(first.seatNumbers, [3, 4]);
+
+  const second = await acquireSeatLocks({ ...options, preferredSeats: [2, 4] });
+  assert.strictEqual(second.acquired, false);
+  assert.deepStrictEqual(second.unavailable, [4]);
+  assert.strictEqual(lockService.locks.size, 2, 'the lock on seat 2 was released again');
+
+  const outOfQuota = await acquireSeatLocks({ ...options, preferredSeats: [5, 7] });
+  assert.deepStrictEqual(outOfQuota.unavailable, [7]);
+
+  await assert.rejects(
+    acquireSeatLocks({ ...options, preferredSeats: [1] }),
+    (error) => error.code === 'SEAT_SELECTION_INVALID'
+  );
+});
+
+test('customers pick seats from the seat map on WhatsApp', async () => {
+  await setTripLayout(tripId, LAYOUT);
+  await createBooking('confirmed', [1]);
+
+  const summary = await routeCustomerMessage(CUSTOMER_PHONE, 'Nashik to Shirdi 2030-02-15 07:30 2 seats');
+  assert.deepStrictEqual(
+    summary.interactive.buttons.map((button) => button.id),
+    [PAYLOADS.CONFIRM_REQUEST, PAYLOADS.CANCEL_REQUEST, PAYLOADS.CHOOSE_SEATS]
+  );
+
+  const seatMap = await routeCustomerMessage(CUSTOMER_PHONE, 'CHOOSE SEATS');
+  assert.match(seatMap.reply, /Free seats on 2030-02-15 at 07:30/);
+  assert.match(seatMap.reply, /Lower deck · Seater:\nL2 L3 L4/);
+  assert.match(seatMap.reply, /Upper deck · Sleeper:\nU1 U2\*/);
+  assert.match(seatMap.reply, /\* = ladies seat/);
+
+  const tooFew = await routeCustomerMessage(CUSTOMER_PHONE, 'L2');
+  assert.match(tooFew.reply, /choose exactly 2 seat/);
+
+  const taken = await routeCustomerMessage(CUSTOMER_PHONE, 'L1, L2');
+  assert.match(taken.reply, /seat\(s\) L1 cannot be booked/);
+  assert.strictEqual((await sessionStore.getSession(CUSTOMER_PHONE)).state, 'AWAITING_SEAT_CHOICE');
+
+  const chosen = await routeCustomerMessage(CUSTOMER_PHONE, 'l2 u2');
+  assert.match(chosen.reply, /Seats: 2 \(L2, U2\)/);
+  assert.deepStrictEqual(
+    chosen.interactive.buttons.map((button) => button.id),
+    [PAYLOADS.CONFIRM_REQUEST, PAYLOADS.CANCEL_REQUEST]
+  );
+
+  const confirmed = await routeCustomerMessage(CUSTOMER_PHONE, 'YES');
+  assert.deepStrictEqual(confirmed.bookingRequest.seat_labels, ['L2', 'U2']);
+});
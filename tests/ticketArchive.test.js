@@ -0,0 +1,128 @@
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ticket-archive-'));
+process.env.STORAGE_DIR = storageDir;
+
+const { runSql } = require('./helpers/db');
+const whatsappService = require('../services/whatsapp');
+const ticketAttachmentModel = require('../models/ticketAttachment');
+const {
+  archiveTicket,
+  archivePendingTickets,
+  readArchivedTicket
+} = require('../services/whatsapp/ticket_archive');
+
+const OPERATOR_PHONE = '919800000790';
+const TICKET = Buffer.from('%PDF-1.4 ticket for booking');
+
+const originalDownloadMedia = whatsappService.downloadMedia;
+let downloads;
+let bookingId;
+
+before(async () => {
+  await runSql('DELETE FROM operators WHERE phone_number = ?', [OPERATOR_PHONE]);
+  const operatorId = await runSql(
+    'INSERT INTO operators (name, phone_number, approved) VALUES (?, ?, 1)',
+    ['Archive Operator', OPERATOR_PHONE]
+  );
+  const routeId = await runSql(
+    'INSERT INTO routes (operator_id, source, destination, price) VALUES (?, ?, ?, ?)',
+    [operatorId, 'Mumbai', 'Pune', 500]
+  );
+  const tripId = await runSql(
+    'INSERT INTO trips (route_id, journey_date, departure_time, whatsapp_seat_quota) VALUES (?, ?, ?, ?)',
+    [routeId, '2030-01-15', '08:00', 5]
+  );
+  bookingId = await runSql(
+    "INSERT INTO bookings (customer_phone, trip_id, seat_count, status) VALUES (?, ?, 1, 'confirmed')",
+    ['919800000701', tripId]
+  );
+});
+
+after(() => {
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  await runSql('DELETE FROM ticket_attachments WHERE booking_id = ?', [bookingId]);
+
+  // Queue of errors to throw before downloads start succeeding
+  downloads = { count: 0, failures: [] };
+  whatsappService.downloadMedia = async () => {
+    downloads.count += 1;
+    if (downloads.failures.length > 0) {
+      throw downloads.failures.shift();
+    }
+    return {
+      buffer: TICKET,
+      mimeType: 'application/pdf',
+      sha256: crypto.createHash('sha256').update(TICKET).digest('hex'),
+      fileSize: TICKET.length
+    };
+  };
+});
+
+afterEach(() => {
+  whatsappService.downloadMedia = originalDownloadMedia;
+});
+
+test('a ticket is stored with its checksum and read back intact', async () => {
+  const attachment = await ticketAttachmentModel.create({
+    booking_id: bookingId,
+    media_id: 'media.archive.1',
+    media_type: 'document'
+  });
+
+  const archived = await archiveTicket(attachment);
+  assert.strictEqual(archived.storage_backend, 'local');
+  assert.match(archived.storage_key, new RegExp(`^tickets/${bookingId}/ticket-${attachment.id}-[0-9a-f]{12}\\.pdf$`));
+  assert.strictEqual(archived.checksum_sha256, crypto.createHash('sha256').update(TICKET).digest('hex'));
+  assert.strictEqual(archived.file_size, TICKET.length);
+  assert.ok(fs.existsSync(path.join(storageDir, archived.storage_key)));
+
+  // Archiving again does not download again
+  await archiveTicket(archived);
+  assert.strictEqual(downloads.count, 1);
+
+  const ticket = await readArchivedTicket(archived);
+  assert.deepStrictEqual(ticket.buffer, TICKET);
+  assert.strictEqual(ticket.mimeType, 'application/pdf');
+});
+
+test('a tampered file fails its checksum', async () => {
+  const attachment = await ticketAttachmentModel.create({
+    booking_id: bookingId,
+    media_id: 'media.archive.2',
+    media_type: 'document'
+  });
+  const archived = await archiveTicket(attachment);
+  fs.writeFileSync(path.join(storageDir, archived.storage_key), 'not the ticket');
+
+  await assert.rejects(readArchivedTicket(archived), { code: 'TICKET_CHECKSUM_MISMATCH' });
+});
+
+test('failed downloads are recorded and retried by archivePendingTickets', async () => {
+  downloads.failures.push(new Error('WhatsApp media download error: 503'));
+  const attachment = await ticketAttachmentModel.create({
+    booking_id: bookingId,
+    media_id: 'media.archive.3',
+    media_type: 'image'
+  });
+
+  await assert.rejects(archiveTicket(attachment), /503/);
+  const failed = await ticketAttachmentModel.findById(attachment.id);
+  assert.strictEqual(failed.archived_at, null);
+  assert.strictEqual(failed.archive_attempts, 1);
+  assert.match(failed.archive_error, /503/);
+
+  const result = await archivePendingTickets();
+  assert.strictEqual(result.archived, 1);
+  const archived = await ticketAttachmentModel.findLatestByBookingId(bookingId);
+  assert.ok(archived.archived_at);
+  assert.strictEqual(archived.archive_error, null);
+});
@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseBookingIdFromCaption,
+  resolveTicketHold
+} = require('../services/whatsapp/ticket_matcher');
+const {
+  buildTicketBookingList,
+  parseTicketBookingChoice
+} = require('../services/whatsapp/interactive');
+
+const holds = [
+  {
+    id: 12,
+    customer_phone: '919800000901',
+    seat_count: 2,
+    source: 'MUMBAI',
+    destination: 'PUNE',
+    journey_date: '2030-01-15',
+    departure_time: '08:00'
+  },
+  {
+    id: 9,
+    customer_phone: '919800000902',
+    seat_count: 1,
+    source: 'MUMBAI',
+    destination: 'NASHIK',
+    journey_date: '2030-01-16',
+    departure_time: '21:30'
+  }
+];
+
+test('booking ids are read from tagged or bare captions only', () => {
+  assert.strictEqual(parseBookingIdFromCaption('#12'), 12);
+  assert.strictEqual(parseBookingIdFromCaption('Booking 12'), 12);
+  assert.strictEqual(parseBookingIdFromCaption('booking id: 12 ticket'), 12);
+  assert.strictEqual(parseBookingIdFromCaption('BK-12'), 12);
+  assert.strictEqual(parseBookingIdFromCaption(' 12 '), 12);
+
+  assert.strictEqual(parseBookingIdFromCaption('seat 12 window'), null);
+  assert.strictEqual(parseBookingIdFromCaption(''), null);
+  assert.strictEqual(parseBookingIdFromCaption(undefined), null);
+});
+
+test('an explicit booking id wins and must be an active hold', () => {
+  const byCaption = resolveTicketHold({ holds, captionBookingId: 9, replyBookingId: 12 });
+  assert.strictEqual(byCaption.hold.id, 9);
+  assert.strictEqual(byCaption.matchedBy, 'caption');
+
+  const byReply = resolveTicketHold({ holds, replyBookingId: 12 });
+  assert.strictEqual(byReply.hold.id, 12);
+  assert.strictEqual(byReply.matchedBy, 'reply');
+
+  assert.deepStrictEqual(resolveTicketHold({ holds, captionBookingId: 99 }), {
+    hold: null,
+    reason: 'not_active',
+    bookingId: 99
+  });
+});
+
+test('without a booking id only a single hold is matched', () => {
+  assert.strictEqual(resolveTicketHold({ holds: [holds[1]] }).matchedBy, 'only_hold');
+  assert.strictEqual(resolveTicketHold({ holds: [] }).reason, 'no_holds');
+
+  const ambiguous = resolveTicketHold({ holds });
+  assert.strictEqual(ambiguous.hold, null);
+  assert.strictEqual(ambiguous.reason, 'ambiguous');
+  assert.deepStrictEqual(ambiguous.candidates.map((hold) => hold.id), [12, 9]);
+});
+
+test('the disambiguation list carries the booking and media back', () => {
+  const list = buildTicketBookingList(holds, { mediaId: 'media.abc:1', mediaType: 'document' });
+  const rows = list.sections[0].rows;
+  assert.strictEqual(rows.length, 2);
+  assert.strictEqual(rows[0].title, '#12 08:00');
+
+  const choice = parseTicketBookingChoice({ type: 'list', id: rows[1].id, title: rows[1].title });
+  assert.deepStrictEqual(choice, { bookingId: 9, mediaType: 'document', mediaId: 'media.abc:1' });
+  assert.strictEqual(parseTicketBookingChoice({ type: 'list', id: 'TIME:08:00' }), null);
+  assert.strictEqual(parseTicketBookingChoice(null), null);
+});
@@ -0,0 +1,124 @@
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { runSql } = require('./helpers/db');
+const routeModel = require('../models/route');
+const sessionStore = require('../services/whatsapp/session_store');
+const { t } = require('../services/i18n/translator');
+const { findAlternativeTrips } = require('../services/inventory/trip_alternatives_service');
+const {
+  routeCustomerMessage,
+  offerAlternatives
+} = require('../services/whatsapp/message_router');
+
+const OPERATOR_PHONE = '919800000995';
+const OTHER_OPERATOR_PHONE = '919800000996';
+const CUSTOMER_PHONE = '919800000907';
+const NOW = new Date('2030-07-01T04:30:00Z');
+
+let route;
+let otherRoute;
+let trips;
+
+function createTrip(routeId, journeyDate, departureTime, quota) {
+  return runSql(
+    'INSERT INTO trips (route_id, journey_date, departure_time, whatsapp_seat_quota) VALUES (?, ?, ?, ?)',
+    [routeId, journeyDate, departureTime, quota]
+  );
+}
+
+async function createOperatorRoute(name, phone, source, destination, price) {
+  await runSql('DELETE FROM operators WHERE phone_number = ?', [phone]);
+  const operatorId = await runSql(
+    'INSERT INTO operators (name, phone_number, approved) VALUES (?, ?, 1)',
+    [name, phone]
+  );
+  const routeId = await runSql(
+    'INSERT INTO routes (operator_id, source, destination, price) VALUES (?, ?, ?, ?)',
+    [operatorId, source, destination, price]
+  );
+  return routeModel.findById(routeId);
+}
+
+function summarize(alternatives) {
+  return alternatives.map((alternative) => [alternative.trip_id, alternative.kind]);
+}
+
+before(async () => {
+  route = await createOperatorRoute('Alternatives Travels', OPERATOR_PHONE, 'BHOPAL', 'INDORE', 350);
+  otherRoute = await createOperatorRoute('Other Travels', OTHER_OPERATOR_PHONE, 'Bhopal', 'Indore ', 300);
+
+  trips = {
+    full: await createTrip(route.id, '2030-07-10', '08:00', 2),
+    afternoon: await createTrip(route.id, '2030-07-10', '14:00', 3),
+    nearlyFull: await createTrip(route.id, '2030-07-10', '20:00', 1),
+    dayBefore: await createTrip(route.id, '2030-07-09', '09:00', 4),
+    dayAfter: await createTrip(route.id, '2030-07-11', '07:00', 4),
+    tooLate: await createTrip(route.id, '2030-07-12', '08:00', 4),
+    otherOperator: await createTrip(otherRoute.id, '2030-07-10', '09:00', 5)
+  };
+  await runSql(
+    `INSERT INTO bookings (customer_phone, trip_id, seat_count, status, seat_numbers)
+     VALUES (?, ?, 2, 'confirmed', '[1,2]')`,
+    [CUSTOMER_PHONE, trips.full]
+  );
+});
+
+beforeEach(async () => {
+  await sessionStore.clearSession(CUSTOMER_PHONE);
+});
+
+test('alternatives: other departures that day, then adjacent dates, then other operators', async () => {
+  const request = { route, date: '2030-07-10', time: '08:00', seats: 2, excludeTripId: trips.full, now: NOW };
+
+  assert.deepStrictEqual(summarize(await findAlternativeTrips(request)), [
+    [trips.afternoon, 'other_time'],
+    [trips.dayBefore, 'other_date'],
+    [trips.dayAfter, 'other_date'],
+    [trips.otherOperator, 'other_route']
+  ]);
+
+  const [, , , otherOperator] = await findAlternativeTrips(request);
+  assert.deepStrictEqual(otherOperator, {
+    trip_id: trips.otherOperator,
+    route_id: otherRoute.id,
+    operator_name: 'Other Travels',
+    source: 'Bhopal',
+    destination: 'Indore ',
+    date: '2030-07-10',
+    time: '09:00',
+    price: 300,
+    available_seats: 5,
+    kind: 'other_route'
+  });
+
+  // 2030-07-09 09:30 in Asia/Kolkata: the day-before trip has left
+  const later = await findAlternativeTrips({ ...request, now: new Date('2030-07-09T04:00:00Z'), limit: 2 });
+  assert.deepStrictEqual(summarize(later), [[trips.afternoon, 'other_time'], [trips.dayAfter, 'other_date']]);
+});
+
+test('customers pick an alternative by number and confirm it on its own route', async () => {
+  const bookingRequest = { source: 'BHOPAL', destination: 'INDORE', date: '2030-07-10', time: '08:00', seats: 2 };
+  const alternatives = await findAlternativeTrips({ route, ...bookingRequest, excludeTripId: trips.full, now: NOW });
+
+  const offer = await offerAlternatives(CUSTOMER_PHONE, bookingRequest, alternatives, 'en');
+  assert.match(offer, /^You can book one of these trips instead:/);
+  assert.match(offer, /\n1\. 2030-07-10 14:00 · BHOPAL → INDORE · ₹700 · 3 seat\(s\) left\n/);
+  assert.match(offer, /\n4\. 2030-07-10 09:00 · Bhopal → Indore  \(Other Travels\) · ₹600 · 5 seat\(s\) left\n/);
+
+  const invalid = await routeCustomerMessage(CUSTOMER_PHONE, '9', { language: 'en' });
+  assert.strictEqual(invalid.reply, t('en', 'prompt_alternative', { count: 4 }));
+
+  const chosen = await routeCustomerMessage(CUSTOMER_PHONE, '4', { language: 'en' });
+  assert.strictEqual((await sessionStore.getSession(CUSTOMER_PHONE)).state, 'AWAITING_CONFIRMATION');
+  assert.match(chosen.reply, /09:00/);
+
+  const confirmed = await routeCustomerMessage(CUSTOMER_PHONE, 'YES', { language: 'en' });
+  assert.deepStrictEqual(confirmed.bookingRequest, {
+    source: 'Bhopal',
+    destination: 'Indore ',
+    date: '2030-07-10',
+    time: '09:00',
+    seats: 2,
+    route_id: otherRoute.id
+  });
+});
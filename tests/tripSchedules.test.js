@@ -0,0 +1,171 @@
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { runSql } = require('./helpers/db');
+const tripModel = require('../models/trip');
+const tripSeatModel = require('../models/tripSeat');
+const { createVehicleLayout } = require('../services/inventory/vehicle_layout_service');
+const {
+  normalizeDaysOfWeek,
+  normalizeSchedule,
+  listScheduleDates,
+  generateScheduleTrips,
+  createSchedule,
+  updateSchedule
+} = require('../services/inventory/trip_schedule_service');
+
+const OPERATOR_PHONE = '919800000992';
+const CUSTOMER_PHONE = '919800000902';
+// Monday 2030-04-01, 09:30 in Asia/Kolkata
+const NOW = new Date('2030-04-01T04:00:00Z');
+const OPTIONS = { now: NOW, daysAhead: 13 };
+
+let operatorId;
+let routeId;
+
+function tripDates(trips) {
+  return trips.map((trip) => trip.journey_date);
+}
+
+before(async () => {
+  await runSql('DELETE FROM bookings WHERE customer_phone = ?', [CUSTOMER_PHONE]);
+  await runSql('DELETE FROM operators WHERE phone_number = ?', [OPERATOR_PHONE]);
+  operatorId = await runSql(
+    'INSERT INTO operators (name, phone_number, approved) VALUES (?, ?, 1)',
+    ['Schedule Operator', OPERATOR_PHONE]
+  );
+  routeId = await runSql(
+    'INSERT INTO routes (operator_id, source, destination, price) VALUES (?, ?, ?, ?)',
+    [operatorId, 'SURAT', 'VADODARA', 400]
+  );
+});
+
+beforeEach(async () => {
+  await runSql('DELETE FROM bookings WHERE customer_phone = ?', [CUSTOMER_PHONE]);
+  await runSql('DELETE FROM trips WHERE route_id = ?', [routeId]);
+  await runSql('DELETE FROM trip_schedules WHERE route_id = ?', [routeId]);
+  await runSql('DELETE FROM vehicle_layouts WHERE operator_id = ?', [operatorId]);
+});
+
+test('schedules run on the chosen weekdays within their date range, minus exceptions', () => {
+  assert.deepStrictEqual(normalizeDaysOfWeek(undefined), [0, 1, 2, 3, 4, 5, 6]);
+  assert.deepStrictEqual(normalizeDaysOfWeek('weekdays'), [1, 2, 3, 4, 5]);
+  assert.deepStrictEqual(normalizeDaysOfWeek(['fri', 'Monday', 3]), [1, 3, 5]);
+  assert.throws(() => normalizeDaysOfWeek(['MON', 'XYZ']), (error) => error.code === 'INVALID_TRIP_SCHEDULE');
+
+  const schedule = normalizeSchedule({
+    departure_time: '22:15',
+    days_of_week: 'weekends',
+    start_date: '2030-04-01',
+    end_date: '2030-04-21',
+    exception_dates: ['2030-04-13']
+  });
+  assert.deepStrictEqual(listScheduleDates(schedule, '2030-03-01', '2030-05-01'), [
+    '2030-04-06', '2030-04-07', '2030-04-14', '2030-04-20', '2030-04-21'
+  ]);
+
+  const invalid = [
+    { departure_time: '25:00', start_date: '2030-04-01' },
+    { departure_time: '22:15', start_date: '2030-02-30' },
+    { departure_time: '22:15', start_date: '2030-04-10', end_date: '2030-04-01' },
+    { departure_time: '22:15', start_date: '2030-04-01', exception_dates: '2030-04-03' },
+    { departure_time: '22:15', start_date: '2030-04-01', whatsapp_seat_quota: -1 }
+  ];
+  invalid.forEach((input) => {
+    assert.throws(() => normalizeSchedule(input), (error) => error.code === 'INVALID_TRIP_SCHEDULE');
+  });
+});
+
+test('creating a schedule generates its upcoming trips with the default quota and layout', async () => {
+  const manualTripId = await runSql(
+    'INSERT INTO trips (route_id, journey_date, departure_time, whatsapp_seat_quota) VALUES (?, ?, ?, ?)',
+    [routeId, '2030-04-05', '06:45', 2]
+  );
+  const layout = await createVehicleLayout({
+    operator_id: operatorId,
+    name: '2+2 Seater 8',
+    preset: { seat_type: 'seater', arrangement: '2+2', seat_count: 8 }
+  });
+
+  const { schedule, created } = await createSchedule({
+    route_id: routeId,
+    departure_time: '06:45',
+    days_of_week: ['MON', 'WED', 'FRI'],
+    start_date: '2030-03-01',
+    end_date: '2030-06-30',
+    exception_dates: ['2030-04-03'],
+    whatsapp_seat_quota: 6,
+    vehicle_layout_id: layout.id
+  }, OPTIONS);
+
+  assert.deepStrictEqual(schedule.days_of_week, [1, 3, 5]);
+  assert.deepStrictEqual(tripDates(created), ['2030-04-01', '2030-04-08', '2030-04-10', '2030-04-12']);
+  assert.ok(created.every((trip) => trip.schedule_id === schedule.id && trip.whatsapp_seat_quota === 6));
+  assert.strictEqual((await tripSeatModel.findByTripId(created[0].id)).length, 8);
+  assert.strictEqual((await tripModel.findById(manualTripId)).schedule_id, null, 'hand-made trips are left alone');
+
+  const again = await generateScheduleTrips(schedule, OPTIONS);
+  assert.deepStrictEqual(again, { created: [], skipped: 5 });
+
+  await assert.rejects(
+    createSchedule({
+      route_id: routeId,
+      departure_time: '18:00',
+      start_date: '2030-04-01',
+      whatsapp_seat_quota: 10,
+      vehicle_layout_id: layout.id
+    }, OPTIONS),
+    (error) => error.code === 'INVALID_WHATSAPP_SEATS'
+  );
+  await assert.rejects(
+    createSchedule({ route_id: 999999, departure_time: '18:00', start_date: '2030-04-01' }, OPTIONS),
+    (error) => error.code === 'ROUTE_NOT_FOUND'
+  );
+});
+
+test('editing a schedule updates, removes and keeps its future trips', async () => {
+  const { schedule, created } = await createSchedule({
+    route_id: routeId,
+    departure_time: '06:45',
+    days_of_week: ['MON', 'WED', 'FRI'],
+    start_date: '2030-04-01',
+    whatsapp_seat_quota: 6
+  }, OPTIONS);
+  const byDate = Object.fromEntries(created.map((trip) => [trip.journey_date, trip.id]));
+  await runSql(
+    `INSERT INTO bookings (customer_phone, trip_id, seat_count, status, seat_numbers)
+     VALUES (?, ?, 1, 'confirmed', '[1]')`,
+    [CUSTOMER_PHONE, byDate['2030-04-10']]
+  );
+  await runSql(
+    `INSERT INTO waitlist_entries (trip_id, customer_phone, seat_count, status, offered_at, joined_at)
+     VALUES (?, ?, 2, 'waiting', ?, ?)`,
+    [byDate['2030-04-03'], CUSTOMER_PHONE, NOW.toISOString(), NOW.toISOString()]
+  );
+
+  const result = await updateSchedule(schedule.id, {
+    days_of_week: ['MON', 'FRI'],
+    exception_dates: ['2030-04-08'],
+    whatsapp_seat_quota: 4,
+    route_id: 12345
+  }, OPTIONS);
+
+  assert.strictEqual(result.schedule.route_id, routeId, 'the route cannot be changed');
+  assert.strictEqual(result.updated, 3);
+  assert.deepStrictEqual(result.removed, [byDate['2030-04-08']]);
+  assert.deepStrictEqual(
+    result.kept.map((trip) => [trip.trip_id, trip.reason]),
+    [[byDate['2030-04-03'], 'Trip has waitlisted customers'], [byDate['2030-04-10'], 'Trip has bookings']]
+  );
+  assert.deepStrictEqual(result.created, []);
+
+  const remaining = await tripModel.findBySchedule(schedule.id, '2030-04-01');
+  assert.deepStrictEqual(
+    remaining.map((trip) => [trip.journey_date, trip.whatsapp_seat_quota]),
+    [['2030-04-01', 4], ['2030-04-03', 6], ['2030-04-05', 4], ['2030-04-10', 6], ['2030-04-12', 4]]
+  );
+
+  const paused = await updateSchedule(schedule.id, { active: false }, OPTIONS);
+  assert.strictEqual(paused.schedule.active, false);
+  assert.strictEqual(paused.removed.length, 3);
+  assert.strictEqual(await updateSchedule(999999, {}, OPTIONS), null);
+});
@@ -0,0 +1,142 @@
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { runSql } = require('./helpers/db');
+const tripModel = require('../models/trip');
+const { acquireSeatLocks } = require('../services/inventory/seat_allocation_service');
+const { blockSeats } = require('../services/inventory/seat_inventory_service');
+const {
+  getSeatMap,
+  setWhatsAppSeats
+} = require('../services/inventory/seat_map_service');
+const {
+  generateLayout,
+  createVehicleLayout,
+  assignLayoutToTrip
+} = require('../services/inventory/vehicle_layout_service');
+
+const OPERATOR_PHONE = '919800000991';
+const NOW = new Date('2030-03-10T06:00:00Z');
+
+let operatorId;
+let routeId;
+let tripId;
+
+function createLockService() {
+  const locks = new Map();
+  return {
+    async acquire(key, owner) {
+      if (locks.has(key)) return false;
+      locks.set(key, owner);
+      return true;
+    },
+    async expire(key) {
+      locks.delete(key);
+    }
+  };
+}
+
+before(async () => {
+  await runSql('DELETE FROM operators WHERE phone_number = ?', [OPERATOR_PHONE]);
+  operatorId = await runSql(
+    'INSERT INTO operators (name, phone_number, approved) VALUES (?, ?, 1)',
+    ['Layout Operator', OPERATOR_PHONE]
+  );
+  routeId = await runSql(
+    'INSERT INTO routes (operator_id, source, destination, price) VALUES (?, ?, ?, ?)',
+    [operatorId, 'PUNE', 'GOA', 900]
+  );
+});
+
+beforeEach(async () => {
+  await runSql('DELETE FROM trips WHERE route_id = ?', [routeId]);
+  await runSql('DELETE FROM vehicle_layouts WHERE operator_id = ?', [operatorId]);
+  tripId = await runSql(
+    'INSERT INTO trips (route_id, journey_date, departure_time, whatsapp_seat_quota) VALUES (?, ?, ?, ?)',
+    [routeId, '2030-03-15', '21:00', 4]
+  );
+});
+
+test('a 2+1 sleeper preset splits 36 berths over two decks', () => {
+  const seats = generateLayout({ seat_type: 'sleeper', arrangement: '2+1', seat_count: 36 });
+
+  assert.strictEqual(seats.length, 36);
+  assert.deepStrictEqual(seats.slice(0, 4).map((seat) => [seat.label, seat.row, seat.column]), [
+    ['L1', 0, 0], ['L2', 0, 2], ['L3', 0, 3], ['L4', 1, 0]
+  ]);
+  assert.deepStrictEqual(
+    { label: seats[18].label, seat_number: seats[18].seat_number, deck: seats[18].deck },
+    { label: 'U1', seat_number: 19, deck: 'upper' }
+  );
+  assert.ok(seats.every((seat) => seat.seat_type === 'sleeper'));
+
+  assert.throws(() => generateLayout({ arrangement: '3+3', seat_count: 10 }), /arrangement/);
+  assert.throws(() => generateLayout({ seat_type: 'sleeper', arrangement: '2+1', seat_count: 35 }), /even/);
+});
+
+test('assigning a layout copies its seats and sets an explicit WhatsApp quota', async () => {
+  const layout = await createVehicleLayout({
+    operator_id: operatorId,
+    name: '2+1 Sleeper 36',
+    preset: { seat_type: 'sleeper', arrangement: '2+1', seat_count: 36 }
+  });
+  assert.strictEqual(layout.seats.length, 36);
+
+  const seatMap = await assignLayoutToTrip(tripId, layout.id, { whatsappSeatNumbers: [20, 3, 4, 19] });
+  assert.strictEqual(seatMap.layout_source, 'trip');
+  assert.strictEqual(seatMap.vehicle_layout_id, layout.id);
+  assert.deepStrictEqual(seatMap.whatsapp_seat_numbers, [3, 4, 19, 20]);
+  assert.deepStrictEqual(seatMap.summary, { available: 4, held: 0, confirmed: 0, blocked: 0, unavailable: 32 });
+
+  const trip = await tripModel.findById(tripId);
+  assert.strictEqual(trip.whatsapp_seat_quota, 4);
+  assert.strictEqual(trip.vehicle_layout_id, layout.id);
+  assert.deepStrictEqual(tripModel.getQuotaSeatNumbers(trip), [3, 4, 19, 20]);
+
+  await assert.rejects(
+    assignLayoutToTrip(tripId, layout.id, { whatsappSeatNumbers: [1, 37] }),
+    (error) => error.code === 'INVALID_WHATSAPP_SEATS' && /37/.test(error.message)
+  );
+  await assert.rejects(assignLayoutToTrip(tripId, 999999), (error) => error.code === 'VEHICLE_LAYOUT_NOT_FOUND');
+});
+
+test('only quota seats are allocated to WhatsApp holds', async () => {
+  await setWhatsAppSeats(tripId, [7, 9, 10]);
+  const trip = await tripModel.findById(tripId);
+  const options = { lockService: createLockService(), trip, sessionId: 'sess_layout', ttlSeconds: 30 };
+
+  const allocation = await acquireSeatLocks({ ...options, seatCount: 2 });
+  assert.deepStrictEqual(allocation.seatNumbers, [7, 9]);
+
+  const outside = await acquireSeatLocks({ ...options, seatCount: 1, preferredSeats: [1] });
+  assert.deepStrictEqual(outside.unavailable, [1]);
+
+  const tooMany = await acquireSeatLocks({ ...options, seatCount: 2 });
+  assert.strictEqual(tooMany.acquired, false);
+
+  assert.strictEqual(await tripModel.getAvailableSeats(tripId), 3);
+  const seatMap = await getSeatMap(tripId, { now: NOW });
+  assert.strictEqual(seatMap.layout_source, 'default');
+  assert.strictEqual(seatMap.seats.length, 10);
+  assert.strictEqual(seatMap.summary.unavailable, 7);
+});
+
+test('seats to block must exist in the trip layout, not just the quota', async () => {
+  const layout = await createVehicleLayout({
+    operator_id: operatorId,
+    name: '2+2 Seater 8',
+    preset: { seat_type: 'seater', arrangement: '2+2', seat_count: 8 }
+  });
+  await assignLayoutToTrip(tripId, layout.id, { whatsappSeatNumbers: [1, 2] });
+
+  await assert.rejects(
+    blockSeats({
+      routeId,
+      tripDate: '2030-03-15',
+      seatNumbers: [9],
+      reason: 'Broken seat',
+      actorType: 'operator',
+      actorId: operatorId
+    }),
+    /Invalid seat numbers for trip \d+: 9/
+  );
+});
@@ -0,0 +1,250 @@
+const { test, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { runSql, getRow } = require('./helpers/db');
+const whatsappService = require('../services/whatsapp');
+const bookingModel = require('../models/booking');
+const waitlistEntryModel = require('../models/waitlistEntry');
+const { t } = require('../services/i18n/translator');
+const { buildSeatLockKey } = require('../services/inventoryLocking');
+const { rejectHold } = require('../services/booking/booking_cancellation_service');
+const {
+  WAITLIST_HOLD_MINUTES,
+  offerWaitlist,
+  promoteWaitlist
+} = require('../services/inventory/waitlist_service');
+const {
+  parseCustomerCommand,
+  handleCustomerCommand
+} = require('../services/whatsapp/customer_commands');
+const { createQuotaRule, evaluateQuotaRules } = require('../services/inventory/quota_rule_service');
+
+const OPERATOR_PHONE = '919800000994';
+const CUSTOMER_PHONE = '919800000904';
+const FIRST_WAITING_PHONE = '919800000905';
+const SECOND_WAITING_PHONE = '919800000906';
+const PHONES = [CUSTOMER_PHONE, FIRST_WAITING_PHONE, SECOND_WAITING_PHONE];
+const NOW = new Date('2030-06-10T06:00:00Z');
+
+const originalSendMessage = whatsappService.sendMessage;
+const originalSendTemplate = whatsappService.sendTemplate;
+const originalSendReplyButtons = whatsappService.sendReplyButtons;
+let routeId;
+let tripId;
+let sent;
+
+function minutesAfter(date, minutes) {
+  return new Date(date.getTime() + minutes * 60 * 1000);
+}
+
+function createLockService() {
+  const locks = new Map();
+  return {
+    locks,
+    async acquire(key, owner) {
+      if (locks.has(key)) return false;
+      locks.set(key, owner);
+      return true;
+    },
+    async expire(key) {
+      locks.delete(key);
+    }
+  };
+}
+
+// A booking whose seats stay locked, as after a real hold
+async function createBooking(lockService, seatNumbers, status = 'confirmed') {
+  seatNumbers.forEach((seat) => lockService.locks.set(buildSeatLockKey(tripId, seat), 'booked'));
+  return runSql(
+    `INSERT INTO bookings (customer_phone, trip_id, seat_count, status, seat_numbers, hold_expires_at)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      CUSTOMER_PHONE,
+      tripId,
+      seatNumbers.length,
+      status,
+      JSON.stringify(seatNumbers),
+      status === 'hold' ? minutesAfter(NOW, 2).toISOString() : null
+    ]
+  );
+}
+
+function releaseSeats(lockService, seatNumbers) {
+  seatNumbers.forEach((seat) => lockService.locks.delete(buildSeatLockKey(tripId, seat)));
+}
+
+async function cancelBooking(lockService, bookingId, seatNumbers) {
+  releaseSeats(lockService, seatNumbers);
+  await bookingModel.transitionStatus(bookingId, 'cancelled');
+}
+
+// Expires a hold the way the expiry sweep does
+async function expireHold(lockService, bookingId, seatNumbers) {
+  await bookingModel.expireHold(bookingId, {
+    releaseInventoryLock: async () => releaseSeats(lockService, seatNumbers)
+  });
+}
+
+async function joinWaitlist(phoneNumber, seatCount, offeredAt) {
+  await offerWaitlist({ tripId, phoneNumber, seatCount, language: 'en', now: offeredAt });
+  return handleCustomerCommand(phoneNumber, parseCustomerCommand('WAITLIST'), { now: minutesAfter(offeredAt, 1) });
+}
+
+before(async () => {
+  await runSql('DELETE FROM operators WHERE phone_number = ?', [OPERATOR_PHONE]);
+  const operatorId = await runSql(
+    'INSERT INTO operators (name, phone_number, approved) VALUES (?, ?, 1)',
+    ['Waitlist Operator', OPERATOR_PHONE]
+  );
+  routeId = await runSql(
+    'INSERT INTO routes (operator_id, source, destination, price) VALUES (?, ?, ?, ?)',
+    [operatorId, 'KOLHAPUR', 'SANGLI', 150]
+  );
+});
+
+beforeEach(async () => {
+  await runSql(`DELETE FROM bookings WHERE customer_phone IN (${PHONES.map(() => '?').join(', ')})`, PHONES);
+  await runSql('DELETE FROM trips WHERE route_id = ?', [routeId]);
+  await runSql(
+    `DELETE FROM outbound_messages WHERE recipient_phone IN (${PHONES.map(() => '?').join(', ')}, ?)`,
+    [...PHONES, OPERATOR_PHONE]
+  );
+  tripId = await runSql(
+    'INSERT INTO trips (route_id, journey_date, departure_time, whatsapp_seat_quota) VALUES (?, ?, ?, ?)',
+    [routeId, '2030-06-20', '07:00', 3]
+  );
+
+  sent = [];
+  whatsappService.sendMessage = async (phone, text) => {
+    sent.push({ kind: 'text', phone, text });
+    return { messages: [{ id: `wamid.waitlist.${sent.length}` }] };
+  };
+  whatsappService.sendTemplate = async (phone, name, languageCode, bodyParameters) => {
+    sent.push({ kind: 'template', phone, name, bodyParameters });
+    return { messages: [{ id: `wamid.waitlist.${sent.length}` }] };
+  };
+  whatsappService.sendReplyButtons = async (phone, text, buttons) => {
+    sent.push({ kind: 'buttons', phone, text, buttons });
+    return { messages: [{ id: `wamid.waitlist.${sent.length}` }] };
+  };
+});
+
+afterEach(() => {
+  whatsappService.sendMessage = originalSendMessage;
+  whatsappService.sendTemplate = originalSendTemplate;
+  whatsappService.sendReplyButtons = originalSendReplyButtons;
+});
+
+test('customers join the waitlist of the full trip they were just offered', async () => {
+  assert.deepStrictEqual(parseCustomerCommand('waitlist'), { command: 'waitlist', bookingId: null });
+  assert.deepStrictEqual(parseCustomerCommand('Join Waitlist'), { command: 'waitlist', bookingId: null });
+
+  const lockService = createLockService();
+  await createBooking(lockService, [1, 2, 3]);
+  const trip = { source: 'KOLHAPUR', destination: 'SANGLI', date: '2030-06-20', time: '07:00', seats: 2 };
+
+  assert.strictEqual(
+    await joinWaitlist(FIRST_WAITING_PHONE, 2, NOW),
+    t('en', 'waitlist_joined', { ...trip, position: 1 })
+  );
+  assert.strictEqual(
+    await joinWaitlist(SECOND_WAITING_PHONE, 2, minutesAfter(NOW, 1)),
+    t('en', 'waitlist_joined', { ...trip, position: 2 })
+  );
+  assert.strictEqual(
+    await joinWaitlist(FIRST_WAITING_PHONE, 2, minutesAfter(NOW, 2)),
+    t('en', 'waitlist_already', { ...trip, position: 1 }),
+    'asking again keeps the original place'
+  );
+
+  assert.strictEqual(
+    await handleCustomerCommand(CUSTOMER_PHONE, { command: 'waitlist' }, { now: NOW }),
+    t('en', 'waitlist_no_offer')
+  );
+  await offerWaitlist({ tripId, phoneNumber: CUSTOMER_PHONE, seatCount: 1, now: NOW });
+  assert.strictEqual(
+    await handleCustomerCommand(CUSTOMER_PHONE, { command: 'waitlist' }, { now: minutesAfter(NOW, 120) }),
+    t('en', 'waitlist_no_offer'),
+    'offers lapse with the conversation'
+  );
+});
+
+test('freed seats become holds for waiting customers in the order they joined', async () => {
+  const lockService = createLockService();
+  const pairBookingId = await createBooking(lockService, [1, 2]);
+  const singleHoldId = await createBooking(lockService, [3], 'hold');
+  await joinWaitlist(FIRST_WAITING_PHONE, 2, NOW);
+  await joinWaitlist(SECOND_WAITING_PHONE, 1, minutesAfter(NOW, 1));
+  assert.deepStrictEqual(await promoteWaitlist(tripId, { lockService, now: NOW }), [], 'nothing is free yet');
+
+  // One seat frees up as a hold expires: too few for the first customer, who keeps their place
+  await expireHold(lockService, singleHoldId, [3]);
+  const promoteAt = minutesAfter(NOW, 5);
+  const [single] = await promoteWaitlist(tripId, { lockService, now: promoteAt });
+  const singleHold = await getRow('SELECT * FROM bookings WHERE id = ?', [single.booking_id]);
+  assert.strictEqual(singleHold.customer_phone, SECOND_WAITING_PHONE);
+  assert.strictEqual(singleHold.status, 'hold');
+  assert.strictEqual(singleHold.seat_numbers, '[3]');
+  assert.strictEqual(singleHold.hold_expires_at, minutesAfter(promoteAt, WAITLIST_HOLD_MINUTES).toISOString());
+  const entry = await waitlistEntryModel.findById(single.entry_id);
+  assert.strictEqual(entry.status, 'held');
+  assert.strictEqual(entry.booking_id, single.booking_id);
+
+  const notice = sent.find((message) => message.phone === SECOND_WAITING_PHONE);
+  assert.strictEqual(notice.name, 'waitlist_hold');
+  assert.strictEqual(notice.bodyParameters[0], String(single.booking_id));
+  const operatorRequest = sent.find((message) => message.phone === OPERATOR_PHONE);
+  assert.strictEqual(operatorRequest.kind, 'buttons');
+  assert.match(operatorRequest.text, new RegExp(`Booking ID: ${single.booking_id}`));
+
+  await cancelBooking(lockService, pairBookingId, [1, 2]);
+  const [pair] = await promoteWaitlist(tripId, { lockService, now: promoteAt });
+  const pairHold = await getRow('SELECT * FROM bookings WHERE id = ?', [pair.booking_id]);
+  assert.strictEqual(pairHold.customer_phone, FIRST_WAITING_PHONE);
+  assert.strictEqual(pairHold.seat_numbers, '[1,2]');
+  assert.deepStrictEqual(await promoteWaitlist(tripId, { lockService, now: promoteAt }), []);
+});
+
+test('seats of a hold the operator rejects go to the waitlist', async () => {
+  const lockService = createLockService();
+  await createBooking(lockService, [1]);
+  const holdId = await createBooking(lockService, [2, 3], 'hold');
+  await joinWaitlist(FIRST_WAITING_PHONE, 2, NOW);
+
+  await rejectHold(await bookingModel.findById(holdId), { lockService });
+  assert.strictEqual((await bookingModel.findById(holdId)).status, 'cancelled');
+  const hold = await getRow('SELECT * FROM bookings WHERE customer_phone = ?', [FIRST_WAITING_PHONE]);
+  assert.strictEqual(hold.status, 'hold');
+  assert.strictEqual(hold.seat_numbers, '[2,3]');
+  const entry = await getRow('SELECT * FROM waitlist_entries WHERE booking_id = ?', [hold.id]);
+  assert.strictEqual(entry.status, 'held');
+  assert.strictEqual(lockService.locks.get(buildSeatLockKey(tripId, 1)), 'booked', 'other seats stay taken');
+});
+
+test('seats a quota rule releases go to the waitlist', async () => {
+  const lockService = createLockService();
+  await createBooking(lockService, [1, 2, 3]);
+  await joinWaitlist(FIRST_WAITING_PHONE, 2, NOW);
+  await createQuotaRule({ trip_id: tripId, hours_before_departure: 24, action: 'release_seats', seat_count: 2 });
+
+  // 19.5 hours before the 07:00 IST departure
+  const summary = await evaluateQuotaRules({ now: new Date('2030-06-19T06:00:00Z'), lockService });
+  assert.strictEqual(summary.failed, 0);
+  const hold = await getRow('SELECT * FROM bookings WHERE customer_phone = ?', [FIRST_WAITING_PHONE]);
+  assert.strictEqual(hold.status, 'hold');
+  assert.strictEqual(hold.seat_numbers, '[4,5]');
+  const entry = await getRow('SELECT * FROM waitlist_entries WHERE booking_id = ?', [hold.id]);
+  assert.strictEqual(entry.status, 'held');
+});
+
+test('nothing is held once the trip has departed', async () => {
+  const lockService = createLockService();
+  const bookingId = await createBooking(lockService, [1, 2, 3]);
+  await joinWaitlist(FIRST_WAITING_PHONE, 1, NOW);
+  await cancelBooking(lockService, bookingId, [1, 2, 3]);
+  assert.deepStrictEqual(
+    await promoteWaitlist(tripId, { lockService, now: new Date('2030-06-20T02:00:00Z') }),
+    []
+  );
+  const waiting = await waitlistEntryModel.findWaiting(FIRST_WAITING_PHONE, tripId);
+  assert.strictEqual(waiting.status, 'waiting');
+});
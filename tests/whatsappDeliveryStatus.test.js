@@ -0,0 +1,132 @@
+const { test, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { runSql } = require('./helpers/db');
+const whatsappService = require('../services/whatsapp');
+const messageLogModel = require('../models/messageLog');
+const { queueCustomerNotification } = require('../services/whatsapp/outbox');
+const { handleStatusUpdate } = require('../services/whatsapp/delivery_status');
+
+const OPERATOR_PHONE = '919800000690';
+const CUSTOMER_PHONE = '919800000601';
+
+const originalSendMessage = whatsappService.sendMessage;
+const originalSendTemplate = whatsappService.sendTemplate;
+let sent;
+let bookingId;
+
+function statusCallback(wamid, status, errors) {
+  return {
+    id: wamid,
+    status,
+    timestamp: String(Math.floor(Date.now() / 1000)),
+    recipient_id: CUSTOMER_PHONE,
+    ...(errors ? { errors } : {})
+  };
+}
+
+const confirmationParams = {
+  booking_id: 1,
+  source: 'MUMBAI',
+  destination: 'PUNE',
+  date: '2030-01-15',
+  time: '08:00',
+  seats: 2
+};
+
+before(async () => {
+  await runSql('DELETE FROM operators WHERE phone_number = ?', [OPERATOR_PHONE]);
+  const operatorId = await runSql(
+    'INSERT INTO operators (name, phone_number, approved) VALUES (?, ?, 1)',
+    ['Status Operator', OPERATOR_PHONE]
+  );
+  const routeId = await runSql(
+    'INSERT INTO routes (operator_id, source, destination, price) VALUES (?, ?, ?, ?)',
+    [operatorId, 'Mumbai', 'Pune', 500]
+  );
+  const tripId = await runSql(
+    'INSERT INTO trips (route_id, journey_date, departure_time, whatsapp_seat_quota) VALUES (?, ?, ?, ?)',
+    [routeId, '2030-01-15', '08:00', 5]
+  );
+  bookingId = await runSql(
+    "INSERT INTO bookings (customer_phone, trip_id, seat_count, status) VALUES (?, ?, 2, 'confirmed')",
+    [CUSTOMER_PHONE, tripId]
+  );
+});
+
+beforeEach(async () => {
+  await runSql('DELETE FROM outbound_messages');
+  await runSql('DELETE FROM message_logs WHERE booking_id = ?', [bookingId]);
+  await runSql('DELETE FROM customer_contacts WHERE phone_number = ?', [CUSTOMER_PHONE]);
+
+  sent = [];
+  whatsappService.sendMessage = async (phone, text) => {
+    sent.push({ kind: 'text', phone, text });
+    return { messages: [{ id: `wamid.status.${sent.length}` }] };
+  };
+  whatsappService.sendTemplate = async (phone, name) => {
+    sent.push({ kind: 'template', phone, name });
+    return { messages: [{ id: `wamid.status.${sent.length}` }] };
+  };
+});
+
+afterEach(() => {
+  whatsappService.sendMessage = originalSendMessage;
+  whatsappService.sendTemplate = originalSendTemplate;
+});
+
+async function sendConfirmation() {
+  await queueCustomerNotification(CUSTOMER_PHONE, 'ticket_confirmed', confirmationParams, {
+    bookingId,
+    logType: 'confirmation'
+  });
+  const logs = await messageLogModel.findByBookingId(bookingId);
+  return logs.find((log) => log.wa_message_id === `wamid.status.${sent.length}`);
+}
+
+test('sent message logs carry the wamid and move forward through statuses', async () => {
+  const log = await sendConfirmation();
+  assert.strictEqual(log.delivery_status, 'sent');
+
+  await handleStatusUpdate(statusCallback(log.wa_message_id, 'delivered'));
+  await handleStatusUpdate(statusCallback(log.wa_message_id, 'read'));
+  const late = await handleStatusUpdate(statusCallback(log.wa_message_id, 'delivered'));
+
+  assert.strictEqual(late.updated, false);
+  assert.strictEqual((await messageLogModel.findById(log.id)).delivery_status, 'read');
+  assert.strictEqual((await handleStatusUpdate(statusCallback('wamid.unknown', 'read'))).updated, false);
+});
+
+test('a failed confirmation is resent once, then the operator is alerted', async () => {
+  const log = await sendConfirmation();
+
+  const first = await handleStatusUpdate(statusCallback(log.wa_message_id, 'failed', [
+    { code: 131026, title: 'Message undeliverable' }
+  ]));
+  assert.strictEqual(first.action, 'resent');
+  assert.strictEqual(first.log.delivery_error, '131026: Message undeliverable');
+  assert.strictEqual(sent.length, 2);
+  assert.strictEqual(sent[1].phone, CUSTOMER_PHONE);
+
+  const second = await handleStatusUpdate(statusCallback(`wamid.status.${sent.length}`, 'failed', [
+    { code: 131026, title: 'Message undeliverable' }
+  ]));
+  assert.strictEqual(second.action, 'alerted');
+  assert.strictEqual(sent[2].phone, OPERATOR_PHONE);
+  assert.match(sent[2].text, new RegExp(`booking ${bookingId} could not be delivered`));
+});
+
+test('a re-engagement failure is resent as a template', async () => {
+  // The customer wrote recently as far as we know, so the first send is free-form text
+  await runSql('INSERT INTO customer_contacts (phone_number, last_inbound_at) VALUES (?, ?)', [
+    CUSTOMER_PHONE,
+    new Date().toISOString()
+  ]);
+  const log = await sendConfirmation();
+  assert.strictEqual(sent[0].kind, 'text');
+
+  const result = await handleStatusUpdate(statusCallback(log.wa_message_id, 'failed', [
+    { code: 131047, title: 'Re-engagement message' }
+  ]));
+  assert.strictEqual(result.action, 'resent');
+  assert.deepStrictEqual(sent[1], { kind: 'template', phone: CUSTOMER_PHONE, name: 'ticket_confirmed' });
+});
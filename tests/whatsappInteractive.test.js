@@ -0,0 +1,91 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { getDatabase } = require('../database');
+const {
+  buildReplyButtonsPayload,
+  buildListPayload
+} = require('../services/whatsapp');
+const {
+  PAYLOADS,
+  buildConfirmationButtons,
+  buildTripTimeList,
+  buildOperatorDecisionButtons,
+  parseInteractiveReply,
+  customerReplyToText,
+  parseOperatorDecision
+} = require('../services/whatsapp/interactive');
+const { routeCustomerMessage } = require('../services/whatsapp/message_router');
+
+beforeEach(async () => {
+  const db = await getDatabase();
+  await new Promise((resolve, reject) => {
+    db.run('DELETE FROM conversation_sessions', (err) => (err ? reject(err) : resolve()));
+  });
+});
+
+test('reply buttons payload follows the Cloud API shape and limits', () => {
+  const payload = buildReplyButtonsPayload('Confirm?', buildConfirmationButtons('en'));
+  assert.strictEqual(payload.type, 'interactive');
+  assert.strictEqual(payload.interactive.type, 'button');
+  assert.deepStrictEqual(payload.interactive.action.buttons[0], {
+    type: 'reply',
+    reply: { id: PAYLOADS.CONFIRM_REQUEST, title: 'Confirm' }
+  });
+
+  const tooMany = [1, 2, 3, 4].map((index) => ({ id: `B${index}`, title: `Button ${index}` }));
+  assert.throws(() => buildReplyButtonsPayload('Pick one', tooMany), /1 to 3 buttons/);
+});
+
+test('list payload carries one row per departure time', () => {
+  const list = buildTripTimeList(['08:00', '21:30'], 'hi');
+  const payload = buildListPayload('Pick a time', list.button, list.sections);
+
+  assert.strictEqual(payload.interactive.type, 'list');
+  assert.strictEqual(payload.interactive.action.button, 'समय चुनें');
+  assert.deepStrictEqual(
+    payload.interactive.action.sections[0].rows.map((row) => row.id),
+    ['TRIP_TIME:08:00', 'TRIP_TIME:21:30']
+  );
+  assert.throws(() => buildListPayload('Empty', 'Open', [{ title: 'None', rows: [] }]), /1 to 10 rows/);
+});
+
+test('button and list replies are read back from webhook messages', () => {
+  const buttonReply = parseInteractiveReply({
+    type: 'interactive',
+    interactive: { type: 'button_reply', button_reply: { id: 'CONFIRM_REQUEST', title: 'Confirm' } }
+  });
+  assert.strictEqual(customerReplyToText(buttonReply), 'YES');
+
+  const listReply = parseInteractiveReply({
+    type: 'interactive',
+    interactive: { type: 'list_reply', list_reply: { id: 'TRIP_TIME:21:30', title: '21:30' } }
+  });
+  assert.strictEqual(customerReplyToText(listReply), '21:30');
+
+  const templateReply = parseInteractiveReply({ type: 'button', button: { payload: 'CANCEL_REQUEST', text: 'Cancel' } });
+  assert.strictEqual(customerReplyToText(templateReply), 'NO');
+
+  assert.strictEqual(parseInteractiveReply({ type: 'text', text: { body: 'hi' } }), null);
+});
+
+test('operator YES/NO buttons encode the booking id', () => {
+  const [yes, no] = buildOperatorDecisionButtons(42);
+  assert.deepStrictEqual(parseOperatorDecision(yes), { decision: 'accept', bookingId: 42 });
+  assert.deepStrictEqual(parseOperatorDecision(no), { decision: 'reject', bookingId: 42 });
+  assert.strictEqual(parseOperatorDecision({ id: 'CONFIRM_REQUEST' }), null);
+});
+
+test('booking summary is sent with Confirm/Cancel buttons', async () => {
+  const phone = '919800000301';
+  const routed = await routeCustomerMessage(phone, 'Mumbai to Pune 2030-03-15 08:00 2 seats');
+
+  assert.match(routed.reply, /Please confirm your booking request/);
+  assert.deepStrictEqual(
+    routed.interactive.buttons.map((button) => button.id),
+    [PAYLOADS.CONFIRM_REQUEST, PAYLOADS.CANCEL_REQUEST]
+  );
+
+  const confirmed = await routeCustomerMessage(phone, customerReplyToText({ id: PAYLOADS.CONFIRM_REQUEST }));
+  assert.strictEqual(confirmed.reply, null);
+  assert.strictEqual(confirmed.bookingRequest.time, '08:00');
+});
@@ -0,0 +1,138 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { runSql, getRows } = require('./helpers/db');
+const whatsappService = require('../services/whatsapp');
+const outboundMessageModel = require('../models/outboundMessage');
+const {
+  computeRetryDelayMs,
+  isRetryable,
+  queueText,
+  queueListMessage,
+  processOutbox
+} = require('../services/whatsapp/outbox');
+
+const originalSendMessage = whatsappService.sendMessage;
+const originalSendListMessage = whatsappService.sendListMessage;
+let sent;
+let failures;
+
+function apiError(status) {
+  const error = new Error(`WhatsApp API Error: ${status}`);
+  error.status = status;
+  return error;
+}
+
+beforeEach(async () => {
+  await runSql('DELETE FROM outbound_messages');
+  await runSql("DELETE FROM message_logs WHERE type = 'outbox_test'");
+
+  sent = [];
+  // Queue of errors to throw, per recipient, before sends start succeeding
+  failures = new Map();
+  whatsappService.sendMessage = async (phone, text) => {
+    const pending = failures.get(phone) || [];
+    if (pending.length > 0) {
+      throw pending.shift();
+    }
+    sent.push({ phone, text });
+    return { messages: [{ id: `wamid.${sent.length}` }] };
+  };
+  whatsappService.sendListMessage = async (phone, text, button, sections) => {
+    sent.push({ phone, text, button, sections });
+    return { messages: [{ id: `wamid.${sent.length}` }] };
+  };
+});
+
+afterEach(() => {
+  whatsappService.sendMessage = originalSendMessage;
+  whatsappService.sendListMessage = originalSendListMessage;
+});
+
+test('retry delay doubles from 30 seconds and is capped at an hour', () => {
+  assert.strictEqual(computeRetryDelayMs(1), 30 * 1000);
+  assert.strictEqual(computeRetryDelayMs(3), 2 * 60 * 1000);
+  assert.strictEqual(computeRetryDelayMs(20), 60 * 60 * 1000);
+
+  assert.strictEqual(isRetryable(apiError(500)), true);
+  assert.strictEqual(isRetryable(apiError(429)), true);
+  assert.strictEqual(isRetryable(apiError(400)), false);
+  assert.strictEqual(isRetryable(new Error('socket hang up')), true);
+});
+
+test('a successful send records the provider id and the message log', async () => {
+  const message = await queueText('919800000501', 'Hello', { logType: 'outbox_test' });
+
+  assert.strictEqual(message.status, 'sent');
+  assert.strictEqual(message.attempts, 1);
+  assert.strictEqual(message.provider_message_id, 'wamid.1');
+  const logs = await getRows("SELECT * FROM message_logs WHERE type = 'outbox_test'");
+  assert.strictEqual(logs.length, 1);
+});
+
+test('list pickers are queued with their button and sections', async () => {
+  const sections = [{ title: 'Bookings', rows: [{ id: 'ticket_booking:7', title: '#7' }] }];
+  const message = await queueListMessage('919800000501', 'Which booking?', 'Choose', sections);
+
+  assert.strictEqual(message.status, 'sent');
+  assert.strictEqual(message.kind, 'list');
+  assert.deepStrictEqual(sent, [{ phone: '919800000501', text: 'Which booking?', button: 'Choose', sections }]);
+});
+
+test('failed sends back off and are retried by processOutbox', async () => {
+  const phone = '919800000502';
+  failures.set(phone, [apiError(503)]);
+
+  const queued = await queueText(phone, 'Ticket confirmed');
+  assert.strictEqual(queued.status, 'pending');
+  assert.strictEqual(queued.attempts, 1);
+  assert.match(queued.last_error, /503/);
+
+  // Not due yet: nothing is sent
+  const early = await processOutbox({ now: new Date() });
+  assert.strictEqual(early.sent, 0);
+
+  const later = await processOutbox({ now: new Date(Date.now() + 60 * 1000) });
+  assert.strictEqual(later.sent, 1);
+  assert.strictEqual((await outboundMessageModel.findById(queued.id)).status, 'sent');
+});
+
+test('later messages to the same recipient wait behind a failing one', async () => {
+  const phone = '919800000503';
+  failures.set(phone, [apiError(503)]);
+
+  const first = await queueText(phone, 'First');
+  const second = await queueText(phone, 'Second');
+  await queueText('919800000504', 'Someone else');
+
+  assert.strictEqual(first.status, 'pending');
+  assert.strictEqual(second.status, 'pending');
+  assert.strictEqual(second.attempts, 0);
+  assert.deepStrictEqual(sent.map((message) => message.text), ['Someone else']);
+
+  await processOutbox({ now: new Date(Date.now() + 60 * 1000) });
+  assert.deepStrictEqual(sent.map((message) => message.text), ['Someone else', 'First', 'Second']);
+});
+
+test('permanent errors and exhausted retries are dead-lettered', async () => {
+  const phone = '919800000505';
+  failures.set(phone, [apiError(400)]);
+
+  const rejected = await queueText(phone, 'Bad request');
+  assert.strictEqual(rejected.status, 'dead');
+  assert.strictEqual(rejected.attempts, 1);
+
+  // A dead letter does not block the recipient's queue
+  const next = await queueText(phone, 'Next');
+  assert.strictEqual(next.status, 'sent');
+
+  failures.set(phone, Array.from({ length: 10 }, () => apiError(500)));
+  const flaky = await queueText(phone, 'Flaky');
+  let now = Date.now();
+  for (let attempt = 1; attempt < flaky.max_attempts; attempt += 1) {
+    now += computeRetryDelayMs(attempt);
+    await processOutbox({ now: new Date(now) });
+  }
+  const exhausted = await outboundMessageModel.findById(flaky.id);
+  assert.strictEqual(exhausted.status, 'dead');
+  assert.strictEqual(exhausted.attempts, flaky.max_attempts);
+});
@@ -0,0 +1,85 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { getDatabase } = require('../database');
+const sessionStore = require('../services/whatsapp/session_store');
+const { routeCustomerMessage } = require('../services/whatsapp/message_router');
+const { CONVERSATION_STATES } = require('../services/whatsapp/state_machine');
+
+async function resetSessions() {
+  const db = await getDatabase();
+  return new Promise((resolve, reject) => {
+    db.run('DELETE FROM conversation_sessions', (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+async function expireSession(phoneNumber) {
+  const db = await getDatabase();
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE conversation_sessions SET expires_at = datetime('now', '-1 minutes')
+       WHERE phone_number = ?`,
+      [phoneNumber],
+      (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve();
+      }
+    );
+  });
+}
+
+beforeEach(async () => {
+  await resetSessions();
+});
+
+test('conversation progress is persisted between messages', async () => {
+  const phone = '919811111101';
+
+  const first = await routeCustomerMessage(phone, 'Mumbai to Pune');
+  assert.match(first.reply, /Which date/);
+
+  const stored = await sessionStore.getSession(phone);
+  assert.strictEqual(stored.state, CONVERSATION_STATES.AWAITING_DATE);
+  assert.deepStrictEqual(stored.draft, { source: 'MUMBAI', destination: 'PUNE' });
+
+  await routeCustomerMessage(phone, '2030-01-15');
+  await routeCustomerMessage(phone, '08:00');
+  await routeCustomerMessage(phone, '3 seats');
+  const confirmed = await routeCustomerMessage(phone, 'YES');
+
+  assert.strictEqual(confirmed.reply, null);
+  assert.strictEqual(confirmed.bookingRequest.seats, 3);
+  assert.strictEqual(await sessionStore.getSession(phone), null);
+});
+
+test('complete single-message request bypasses and clears the session', async () => {
+  const phone = '919811111102';
+  await routeCustomerMessage(phone, 'Mumbai to Pune');
+
+  const result = await routeCustomerMessage(
+    phone,
+    'Route: Mumbai to Pune, Date: 2030-01-15, Time: 08:00, Seats: 2'
+  );
+
+  assert.strictEqual(result.bookingRequest.date, '2030-01-15');
+  assert.strictEqual(await sessionStore.getSession(phone), null);
+});
+
+test('expired sessions are ignored', async () => {
+  const phone = '919811111103';
+  await routeCustomerMessage(phone, 'Mumbai to Pune');
+  await expireSession(phone);
+
+  assert.strictEqual(await sessionStore.getSession(phone), null);
+  const result = await routeCustomerMessage(phone, '2030-01-15');
+  assert.strictEqual(result.bookingRequest, null);
+  assert.match(result.reply, /route/i);
+});
@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  CONVERSATION_STATES,
+  CONVERSATION_EVENTS,
+  applyConversationEvent,
+  createSession,
+  getNextState,
+  advanceConversation
+} = require('../services/whatsapp/state_machine');
+
+test('route-only message starts the conversation and asks for the date', () => {
+  const result = advanceConversation(createSession('919800000001'), 'Mumbai to Pune');
+
+  assert.strictEqual(result.handled, true);
+  assert.strictEqual(result.session.state, CONVERSATION_STATES.AWAITING_DATE);
+  assert.deepStrictEqual(result.session.draft, { source: 'MUMBAI', destination: 'PUNE' });
+  assert.match(result.reply, /Which date/);
+  assert.strictEqual(result.bookingRequest, null);
+});
+
+test('full step-by-step flow produces a booking request on YES', () => {
+  let session = createSession('919800000002');
+  const steps = [
+    ['Mumbai to Pune', CONVERSATION_STATES.AWAITING_DATE],
+    ['2030-01-15', CONVERSATION_STATES.AWAITING_TIME],
+    ['8:00', CONVERSATION_STATES.AWAITING_SEATS],
+    ['2', CONVERSATION_STATES.AWAITING_CONFIRMATION]
+  ];
+
+  for (const [text, expectedState] of steps) {
+    const result = advanceConversation(session, text);
+    assert.strictEqual(result.session.state, expectedState);
+    session = result.session;
+  }
+
+  const confirmed = advanceConversation(session, 'yes');
+  assert.strictEqual(confirmed.session.state, CONVERSATION_STATES.IDLE);
+  assert.strictEqual(confirmed.reply, null);
+  assert.deepStrictEqual(confirmed.bookingRequest, {
+    source: 'MUMBAI',
+    destination: 'PUNE',
+    date: '2030-01-15',
+    time: '08:00',
+    seats: 2
+  });
+});
+
+test('several answers in one message skip ahead', () => {
+  const result = advanceConversation(
+    createSession('919800000003'),
+    'Mumbai to Pune on 15/01/2030 at 09:30'
+  );
+  assert.strictEqual(result.session.state, CONVERSATION_STATES.AWAITING_SEATS);
+  assert.strictEqual(result.session.draft.date, '2030-01-15');
+  assert.strictEqual(result.session.draft.time, '09:30');
+});
+
+test('unrecognised input re-asks the current question', () => {
+  const session = {
+    phone_number: '919800000004',
+    state: CONVERSATION_STATES.AWAITING_TIME,
+    draft: { source: 'MUMBAI', destination: 'PUNE', date: '2030-01-15' }
+  };
+  const result = advanceConversation(session, 'whenever');
+  assert.strictEqual(result.handled, true);
+  assert.strictEqual(result.session.state, CONVERSATION_STATES.AWAITING_TIME);
+  assert.match(result.reply, /didn't catch that/);
+});
+
+test('unrelated message outside a conversation is not handled', () => {
+  const result = advanceConversation(createSession('919800000005'), 'hello there');
+  assert.strictEqual(result.handled, false);
+});
+
+test('NO at confirmation discards the draft', () => {
+  const session = {
+    phone_number: '919800000006',
+    state: CONVERSATION_STATES.AWAITING_CONFIRMATION,
+    draft: { source: 'MUMBAI', destination: 'PUNE', date: '2030-01-15', time: '08:00', seats: 1 }
+  };
+  const result = advanceConversation(session, 'no');
+  assert.strictEqual(result.session.state, CONVERSATION_STATES.IDLE);
+  assert.deepStrictEqual(result.session.draft, {});
+  assert.strictEqual(result.bookingRequest, null);
+});
+
+test('transition table rejects confirming outside the confirmation step', () => {
+  const result = applyConversationEvent(
+    CONVERSATION_STATES.AWAITING_DATE,
+    CONVERSATION_EVENTS.CONFIRM,
+    CONVERSATION_STATES.IDLE
+  );
+  assert.strictEqual(result.ok, false);
+  assert.strictEqual(result.error, 'INVALID_CONVERSATION_TRANSITION');
+  assert.strictEqual(getNextState({}), CONVERSATION_STATES.AWAITING_ROUTE);
+});
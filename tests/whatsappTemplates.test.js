@@ -0,0 +1,111 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { getDatabase } = require('../database');
+const whatsappService = require('../services/whatsapp');
+const { buildTemplateMessage } = require('../services/whatsapp/templates');
+const {
+  recordCustomerInbound,
+  isSessionWindowOpen,
+  sendCustomerNotification
+} = require('../services/whatsapp/customer_notifier');
+const { setCustomerLanguage } = require('../services/i18n/customer_language');
+
+const originalSendMessage = whatsappService.sendMessage;
+const originalSendTemplate = whatsappService.sendTemplate;
+let sent;
+
+const reminderParams = { source: 'MUMBAI', destination: 'PUNE', date: '2030-01-15', time: '08:00' };
+
+beforeEach(async () => {
+  const db = await getDatabase();
+  await new Promise((resolve, reject) => {
+    db.run('DELETE FROM customer_contacts', (err) => (err ? reject(err) : resolve()));
+  });
+  await new Promise((resolve, reject) => {
+    db.run('DELETE FROM customer_preferences', (err) => (err ? reject(err) : resolve()));
+  });
+
+  sent = [];
+  whatsappService.sendMessage = async (phone, text) => {
+    sent.push({ kind: 'text', phone, text });
+  };
+  whatsappService.sendTemplate = async (phone, name, languageCode, bodyParameters) => {
+    sent.push({ kind: 'template', phone, name, languageCode, bodyParameters });
+  };
+});
+
+afterEach(() => {
+  whatsappService.sendMessage = originalSendMessage;
+  whatsappService.sendTemplate = originalSendTemplate;
+});
+
+test('template payload carries name, language and ordered body parameters', () => {
+  const payload = whatsappService.buildTemplatePayload('journey_reminder', 'hi', ['MUMBAI', 'PUNE']);
+  assert.deepStrictEqual(payload, {
+    type: 'template',
+    template: {
+      name: 'journey_reminder',
+      language: { code: 'hi' },
+      components: [
+        {
+          type: 'body',
+          parameters: [
+            { type: 'text', text: 'MUMBAI' },
+            { type: 'text', text: 'PUNE' }
+          ]
+        }
+      ]
+    }
+  });
+  assert.throws(() => whatsappService.buildTemplatePayload('', 'en'), /Template name is required/);
+});
+
+test('registry maps catalog params to template variables in order', () => {
+  const message = buildTemplateMessage('reminder', reminderParams, 'mr');
+  assert.strictEqual(message.name, 'journey_reminder');
+  assert.strictEqual(message.languageCode, 'mr');
+  assert.deepStrictEqual(message.bodyParameters, ['MUMBAI', 'PUNE', '2030-01-15', '08:00']);
+
+  const missingTime = buildTemplateMessage('reminder', { ...reminderParams, time: undefined }, 'en');
+  assert.strictEqual(missingTime.bodyParameters[3], '-');
+  assert.throws(() => buildTemplateMessage('help', {}, 'en'), /No approved template/);
+});
+
+test('session window closes 24 hours after the last inbound message', async () => {
+  const phone = '919800000401';
+  const now = new Date('2030-01-15T10:00:00Z');
+  assert.strictEqual(await isSessionWindowOpen(phone, now), false);
+
+  await recordCustomerInbound(phone, { timestamp: String(Date.parse('2030-01-14T10:30:00Z') / 1000) });
+  assert.strictEqual(await isSessionWindowOpen(phone, now), true);
+  assert.strictEqual(await isSessionWindowOpen(phone, new Date('2030-01-15T10:30:00Z')), false);
+
+  // A late retry of an older message must not shrink the window.
+  await recordCustomerInbound(phone, { timestamp: String(Date.parse('2030-01-13T10:00:00Z') / 1000) });
+  assert.strictEqual(await isSessionWindowOpen(phone, now), true);
+});
+
+test('notifications use free-form text inside the window and templates after it', async () => {
+  const phone = '919800000402';
+  await setCustomerLanguage(phone, 'hi');
+  await recordCustomerInbound(phone, { timestamp: String(Date.parse('2030-01-14T12:00:00Z') / 1000) });
+
+  const inside = await sendCustomerNotification(phone, 'reminder', reminderParams, {
+    now: new Date('2030-01-15T08:00:00Z')
+  });
+  assert.strictEqual(inside.channel, 'text');
+  assert.strictEqual(sent[0].kind, 'text');
+  assert.match(sent[0].text, /MUMBAI/);
+
+  const outside = await sendCustomerNotification(phone, 'reminder', reminderParams, {
+    now: new Date('2030-01-16T08:00:00Z')
+  });
+  assert.strictEqual(outside.channel, 'template');
+  assert.deepStrictEqual(sent[1], {
+    kind: 'template',
+    phone,
+    name: 'journey_reminder',
+    languageCode: 'hi',
+    bodyParameters: ['MUMBAI', 'PUNE', '2030-01-15', '08:00']
+  });
+});